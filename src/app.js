@@ -2,20 +2,45 @@
 // MVP Implementation - Photo Album Organization Application
 
 import DatabaseService from './services/DatabaseService.js';
-import PhotoService from './services/PhotoService.js';
+import PhotoService, { DuplicatePolicy } from './services/PhotoService.js';
 import AlbumService from './services/AlbumService.js';
+import ImportSessionService from './services/ImportSessionService.js';
+import ImportRuleService from './services/ImportRuleService.js';
+import OriginalStore from './services/OriginalStore.js';
+import StorageService, { EvictionPolicy } from './services/StorageService.js';
 import UIController from './controllers/UIController.js';
-import { UserPreferences } from './models/UserPreferences.js';
+import ImportRulesController from './controllers/ImportRulesController.js';
+import StorageController from './controllers/StorageController.js';
+import ImportHistoryController from './controllers/ImportHistoryController.js';
+import SimilarPhotosController from './controllers/SimilarPhotosController.js';
+import CaptureTimeController from './controllers/CaptureTimeController.js';
+import { UserPreferences, PreferencesManager } from './models/UserPreferences.js';
+import { Thumbnailer, getAcceptAttribute, getFormatByName } from './lib/formats.js';
+import EventBus, { PHOTO_EVENTS } from './lib/events.js';
 
 console.log('PhoTawrr - Loading application...');
 
 class PhoTawrrApp {
   constructor() {
     this.db = null;
+    this.eventBus = null;
     this.photoService = null;
     this.albumService = null;
+    this.importSessionService = null;
+    this.importRuleService = null;
+    this.originalStore = null;
+    this.storageService = null;
     this.uiController = null;
+    this.importRulesController = null;
+    this.storageController = null;
+    this.importHistoryController = null;
+    this.similarPhotosController = null;
+    this.captureTimeController = null;
     this.userPreferences = null;
+    this.preferences = null;
+    // Progress panel and cancel controller of the running import
+    this.importProgress = null;
+    this.importController = null;
   }
 
   async initialize() {
@@ -32,17 +57,56 @@ class PhoTawrrApp {
       
       // Initialize user preferences
       this.userPreferences = new UserPreferences();
+      this.preferences = new PreferencesManager();
+      await this.loadPreferences();
       
       // Initialize services
-      this.photoService = new PhotoService(this.db);
+      this.eventBus = new EventBus();
+      this.subscribeToPhotoEvents();
       this.albumService = new AlbumService(this.db);
+      this.importSessionService = new ImportSessionService(this.db);
+      this.importRuleService = new ImportRuleService(this.db);
+      this.originalStore = new OriginalStore();
+      this.photoService = new PhotoService(
+        this.db,
+        this.albumService,
+        this.eventBus,
+        this.preferences,
+        this.importSessionService,
+        this.importRuleService,
+        this.originalStore
+      );
+      this.storageService = new StorageService(this.db, this.albumService, this.originalStore);
       console.log('Services initialized');
       
-      // Initialize UI controller
+      // Initialize UI controllers
+      this.importRulesController = new ImportRulesController(
+        this.importRuleService,
+        this.photoService,
+        this.albumService
+      );
+      this.storageController = new StorageController(this.storageService);
+      this.importHistoryController = new ImportHistoryController(this.importSessionService, {
+        onResume: (session, files) => this.resumeImport(session, files)
+      });
+      this.similarPhotosController = new SimilarPhotosController(this.photoService, {
+        onOpenPhoto: photoId => this.showPhotoDetail(photoId)
+      });
+      this.captureTimeController = new CaptureTimeController(this.photoService);
       this.uiController = new UIController(
         this.photoService,
         this.albumService,
-        this.userPreferences
+        this.userPreferences,
+        {
+          onImport: files => this.confirmImport(files),
+          onImportFolder: (source, options) => this.confirmFolderImport(source, options),
+          onOpenPhoto: photoId => this.showPhotoDetail(photoId),
+          onManageRules: () => this.importRulesController.open(),
+          onManageStorage: () => this.storageController.open(),
+          onShowImportHistory: () => this.importHistoryController.open(),
+          onFindSimilar: () => this.similarPhotosController.open(),
+          onAdjustCaptureTime: album => this.captureTimeController.open(album)
+        }
       );
       
       await this.uiController.initialize();
@@ -51,6 +115,9 @@ class PhoTawrrApp {
       // Load initial data
       await this.loadInitialData();
       
+      // Offer to resume imports interrupted by a reload or closed tab
+      await this.checkUnfinishedImports();
+      
       this.hideLoading();
       console.log('PhoTawrr application ready!');
       
@@ -60,20 +127,473 @@ class PhoTawrrApp {
     }
   }
   
+  async loadPreferences() {
+    try {
+      const rows = await this.db.all('SELECT * FROM user_preferences');
+      this.preferences.loadPreferences(rows.map(row => UserPreferences.fromDbRow(row)));
+    } catch (error) {
+      console.warn('Failed to load preferences, using defaults:', error);
+    }
+  }
+
   async loadInitialData() {
     try {
       // Load existing albums
       const albums = await this.albumService.getAllAlbums();
       console.log(`Loaded ${albums.length} existing albums`);
       
-      if (albums.length > 0) {
-        await this.uiController.renderAlbums(albums);
-      }
+      // Rendered even when empty, so a cleared library shows the empty state
+      this.uiController.renderAlbums(albums);
+      await this.uiController.refreshAlbum();
     } catch (error) {
       console.warn('Failed to load initial data:', error);
     }
   }
   
+  subscribeToPhotoEvents() {
+    this.eventBus.on(PHOTO_EVENTS.IMPORT_STARTED, ({ totalFiles, totalBytes }) => {
+      this.showImportProgress(totalFiles, totalBytes);
+    });
+    this.eventBus.on(PHOTO_EVENTS.IMPORT_PROGRESS, progress => this.updateImportProgress(progress));
+    this.eventBus.on(PHOTO_EVENTS.IMPORT_COMPLETED, () => this.hideImportProgress());
+    this.eventBus.on(PHOTO_EVENTS.IMPORT_ERROR, ({ fileName, error }) => {
+      // Per-file errors are listed in the result; only a failed import ends the progress panel
+      if (!fileName) {
+        this.hideImportProgress();
+        this.showError(`Import failed: ${error}`);
+      }
+    });
+
+    const refresh = () => this.loadInitialData();
+    this.eventBus.on(PHOTO_EVENTS.PHOTO_DELETED, refresh);
+    this.eventBus.on(PHOTO_EVENTS.CAPTURE_TIME_SHIFTED, refresh);
+  }
+
+  showImportProgress(totalFiles, totalBytes) {
+    this.hideImportProgress();
+    const toolbar = document.querySelector('#main-page .toolbar');
+    if (!toolbar) {
+      return;
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'import-progress';
+
+    // Measured in bytes so one large RAW or video file doesn't look like a stall
+    const bar = document.createElement('progress');
+    bar.max = totalBytes || totalFiles;
+    bar.value = 0;
+
+    const status = document.createElement('span');
+    status.textContent = `Importing ${totalFiles} files...`;
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn btn-secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => {
+      cancelBtn.disabled = true;
+      status.textContent = 'Cancelling after the files in progress...';
+      this.importController?.abort();
+    });
+
+    panel.append(bar, status, cancelBtn);
+    toolbar.after(panel);
+    this.importProgress = { panel, bar, status, cancelBtn };
+  }
+
+  updateImportProgress({ fileName, index, totalFiles, bytesProcessed, totalBytes, etaMs }) {
+    if (!this.importProgress || this.importProgress.cancelBtn.disabled) {
+      return;
+    }
+
+    const { bar, status } = this.importProgress;
+    bar.value = totalBytes ? bytesProcessed : index + 1;
+    const eta = etaMs !== null ? ` · about ${formatDuration(etaMs)} left` : '';
+    status.textContent = `${index + 1} of ${totalFiles}: ${fileName}${eta}`;
+  }
+
+  hideImportProgress() {
+    this.importProgress?.panel.remove();
+    this.importProgress = null;
+  }
+
+  async checkUnfinishedImports() {
+    try {
+      const sessions = await this.importSessionService.getUnfinishedSessions();
+      for (const session of sessions) {
+        this.showResumePrompt(session);
+      }
+    } catch (error) {
+      console.warn('Failed to check unfinished imports:', error);
+    }
+  }
+  
+  showResumePrompt(session) {
+    const toolbar = document.querySelector('#main-page .toolbar');
+    if (!toolbar) {
+      return;
+    }
+    
+    const banner = document.createElement('div');
+    banner.className = 'import-resume-banner';
+    
+    const message = document.createElement('span');
+    message.textContent = `An import of ${session.totalFiles} photos was interrupted ` +
+      `(${session.pendingCount} not imported yet).`;
+    
+    // Browsers don't keep file handles across reloads, so the user picks the files again
+    const picker = document.createElement('input');
+    picker.type = 'file';
+    picker.accept = getAcceptAttribute();
+    picker.multiple = true;
+    picker.style.display = 'none';
+    
+    const resumeBtn = document.createElement('button');
+    resumeBtn.className = 'btn btn-primary';
+    resumeBtn.textContent = 'Resume';
+    resumeBtn.addEventListener('click', () => picker.click());
+    
+    const discardBtn = document.createElement('button');
+    discardBtn.className = 'btn btn-secondary';
+    discardBtn.textContent = 'Discard';
+    
+    picker.addEventListener('change', () => {
+      banner.remove();
+      this.resumeImport(session, picker.files);
+    });
+    
+    discardBtn.addEventListener('click', async () => {
+      banner.remove();
+      try {
+        await this.importSessionService.discardSession(session.id);
+      } catch (error) {
+        console.warn('Failed to discard import session:', error);
+      }
+    });
+    
+    banner.append(message, resumeBtn, discardBtn, picker);
+    toolbar.after(banner);
+  }
+
+  async resumeImport(session, files) {
+    try {
+      this.importController = new AbortController();
+      const result = await this.photoService.resumeImportSession(session.id, files, {
+        signal: this.importController.signal
+      });
+      console.log(`Resumed import: ${result.importedCount} imported, ${result.missingCount} not found`);
+      await this.loadInitialData();
+      return result;
+    } catch (error) {
+      this.showError(`Failed to resume import: ${error.message}`);
+      return null;
+    }
+  }
+
+  async confirmImport(files, options = {}) {
+    this.showLoading('Checking files...');
+    let report;
+    try {
+      report = await this.photoService.previewImport(files, options);
+      report.storage = await this.storageService.checkImport(files);
+    } catch (error) {
+      this.showError(`Failed to check files: ${error.message}`);
+      return null;
+    }
+    this.hideLoading();
+
+    const choice = await this.showImportPreview(report, files, options);
+    if (!choice) {
+      return null;
+    }
+
+    // Best-effort storage can be cleared by the browser under pressure, taking the library with it
+    await this.storageService.requestPersistence();
+
+    this.importController = new AbortController();
+    let result;
+    try {
+      result = await this.photoService.importPhotos(files, {
+        ...options,
+        duplicatePolicy: choice.duplicatePolicy,
+        signal: this.importController.signal
+      });
+    } catch (error) {
+      this.hideImportProgress();
+      this.showError(`Import failed: ${error.message}`);
+      return null;
+    }
+    await this.loadInitialData();
+    return result;
+  }
+
+  async confirmFolderImport(source, options = {}) {
+    this.showLoading('Reading folder...');
+    let files;
+    try {
+      files = await this.photoService.readDirectory(source);
+    } catch (error) {
+      this.showError(error.message);
+      return null;
+    }
+
+    // Files keep their paths relative to the folder, which become their file paths
+    return this.confirmImport(files, options);
+  }
+
+  showImportPreview(report, files = [], options = {}) {
+    return new Promise(resolve => {
+      const dialog = document.createElement('div');
+      dialog.className = 'photo-detail-modal import-preview';
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
+
+      const content = document.createElement('div');
+      content.className = 'modal-content';
+
+      const title = document.createElement('h3');
+      const summary = document.createElement('ul');
+      const renderSummary = () => {
+        title.textContent = `Import ${report.importCount} of ${report.totalFiles} files?`;
+
+        const newAlbumNames = report.newAlbums.map(album => `${album.name} (${album.fileCount})`).join(', ');
+        const lines = [
+          `${report.newAlbums.length} new albums${newAlbumNames ? `: ${newAlbumNames}` : ''}`,
+          `${report.existingAlbums.length} existing albums get new photos`,
+          `${report.undatedCount} files go to Undated Photos`,
+          `${report.duplicates.length} duplicates`,
+          `${report.skipped.length} skipped by import rules`,
+          `${report.rejected.length} rejected`
+        ];
+        summary.replaceChildren(...lines.map(line => {
+          const item = document.createElement('li');
+          item.textContent = line;
+          return item;
+        }));
+      };
+      renderSummary();
+
+      // Files already in the library are skipped unless the user keeps or replaces them; the
+      // preview is re-run so the counts match the choice
+      let duplicatePolicy = options.duplicatePolicy || DuplicatePolicy.SKIP;
+      const duplicates = document.createElement('label');
+      duplicates.className = 'import-preview-duplicates';
+      if (report.duplicates.length > 0) {
+        const policySelect = document.createElement('select');
+        policySelect.append(
+          new Option('Skip them', DuplicatePolicy.SKIP),
+          new Option('Keep both copies', DuplicatePolicy.KEEP_BOTH),
+          new Option('Replace the library\'s copy', DuplicatePolicy.REPLACE)
+        );
+        policySelect.value = duplicatePolicy;
+        policySelect.addEventListener('change', async () => {
+          policySelect.disabled = true;
+          importBtn.disabled = true;
+          try {
+            const storage = report.storage;
+            report = await this.photoService.previewImport(files, { ...options, duplicatePolicy: policySelect.value });
+            report.storage = storage;
+            duplicatePolicy = policySelect.value;
+            renderSummary();
+          } catch (error) {
+            policySelect.value = duplicatePolicy;
+            console.warn('Failed to preview duplicate handling:', error);
+          }
+          policySelect.disabled = false;
+          updateImportBtn();
+        });
+        duplicates.append('Files already in the library: ', policySelect);
+      }
+
+      // Rejected files are listed so they can be fixed before importing
+      const rejected = document.createElement('ul');
+      rejected.className = 'import-preview-rejected';
+      for (const { fileName, error } of report.rejected) {
+        const item = document.createElement('li');
+        item.textContent = `${fileName}: ${error}`;
+        rejected.append(item);
+      }
+
+      const importBtn = document.createElement('button');
+      importBtn.className = 'btn btn-primary';
+      importBtn.textContent = 'Import';
+      // An import that won't fit would fail part-way, so it waits until enough space is freed
+      const updateImportBtn = () => {
+        importBtn.disabled = report.importCount === 0 || Boolean(report.storage?.exceedsQuota);
+      };
+      updateImportBtn();
+
+      // Warn before an import that won't fit, and offer to make room in albums untouched for a year
+      const storageWarning = document.createElement('div');
+      storageWarning.className = 'import-preview-storage';
+      if (report.storage?.warning) {
+        const message = document.createElement('p');
+        message.textContent = report.storage.warning;
+        const freeBtn = document.createElement('button');
+        freeBtn.className = 'btn btn-secondary';
+        freeBtn.textContent = 'Drop previews of albums older than a year';
+        freeBtn.addEventListener('click', async () => {
+          freeBtn.disabled = true;
+          const olderThan = new Date();
+          olderThan.setFullYear(olderThan.getFullYear() - 1);
+          try {
+            const freed = await this.storageService.evict(EvictionPolicy.DROP_PREVIEWS, { olderThan });
+            report.storage = await this.storageService.checkImport(files);
+            message.textContent = report.storage.warning ||
+              `Freed previews of ${freed.photoCount} photos; the import fits.`;
+            updateImportBtn();
+          } catch (error) {
+            message.textContent = `Failed to free space: ${error.message}`;
+          }
+        });
+        storageWarning.append(message, freeBtn);
+      }
+
+      const close = choice => {
+        dialog.remove();
+        resolve(choice);
+      };
+
+      importBtn.addEventListener('click', () => close({ duplicatePolicy }));
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'btn btn-secondary';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => close(null));
+      backdrop.addEventListener('click', () => close(null));
+
+      const actions = document.createElement('div');
+      actions.className = 'import-preview-actions';
+      actions.append(cancelBtn, importBtn);
+
+      content.append(title, summary, duplicates, storageWarning, rejected, actions);
+      dialog.append(backdrop, content);
+      document.body.append(dialog);
+    });
+  }
+  
+  async showPhotoDetail(photoId) {
+    const photo = await this.photoService.getPhotoById(photoId);
+    if (!photo) {
+      return;
+    }
+
+    // The object URL streams the stored original instead of loading it into memory
+    let original = null;
+    try {
+      original = await this.photoService.getOriginal(photoId);
+    } catch (error) {
+      console.warn('Failed to open original:', error);
+    }
+    const originalUrl = original ? URL.createObjectURL(original) : null;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'photo-detail-modal';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'modal-close';
+    closeBtn.setAttribute('aria-label', 'Close');
+    closeBtn.textContent = '×';
+
+    // Browsers can't draw HEIC or RAW originals, so those show their largest rendition
+    const showRendition = async (element, attribute = 'src') => {
+      const rendition = await this.photoService.getRenditionForDisplay(
+        photoId, window.innerWidth, window.innerHeight, window.devicePixelRatio || 1
+      );
+      if (rendition) {
+        element[attribute] = rendition.data;
+      }
+    };
+
+    let media;
+    if (photo.isVideo()) {
+      media = document.createElement('video');
+      media.controls = true;
+      media.playsInline = true;
+      // The poster frame shows until playback starts, and in place of a clip that wasn't stored
+      showRendition(media, 'poster');
+      if (originalUrl) {
+        media.src = originalUrl;
+      }
+    } else {
+      media = document.createElement('img');
+      media.alt = photo.fileName;
+      if (originalUrl && getFormatByName(photo.fileName)?.thumbnailer === Thumbnailer.DECODE) {
+        media.addEventListener('error', () => showRendition(media), { once: true });
+        media.src = originalUrl;
+      } else {
+        showRendition(media);
+      }
+    }
+    media.className = 'detail-image';
+
+    const info = document.createElement('div');
+    info.className = 'detail-info';
+    const title = document.createElement('h3');
+    title.textContent = photo.fileName;
+    const details = document.createElement('p');
+    details.textContent = [
+      photo.dateTaken ? photo.dateTaken.toLocaleString() : 'Undated',
+      photo.width && photo.height ? `${photo.width} × ${photo.height}` : null,
+      photo.getFormattedDuration(),
+      original ? null : 'Original not stored'
+    ].filter(Boolean).join(' · ');
+    info.append(title, details);
+
+    const close = () => {
+      dialog.remove();
+      if (originalUrl) {
+        URL.revokeObjectURL(originalUrl);
+      }
+    };
+    closeBtn.addEventListener('click', close);
+    backdrop.addEventListener('click', close);
+
+    const actions = document.createElement('div');
+    actions.className = 'detail-actions';
+    if (photo.perceptualHash) {
+      const similarBtn = document.createElement('button');
+      similarBtn.className = 'btn btn-secondary';
+      similarBtn.textContent = 'Find similar photos';
+      similarBtn.addEventListener('click', async () => {
+        close();
+        try {
+          await this.similarPhotosController.openForPhoto(photo.id);
+        } catch (error) {
+          this.showError(`Failed to find similar photos: ${error.message}`);
+        }
+      });
+      actions.append(similarBtn);
+    }
+    if (photo.dateTaken && photo.albumId) {
+      const timeBtn = document.createElement('button');
+      timeBtn.className = 'btn btn-secondary';
+      timeBtn.textContent = 'Correct time from this photo…';
+      timeBtn.addEventListener('click', async () => {
+        close();
+        try {
+          const album = await this.albumService.getAlbumById(photo.albumId);
+          await this.captureTimeController.open(album, photo.id);
+        } catch (error) {
+          this.showError(`Failed to adjust capture time: ${error.message}`);
+        }
+      });
+      actions.append(timeBtn);
+    }
+    info.append(actions);
+
+    content.append(closeBtn, media, info);
+    dialog.append(backdrop, content);
+    document.body.append(dialog);
+  }
+  
   showLoading(message = 'Loading...') {
     const loadingEl = document.getElementById('loading');
     const messageEl = loadingEl?.querySelector('.loading-message');
@@ -108,6 +628,16 @@ class PhoTawrrApp {
   }
 }
 
+/**
+ * Format a duration for progress messages, e.g. "3 min"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Rounded duration
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  return seconds < 60 ? `${seconds} s` : `${Math.round(seconds / 60)} min`;
+}
+
 // Initialize application when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('DOM loaded - initializing PhoTawrr...');
@@ -0,0 +1,288 @@
+/**
+ * CaptureTimeController
+ * Dialog for correcting the capture times of an album's photos, either by a fixed amount or by
+ * setting the correct time of one photo and moving the rest with it
+ */
+
+import { formatOffset, parseIsoCaptureTime } from '../lib/captureTime.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export class CaptureTimeController {
+  /**
+   * @param {PhotoService} photoService - Lists and shifts photos
+   */
+  constructor(photoService) {
+    this.photoService = photoService;
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Open the dialog for an album's photos
+   * @param {Album} album - Album whose photos are corrected together
+   * @param {number|null} referencePhotoId - Photo to preselect as the one whose time is known
+   * @returns {Promise<void>}
+   * @throws {DatabaseError} When the album's photos can't be loaded
+   */
+  async open(album, referencePhotoId = null) {
+    this.close();
+    // Stacked photos share a camera clock with their primary, so they move too
+    const photos = await this.photoService.getPhotosByAlbum(album.id, { expandStacks: true });
+    const photoIds = photos.map(photo => photo.id);
+    const dated = photos.filter(photo => photo.dateTaken);
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'photo-detail-modal capture-time';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+
+    this.content = document.createElement('div');
+    this.content.className = 'modal-content';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Adjust capture time';
+    const hint = document.createElement('p');
+    hint.textContent = `Applies to the ${photos.length} photos in ${album.name}, e.g. to correct a camera clock ` +
+      'that was set wrong. Photos move to the album for their new date.';
+
+    this.content.append(
+      title,
+      hint,
+      this.createShiftForm(photoIds),
+      dated.length > 0 ? this.createSyncForm(photoIds, dated, referencePhotoId) : '',
+      createStatusMessage(),
+      createActions(createButton('Close', 'btn btn-secondary', () => this.close()))
+    );
+    this.dialog.append(backdrop, this.content);
+    document.body.append(this.dialog);
+  }
+
+  /**
+   * Close the dialog
+   * @returns {void}
+   */
+  close() {
+    this.dialog?.remove();
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Build the form that moves every photo by a fixed amount
+   * @private
+   * @param {number[]} photoIds - Photos to shift
+   * @returns {HTMLFormElement} Form with a direction and days, hours and minutes
+   */
+  createShiftForm(photoIds) {
+    const form = document.createElement('form');
+    form.className = 'capture-time-shift';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Move every photo';
+
+    const direction = document.createElement('select');
+    direction.name = 'direction';
+    direction.append(new Option('later', '1'), new Option('earlier', '-1'));
+
+    const amount = (name, max) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.name = name;
+      input.min = '0';
+      input.max = String(max);
+      input.value = '0';
+      return input;
+    };
+    const days = amount('days', 3650);
+    const hours = amount('hours', 23);
+    const minutes = amount('minutes', 59);
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const offset = Number(direction.value) *
+        (Number(days.value) * DAY_MS + Number(hours.value) * HOUR_MS + Number(minutes.value) * MINUTE_MS);
+      if (offset === 0) {
+        this.showStatus('Enter how far to move the photos.');
+        return;
+      }
+      this.apply(() => this.photoService.shiftCaptureTime(photoIds, offset));
+    });
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.append(
+      legend,
+      createLabel('Move', direction),
+      createLabel('by', days), ' days ',
+      hours, ' hours ',
+      minutes, ' minutes ',
+      createSubmit('Move photos')
+    );
+    form.append(fieldset);
+    return form;
+  }
+
+  /**
+   * Build the form that sets the correct time of one photo and moves the rest by the same amount
+   * @private
+   * @param {number[]} photoIds - Photos to shift
+   * @param {Photo[]} dated - Photos with a capture time, which can serve as the reference
+   * @param {number|null} referencePhotoId - Photo to preselect
+   * @returns {HTMLFormElement} Form with the reference photo and its correct time
+   */
+  createSyncForm(photoIds, dated, referencePhotoId) {
+    const form = document.createElement('form');
+    form.className = 'capture-time-sync';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Or set the correct time of one photo';
+
+    const photoSelect = document.createElement('select');
+    photoSelect.name = 'reference';
+    for (const photo of dated) {
+      photoSelect.append(new Option(photo.fileName, photo.id));
+    }
+    if (dated.some(photo => photo.id === referencePhotoId)) {
+      photoSelect.value = String(referencePhotoId);
+    }
+
+    const timeInput = document.createElement('input');
+    timeInput.type = 'datetime-local';
+    timeInput.name = 'correctTime';
+    timeInput.step = '1';
+    timeInput.required = true;
+
+    const findReference = () => dated.find(photo => photo.id === Number(photoSelect.value));
+    // Starts at the recorded time, which is usually close to the correct one
+    const showRecordedTime = () => {
+      timeInput.value = findReference()?.dateTakenLocal || '';
+    };
+    photoSelect.addEventListener('change', showRecordedTime);
+    showRecordedTime();
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const reference = findReference();
+      // The entered time is read in the photo's own timezone when it is known
+      const offset = reference.timezoneOffset === null ? '' : formatOffset(reference.timezoneOffset);
+      const correctTime = parseIsoCaptureTime(`${timeInput.value}${offset}`)?.date;
+      if (!correctTime) {
+        this.showStatus('Enter the date and time the photo was actually taken.');
+        return;
+      }
+      this.apply(() => this.photoService.syncCaptureTimeToReference(photoIds, reference.id, correctTime));
+    });
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.append(
+      legend,
+      createLabel('Photo', photoSelect),
+      createLabel('was taken at', timeInput),
+      createSubmit('Move photos')
+    );
+    form.append(fieldset);
+    return form;
+  }
+
+  /**
+   * Run a shift and report its result in the dialog
+   * @private
+   * @param {Function} shift - Async shift returning the result of shiftCaptureTime
+   */
+  async apply(shift) {
+    this.content.querySelectorAll('button[type="submit"]').forEach(button => {
+      button.disabled = true;
+    });
+
+    try {
+      const result = await shift();
+      this.showStatus([
+        `Moved ${result.shiftedCount} photos.`,
+        result.skippedIds.length > 0 ? `${result.skippedIds.length} photos have no capture time and were left as they are.` : null
+      ].filter(Boolean).join(' '));
+      // The photos may have left this album, so the forms are closed rather than reused
+      this.content.querySelectorAll('form').forEach(form => form.remove());
+    } catch (error) {
+      this.showStatus(`Failed to adjust capture time: ${error.message}`);
+      this.content.querySelectorAll('button[type="submit"]').forEach(button => {
+        button.disabled = false;
+      });
+    }
+  }
+
+  /**
+   * Show a message in the open dialog
+   * @private
+   * @param {string} message - Message text
+   */
+  showStatus(message) {
+    const statusEl = this.content?.querySelector('.capture-time-status');
+    if (statusEl) {
+      statusEl.textContent = message;
+      statusEl.style.display = 'block';
+    }
+  }
+}
+
+/**
+ * Create a button that isn't a form submit
+ * @private
+ */
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Create a form's submit button
+ * @private
+ */
+function createSubmit(text) {
+  const button = document.createElement('button');
+  button.type = 'submit';
+  button.className = 'btn btn-primary';
+  button.textContent = text;
+  return button;
+}
+
+/**
+ * Wrap an input in a label
+ * @private
+ */
+function createLabel(text, input) {
+  const label = document.createElement('label');
+  label.append(`${text} `, input);
+  return label;
+}
+
+/**
+ * Wrap buttons in the dialog's action row
+ * @private
+ */
+function createActions(...buttons) {
+  const actions = document.createElement('div');
+  actions.className = 'import-preview-actions';
+  actions.append(...buttons);
+  return actions;
+}
+
+/**
+ * Create the hidden element that shows results and errors
+ * @private
+ */
+function createStatusMessage() {
+  const statusEl = document.createElement('p');
+  statusEl.className = 'capture-time-status';
+  statusEl.style.display = 'none';
+  return statusEl;
+}
+
+export default CaptureTimeController;
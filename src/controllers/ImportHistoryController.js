@@ -0,0 +1,157 @@
+/**
+ * ImportHistoryController
+ * Dialog listing past imports, with a way to finish one that was cancelled or failed part-way
+ */
+
+import { ImportSessionStatus } from '../services/ImportSessionService.js';
+import { getAcceptAttribute } from '../lib/formats.js';
+
+const STATUS_LABELS = Object.freeze({
+  [ImportSessionStatus.RUNNING]: 'Running or interrupted',
+  [ImportSessionStatus.COMPLETED]: 'Completed',
+  [ImportSessionStatus.CANCELLED]: 'Cancelled',
+  [ImportSessionStatus.FAILED]: 'Failed',
+  [ImportSessionStatus.DISCARDED]: 'Discarded'
+});
+
+// Interrupted sessions are offered at startup instead, since one may still be running in this tab
+const RESUMABLE_STATUSES = Object.freeze([ImportSessionStatus.CANCELLED, ImportSessionStatus.FAILED]);
+
+export class ImportHistoryController {
+  /**
+   * @param {ImportSessionService} importSessionService - Lists past sessions
+   * @param {Object} handlers - App actions triggered from the dialog
+   * @param {Function} handlers.onResume - Called with a session and the files picked again for it
+   */
+  constructor(importSessionService, handlers = {}) {
+    this.importSessionService = importSessionService;
+    this.handlers = handlers;
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Open the history dialog
+   * @returns {Promise<void>}
+   * @throws {DatabaseError} When the history can't be loaded
+   */
+  async open() {
+    this.close();
+    const sessions = await this.importSessionService.getImportHistory();
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'photo-detail-modal import-history';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+
+    this.content = document.createElement('div');
+    this.content.className = 'modal-content';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Import history';
+
+    const list = document.createElement('ul');
+    list.className = 'import-history-list';
+    list.append(...sessions.map(session => this.createSessionItem(session)));
+    if (sessions.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'import-history-empty';
+      empty.textContent = 'No imports yet.';
+      list.append(empty);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'import-preview-actions';
+    actions.append(createButton('Close', 'btn btn-secondary', () => this.close()));
+
+    this.content.append(title, list, actions);
+    this.dialog.append(backdrop, this.content);
+    document.body.append(this.dialog);
+  }
+
+  /**
+   * Close the history dialog
+   * @returns {void}
+   */
+  close() {
+    this.dialog?.remove();
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Build the list entry for one session
+   * @private
+   * @param {Object} session - Session from ImportSessionService.getImportHistory
+   * @returns {HTMLElement} Entry with the session's outcome, and a resume button if files are left
+   */
+  createSessionItem(session) {
+    const item = document.createElement('li');
+    item.className = 'import-history-session';
+    item.dataset.sessionId = session.id;
+
+    const text = document.createElement('div');
+    text.className = 'import-history-text';
+    const heading = document.createElement('strong');
+    heading.textContent = `${session.createdAt.toLocaleString()} · ${session.totalFiles} files`;
+    const detail = document.createElement('span');
+    detail.textContent = [
+      STATUS_LABELS[session.status] || session.status,
+      session.result ? `${session.result.importedCount ?? 0} imported` : null,
+      session.result?.failedCount ? `${session.result.failedCount} failed` : null,
+      session.pendingCount ? `${session.pendingCount} not imported yet` : null
+    ].filter(Boolean).join(' · ');
+    text.append(heading, detail);
+    item.append(text);
+
+    if (RESUMABLE_STATUSES.includes(session.status) && session.pendingCount > 0) {
+      // Browsers don't keep file handles, so the user picks the files again
+      const picker = document.createElement('input');
+      picker.type = 'file';
+      picker.accept = `${getAcceptAttribute()},application/zip,.zip`;
+      picker.multiple = true;
+      picker.style.display = 'none';
+      picker.addEventListener('change', () => this.resume(session, [...picker.files]));
+
+      item.append(createButton('Resume…', 'btn btn-primary', () => picker.click()), picker);
+    }
+
+    return item;
+  }
+
+  /**
+   * Close the dialog and hand a session and its re-picked files to the app
+   * @private
+   * @param {Object} session - Session to resume
+   * @param {File[]} files - Files picked again
+   */
+  async resume(session, files) {
+    if (files.length === 0) {
+      return;
+    }
+
+    this.close();
+    try {
+      await this.handlers.onResume?.(session, files);
+    } catch (error) {
+      console.warn('Failed to resume import:', error);
+    }
+  }
+}
+
+/**
+ * Create a button that isn't a form submit
+ * @private
+ */
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+export default ImportHistoryController;
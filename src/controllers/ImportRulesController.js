@@ -0,0 +1,494 @@
+/**
+ * ImportRulesController
+ * Dialog for listing, editing, reordering and trying out import rules before they are saved
+ */
+
+import { RuleField, RuleOperator, RuleActionType, getRuleOperators } from '../lib/importRules.js';
+import { getAcceptAttribute } from '../lib/formats.js';
+
+const FIELD_LABELS = Object.freeze({
+  [RuleField.CAMERA_MAKE]: 'Camera make',
+  [RuleField.CAMERA_MODEL]: 'Camera model',
+  [RuleField.FILE_NAME]: 'File name',
+  [RuleField.SOURCE_FOLDER]: 'Source folder',
+  [RuleField.WIDTH]: 'Width',
+  [RuleField.HEIGHT]: 'Height',
+  [RuleField.DATE_TAKEN]: 'Date taken'
+});
+
+const OPERATOR_LABELS = Object.freeze({
+  [RuleOperator.EQUALS]: 'is',
+  [RuleOperator.CONTAINS]: 'contains',
+  [RuleOperator.MATCHES]: 'matches pattern',
+  [RuleOperator.AT_LEAST]: 'is at least',
+  [RuleOperator.AT_MOST]: 'is at most',
+  [RuleOperator.BETWEEN]: 'is between'
+});
+
+const NUMBER_FIELDS = Object.freeze([RuleField.WIDTH, RuleField.HEIGHT]);
+
+export class ImportRulesController {
+  /**
+   * @param {ImportRuleService} importRuleService - Stores the rules
+   * @param {PhotoService} photoService - Tries rules on sample files
+   * @param {AlbumService} albumService - Lists the albums a rule can choose
+   */
+  constructor(importRuleService, photoService, albumService) {
+    this.importRuleService = importRuleService;
+    this.photoService = photoService;
+    this.albumService = albumService;
+    this.dialog = null;
+    this.content = null;
+    this.albums = [];
+  }
+
+  /**
+   * Open the rules dialog on the list of rules
+   * @returns {Promise<void>}
+   * @throws {DatabaseError} When the rules or albums can't be loaded
+   */
+  async open() {
+    this.close();
+    this.albums = await this.albumService.getAllAlbums();
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'photo-detail-modal import-rules';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+
+    this.content = document.createElement('div');
+    this.content.className = 'modal-content';
+
+    this.dialog.append(backdrop, this.content);
+    document.body.append(this.dialog);
+
+    await this.showRuleList();
+  }
+
+  /**
+   * Close the rules dialog
+   * @returns {void}
+   */
+  close() {
+    this.dialog?.remove();
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Show the rules in evaluation order
+   * @private
+   */
+  async showRuleList() {
+    const rules = await this.importRuleService.getRules();
+
+    const title = document.createElement('h3');
+    title.textContent = 'Import rules';
+
+    const hint = document.createElement('p');
+    hint.textContent = 'Rules run from top to bottom on every import. The first album chosen wins.';
+
+    const list = document.createElement('ol');
+    list.className = 'import-rules-list';
+    rules.forEach((rule, index) => list.append(this.createRuleItem(rules, index)));
+    if (rules.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'import-rules-empty';
+      empty.textContent = 'No rules yet. Photos go to the album for their date.';
+      list.append(empty);
+    }
+
+    const closeBtn = createButton('Close', 'btn btn-secondary', () => this.close());
+    const newBtn = createButton('New rule', 'btn btn-primary', () => this.showRuleEditor());
+
+    const actions = document.createElement('div');
+    actions.className = 'import-preview-actions';
+    actions.append(closeBtn, newBtn);
+
+    this.content.replaceChildren(title, hint, list, createErrorMessage(), actions);
+  }
+
+  /**
+   * Build the list entry for one rule
+   * @private
+   * @param {ImportRule[]} rules - All rules, in order
+   * @param {number} index - Position of the rule to show
+   * @returns {HTMLElement} Entry with enable, move, edit and delete controls
+   */
+  createRuleItem(rules, index) {
+    const rule = rules[index];
+
+    const item = document.createElement('li');
+    item.className = 'import-rule';
+    item.dataset.ruleId = rule.id;
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.title = 'Run this rule on import';
+    enabled.addEventListener('change', () => this.update(() =>
+      this.importRuleService.saveRule({ ...rule, enabled: enabled.checked })
+    ));
+
+    const text = document.createElement('div');
+    text.className = 'import-rule-text';
+    const name = document.createElement('strong');
+    name.textContent = rule.name;
+    const summary = document.createElement('span');
+    summary.textContent = this.describeRule(rule);
+    text.append(name, summary);
+
+    const moveUp = createButton('↑', 'btn btn-secondary', () => this.moveRule(rules, index, -1));
+    moveUp.disabled = index === 0;
+    moveUp.setAttribute('aria-label', 'Move up');
+    const moveDown = createButton('↓', 'btn btn-secondary', () => this.moveRule(rules, index, 1));
+    moveDown.disabled = index === rules.length - 1;
+    moveDown.setAttribute('aria-label', 'Move down');
+
+    const editBtn = createButton('Edit', 'btn btn-secondary', () => this.showRuleEditor(rule));
+    const deleteBtn = createButton('Delete', 'btn btn-secondary', () => {
+      if (window.confirm(`Delete the rule "${rule.name}"?`)) {
+        this.update(() => this.importRuleService.deleteRule(rule.id));
+      }
+    });
+
+    item.append(enabled, text, moveUp, moveDown, editBtn, deleteBtn);
+    return item;
+  }
+
+  /**
+   * Swap a rule with its neighbour
+   * @private
+   * @param {ImportRule[]} rules - All rules, in order
+   * @param {number} index - Position of the rule to move
+   * @param {number} delta - -1 to move it up, 1 to move it down
+   */
+  moveRule(rules, index, delta) {
+    const ruleIds = rules.map(rule => rule.id);
+    [ruleIds[index], ruleIds[index + delta]] = [ruleIds[index + delta], ruleIds[index]];
+    return this.update(() => this.importRuleService.reorderRules(ruleIds));
+  }
+
+  /**
+   * Run a change to the rules, then show the updated list or the error
+   * @private
+   * @param {Function} change - Async change
+   */
+  async update(change) {
+    try {
+      await change();
+      await this.showRuleList();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Show the rule editor
+   * @private
+   * @param {ImportRule|null} rule - Rule to edit, or null for a new rule
+   */
+  showRuleEditor(rule = null) {
+    const form = document.createElement('form');
+    form.className = 'import-rule-editor';
+
+    const title = document.createElement('h3');
+    title.textContent = rule ? `Edit "${rule.name}"` : 'New import rule';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.name = 'name';
+    nameInput.required = true;
+    nameInput.value = rule?.name || '';
+    const nameLabel = createLabel('Name', nameInput);
+
+    // Conditions
+    const conditionRows = [];
+    const conditionList = document.createElement('div');
+    conditionList.className = 'import-rule-conditions';
+    const addCondition = condition => {
+      const row = this.createConditionRow(condition, () => {
+        conditionRows.splice(conditionRows.indexOf(row), 1);
+        row.element.remove();
+      });
+      conditionRows.push(row);
+      conditionList.append(row.element);
+    };
+    (rule?.conditions || []).forEach(addCondition);
+
+    const conditions = document.createElement('fieldset');
+    const conditionsLegend = document.createElement('legend');
+    conditionsLegend.textContent = 'When every condition holds (none: every file)';
+    conditions.append(
+      conditionsLegend,
+      conditionList,
+      createButton('Add condition', 'btn btn-secondary', () => addCondition())
+    );
+
+    // Actions
+    const findAction = type => rule?.actions.find(action => action.type === type);
+
+    const albumSelect = document.createElement('select');
+    albumSelect.name = 'album';
+    albumSelect.append(new Option('Album for the photo\'s date', ''));
+    for (const album of this.albums) {
+      albumSelect.append(new Option(album.name, album.id));
+    }
+    albumSelect.value = findAction(RuleActionType.SET_ALBUM)?.albumId ?? '';
+
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.name = 'tags';
+    tagsInput.placeholder = 'Comma-separated';
+    tagsInput.value = findAction(RuleActionType.ADD_TAGS)?.tags.join(', ') || '';
+
+    const skipInput = document.createElement('input');
+    skipInput.type = 'checkbox';
+    skipInput.name = 'skip';
+    skipInput.checked = Boolean(findAction(RuleActionType.SKIP));
+
+    const actions = document.createElement('fieldset');
+    const actionsLegend = document.createElement('legend');
+    actionsLegend.textContent = 'Then';
+    actions.append(
+      actionsLegend,
+      createLabel('Put in album', albumSelect),
+      createLabel('Add tags', tagsInput),
+      createLabel('Skip the file', skipInput)
+    );
+
+    const readRule = () => ({
+      id: rule?.id ?? null,
+      name: nameInput.value.trim(),
+      enabled: rule?.enabled ?? true,
+      conditions: conditionRows.map(row => row.read()),
+      actions: [
+        albumSelect.value && { type: RuleActionType.SET_ALBUM, albumId: Number(albumSelect.value) },
+        tagsInput.value.trim() && { type: RuleActionType.ADD_TAGS, tags: tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean) },
+        skipInput.checked && { type: RuleActionType.SKIP }
+      ].filter(Boolean)
+    });
+
+    // Trying the rule on sample files
+    const testResults = document.createElement('ul');
+    testResults.className = 'import-rule-test-results';
+
+    const picker = document.createElement('input');
+    picker.type = 'file';
+    picker.accept = `${getAcceptAttribute()},application/zip,.zip`;
+    picker.multiple = true;
+    picker.style.display = 'none';
+    picker.addEventListener('change', async () => {
+      try {
+        const results = await this.photoService.testImportRule(readRule(), picker.files);
+        testResults.replaceChildren(...results.map(result => {
+          const item = document.createElement('li');
+          item.textContent = `${result.filePath}: ${this.describeTestResult(result)}`;
+          return item;
+        }));
+        this.showError(null);
+      } catch (error) {
+        this.showError(error.message);
+      }
+      picker.value = '';
+    });
+    const testBtn = createButton('Try on sample files…', 'btn btn-secondary', () => picker.click());
+
+    const cancelBtn = createButton('Cancel', 'btn btn-secondary', () => this.showRuleList());
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn btn-primary';
+    saveBtn.textContent = 'Save';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'import-preview-actions';
+    buttons.append(cancelBtn, saveBtn);
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      this.update(() => this.importRuleService.saveRule(readRule()));
+    });
+
+    form.append(title, nameLabel, conditions, actions, testBtn, picker, testResults, createErrorMessage(), buttons);
+    this.content.replaceChildren(form);
+  }
+
+  /**
+   * Build the inputs for one condition
+   * @private
+   * @param {Object} condition - Condition to show { field, operator, value }, or undefined for a new one
+   * @param {Function} onRemove - Called when the condition is removed
+   * @returns {Object} { element, read } where read() returns the condition as entered
+   */
+  createConditionRow(condition = { field: RuleField.FILE_NAME, operator: RuleOperator.CONTAINS, value: '' }, onRemove) {
+    const element = document.createElement('div');
+    element.className = 'import-rule-condition';
+
+    const fieldSelect = document.createElement('select');
+    for (const field of Object.values(RuleField)) {
+      fieldSelect.append(new Option(FIELD_LABELS[field], field));
+    }
+    fieldSelect.value = condition.field;
+
+    const operatorSelect = document.createElement('select');
+    const values = document.createElement('span');
+
+    const renderValues = (value = null) => {
+      const field = fieldSelect.value;
+      const count = operatorSelect.value === RuleOperator.BETWEEN ? 2 : 1;
+      const current = value ?? [];
+      values.replaceChildren(...Array.from({ length: count }, (_, i) => {
+        const input = document.createElement('input');
+        input.type = field === RuleField.DATE_TAKEN ? 'date' : NUMBER_FIELDS.includes(field) ? 'number' : 'text';
+        input.required = true;
+        input.value = (Array.isArray(current) ? current[i] : current) ?? '';
+        return input;
+      }));
+    };
+
+    const renderOperators = () => {
+      const operators = getRuleOperators(fieldSelect.value);
+      const selected = operators.includes(operatorSelect.value) ? operatorSelect.value : operators[0];
+      operatorSelect.replaceChildren(...operators.map(operator => new Option(OPERATOR_LABELS[operator], operator)));
+      operatorSelect.value = selected;
+    };
+
+    fieldSelect.addEventListener('change', () => {
+      renderOperators();
+      renderValues();
+    });
+    operatorSelect.addEventListener('change', () => renderValues());
+
+    renderOperators();
+    if (getRuleOperators(condition.field).includes(condition.operator)) {
+      operatorSelect.value = condition.operator;
+    }
+    renderValues(condition.value);
+
+    const removeBtn = createButton('Remove', 'btn btn-secondary', () => onRemove());
+
+    element.append(fieldSelect, operatorSelect, values, removeBtn);
+
+    const read = () => {
+      const field = fieldSelect.value;
+      const entered = [...values.querySelectorAll('input')].map(input =>
+        NUMBER_FIELDS.includes(field) ? Number(input.value) : input.value
+      );
+      return {
+        field,
+        operator: operatorSelect.value,
+        value: operatorSelect.value === RuleOperator.BETWEEN ? entered : entered[0]
+      };
+    };
+
+    return { element, read };
+  }
+
+  /**
+   * Summarize a rule for the list, e.g. "Camera model contains iPhone → put in Trips"
+   * @private
+   * @param {ImportRule} rule - Rule to describe
+   * @returns {string} One-line summary
+   */
+  describeRule(rule) {
+    const conditions = rule.conditions.map(({ field, operator, value }) =>
+      `${FIELD_LABELS[field]} ${OPERATOR_LABELS[operator]} ${Array.isArray(value) ? value.join(' and ') : value}`
+    );
+    const actions = rule.actions.map(action => {
+      switch (action.type) {
+        case RuleActionType.SET_ALBUM:
+          return `put in ${this.getAlbumName(action.albumId)}`;
+        case RuleActionType.ADD_TAGS:
+          return `tag ${action.tags.join(', ')}`;
+        default:
+          return 'skip';
+      }
+    });
+
+    return `${conditions.join(' and ') || 'Every file'} → ${actions.join(', ')}`;
+  }
+
+  /**
+   * Summarize what a rule did to one sample file
+   * @private
+   * @param {Object} result - Entry from PhotoService.testImportRule
+   * @returns {string} Outcome
+   */
+  describeTestResult(result) {
+    if (result.error) {
+      return `couldn't be read (${result.error})`;
+    }
+    if (!result.matched) {
+      return 'no match';
+    }
+    if (result.skip) {
+      return 'skipped';
+    }
+
+    return [
+      result.albumId ? `put in ${this.getAlbumName(result.albumId)}` : null,
+      result.tags.length > 0 ? `tagged ${result.tags.join(', ')}` : null
+    ].filter(Boolean).join(', ') || 'matched';
+  }
+
+  /**
+   * Get an album's name for display
+   * @private
+   * @param {number} albumId - Album ID
+   * @returns {string} Album name, or a placeholder if it was deleted
+   */
+  getAlbumName(albumId) {
+    return this.albums.find(album => album.id === albumId)?.name || `album #${albumId}`;
+  }
+
+  /**
+   * Show an error in the open view, or clear it
+   * @private
+   * @param {string|null} message - Error text, or null to hide
+   */
+  showError(message) {
+    const errorEl = this.content?.querySelector('.import-rules-error');
+    if (errorEl) {
+      errorEl.textContent = message || '';
+      errorEl.style.display = message ? 'block' : 'none';
+    }
+  }
+}
+
+/**
+ * Create a button that isn't a form submit
+ * @private
+ */
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Wrap an input in a label
+ * @private
+ */
+function createLabel(text, input) {
+  const label = document.createElement('label');
+  label.append(`${text} `, input);
+  return label;
+}
+
+/**
+ * Create the hidden element that shows a view's errors
+ * @private
+ */
+function createErrorMessage() {
+  const errorEl = document.createElement('p');
+  errorEl.className = 'import-rules-error';
+  errorEl.style.display = 'none';
+  return errorEl;
+}
+
+export default ImportRulesController;
@@ -0,0 +1,164 @@
+/**
+ * SimilarPhotosController
+ * Dialog showing photos that look alike, by perceptual hash: the look-alikes of one photo, or
+ * every group of near-duplicates in the library
+ */
+
+// Thumbnails in the dialog are drawn at this CSS size
+const THUMBNAIL_SIZE = 120;
+
+export class SimilarPhotosController {
+  /**
+   * @param {PhotoService} photoService - Finds similar photos and their renditions
+   * @param {Object} handlers - App actions triggered from the dialog
+   * @param {Function} handlers.onOpenPhoto - Called with a photo ID when its thumbnail is clicked
+   */
+  constructor(photoService, handlers = {}) {
+    this.photoService = photoService;
+    this.handlers = handlers;
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Open the dialog on every group of near-duplicates in the library
+   * @returns {Promise<void>}
+   * @throws {DatabaseError} When the photos can't be compared
+   */
+  async open() {
+    const groups = await this.photoService.findSimilarPhotoGroups();
+
+    const list = document.createElement('ul');
+    list.className = 'similar-photos-groups';
+    for (const group of groups) {
+      const item = document.createElement('li');
+      item.append(this.createStrip(group.map(photo => ({ photo }))));
+      list.append(item);
+    }
+
+    this.show('Similar photos', groups.length > 0
+      ? `${groups.length} groups of photos that look alike, largest first.`
+      : 'No photos in the library look alike.', list);
+  }
+
+  /**
+   * Open the dialog on the photos that look like one photo
+   * @param {number} photoId - Reference photo ID
+   * @returns {Promise<void>}
+   * @throws {DatabaseError} When the photos can't be compared
+   */
+  async openForPhoto(photoId) {
+    const matches = await this.photoService.findSimilarPhotos(photoId);
+
+    this.show('Similar photos', matches.length > 0
+      ? `${matches.length} photos look like this one, closest first.`
+      : 'No other photos look like this one.', this.createStrip(matches));
+  }
+
+  /**
+   * Close the dialog
+   * @returns {void}
+   */
+  close() {
+    this.dialog?.remove();
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Replace any open dialog with a new one
+   * @private
+   * @param {string} titleText - Dialog title
+   * @param {string} hintText - Line under the title
+   * @param {HTMLElement} body - Photos to show
+   */
+  show(titleText, hintText, body) {
+    this.close();
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'photo-detail-modal similar-photos';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+
+    this.content = document.createElement('div');
+    this.content.className = 'modal-content';
+
+    const title = document.createElement('h3');
+    title.textContent = titleText;
+    const hint = document.createElement('p');
+    hint.textContent = hintText;
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'btn btn-secondary';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => this.close());
+
+    const actions = document.createElement('div');
+    actions.className = 'import-preview-actions';
+    actions.append(closeBtn);
+
+    this.content.append(title, hint, body, actions);
+    this.dialog.append(backdrop, this.content);
+    document.body.append(this.dialog);
+  }
+
+  /**
+   * Build a row of clickable thumbnails
+   * @private
+   * @param {Object[]} entries - Photos as { photo, distance } (distance optional)
+   * @returns {HTMLElement} Row that opens a photo when its thumbnail is clicked
+   */
+  createStrip(entries) {
+    const strip = document.createElement('div');
+    strip.className = 'similar-photos-strip';
+
+    for (const { photo, distance } of entries) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'similar-photo';
+      button.dataset.photoId = photo.id;
+      button.title = distance === undefined ? photo.fileName : `${photo.fileName} (difference ${distance})`;
+
+      const image = document.createElement('img');
+      image.alt = photo.fileName;
+      image.loading = 'lazy';
+      if (photo.thumbnailData) {
+        image.src = photo.thumbnailData;
+      }
+      this.loadRendition(image, photo.id);
+
+      button.append(image);
+      button.addEventListener('click', () => {
+        this.close();
+        this.handlers.onOpenPhoto?.(photo.id);
+      });
+      strip.append(button);
+    }
+
+    return strip;
+  }
+
+  /**
+   * Show the rendition that fits a thumbnail once it has loaded
+   * @private
+   * @param {HTMLImageElement} image - Thumbnail image
+   * @param {number} photoId - Photo ID
+   */
+  async loadRendition(image, photoId) {
+    try {
+      const rendition = await this.photoService.getRenditionForDisplay(
+        photoId, THUMBNAIL_SIZE, THUMBNAIL_SIZE, window.devicePixelRatio || 1
+      );
+      if (rendition) {
+        image.src = rendition.data;
+      }
+    } catch (error) {
+      console.warn(`Failed to load rendition of photo ${photoId}:`, error);
+    }
+  }
+}
+
+export default SimilarPhotosController;
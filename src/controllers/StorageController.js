@@ -0,0 +1,173 @@
+/**
+ * StorageController
+ * Dialog showing how much browser storage the library and each album use, with actions that
+ * free an album's space
+ */
+
+import { EvictionPolicy, formatBytes } from '../services/StorageService.js';
+
+export class StorageController {
+  /**
+   * @param {StorageService} storageService - Reports usage and evicts
+   */
+  constructor(storageService) {
+    this.storageService = storageService;
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Open the storage dialog
+   * @returns {Promise<void>}
+   * @throws {DatabaseError} When album statistics can't be read
+   */
+  async open() {
+    this.close();
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'photo-detail-modal storage-usage';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    backdrop.addEventListener('click', () => this.close());
+
+    this.content = document.createElement('div');
+    this.content.className = 'modal-content';
+
+    this.dialog.append(backdrop, this.content);
+    document.body.append(this.dialog);
+
+    await this.showReport();
+  }
+
+  /**
+   * Close the storage dialog
+   * @returns {void}
+   */
+  close() {
+    this.dialog?.remove();
+    this.dialog = null;
+    this.content = null;
+  }
+
+  /**
+   * Show overall usage and the albums, largest first
+   * @private
+   * @param {string|null} status - Result of the last action, shown above the list
+   */
+  async showReport(status = null) {
+    const report = await this.storageService.getUsageReport();
+
+    const title = document.createElement('h3');
+    title.textContent = 'Storage';
+
+    const summary = document.createElement('p');
+    summary.className = 'storage-usage-summary';
+    summary.textContent = report.usage === null || !report.quota
+      ? 'This browser doesn\'t report how much storage is used.'
+      : `Using ${formatBytes(report.usage)} of ${formatBytes(report.quota)} ` +
+        `(${Math.round((report.usage / report.quota) * 100)}%).`;
+    if (!report.persisted) {
+      summary.textContent += ' The browser may clear this library when it runs low on space.';
+    }
+
+    const statusEl = document.createElement('p');
+    statusEl.className = 'storage-usage-status';
+    statusEl.textContent = status || '';
+    statusEl.style.display = status ? 'block' : 'none';
+
+    const list = document.createElement('ul');
+    list.className = 'storage-usage-list';
+    list.append(...report.albums.map(album => this.createAlbumItem(album)));
+    if (report.albums.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'storage-usage-empty';
+      empty.textContent = 'No albums yet.';
+      list.append(empty);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'import-preview-actions';
+    actions.append(createButton('Close', 'btn btn-secondary', () => this.close()));
+
+    this.content.replaceChildren(title, summary, statusEl, list, actions);
+  }
+
+  /**
+   * Build the list entry for one album
+   * @private
+   * @param {Object} album - Entry from AlbumService.getAlbumsWithStats
+   * @returns {HTMLElement} Entry with the album's usage and its eviction actions
+   */
+  createAlbumItem(album) {
+    const item = document.createElement('li');
+    item.className = 'storage-usage-album';
+    item.dataset.albumId = album.id;
+
+    const text = document.createElement('div');
+    text.className = 'storage-usage-text';
+    const name = document.createElement('strong');
+    name.textContent = `${album.name} · ${formatBytes(album.totalBytes)}`;
+    const detail = document.createElement('span');
+    detail.textContent = `${album.actualPhotoCount} photos · originals ${formatBytes(album.originalBytes)} · ` +
+      `previews ${formatBytes(album.previewBytes)}`;
+    text.append(name, detail);
+
+    const previewsBtn = createButton('Drop previews', 'btn btn-secondary', () =>
+      this.evict(EvictionPolicy.DROP_PREVIEWS, album)
+    );
+    previewsBtn.disabled = album.previewBytes === 0;
+
+    const originalsBtn = createButton('Drop originals', 'btn btn-secondary', () => {
+      if (window.confirm(`Delete the original files of "${album.name}"? Only thumbnails and previews will be kept.`)) {
+        this.evict(EvictionPolicy.DROP_ORIGINALS, album);
+      }
+    });
+    originalsBtn.disabled = album.originalBytes === 0;
+
+    item.append(text, previewsBtn, originalsBtn);
+    return item;
+  }
+
+  /**
+   * Apply an eviction policy to one album, then show the updated report
+   * @private
+   * @param {string} policy - EvictionPolicy value
+   * @param {Object} album - Album to free space in
+   */
+  async evict(policy, album) {
+    this.content.querySelectorAll('button').forEach(button => {
+      button.disabled = true;
+    });
+
+    let status;
+    try {
+      const result = await this.storageService.evict(policy, { albumIds: [album.id] });
+      const what = policy === EvictionPolicy.DROP_PREVIEWS ? 'previews' : 'originals';
+      status = `Dropped ${what} of ${result.photoCount} photos in ${album.name}, freeing ${formatBytes(result.freedBytes)}.`;
+    } catch (error) {
+      status = `Failed to free space: ${error.message}`;
+    }
+
+    try {
+      await this.showReport(status);
+    } catch (error) {
+      console.warn('Failed to refresh storage usage:', error);
+    }
+  }
+}
+
+/**
+ * Create a button that isn't a form submit
+ * @private
+ */
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+export default StorageController;
@@ -0,0 +1,626 @@
+/**
+ * UIController
+ * Renders the album grid and album view and turns clicks into calls on the app's handlers
+ */
+
+import Sortable from 'sortablejs';
+import { UIError, RenderError } from '../lib/errors.js';
+import { getAcceptAttribute, getPickerAccept } from '../lib/formats.js';
+import { StackKind } from '../lib/stacks.js';
+
+// Elements from index.html the controller can't work without
+const REQUIRED_ELEMENTS = Object.freeze([
+  'import-btn',
+  'main-page',
+  'albums-container',
+  'album-view',
+  'back-btn',
+  'album-title',
+  'photos-container',
+  'photo-detail',
+  'close-detail',
+  'loading',
+  'error'
+]);
+
+// Info, warning and success messages clear themselves; errors stay until replaced
+const MESSAGE_TIMEOUT_MS = 4000;
+
+// Narrowest column of the photo grid, used before a tile has been laid out
+const MIN_TILE_SIZE = 200;
+
+const STACK_LABELS = Object.freeze({
+  [StackKind.LIVE_PHOTO]: 'Live',
+  [StackKind.BURST]: 'Burst',
+  [StackKind.RAW_JPEG]: 'RAW+JPEG'
+});
+
+export class UIController {
+  /**
+   * @param {PhotoService} photoService - Photo service
+   * @param {AlbumService} albumService - Album service
+   * @param {UserPreferences|null} userPreferences - Display preferences
+   * @param {Object} handlers - App actions triggered from the UI
+   * @param {Function} handlers.onImport - Called with the picked files; runs the preview and import
+   * @param {Function} handlers.onImportFolder - Called with a picked folder and { albumNameHints }
+   * @param {Function} handlers.onOpenPhoto - Called with a photo ID when its tile is clicked
+   * @param {Function} handlers.onManageRules - Opens the import rules editor
+   * @param {Function} handlers.onManageStorage - Opens the storage usage report
+   * @param {Function} handlers.onShowImportHistory - Opens the list of past imports
+   * @param {Function} handlers.onFindSimilar - Opens the groups of similar photos in the library
+   * @param {Function} handlers.onAdjustCaptureTime - Called with the open album to correct its photos' capture time
+   */
+  constructor(photoService, albumService, userPreferences = null, handlers = {}) {
+    this.photoService = photoService;
+    this.albumService = albumService;
+    this.userPreferences = userPreferences;
+    this.handlers = handlers;
+    this.elements = {};
+    this.currentAlbum = null;
+    this.messageTimer = null;
+  }
+
+  /**
+   * Initialize application UI
+   * @returns {Promise<void>}
+   * @throws {UIError} When a required element is missing from the page
+   */
+  async initialize() {
+    for (const id of REQUIRED_ELEMENTS) {
+      const element = document.getElementById(id);
+      if (!element) {
+        throw new UIError(`Missing required element #${id}`, id);
+      }
+      this.elements[id] = element;
+    }
+
+    this.elements['import-btn'].addEventListener('click', () => this.handleImportClick());
+    document.getElementById('import-folder-btn')?.addEventListener('click', () => this.handleImportFolderClick());
+    document.getElementById('rules-btn')?.addEventListener('click', () => this.handleManageRulesClick());
+    document.getElementById('storage-btn')?.addEventListener('click', () => this.handleManageStorageClick());
+    document.getElementById('history-btn')?.addEventListener('click', () => this.handleImportHistoryClick());
+    document.getElementById('similar-btn')?.addEventListener('click', () => this.handleFindSimilarClick());
+    document.getElementById('adjust-time-btn')?.addEventListener('click', () => this.handleAdjustCaptureTimeClick());
+    this.elements['back-btn'].addEventListener('click', () => this.showAlbumList());
+    this.elements['close-detail'].addEventListener('click', () => {
+      this.elements['photo-detail'].style.display = 'none';
+    });
+  }
+
+  /**
+   * Render albums on main page
+   * @param {Album[]} albums - Albums in display order
+   * @returns {void}
+   * @throws {RenderError} When an album has no ID or name
+   */
+  renderAlbums(albums) {
+    const container = this.elements['albums-container'];
+    container._sortable?.destroy();
+    container.replaceChildren();
+
+    if (albums.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <h2>No albums yet</h2>
+          <p>Import some photos to get started!</p>
+        </div>`;
+      return;
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'albums-grid';
+    for (const album of albums) {
+      if (!album.id || !album.name) {
+        throw new RenderError('Cannot render album without an ID and name');
+      }
+      grid.append(this.createAlbumCard(album));
+    }
+    container.append(grid);
+
+    this.enableAlbumDragDrop(grid);
+  }
+
+  /**
+   * Build the card for one album
+   * @private
+   * @param {Album} album - Album to show
+   * @returns {HTMLElement} Card that opens the album when clicked
+   */
+  createAlbumCard(album) {
+    const card = document.createElement('div');
+    card.className = 'album-card';
+    card.dataset.albumId = album.id;
+
+    const cover = document.createElement('div');
+    cover.className = 'album-cover';
+    cover.textContent = '📷';
+    if (album.coverPhotoId) {
+      this.loadAlbumCover(cover, album.coverPhotoId);
+    }
+
+    const info = document.createElement('div');
+    info.className = 'album-info';
+    const title = document.createElement('div');
+    title.className = 'album-title';
+    title.textContent = album.name;
+    const count = document.createElement('div');
+    count.className = 'album-count';
+    count.textContent = `${album.photoCount ?? 0} photos`;
+    info.append(title, count);
+
+    card.append(cover, info);
+    card.addEventListener('click', () => this.openAlbum(album));
+    return card;
+  }
+
+  /**
+   * Show an album's cover rendition once it has loaded
+   * @private
+   * @param {HTMLElement} cover - Cover element, showing a placeholder until then
+   * @param {number} photoId - Cover photo ID
+   */
+  async loadAlbumCover(cover, photoId) {
+    try {
+      const rendition = await this.photoService.getRenditionForDisplay(
+        photoId, cover.clientWidth || 280, 200, window.devicePixelRatio || 1
+      );
+      if (rendition) {
+        cover.textContent = '';
+        cover.style.backgroundImage = `url("${rendition.data}")`;
+      }
+    } catch (error) {
+      console.warn('Failed to load album cover:', error);
+    }
+  }
+
+  /**
+   * Load an album's photos and switch to the album view
+   * @private
+   * @param {Album} album - Album to open
+   */
+  async openAlbum(album) {
+    // Photos still being imported into this album get their thumbnails first
+    this.photoService.prioritizeAlbumThumbnails(album);
+    this.showLoading('Loading photos...');
+    try {
+      const photos = await this.photoService.getPhotosByAlbum(album.id);
+      this.renderPhotos(photos, album);
+      this.elements['main-page'].style.display = 'none';
+      this.elements['album-view'].style.display = 'block';
+      this.hideLoading();
+    } catch (error) {
+      this.hideLoading();
+      this.showMessage(`Failed to open album: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Leave the album view for the album list
+   * @private
+   */
+  showAlbumList() {
+    this.currentAlbum = null;
+    this.elements['album-view'].style.display = 'none';
+    this.elements['main-page'].style.display = 'block';
+  }
+
+  /**
+   * Reload the open album, e.g. after an import or delete changed its photos
+   * @returns {Promise<void>}
+   */
+  async refreshAlbum() {
+    if (!this.currentAlbum) {
+      return;
+    }
+
+    try {
+      const photos = await this.photoService.getPhotosByAlbum(this.currentAlbum.id);
+      this.renderPhotos(photos, this.currentAlbum);
+    } catch (error) {
+      console.warn('Failed to refresh album:', error);
+    }
+  }
+
+  /**
+   * Render photos in album view
+   * @param {Photo[]} photos - Photos of the album
+   * @param {Album} album - Album information
+   * @returns {void}
+   * @throws {RenderError} When a photo has no ID
+   */
+  renderPhotos(photos, album) {
+    this.currentAlbum = album;
+    this.elements['album-title'].textContent = album.name;
+    const photoCount = document.getElementById('photo-count');
+    if (photoCount) {
+      photoCount.textContent = `${photos.length} photos`;
+    }
+
+    const container = this.elements['photos-container'];
+    container.replaceChildren();
+
+    if (photos.length === 0) {
+      container.innerHTML = '<div class="empty-state"><p>No photos in this album</p></div>';
+      return;
+    }
+
+    for (const photo of photos) {
+      if (!photo.id) {
+        throw new RenderError('Cannot render photo without an ID');
+      }
+      const tile = this.createPhotoTile(photo);
+      container.append(tile);
+      this.loadTileRendition(tile, photo);
+    }
+  }
+
+  /**
+   * Build the grid tile for one photo
+   * @private
+   * @param {Photo} photo - Photo to show
+   * @param {Object} options - Options
+   * @param {boolean} options.stackMember - The tile shows a member of an expanded stack
+   * @returns {HTMLElement} Tile with the photo's stored thumbnail until loadTileRendition swaps in
+   *   a better fit, or a placeholder; videos show their poster frame with a duration badge, and
+   *   collapsed stacks a button that expands them
+   */
+  createPhotoTile(photo, { stackMember = false } = {}) {
+    const tile = document.createElement('div');
+    tile.className = 'photo-tile';
+    tile.dataset.photoId = photo.id;
+
+    if (photo.thumbnailData) {
+      const image = document.createElement('img');
+      image.src = photo.thumbnailData;
+      image.alt = photo.fileName;
+      image.loading = 'lazy';
+      tile.append(image);
+    } else {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'photo-tile-placeholder';
+      placeholder.textContent = '📷';
+      tile.append(placeholder);
+    }
+
+    if (photo.isVideo?.()) {
+      const badge = document.createElement('span');
+      badge.className = 'photo-tile-duration';
+      badge.textContent = photo.getFormattedDuration() || '▶';
+      tile.append(badge);
+    }
+
+    if (stackMember) {
+      tile.classList.add('photo-tile-stacked');
+      tile.dataset.stackId = photo.stackId;
+    } else if (photo.stackSize > 1) {
+      const stackBtn = document.createElement('button');
+      stackBtn.type = 'button';
+      stackBtn.className = 'photo-tile-stack';
+      stackBtn.textContent = `${STACK_LABELS[photo.stackKind] || 'Stack'} · ${photo.stackSize}`;
+      stackBtn.setAttribute('aria-expanded', 'false');
+      stackBtn.addEventListener('click', event => {
+        // Expanding the stack shouldn't also open the photo
+        event.stopPropagation();
+        this.toggleStack(tile, photo, stackBtn);
+      });
+      tile.append(stackBtn);
+    }
+
+    tile.addEventListener('click', () => this.openPhoto(photo.id));
+    return tile;
+  }
+
+  /**
+   * Show the rendition that fits a tile's laid-out size, as album covers do
+   * @private
+   * @param {HTMLElement} tile - Tile already in the grid
+   * @param {Photo} photo - Photo the tile shows
+   */
+  async loadTileRendition(tile, photo) {
+    const size = tile.clientWidth || MIN_TILE_SIZE;
+    try {
+      const rendition = await this.photoService.getRenditionForDisplay(
+        photo.id, size, size, window.devicePixelRatio || 1
+      );
+      if (!rendition || rendition.data === photo.thumbnailData) {
+        return;
+      }
+
+      let image = tile.querySelector('img');
+      if (!image) {
+        image = document.createElement('img');
+        image.alt = photo.fileName;
+        image.loading = 'lazy';
+        tile.querySelector('.photo-tile-placeholder')?.replaceWith(image);
+      }
+      image.src = rendition.data;
+    } catch (error) {
+      console.warn(`Failed to load rendition of photo ${photo.id}:`, error);
+    }
+  }
+
+  /**
+   * Show the other photos of a stack after its primary tile, or hide them again
+   * @private
+   * @param {HTMLElement} tile - Tile of the stack's primary photo
+   * @param {Photo} photo - Stack's primary photo
+   * @param {HTMLElement} button - Toggle button on the tile
+   */
+  async toggleStack(tile, photo, button) {
+    const container = this.elements['photos-container'];
+    container.querySelectorAll(`.photo-tile-stacked[data-stack-id="${photo.stackId}"]`).forEach(member => member.remove());
+
+    if (button.getAttribute('aria-expanded') === 'true') {
+      button.setAttribute('aria-expanded', 'false');
+      return;
+    }
+
+    try {
+      const members = (await this.photoService.getStackMembers(photo.stackId))
+        .filter(member => member.id !== photo.id);
+      const memberTiles = members.map(member => this.createPhotoTile(member, { stackMember: true }));
+      tile.after(...memberTiles);
+      memberTiles.forEach((memberTile, index) => this.loadTileRendition(memberTile, members[index]));
+      button.setAttribute('aria-expanded', 'true');
+    } catch (error) {
+      this.showMessage(`Failed to expand stack: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Hand a clicked photo to the app's detail view
+   * @private
+   * @param {number} photoId - Photo ID
+   */
+  async openPhoto(photoId) {
+    try {
+      await this.handlers.onOpenPhoto?.(photoId);
+    } catch (error) {
+      this.showMessage(`Failed to open photo: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Enable drag-and-drop for album reordering
+   * @param {HTMLElement} container - Element whose children are the album cards
+   * @returns {void}
+   * @throws {UIError} When there is no container
+   */
+  enableAlbumDragDrop(container) {
+    if (!container) {
+      throw new UIError('Cannot enable drag and drop without a container');
+    }
+
+    container._sortable?.destroy();
+    container._sortable = Sortable.create(container, {
+      animation: 150,
+      draggable: '.album-card',
+      ghostClass: 'sortable-ghost',
+      chosenClass: 'sortable-chosen',
+      dragClass: 'dragging',
+      onEnd: event => {
+        if (event.oldIndex !== event.newIndex) {
+          this.saveAlbumOrder(container);
+        }
+      }
+    });
+  }
+
+  /**
+   * Store the album order shown in a container
+   * @private
+   * @param {HTMLElement} container - Container holding the album cards
+   */
+  async saveAlbumOrder(container) {
+    const albumIds = [...container.querySelectorAll('.album-card')].map(card => Number(card.dataset.albumId));
+    try {
+      await this.albumService.reorderAlbums(albumIds);
+    } catch (error) {
+      this.showMessage(`Failed to save album order: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show photo import dialog
+   * @returns {Promise<File[]|null>} Selected files, or null if cancelled
+   * @throws {UIError} When the browser has no File System Access picker
+   */
+  async showImportDialog() {
+    if (typeof window.showOpenFilePicker !== 'function') {
+      throw new UIError('File picker is not supported in this browser');
+    }
+
+    let handles;
+    try {
+      handles = await window.showOpenFilePicker({
+        types: [{ description: 'Photos, videos and ZIP archives', accept: { ...getPickerAccept(), 'application/zip': ['.zip'] } }],
+        multiple: true
+      });
+    } catch (error) {
+      // The picker rejects with AbortError when the user closes it
+      return null;
+    }
+
+    return Promise.all(handles.map(handle => (typeof handle.getFile === 'function' ? handle.getFile() : handle)));
+  }
+
+  /**
+   * Show folder import dialog
+   * @returns {Promise<FileSystemDirectoryHandle|File[]|null>} Directory handle, or the folder's files
+   *   in browsers without showDirectoryPicker; null if cancelled
+   */
+  async showFolderDialog() {
+    if (typeof window.showDirectoryPicker !== 'function') {
+      return this.pickFilesWithInput({ directory: true });
+    }
+
+    try {
+      return await window.showDirectoryPicker();
+    } catch (error) {
+      // The picker rejects with AbortError when the user closes it
+      return null;
+    }
+  }
+
+  /**
+   * Pick files with a hidden file input, for browsers without the File System Access pickers
+   * @private
+   * @param {Object} options - Options
+   * @param {boolean} options.directory - Pick a whole folder (webkitdirectory) instead of files
+   * @returns {Promise<File[]|null>} Selected files, or null if cancelled
+   */
+  pickFilesWithInput({ directory = false } = {}) {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = `${getAcceptAttribute()},application/zip,.zip`;
+      input.multiple = true;
+      input.webkitdirectory = directory;
+      input.addEventListener('change', () => resolve(input.files.length > 0 ? [...input.files] : null));
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+  }
+
+  /**
+   * Let the user pick files and hand them to the app's import
+   * @private
+   */
+  async handleImportClick() {
+    try {
+      const files = typeof window.showOpenFilePicker === 'function'
+        ? await this.showImportDialog()
+        : await this.pickFilesWithInput();
+      if (files && this.handlers.onImport) {
+        await this.handlers.onImport(files);
+      }
+    } catch (error) {
+      this.showMessage(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Let the user pick a folder and hand it to the app's import
+   * @private
+   */
+  async handleImportFolderClick() {
+    try {
+      const source = await this.showFolderDialog();
+      if (source && this.handlers.onImportFolder) {
+        const albumNameHints = Boolean(document.getElementById('folder-album-names')?.checked);
+        await this.handlers.onImportFolder(source, { albumNameHints });
+      }
+    } catch (error) {
+      this.showMessage(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Open the app's import rules editor
+   * @private
+   */
+  async handleManageRulesClick() {
+    try {
+      await this.handlers.onManageRules?.();
+    } catch (error) {
+      this.showMessage(`Failed to open import rules: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Open the app's storage usage report
+   * @private
+   */
+  async handleManageStorageClick() {
+    try {
+      await this.handlers.onManageStorage?.();
+    } catch (error) {
+      this.showMessage(`Failed to open storage usage: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Open the app's import history
+   * @private
+   */
+  async handleImportHistoryClick() {
+    try {
+      await this.handlers.onShowImportHistory?.();
+    } catch (error) {
+      this.showMessage(`Failed to open import history: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Open the app's list of similar photos
+   * @private
+   */
+  async handleFindSimilarClick() {
+    try {
+      await this.handlers.onFindSimilar?.();
+    } catch (error) {
+      this.showMessage(`Failed to find similar photos: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Open the app's capture time adjustment for the open album
+   * @private
+   */
+  async handleAdjustCaptureTimeClick() {
+    if (!this.currentAlbum) {
+      return;
+    }
+
+    try {
+      await this.handlers.onAdjustCaptureTime?.(this.currentAlbum);
+    } catch (error) {
+      this.showMessage(`Failed to adjust capture time: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Display a message to the user
+   * @param {string} message - Message text
+   * @param {string} type - 'error', 'warning', 'info' or 'success' (default: 'error')
+   * @returns {void}
+   */
+  showMessage(message, type = 'error') {
+    const container = this.elements.error;
+    const messageEl = container.querySelector('.error-message') || container;
+
+    clearTimeout(this.messageTimer);
+    container.className = `error-container message-${type}`;
+    messageEl.textContent = message;
+    container.style.display = 'block';
+
+    if (type !== 'error') {
+      this.messageTimer = setTimeout(() => {
+        container.style.display = 'none';
+      }, MESSAGE_TIMEOUT_MS);
+    }
+  }
+
+  /**
+   * Show loading indicator
+   * @param {string} message - Loading message (default: 'Loading...')
+   * @returns {void}
+   */
+  showLoading(message = 'Loading...') {
+    const container = this.elements.loading;
+    const messageEl = container.querySelector('.loading-message') || container;
+
+    messageEl.textContent = message;
+    container.style.display = 'block';
+  }
+
+  /**
+   * Hide loading indicator
+   * @returns {void}
+   */
+  hideLoading() {
+    this.elements.loading.style.display = 'none';
+  }
+}
+
+export default UIController;
@@ -0,0 +1,208 @@
+/**
+ * Capture Time
+ * Resolves a photo's capture moment as a UTC instant plus the wall-clock time and
+ * UTC offset where it was taken, so grouping doesn't depend on the importing machine's timezone
+ */
+
+// Real-world offsets lie within -12:00..+14:00 and are multiples of 15 minutes
+const MAX_OFFSET_MINUTES = 14 * 60;
+const OFFSET_STEP_MINUTES = 15;
+
+/**
+ * Parse an EXIF/ISO offset such as "+02:00", "-0530" or "Z"
+ * @param {string|null} value - Offset text
+ * @returns {number|null} Minutes east of UTC, or null if missing or invalid
+ */
+export function parseOffset(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  if (text === 'Z') {
+    return 0;
+  }
+
+  const match = text.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const minutes = (Number(match[2]) * 60 + Number(match[3])) * (match[1] === '-' ? -1 : 1);
+  return Math.abs(minutes) <= MAX_OFFSET_MINUTES ? minutes : null;
+}
+
+/**
+ * Format an offset in minutes as "+HH:MM"
+ * @param {number} minutes - Minutes east of UTC
+ * @returns {string} Offset text
+ */
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Build a capture time from wall-clock fields and an optional offset
+ * Without an offset the wall clock is assumed to be in the importing machine's timezone
+ * @param {Object} wallClock - { year, month, day, hour, minute, second } (month is 1-12)
+ * @param {number|null} offset - Minutes east of UTC, if known
+ * @returns {Object} { date, local, offset } where local is "YYYY-MM-DDTHH:MM:SS"
+ */
+export function fromWallClock(wallClock, offset = null) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = wallClock;
+  const date = offset === null
+    ? new Date(year, month - 1, day, hour, minute, second)
+    : new Date(Date.UTC(year, month - 1, day, hour, minute, second) - offset * 60000);
+
+  return {
+    date,
+    local: `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`,
+    offset
+  };
+}
+
+/**
+ * Build a capture time from an instant whose original timezone is unknown
+ * The wall clock is taken in the importing machine's timezone
+ * @param {Date} date - Capture instant
+ * @returns {Object} { date, local, offset: null }
+ */
+export function fromInstant(date) {
+  return {
+    date,
+    local: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+    offset: null
+  };
+}
+
+/**
+ * Move a local wall-clock time by a fixed amount
+ * @param {string} local - Wall-clock time ("YYYY-MM-DDTHH:MM:SS")
+ * @param {number} milliseconds - Amount to add (negative to move back)
+ * @returns {string|null} Shifted wall-clock time, or null when local is malformed
+ */
+export function shiftWallClock(local, milliseconds) {
+  const match = typeof local === 'string'
+    ? local.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})$/)
+    : null;
+  if (!match) {
+    return null;
+  }
+
+  // Wall-clock arithmetic is done in UTC so the importing machine's DST rules don't apply
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day, hour, minute, second) + milliseconds);
+
+  return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}` +
+    `T${pad(shifted.getUTCHours())}:${pad(shifted.getUTCMinutes())}:${pad(shifted.getUTCSeconds())}`;
+}
+
+/**
+ * Parse an EXIF date such as "2023:04:05 14:15:22" into wall-clock fields
+ * @param {string} value - EXIF date/time
+ * @returns {Object|null} Wall-clock fields, or null when invalid (including "0000:00:00 00:00:00")
+ */
+export function parseExifWallClock(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  return match ? validWallClock(match.slice(1).map(Number)) : null;
+}
+
+/**
+ * Resolve the capture time recorded in EXIF
+ * Prefers DateTimeOriginal, then DateTimeDigitized, then DateTime, each with its
+ * OffsetTime* tag; without one the offset is derived from the GPS timestamp when present
+ * @param {Object} exif - Parsed EXIF data
+ * @returns {Object|null} { date, local, offset } or null when EXIF has no usable date
+ */
+export function captureTimeFromExif(exif) {
+  if (!exif) {
+    return null;
+  }
+
+  const candidates = [
+    [exif.dateTimeOriginal, exif.offsetTimeOriginal],
+    [exif.dateTimeDigitized, exif.offsetTimeDigitized],
+    [exif.dateTime, exif.offsetTime]
+  ];
+
+  for (const [value, offsetText] of candidates) {
+    const wallClock = parseExifWallClock(value);
+    if (wallClock) {
+      const offset = parseOffset(offsetText) ?? offsetFromGps(wallClock, exif.gpsTimestamp);
+      return fromWallClock(wallClock, offset);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse an ISO 8601 date as written in XMP ("2019-08-04", "2019-08-04T09:15:00+02:00")
+ * Falls back to Date parsing for other formats (e.g. PNG "Creation Time" text)
+ * @param {string} value - Date text
+ * @returns {Object|null} { date, local, offset } or null when unparseable
+ */
+export function parseIsoCaptureTime(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const match = value.trim().match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/
+  );
+
+  if (match) {
+    const wallClock = validWallClock(match.slice(1, 7).map(part => Number(part || 0)));
+    return wallClock ? fromWallClock(wallClock, parseOffset(match[7])) : null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : fromInstant(date);
+}
+
+/**
+ * Derive the UTC offset by comparing the camera's wall clock with the GPS (UTC) time
+ * @private
+ * @param {Object} wallClock - Wall-clock fields
+ * @param {string|null} gpsTimestamp - ISO UTC timestamp from the GPS IFD
+ * @returns {number|null} Offset rounded to 15 minutes, or null when unavailable or implausible
+ */
+function offsetFromGps(wallClock, gpsTimestamp) {
+  const gpsTime = gpsTimestamp ? Date.parse(gpsTimestamp) : NaN;
+  if (isNaN(gpsTime)) {
+    return null;
+  }
+
+  const { year, month, day, hour, minute, second } = wallClock;
+  const difference = (Date.UTC(year, month - 1, day, hour, minute, second) - gpsTime) / 60000;
+  const offset = Math.round(difference / OFFSET_STEP_MINUTES) * OFFSET_STEP_MINUTES;
+
+  // "|| 0" turns the -0 that rounding can produce into 0
+  return Math.abs(offset) <= MAX_OFFSET_MINUTES ? offset || 0 : null;
+}
+
+/**
+ * @private
+ */
+function validWallClock([year, month, day, hour, minute, second]) {
+  if (year < 1 || month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return { year, month, day, hour, minute, second };
+}
+
+/**
+ * @private
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+export default captureTimeFromExif;
@@ -0,0 +1,53 @@
+/**
+ * Concurrency Helpers
+ * Bounded worker pool for running async tasks with a concurrency limit
+ */
+
+/**
+ * Map items through an async function with at most `limit` tasks in flight
+ * Results keep input order; items not started because of an abort are left undefined
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @param {Function} task - Async function (item, index) => result
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stops scheduling new tasks when aborted
+ * @param {Function} options.onSettled - Called with (result, index) as each task settles, in completion order
+ * @returns {Promise<Array>} Settled results as { status, value } or { status, reason }
+ */
+export async function mapWithConcurrency(items, limit, task, options = {}) {
+  const { signal, onSettled } = options;
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await task(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+      onSettled?.(results[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Split an array into consecutive chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array[]} Array of chunks
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+export default mapWithConcurrency;
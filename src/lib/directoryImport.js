@@ -0,0 +1,131 @@
+/**
+ * Directory Import
+ * Recursive folder walking and relative source paths for imported files
+ */
+
+import { getFormatByName } from './formats.js';
+
+/**
+ * Check whether a file or folder name is hidden (e.g. .DS_Store, .thumbnails)
+ * @param {string} name - Entry name
+ * @returns {boolean} True if the name starts with a dot
+ */
+function isHidden(name) {
+  return name.startsWith('.');
+}
+
+/**
+ * Check whether a relative path is hidden or inside a hidden folder
+ * Also covers the __MACOSX resource folders macOS adds to archives
+ * @param {string} path - Relative path
+ * @returns {boolean} True if any segment is hidden
+ */
+export function isHiddenPath(path) {
+  return path.split('/').some(segment => isHidden(segment) || segment === '__MACOSX');
+}
+
+/**
+ * Get the image or video MIME type for a file name from its extension
+ * @param {string} name - File name or path
+ * @returns {string|null} MIME type, or null if the extension isn't a supported photo or video
+ */
+export function getImageType(name) {
+  return getFormatByName(name)?.mimeTypes[0] || null;
+}
+
+/**
+ * Get the path of a file relative to the folder the user picked
+ * @param {File} file - File from a directory walk, a webkitdirectory input or a flat pick
+ * @returns {string} Relative path such as "Trips/Paris/IMG_0001.jpg", or the bare name
+ */
+export function getRelativePath(file) {
+  return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+/**
+ * Attach a relative path to a file
+ * File System Access handles return files with an empty (read-only) webkitRelativePath
+ * @param {File} file - File to annotate
+ * @param {string} relativePath - Path relative to the picked folder
+ * @returns {File} The same file
+ */
+export function withRelativePath(file, relativePath) {
+  Object.defineProperty(file, 'relativePath', { value: relativePath, enumerable: true, configurable: true });
+  return file;
+}
+
+/**
+ * Check whether a value is a File System Access directory handle
+ * @param {any} source - Value to check
+ * @returns {boolean} True for directory handles
+ */
+export function isDirectoryHandle(source) {
+  return Boolean(source) && source.kind === 'directory' && typeof source.values === 'function';
+}
+
+/**
+ * Recursively collect the files below a directory handle
+ * Hidden files and folders are skipped; entries are visited in name order
+ * @param {FileSystemDirectoryHandle} handle - Picked directory
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stops the walk when aborted
+ * @returns {Promise<File[]>} Files with relativePath set, prefixed by the directory name
+ */
+export async function readDirectoryHandle(handle, options = {}) {
+  const { signal } = options;
+  const files = [];
+
+  const walk = async (directory, prefix) => {
+    const entries = [];
+    for await (const entry of directory.values()) {
+      if (!isHidden(entry.name)) {
+        entries.push(entry);
+      }
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (signal?.aborted) {
+        return;
+      }
+
+      const path = `${prefix}/${entry.name}`;
+      if (entry.kind === 'directory') {
+        await walk(entry, path);
+      } else {
+        files.push(withRelativePath(await entry.getFile(), path));
+      }
+    }
+  };
+
+  await walk(handle, handle.name);
+  return files;
+}
+
+/**
+ * Drop files that are hidden or live in hidden folders
+ * webkitdirectory inputs list everything, including .DS_Store and similar
+ * @param {FileList|File[]} fileList - Files from a folder pick
+ * @returns {File[]} Visible files
+ */
+export function filterHiddenFiles(fileList) {
+  return Array.from(fileList || []).filter(file => !isHiddenPath(getRelativePath(file)));
+}
+
+/**
+ * Get the folder name to suggest as album name for a file
+ * Uses the first folder below the picked one, or the picked folder for files directly inside it
+ * @param {File} file - Imported file
+ * @returns {string|null} Folder name, or null for files picked without a folder
+ */
+export function getFolderHint(file) {
+  const segments = getRelativePath(file).split('/').filter(Boolean);
+
+  if (segments.length < 2) {
+    return null;
+  }
+
+  return segments.length > 2 ? segments[1] : segments[0];
+}
+
+export default readDirectoryHandle;
@@ -0,0 +1,81 @@
+/**
+ * Application Event Names
+ * Based on event contracts defined in api-contracts.md
+ */
+
+// Photo events
+export const PHOTO_EVENTS = Object.freeze({
+  IMPORT_STARTED: 'photo:import:started',
+  IMPORT_PROGRESS: 'photo:import:progress',
+  IMPORT_COMPLETED: 'photo:import:completed',
+  IMPORT_ERROR: 'photo:import:error',
+  PHOTO_DELETED: 'photo:deleted',
+  CAPTURE_TIME_SHIFTED: 'photo:capture-time:shifted',
+  THUMBNAIL_GENERATED: 'photo:thumbnail:generated'
+});
+
+// Album events
+export const ALBUM_EVENTS = Object.freeze({
+  ALBUM_CREATED: 'album:created',
+  ALBUM_UPDATED: 'album:updated',
+  ALBUM_REORDERED: 'album:reordered',
+  ALBUM_SELECTED: 'album:selected'
+});
+
+// UI events
+export const UI_EVENTS = Object.freeze({
+  VIEW_CHANGED: 'ui:view:changed',
+  LOADING_STARTED: 'ui:loading:started',
+  LOADING_FINISHED: 'ui:loading:finished',
+  ERROR_DISPLAYED: 'ui:error:displayed'
+});
+
+/**
+ * Publish/subscribe hub that services emit on and the UI listens to
+ */
+export class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} eventName - Event name, e.g. from PHOTO_EVENTS
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Unsubscribes the handler
+   */
+  on(eventName, handler) {
+    if (!this.handlers.has(eventName)) {
+      this.handlers.set(eventName, new Set());
+    }
+    this.handlers.get(eventName).add(handler);
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(eventName, handler) {
+    this.handlers.get(eventName)?.delete(handler);
+  }
+
+  /**
+   * Call every handler of an event in subscription order
+   * A throwing handler is logged and doesn't stop the others or the emitter
+   * @param {string} eventName - Event name
+   * @param {Object} detail - Event payload
+   */
+  emit(eventName, detail) {
+    for (const handler of [...(this.handlers.get(eventName) || [])]) {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Handler for ${eventName} failed:`, error);
+      }
+    }
+  }
+}
+
+export default EventBus;
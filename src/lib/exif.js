@@ -0,0 +1,440 @@
+/**
+ * EXIF Parser
+ * Reads TIFF-structured EXIF metadata (IFD0, Exif SubIFD, GPS IFD)
+ * from JPEG APP1 segments or raw TIFF blocks embedded in other containers
+ */
+
+import { readJpegSegments, segmentStartsWith } from './jpeg.js';
+
+const TIFF_LITTLE_ENDIAN = 0x4949; // "II"
+const TIFF_BIG_ENDIAN = 0x4D4D; // "MM"
+const TIFF_MAGIC = 42;
+
+// Byte size of each TIFF field type, indexed by type id
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+// Upper bound on entries per IFD to guard against corrupt offsets
+const MAX_IFD_ENTRIES = 1000;
+
+const IFD0_TAGS = {
+  0x010F: 'make',
+  0x0110: 'model',
+  0x0112: 'orientation',
+  0x0131: 'software',
+  0x0132: 'dateTime',
+  0x8769: 'exifIfdPointer',
+  0x8825: 'gpsIfdPointer'
+};
+
+const EXIF_TAGS = {
+  0x829A: 'exposureTime',
+  0x829D: 'fNumber',
+  0x8822: 'exposureProgram',
+  0x8827: 'iso',
+  0x9003: 'dateTimeOriginal',
+  0x9004: 'dateTimeDigitized',
+  0x9010: 'offsetTime',
+  0x9011: 'offsetTimeOriginal',
+  0x9012: 'offsetTimeDigitized',
+  0x9291: 'subSecTimeOriginal',
+  0x9204: 'exposureBias',
+  0x9209: 'flash',
+  0x920A: 'focalLength',
+  0xA002: 'pixelWidth',
+  0xA003: 'pixelHeight',
+  0xA405: 'focalLength35mm',
+  0xA433: 'lensMake',
+  0xA434: 'lensModel'
+};
+
+const GPS_TAGS = {
+  0x0001: 'latitudeRef',
+  0x0002: 'latitude',
+  0x0003: 'longitudeRef',
+  0x0004: 'longitude',
+  0x0005: 'altitudeRef',
+  0x0006: 'altitude',
+  0x0007: 'timeStamp',
+  0x001D: 'dateStamp'
+};
+
+const MAKER_NOTE_TAG = 0x927C;
+
+// Apple maker notes: "Apple iOS\0", a version and "MM", then a big-endian IFD
+const APPLE_MAKER_NOTE_PREFIX = 'Apple iOS';
+const APPLE_MAKER_NOTE_IFD_OFFSET = 14;
+
+const APPLE_MAKER_NOTE_TAGS = {
+  0x000B: 'burstId',
+  0x0011: 'contentIdentifier'
+};
+
+const THUMBNAIL_TAGS = {
+  0x0201: 'thumbnailOffset',
+  0x0202: 'thumbnailLength'
+};
+
+/**
+ * Extract EXIF data from a JPEG file buffer
+ * @param {ArrayBuffer} buffer - JPEG file contents
+ * @returns {Object|null} Parsed EXIF data or null if none found
+ */
+export function parseJpegExif(buffer) {
+  const tiffOffset = findJpegExifSegment(new DataView(buffer));
+  if (tiffOffset === null) {
+    return null;
+  }
+  return parseTiffExif(buffer, tiffOffset);
+}
+
+/**
+ * Locate the TIFF header inside the JPEG APP1 "Exif" segment
+ * @param {DataView} view - JPEG data view
+ * @returns {number|null} Byte offset of the TIFF header or null
+ */
+export function findJpegExifSegment(view) {
+  const segment = readJpegSegments(view).find(
+    candidate => candidate.marker === 0xE1 && segmentStartsWith(view, candidate, 'Exif\0\0')
+  );
+  return segment ? segment.dataStart + 6 : null;
+}
+
+/**
+ * Parse a TIFF-structured EXIF block
+ * @param {ArrayBuffer} buffer - Buffer containing the TIFF block
+ * @param {number} tiffOffset - Byte offset of the TIFF header (default: 0)
+ * @returns {Object|null} Parsed EXIF data or null if the header is invalid
+ */
+export function parseTiffExif(buffer, tiffOffset = 0) {
+  const reader = createReader(buffer, tiffOffset);
+  if (!reader) {
+    return null;
+  }
+
+  const { view } = reader;
+  const ifd0Offset = view.getUint32(tiffOffset + 4, reader.littleEndian);
+  const ifd0 = readIfd(reader, ifd0Offset, IFD0_TAGS);
+
+  const exif = ifd0.exifIfdPointer ? readIfd(reader, ifd0.exifIfdPointer, EXIF_TAGS) : {};
+  const gps = ifd0.gpsIfdPointer ? readIfd(reader, ifd0.gpsIfdPointer, GPS_TAGS) : null;
+  const apple = ifd0.exifIfdPointer ? readAppleMakerNote(reader, ifd0.exifIfdPointer) : {};
+
+  return {
+    make: ifd0.make || null,
+    model: ifd0.model || null,
+    software: ifd0.software || null,
+    orientation: ifd0.orientation || 1,
+    dateTime: ifd0.dateTime || null,
+    dateTimeOriginal: exif.dateTimeOriginal || null,
+    dateTimeDigitized: exif.dateTimeDigitized || null,
+    offsetTime: exif.offsetTime || null,
+    offsetTimeOriginal: exif.offsetTimeOriginal || null,
+    offsetTimeDigitized: exif.offsetTimeDigitized || null,
+    subSecTimeOriginal: exif.subSecTimeOriginal || null,
+    lensMake: exif.lensMake || null,
+    lensModel: exif.lensModel || null,
+    exposureTime: exif.exposureTime ?? null,
+    fNumber: exif.fNumber ?? null,
+    exposureProgram: exif.exposureProgram ?? null,
+    exposureBias: exif.exposureBias ?? null,
+    iso: exif.iso ?? null,
+    flash: exif.flash ?? null,
+    focalLength: exif.focalLength ?? null,
+    focalLength35mm: exif.focalLength35mm ?? null,
+    pixelWidth: exif.pixelWidth ?? null,
+    pixelHeight: exif.pixelHeight ?? null,
+    gps: gps ? normalizeGps(gps) : null,
+    gpsTimestamp: gps ? readGpsTimestamp(gps) : null,
+    contentIdentifier: apple.contentIdentifier || null,
+    burstId: apple.burstId || null
+  };
+}
+
+/**
+ * Locate the JPEG thumbnail stored in IFD1 of a TIFF block
+ * @param {ArrayBuffer} buffer - Buffer containing the TIFF block
+ * @param {number} tiffOffset - Byte offset of the TIFF header (default: 0)
+ * @returns {Object|null} Absolute { offset, length } of the JPEG or null
+ */
+export function findTiffThumbnail(buffer, tiffOffset = 0) {
+  const reader = createReader(buffer, tiffOffset);
+  if (!reader) {
+    return null;
+  }
+
+  const { view, base, littleEndian } = reader;
+  const ifd0Start = base + view.getUint32(base + 4, littleEndian);
+  if (ifd0Start + 2 > view.byteLength) {
+    return null;
+  }
+
+  const nextIfdPointer = ifd0Start + 2 + view.getUint16(ifd0Start, littleEndian) * 12;
+  if (nextIfdPointer + 4 > view.byteLength) {
+    return null;
+  }
+
+  const ifd1Offset = view.getUint32(nextIfdPointer, littleEndian);
+  if (!ifd1Offset) {
+    return null;
+  }
+
+  const ifd1 = readIfd(reader, ifd1Offset, THUMBNAIL_TAGS);
+  if (!ifd1.thumbnailOffset || !ifd1.thumbnailLength) {
+    return null;
+  }
+
+  const offset = base + ifd1.thumbnailOffset;
+  if (offset + ifd1.thumbnailLength > view.byteLength) {
+    return null;
+  }
+
+  return { offset, length: ifd1.thumbnailLength };
+}
+
+/**
+ * Validate the TIFF header and build a byte order aware reader
+ * @private
+ * @returns {Object|null} Reader state or null if the header is invalid
+ */
+function createReader(buffer, tiffOffset) {
+  const view = new DataView(buffer);
+
+  if (tiffOffset + 8 > view.byteLength) {
+    return null;
+  }
+
+  const byteOrder = view.getUint16(tiffOffset);
+  if (byteOrder !== TIFF_LITTLE_ENDIAN && byteOrder !== TIFF_BIG_ENDIAN) {
+    return null;
+  }
+
+  const littleEndian = byteOrder === TIFF_LITTLE_ENDIAN;
+  if (view.getUint16(tiffOffset + 2, littleEndian) !== TIFF_MAGIC) {
+    return null;
+  }
+
+  return { view, base: tiffOffset, littleEndian };
+}
+
+/**
+ * Read an IFD and return values for the requested tags
+ * @private
+ * @param {Object} reader - Byte order aware reader state
+ * @param {number} ifdOffset - IFD offset relative to the TIFF header
+ * @param {Object} tagNames - Map of tag id to property name
+ * @returns {Object} Tag values keyed by property name
+ */
+function readIfd(reader, ifdOffset, tagNames) {
+  const { view, base, littleEndian } = reader;
+  const result = {};
+  const start = base + ifdOffset;
+
+  if (start + 2 > view.byteLength) {
+    return result;
+  }
+
+  const entryCount = Math.min(view.getUint16(start, littleEndian), MAX_IFD_ENTRIES);
+
+  for (let i = 0; i < entryCount; i++) {
+    const entryOffset = start + 2 + i * 12;
+    if (entryOffset + 12 > view.byteLength) {
+      break;
+    }
+
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const name = tagNames[tag];
+    if (!name) {
+      continue;
+    }
+
+    const value = readEntryValue(reader, entryOffset);
+    if (value !== null) {
+      result[name] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read the Live Photo content identifier and burst ID from an Apple maker note
+ * Values in the note are addressed from the start of the note, not the TIFF header
+ * @private
+ * @param {Object} reader - Byte order aware reader state
+ * @param {number} exifIfdOffset - Exif SubIFD offset relative to the TIFF header
+ * @returns {Object} { contentIdentifier, burstId } for the tags present, or {} for other makers
+ */
+function readAppleMakerNote(reader, exifIfdOffset) {
+  const { view, base, littleEndian } = reader;
+  const start = base + exifIfdOffset;
+  if (start + 2 > view.byteLength) {
+    return {};
+  }
+
+  const entryCount = Math.min(view.getUint16(start, littleEndian), MAX_IFD_ENTRIES);
+  for (let i = 0; i < entryCount; i++) {
+    const entryOffset = start + 2 + i * 12;
+    if (entryOffset + 12 > view.byteLength) {
+      break;
+    }
+    if (view.getUint16(entryOffset, littleEndian) !== MAKER_NOTE_TAG) {
+      continue;
+    }
+
+    const length = view.getUint32(entryOffset + 4, littleEndian);
+    const noteStart = base + view.getUint32(entryOffset + 8, littleEndian);
+    if (length < APPLE_MAKER_NOTE_IFD_OFFSET + 2 || noteStart + length > view.byteLength ||
+        readAscii(view, noteStart, APPLE_MAKER_NOTE_PREFIX.length) !== APPLE_MAKER_NOTE_PREFIX) {
+      return {};
+    }
+
+    return readIfd({ view, base: noteStart, littleEndian: false }, APPLE_MAKER_NOTE_IFD_OFFSET, APPLE_MAKER_NOTE_TAGS);
+  }
+
+  return {};
+}
+
+/**
+ * Read the value of a single IFD entry
+ * @private
+ * @param {Object} reader - Byte order aware reader state
+ * @param {number} entryOffset - Absolute offset of the 12-byte entry
+ * @returns {any} Decoded value, array for multi-value fields, or null
+ */
+function readEntryValue(reader, entryOffset) {
+  const { view, base, littleEndian } = reader;
+  const type = view.getUint16(entryOffset + 2, littleEndian);
+  const count = view.getUint32(entryOffset + 4, littleEndian);
+  const typeSize = TYPE_SIZES[type];
+
+  if (!typeSize || count === 0) {
+    return null;
+  }
+
+  const totalSize = typeSize * count;
+  const valueOffset = totalSize <= 4
+    ? entryOffset + 8
+    : base + view.getUint32(entryOffset + 8, littleEndian);
+
+  if (valueOffset + totalSize > view.byteLength) {
+    return null;
+  }
+
+  if (type === 2) {
+    return readAscii(view, valueOffset, count).replace(/\0+$/, '').trim();
+  }
+
+  // UNDEFINED fields are opaque byte blobs we have no use for yet
+  if (type === 7) {
+    return null;
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push(readNumber(view, type, valueOffset + i * typeSize, littleEndian));
+  }
+
+  return count === 1 ? values[0] : values;
+}
+
+/**
+ * Read a numeric TIFF value
+ * @private
+ */
+function readNumber(view, type, offset, littleEndian) {
+  switch (type) {
+    case 1:
+      return view.getUint8(offset);
+    case 3:
+      return view.getUint16(offset, littleEndian);
+    case 4:
+      return view.getUint32(offset, littleEndian);
+    case 5: {
+      const denominator = view.getUint32(offset + 4, littleEndian);
+      return denominator ? view.getUint32(offset, littleEndian) / denominator : 0;
+    }
+    case 6:
+      return view.getInt8(offset);
+    case 8:
+      return view.getInt16(offset, littleEndian);
+    case 9:
+      return view.getInt32(offset, littleEndian);
+    case 10: {
+      const denominator = view.getInt32(offset + 4, littleEndian);
+      return denominator ? view.getInt32(offset, littleEndian) / denominator : 0;
+    }
+    case 11:
+      return view.getFloat32(offset, littleEndian);
+    case 12:
+      return view.getFloat64(offset, littleEndian);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read a fixed-length ASCII string
+ * @private
+ */
+function readAscii(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+/**
+ * Convert raw GPS IFD values into signed decimal degrees
+ * @private
+ * @param {Object} gps - Raw GPS tag values
+ * @returns {Object|null} Normalized GPS coordinates or null when incomplete
+ */
+function normalizeGps(gps) {
+  const latitude = toDecimalDegrees(gps.latitude, gps.latitudeRef, 'S');
+  const longitude = toDecimalDegrees(gps.longitude, gps.longitudeRef, 'W');
+
+  if (latitude === null || longitude === null) {
+    return null;
+  }
+
+  let altitude = typeof gps.altitude === 'number' ? gps.altitude : null;
+  if (altitude !== null && gps.altitudeRef === 1) {
+    altitude = -altitude;
+  }
+
+  return { latitude, longitude, altitude };
+}
+
+/**
+ * Combine GPSDateStamp and GPSTimeStamp into an ISO 8601 UTC timestamp
+ * @private
+ * @param {Object} gps - Raw GPS tag values
+ * @returns {string|null} Timestamp such as "2023-04-05T12:15:20Z", or null when incomplete
+ */
+function readGpsTimestamp(gps) {
+  const date = typeof gps.dateStamp === 'string' ? gps.dateStamp.match(/^(\d{4}):(\d{2}):(\d{2})/) : null;
+  if (!date || !Array.isArray(gps.timeStamp) || gps.timeStamp.length < 3) {
+    return null;
+  }
+
+  const [hours, minutes, seconds] = gps.timeStamp.map(value => Math.floor(value));
+  const pad = value => String(value).padStart(2, '0');
+  return `${date[1]}-${date[2]}-${date[3]}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}Z`;
+}
+
+/**
+ * Convert degrees/minutes/seconds rationals to decimal degrees
+ * @private
+ */
+function toDecimalDegrees(dms, ref, negativeRef) {
+  if (!Array.isArray(dms) || dms.length < 3) {
+    return null;
+  }
+
+  const [degrees, minutes, seconds] = dms;
+  const decimal = degrees + minutes / 60 + seconds / 3600;
+  return ref === negativeRef ? -decimal : decimal;
+}
+
+export default parseJpegExif;
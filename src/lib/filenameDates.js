@@ -0,0 +1,115 @@
+/**
+ * Filename Dates
+ * Infers capture dates from the timestamps cameras, phones and apps put in file names
+ */
+
+/**
+ * Default patterns, most specific first
+ * Each pattern captures named groups year, month and day, and optionally
+ * hour, minute, second and meridiem (AM/PM). Times are local time.
+ */
+export const DEFAULT_FILENAME_DATE_PATTERNS = Object.freeze([
+  // Android, Pixel and many camera apps: IMG_20230405_141522.jpg, PXL_20240101_101530123.jpg
+  {
+    name: 'compact-datetime',
+    regex: /(?<!\d)(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})[_-](?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})/
+  },
+  // macOS screenshots and WhatsApp: "Screenshot 2023-07-01 at 10.22.11", "WhatsApp Image 2022-11-03 at 2.05.09 PM"
+  {
+    name: 'date-at-time',
+    regex: /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2}) at (?<hour>\d{1,2})\.(?<minute>\d{2})\.(?<second>\d{2})(?:\s?(?<meridiem>[AP]M))?/i
+  },
+  // Dashed date and time: "2023-07-01 10-22-11.jpg", "Screenshot_2023-07-01-10-22-11.png"
+  {
+    name: 'dashed-datetime',
+    regex: /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})[ _T-](?<hour>\d{2})[.:_-](?<minute>\d{2})[.:_-](?<second>\d{2})/
+  },
+  // Older WhatsApp media: IMG-20221103-WA0001.jpg
+  {
+    name: 'whatsapp',
+    regex: /(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})-WA\d+/i
+  },
+  // Separated date only: "2023-07-01.jpg", "scan_2023.07.01.png"
+  {
+    name: 'date',
+    regex: /(?<!\d)(?<year>(?:19|20)\d{2})[-_.](?<month>\d{2})[-_.](?<day>\d{2})(?!\d)/
+  },
+  // Compact date only: "20230405.jpg", "Screenshot_20230405.png"
+  {
+    name: 'compact-date',
+    regex: /(?<!\d)(?<year>(?:19|20)\d{2})(?<month>\d{2})(?<day>\d{2})(?!\d)/
+  }
+]);
+
+/**
+ * Check that a pattern can be used for inference
+ * @param {Object} pattern - Candidate pattern { name, regex }
+ * @returns {boolean} True if the regex captures year, month and day
+ */
+export function isValidFilenameDatePattern(pattern) {
+  if (!pattern || typeof pattern.name !== 'string' || !(pattern.regex instanceof RegExp)) {
+    return false;
+  }
+
+  const source = pattern.regex.source;
+  return ['year', 'month', 'day'].every(group => source.includes(`(?<${group}>`));
+}
+
+/**
+ * Infer a capture date from a file name
+ * @param {string} fileName - File name (without folders)
+ * @param {Object[]} patterns - Patterns to try in order (default: DEFAULT_FILENAME_DATE_PATTERNS)
+ * @returns {Object|null} { date, pattern } with the matching pattern's name, or null
+ */
+export function inferDateFromFilename(fileName, patterns = DEFAULT_FILENAME_DATE_PATTERNS) {
+  if (!fileName || typeof fileName !== 'string') {
+    return null;
+  }
+
+  for (const pattern of patterns) {
+    const groups = pattern.regex.exec(fileName)?.groups;
+    const date = groups ? buildDate(groups) : null;
+    if (date) {
+      return { date, pattern: pattern.name };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a local date from captured groups, rejecting impossible values
+ * @private
+ * @param {Object} groups - Named regex groups
+ * @returns {Date|null} Date or null if out of range
+ */
+function buildDate(groups) {
+  const year = Number(groups.year);
+  const month = Number(groups.month);
+  const day = Number(groups.day);
+  let hour = Number(groups.hour || 0);
+  const minute = Number(groups.minute || 0);
+  const second = Number(groups.second || 0);
+
+  if (groups.meridiem) {
+    if (hour < 1 || hour > 12) {
+      return null;
+    }
+    hour = (hour % 12) + (/pm/i.test(groups.meridiem) ? 12 : 0);
+  }
+
+  if (year < 1900 || year > new Date().getFullYear() + 1 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day, hour, minute, second);
+
+  // Rolled-over values (e.g. month 13 or February 30) mean the digits weren't a date
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+export default inferDateFromFilename;
@@ -0,0 +1,347 @@
+/**
+ * Format Registry
+ * The single list of importable formats. Each format declares its MIME types, extensions,
+ * magic bytes, how its metadata is read, how it is thumbnailed and which import size limit applies.
+ * Validation, metadata extraction, thumbnailing, archive entry typing and preferences all read it
+ */
+
+/**
+ * How a format's metadata is read (PhotoService dispatches on these)
+ */
+export const MetadataExtractor = Object.freeze({
+  IMAGE: 'image',
+  HEIF: 'heif',
+  RAW: 'raw',
+  VIDEO: 'video'
+});
+
+/**
+ * Where a format's thumbnails are drawn from
+ */
+export const Thumbnailer = Object.freeze({
+  // The file itself is decoded by the browser
+  DECODE: 'decode',
+  // A JPEG preview stored in the file, falling back to decoding the file
+  EMBEDDED_PREVIEW: 'embedded_preview',
+  // A frame grabbed from the clip; there is nothing to decode otherwise
+  POSTER_FRAME: 'poster_frame'
+});
+
+/**
+ * Which import size preference applies to a format
+ */
+export const ImportLimit = Object.freeze({
+  PHOTO: 'photo',
+  RAW: 'raw',
+  VIDEO: 'video'
+});
+
+// Enough of the header for every signature below
+export const SNIFF_LENGTH = 16;
+
+// Extensions the supported_formats preference listed before it held format IDs
+const LEGACY_FORMAT_EXTENSIONS = Object.freeze(['jpg', 'jpeg', 'png', 'heic', 'tiff']);
+
+const TIFF_SIGNATURES = [[[0, 'II*\0']], [[0, 'MM\0*']]];
+
+/**
+ * Signatures of an ISO-BMFF file whose ftyp box names one of the major brands
+ * @private
+ */
+function ftypSignatures(brands) {
+  return brands.map(brand => [[4, 'ftyp'], [8, brand]]);
+}
+
+/**
+ * Freeze a format declaration
+ * @private
+ */
+function defineFormat(format) {
+  return Object.freeze({
+    ...format,
+    mimeTypes: Object.freeze(format.mimeTypes),
+    extensions: Object.freeze(format.extensions),
+    signatures: Object.freeze(format.signatures)
+  });
+}
+
+/**
+ * Importable formats. A signature is a list of [offset, bytes] parts that must all match;
+ * a format matches when any of its signatures does
+ */
+export const FORMATS = Object.freeze([
+  defineFormat({
+    id: 'jpeg',
+    name: 'JPEG',
+    mimeTypes: ['image/jpeg'],
+    extensions: ['jpg', 'jpeg'],
+    signatures: [[[0, [0xFF, 0xD8, 0xFF]]]],
+    extractor: MetadataExtractor.IMAGE,
+    thumbnailer: Thumbnailer.DECODE,
+    importLimit: ImportLimit.PHOTO
+  }),
+  defineFormat({
+    id: 'png',
+    name: 'PNG',
+    mimeTypes: ['image/png'],
+    extensions: ['png'],
+    signatures: [[[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]]],
+    extractor: MetadataExtractor.IMAGE,
+    thumbnailer: Thumbnailer.DECODE,
+    importLimit: ImportLimit.PHOTO
+  }),
+  defineFormat({
+    id: 'webp',
+    name: 'WebP',
+    mimeTypes: ['image/webp'],
+    extensions: ['webp'],
+    signatures: [[[0, 'RIFF'], [8, 'WEBP']]],
+    extractor: MetadataExtractor.IMAGE,
+    thumbnailer: Thumbnailer.DECODE,
+    importLimit: ImportLimit.PHOTO
+  }),
+  defineFormat({
+    id: 'heic',
+    name: 'HEIC',
+    mimeTypes: ['image/heic', 'image/heif'],
+    extensions: ['heic', 'heif'],
+    signatures: ftypSignatures(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1']),
+    extractor: MetadataExtractor.HEIF,
+    thumbnailer: Thumbnailer.EMBEDDED_PREVIEW,
+    importLimit: ImportLimit.PHOTO
+  }),
+  // AVIF shares HEIF's container, so its metadata is read the same way, but browsers decode it
+  defineFormat({
+    id: 'avif',
+    name: 'AVIF',
+    mimeTypes: ['image/avif'],
+    extensions: ['avif'],
+    signatures: ftypSignatures(['avif', 'avis']),
+    extractor: MetadataExtractor.HEIF,
+    thumbnailer: Thumbnailer.DECODE,
+    importLimit: ImportLimit.PHOTO
+  }),
+  defineFormat({
+    id: 'tiff',
+    name: 'TIFF',
+    mimeTypes: ['image/tiff'],
+    extensions: ['tif', 'tiff'],
+    signatures: TIFF_SIGNATURES,
+    extractor: MetadataExtractor.IMAGE,
+    thumbnailer: Thumbnailer.DECODE,
+    importLimit: ImportLimit.PHOTO
+  }),
+  // DNG, NEF and ARW are plain TIFF files; their extension tells them apart
+  defineFormat({
+    id: 'dng',
+    name: 'DNG',
+    mimeTypes: ['image/x-adobe-dng'],
+    extensions: ['dng'],
+    signatures: TIFF_SIGNATURES,
+    extractor: MetadataExtractor.RAW,
+    thumbnailer: Thumbnailer.EMBEDDED_PREVIEW,
+    importLimit: ImportLimit.RAW
+  }),
+  defineFormat({
+    id: 'cr2',
+    name: 'Canon CR2',
+    mimeTypes: ['image/x-canon-cr2'],
+    extensions: ['cr2'],
+    signatures: [[[0, 'II*\0'], [8, 'CR']]],
+    extractor: MetadataExtractor.RAW,
+    thumbnailer: Thumbnailer.EMBEDDED_PREVIEW,
+    importLimit: ImportLimit.RAW
+  }),
+  defineFormat({
+    id: 'nef',
+    name: 'Nikon NEF',
+    mimeTypes: ['image/x-nikon-nef'],
+    extensions: ['nef'],
+    signatures: TIFF_SIGNATURES,
+    extractor: MetadataExtractor.RAW,
+    thumbnailer: Thumbnailer.EMBEDDED_PREVIEW,
+    importLimit: ImportLimit.RAW
+  }),
+  defineFormat({
+    id: 'arw',
+    name: 'Sony ARW',
+    mimeTypes: ['image/x-sony-arw'],
+    extensions: ['arw'],
+    signatures: TIFF_SIGNATURES,
+    extractor: MetadataExtractor.RAW,
+    thumbnailer: Thumbnailer.EMBEDDED_PREVIEW,
+    importLimit: ImportLimit.RAW
+  }),
+  defineFormat({
+    id: 'mp4',
+    name: 'MP4',
+    mimeTypes: ['video/mp4', 'video/x-m4v'],
+    extensions: ['mp4', 'm4v'],
+    signatures: ftypSignatures(['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'M4VH', 'dash']),
+    extractor: MetadataExtractor.VIDEO,
+    thumbnailer: Thumbnailer.POSTER_FRAME,
+    importLimit: ImportLimit.VIDEO
+  }),
+  // Older QuickTime files have no ftyp box and start straight with a movie atom
+  defineFormat({
+    id: 'mov',
+    name: 'QuickTime',
+    mimeTypes: ['video/quicktime'],
+    extensions: ['mov'],
+    signatures: [...ftypSignatures(['qt  ']), [[4, 'moov']], [[4, 'mdat']], [[4, 'wide']], [[4, 'free']]],
+    extractor: MetadataExtractor.VIDEO,
+    thumbnailer: Thumbnailer.POSTER_FRAME,
+    importLimit: ImportLimit.VIDEO
+  })
+]);
+
+/**
+ * Get the lowercase extension of a file name
+ * @private
+ */
+function extensionOf(name) {
+  return /\.([^./]+)$/.exec(name || '')?.[1].toLowerCase() || null;
+}
+
+/**
+ * Look up a format by ID
+ * @param {string} id - Format ID, e.g. "jpeg"
+ * @returns {Object|null} Format or null
+ */
+export function getFormatById(id) {
+  return FORMATS.find(format => format.id === id) || null;
+}
+
+/**
+ * Look up a format by file name extension
+ * @param {string} name - File name or path
+ * @returns {Object|null} Format or null if the extension isn't importable
+ */
+export function getFormatByName(name) {
+  const extension = extensionOf(name);
+  return extension ? FORMATS.find(format => format.extensions.includes(extension)) || null : null;
+}
+
+/**
+ * Look up a format by MIME type
+ * @param {string} type - MIME type
+ * @returns {Object|null} Format or null if the type isn't importable
+ */
+export function getFormatByMimeType(type) {
+  return type ? FORMATS.find(format => format.mimeTypes.includes(type)) || null : null;
+}
+
+/**
+ * Look up the format a file claims to be, by MIME type then extension
+ * Browsers rarely know RAW MIME types, so the extension is what usually matches for those.
+ * Nothing is read; use detectFormat for files from outside the app
+ * @param {File|Blob} file - File or blob
+ * @returns {Object|null} Format or null
+ */
+export function getDeclaredFormat(file) {
+  return getFormatByMimeType(file?.type) || getFormatByName(file?.name);
+}
+
+/**
+ * Identify a format from the first bytes of a file
+ * The most specific signature wins (a CR2 header beats plain TIFF). Formats with equally specific
+ * signatures (DNG, NEF and ARW are all plain TIFF files) are told apart by the declared extension
+ * or MIME type, otherwise the first listed wins
+ * @param {Uint8Array} bytes - Start of the file (at least SNIFF_LENGTH bytes when available)
+ * @param {Object} declared - { name, type } the file arrived with
+ * @returns {Object|null} Format or null if no signature matches
+ */
+export function sniffFormat(bytes, declared = {}) {
+  let matches = [];
+  let bestLength = 0;
+  for (const format of FORMATS) {
+    const length = Math.max(0, ...format.signatures.map(signature => matchedLength(bytes, signature)));
+    if (length > bestLength) {
+      matches = [format];
+      bestLength = length;
+    } else if (length > 0 && length === bestLength) {
+      matches.push(format);
+    }
+  }
+
+  const extension = extensionOf(declared.name);
+  return matches.find(format => format.extensions.includes(extension)) ||
+    matches.find(format => format.mimeTypes.includes(declared.type)) ||
+    matches[0] ||
+    null;
+}
+
+/**
+ * Identify a file's format from its contents rather than the type it arrived with
+ * @param {File|Blob} file - File to inspect
+ * @returns {Promise<Object|null>} Format or null if the contents aren't an importable format
+ */
+export async function detectFormat(file) {
+  // File-likes without slice (e.g. stubs) are read whole
+  const head = file.slice?.(0, SNIFF_LENGTH) || file;
+  const buffer = await head.arrayBuffer();
+  return sniffFormat(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, SNIFF_LENGTH)), file);
+}
+
+/**
+ * Check whether a format is enabled by the supported_formats preference
+ * The preference lists format IDs; extensions are accepted too for older saved settings
+ * @param {Object} format - Format from the registry
+ * @param {string[]} supportedFormats - Preference value
+ * @returns {boolean} True if the format may be imported
+ */
+export function isFormatEnabled(format, supportedFormats) {
+  return supportedFormats.includes(format.id) || format.extensions.some(extension => supportedFormats.includes(extension));
+}
+
+/**
+ * Convert a supported_formats preference saved as extensions into format IDs
+ * Formats the old setting couldn't name (WebP, RAW, video) are enabled, not silently turned off
+ * @param {string[]} extensions - Saved preference, e.g. ['jpg', 'png']
+ * @returns {string[]} IDs of the formats it enables
+ */
+export function formatIdsFromLegacyExtensions(extensions) {
+  return FORMATS
+    .filter(format =>
+      format.extensions.some(extension => extensions.includes(extension)) ||
+      !format.extensions.some(extension => LEGACY_FORMAT_EXTENSIONS.includes(extension))
+    )
+    .map(format => format.id);
+}
+
+/**
+ * Build the accept attribute for file pickers
+ * @returns {string} MIME types and extensions of every format, comma-separated
+ */
+export function getAcceptAttribute() {
+  return FORMATS.flatMap(format => [...format.mimeTypes, ...format.extensions.map(extension => `.${extension}`)])
+    .join(',');
+}
+
+/**
+ * Build the accept map for showOpenFilePicker
+ * @returns {Object} Extensions (with leading dots) keyed by MIME type, for every format
+ */
+export function getPickerAccept() {
+  return Object.fromEntries(FORMATS.flatMap(format =>
+    format.mimeTypes.map(type => [type, format.extensions.map(extension => `.${extension}`)])
+  ));
+}
+
+/**
+ * Count the bytes a signature pins down, or 0 unless every part matches
+ * @private
+ */
+function matchedLength(bytes, signature) {
+  let length = 0;
+  for (const [offset, expected] of signature) {
+    const codes = typeof expected === 'string' ? [...expected].map(char => char.charCodeAt(0)) : expected;
+    if (offset + codes.length > bytes.length || codes.some((code, i) => bytes[offset + i] !== code)) {
+      return 0;
+    }
+    length += codes.length;
+  }
+  return length;
+}
+
+export default detectFormat;
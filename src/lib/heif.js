@@ -0,0 +1,402 @@
+/**
+ * HEIF Reader
+ * Minimal ISO-BMFF box reader for HEIC/HEIF containers that locates the
+ * primary image dimensions, the Exif item and an embedded JPEG thumbnail
+ */
+
+import { parseTiffExif, findTiffThumbnail } from './exif.js';
+
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1', 'avif'];
+
+/**
+ * Check whether a buffer starts with a HEIF-compatible ftyp box
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean} True if the buffer is a HEIF container
+ */
+export function isHeif(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 16 || readType(view, 4) !== 'ftyp') {
+    return false;
+  }
+
+  const size = Math.min(view.getUint32(0), view.byteLength);
+  const brands = [readType(view, 8)];
+  for (let offset = 16; offset + 4 <= size; offset += 4) {
+    brands.push(readType(view, offset));
+  }
+
+  return brands.some(brand => HEIF_BRANDS.includes(brand));
+}
+
+/**
+ * Parse a HEIF container
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object|null} { width, height, rotation, exif, thumbnail } or null if not HEIF
+ */
+export function parseHeif(buffer) {
+  if (!isHeif(buffer)) {
+    return null;
+  }
+
+  const view = new DataView(buffer);
+  const metaBox = readBoxes(view, 0, view.byteLength).find(box => box.type === 'meta');
+  if (!metaBox) {
+    return null;
+  }
+
+  const meta = readMeta(view, metaBox);
+  const primary = meta.items.get(meta.primaryItemId);
+  const properties = meta.properties.get(meta.primaryItemId) || [];
+
+  const ispe = properties.find(prop => prop.type === 'ispe');
+  const irot = properties.find(prop => prop.type === 'irot');
+
+  const result = {
+    width: ispe ? ispe.width : null,
+    height: ispe ? ispe.height : null,
+    rotation: irot ? irot.angle : 0,
+    exif: null,
+    thumbnail: null
+  };
+
+  // Exif item: 4-byte offset to the TIFF header followed by the payload
+  const exifItem = [...meta.items.values()].find(item => item.type === 'Exif');
+  const exifData = exifItem && readItemData(view, meta, exifItem.id);
+  let exifTiffOffset = null;
+  if (exifData && exifData.byteLength > 4) {
+    const exifView = new DataView(exifData.buffer, exifData.byteOffset, exifData.byteLength);
+    exifTiffOffset = exifData.byteOffset + 4 + exifView.getUint32(0);
+    result.exif = parseTiffExif(exifData.buffer, exifTiffOffset);
+  }
+
+  result.thumbnail = findThumbnail(view, meta, primary, exifData, exifTiffOffset);
+  return result;
+}
+
+/**
+ * Locate a browser-renderable thumbnail inside the container
+ * @private
+ * @returns {Uint8Array|null} JPEG bytes or null
+ */
+function findThumbnail(view, meta, primary, exifData, exifTiffOffset) {
+  if (primary) {
+    // 'thmb' references point from the thumbnail item to the primary image
+    const thumbnailItem = meta.references
+      .filter(ref => ref.type === 'thmb' && ref.toIds.includes(primary.id))
+      .map(ref => meta.items.get(ref.fromId))
+      .find(item => item && item.type === 'jpeg');
+
+    if (thumbnailItem) {
+      return readItemData(view, meta, thumbnailItem.id);
+    }
+  }
+
+  // HEVC-coded thumbnails can't be drawn by <img>; use the Exif IFD1 JPEG instead
+  if (exifData && exifTiffOffset !== null) {
+    const location = findTiffThumbnail(exifData.buffer, exifTiffOffset);
+    if (location) {
+      return new Uint8Array(exifData.buffer, location.offset, location.length);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read sibling boxes in a byte range
+ * @private
+ * @returns {Object[]} Boxes with type, start, dataStart and end offsets
+ */
+function readBoxes(view, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readType(view, offset + 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) {
+        break;
+      }
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) {
+      break;
+    }
+
+    boxes.push({ type, start: offset, dataStart: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read the children of the meta box into lookup tables
+ * @private
+ */
+function readMeta(view, metaBox) {
+  const meta = {
+    primaryItemId: null,
+    items: new Map(),
+    locations: new Map(),
+    properties: new Map(),
+    references: [],
+    idat: null
+  };
+
+  // meta is a FullBox: skip version and flags
+  for (const box of readBoxes(view, metaBox.dataStart + 4, metaBox.end)) {
+    const version = view.getUint8(box.dataStart);
+    const body = box.dataStart + 4;
+
+    switch (box.type) {
+      case 'pitm':
+        meta.primaryItemId = version === 0 ? view.getUint16(body) : view.getUint32(body);
+        break;
+      case 'iinf':
+        readItemInfo(view, box, version, meta.items);
+        break;
+      case 'iloc':
+        readItemLocations(view, box, version, meta.locations);
+        break;
+      case 'iref':
+        readItemReferences(view, box, version, meta.references);
+        break;
+      case 'iprp':
+        readItemProperties(view, box, meta.properties);
+        break;
+      case 'idat':
+        meta.idat = { start: box.dataStart, end: box.end };
+        break;
+    }
+  }
+
+  return meta;
+}
+
+/**
+ * @private
+ */
+function readItemInfo(view, box, version, items) {
+  const entriesStart = box.dataStart + 4 + (version === 0 ? 2 : 4);
+
+  for (const infe of readBoxes(view, entriesStart, box.end)) {
+    if (infe.type !== 'infe') {
+      continue;
+    }
+
+    const infeVersion = view.getUint8(infe.dataStart);
+    if (infeVersion < 2) {
+      continue;
+    }
+
+    let offset = infe.dataStart + 4;
+    const id = infeVersion === 2 ? view.getUint16(offset) : view.getUint32(offset);
+    offset += infeVersion === 2 ? 2 : 4;
+    offset += 2; // item_protection_index
+    items.set(id, { id, type: readType(view, offset) });
+  }
+}
+
+/**
+ * @private
+ */
+function readItemLocations(view, box, version, locations) {
+  let offset = box.dataStart + 4;
+  const sizes = view.getUint16(offset);
+  offset += 2;
+
+  const offsetSize = (sizes >> 12) & 0xF;
+  const lengthSize = (sizes >> 8) & 0xF;
+  const baseOffsetSize = (sizes >> 4) & 0xF;
+  const indexSize = version === 1 || version === 2 ? sizes & 0xF : 0;
+
+  const itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+  offset += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount && offset < box.end; i++) {
+    const id = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+    offset += version < 2 ? 2 : 4;
+
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = view.getUint16(offset) & 0xF;
+      offset += 2;
+    }
+
+    offset += 2; // data_reference_index
+    const baseOffset = readSizedInt(view, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+
+    const extentCount = view.getUint16(offset);
+    offset += 2;
+
+    const extents = [];
+    for (let j = 0; j < extentCount; j++) {
+      offset += indexSize;
+      const extentOffset = readSizedInt(view, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readSizedInt(view, offset, lengthSize);
+      offset += lengthSize;
+      extents.push({ offset: baseOffset + extentOffset, length: extentLength });
+    }
+
+    locations.set(id, { constructionMethod, extents });
+  }
+}
+
+/**
+ * @private
+ */
+function readItemReferences(view, box, version, references) {
+  const idSize = version === 0 ? 2 : 4;
+  const readId = offset => (idSize === 2 ? view.getUint16(offset) : view.getUint32(offset));
+
+  for (const ref of readBoxes(view, box.dataStart + 4, box.end)) {
+    let offset = ref.dataStart;
+    const fromId = readId(offset);
+    offset += idSize;
+    const count = view.getUint16(offset);
+    offset += 2;
+
+    const toIds = [];
+    for (let i = 0; i < count && offset + idSize <= ref.end; i++) {
+      toIds.push(readId(offset));
+      offset += idSize;
+    }
+
+    references.push({ type: ref.type, fromId, toIds });
+  }
+}
+
+/**
+ * @private
+ */
+function readItemProperties(view, box, properties) {
+  const children = readBoxes(view, box.dataStart, box.end);
+  const ipco = children.find(child => child.type === 'ipco');
+  if (!ipco) {
+    return;
+  }
+
+  const propertyList = readBoxes(view, ipco.dataStart, ipco.end).map(prop => readProperty(view, prop));
+
+  for (const ipma of children.filter(child => child.type === 'ipma')) {
+    const version = view.getUint8(ipma.dataStart);
+    const flags = view.getUint32(ipma.dataStart) & 0xFFFFFF;
+    let offset = ipma.dataStart + 4;
+    const entryCount = view.getUint32(offset);
+    offset += 4;
+
+    for (let i = 0; i < entryCount && offset < ipma.end; i++) {
+      const id = version < 1 ? view.getUint16(offset) : view.getUint32(offset);
+      offset += version < 1 ? 2 : 4;
+      const associationCount = view.getUint8(offset);
+      offset += 1;
+
+      const associated = properties.get(id) || [];
+      for (let j = 0; j < associationCount; j++) {
+        // Property indices are 1-based; the high bit flags "essential"
+        const index = flags & 1 ? view.getUint16(offset) & 0x7FFF : view.getUint8(offset) & 0x7F;
+        offset += flags & 1 ? 2 : 1;
+        if (index > 0 && propertyList[index - 1]) {
+          associated.push(propertyList[index - 1]);
+        }
+      }
+      properties.set(id, associated);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function readProperty(view, prop) {
+  switch (prop.type) {
+    case 'ispe':
+      return {
+        type: 'ispe',
+        width: view.getUint32(prop.dataStart + 4),
+        height: view.getUint32(prop.dataStart + 8)
+      };
+    case 'irot':
+      // Counter-clockwise rotation in 90 degree steps
+      return { type: 'irot', angle: (view.getUint8(prop.dataStart) & 0x3) * 90 };
+    default:
+      return { type: prop.type };
+  }
+}
+
+/**
+ * Concatenate the extents of an item
+ * @private
+ * @returns {Uint8Array|null} Item payload or null if it can't be located
+ */
+function readItemData(view, meta, itemId) {
+  const location = meta.locations.get(itemId);
+  if (!location || location.extents.length === 0) {
+    return null;
+  }
+
+  const base = location.constructionMethod === 1 && meta.idat ? meta.idat.start : 0;
+  if (location.constructionMethod > 1) {
+    return null;
+  }
+
+  const total = location.extents.reduce((sum, extent) => sum + extent.length, 0);
+  const first = location.extents[0];
+
+  // Single extent: return a view without copying
+  if (location.extents.length === 1 && base + first.offset + total <= view.byteLength) {
+    return new Uint8Array(view.buffer, view.byteOffset + base + first.offset, total);
+  }
+
+  const data = new Uint8Array(total);
+  let position = 0;
+  for (const extent of location.extents) {
+    const start = view.byteOffset + base + extent.offset;
+    if (start + extent.length > view.byteOffset + view.byteLength) {
+      return null;
+    }
+    data.set(new Uint8Array(view.buffer, start, extent.length), position);
+    position += extent.length;
+  }
+  return data;
+}
+
+/**
+ * @private
+ */
+function readSizedInt(view, offset, size) {
+  switch (size) {
+    case 0:
+      return 0;
+    case 4:
+      return view.getUint32(offset);
+    case 8:
+      return Number(view.getBigUint64(offset));
+    default:
+      return 0;
+  }
+}
+
+/**
+ * @private
+ */
+function readType(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+export default parseHeif;
@@ -0,0 +1,256 @@
+/**
+ * Import Rules
+ * Declarative conditions and actions that decide where imported photos go
+ * Rules run in order; every condition of a rule must hold for its actions to apply
+ */
+
+import { getRelativePath } from './directoryImport.js';
+
+export const RuleField = Object.freeze({
+  CAMERA_MAKE: 'cameraMake',
+  CAMERA_MODEL: 'cameraModel',
+  FILE_NAME: 'fileName',
+  SOURCE_FOLDER: 'sourceFolder',
+  WIDTH: 'width',
+  HEIGHT: 'height',
+  DATE_TAKEN: 'dateTaken'
+});
+
+export const RuleOperator = Object.freeze({
+  EQUALS: 'equals',
+  CONTAINS: 'contains',
+  MATCHES: 'matches',
+  AT_LEAST: 'atLeast',
+  AT_MOST: 'atMost',
+  BETWEEN: 'between'
+});
+
+export const RuleActionType = Object.freeze({
+  SET_ALBUM: 'setAlbum',
+  ADD_TAGS: 'addTags',
+  SKIP: 'skip'
+});
+
+const TEXT_OPERATORS = [RuleOperator.EQUALS, RuleOperator.CONTAINS, RuleOperator.MATCHES];
+const NUMBER_OPERATORS = [RuleOperator.EQUALS, RuleOperator.AT_LEAST, RuleOperator.AT_MOST];
+const DATE_OPERATORS = [RuleOperator.AT_LEAST, RuleOperator.AT_MOST, RuleOperator.BETWEEN];
+
+// Operators each field supports
+const FIELD_OPERATORS = Object.freeze({
+  [RuleField.CAMERA_MAKE]: TEXT_OPERATORS,
+  [RuleField.CAMERA_MODEL]: TEXT_OPERATORS,
+  [RuleField.FILE_NAME]: TEXT_OPERATORS,
+  [RuleField.SOURCE_FOLDER]: TEXT_OPERATORS,
+  [RuleField.WIDTH]: NUMBER_OPERATORS,
+  [RuleField.HEIGHT]: NUMBER_OPERATORS,
+  [RuleField.DATE_TAKEN]: DATE_OPERATORS
+});
+
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a rule definition
+ * @param {Object} rule - { name, conditions: [{ field, operator, value }], actions: [{ type, ... }] }
+ * @returns {string[]} Problems found, empty when the rule is usable
+ */
+export function validateImportRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push('Rule name cannot be empty');
+  }
+
+  const conditions = rule?.conditions;
+  if (!Array.isArray(conditions)) {
+    errors.push('Rule conditions must be an array');
+  } else {
+    conditions.forEach((condition, i) => {
+      const problem = validateCondition(condition);
+      if (problem) {
+        errors.push(`Condition ${i + 1}: ${problem}`);
+      }
+    });
+  }
+
+  const actions = rule?.actions;
+  if (!Array.isArray(actions) || actions.length === 0) {
+    errors.push('Rule needs at least one action');
+  } else {
+    actions.forEach((action, i) => {
+      const problem = validateAction(action);
+      if (problem) {
+        errors.push(`Action ${i + 1}: ${problem}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Get the operators a condition on a field may use
+ * @param {string} field - RuleField value
+ * @returns {string[]} RuleOperator values, or an empty array for unknown fields
+ */
+export function getRuleOperators(field) {
+  return FIELD_OPERATORS[field] || [];
+}
+
+/**
+ * Describe an imported file in the terms rule conditions use
+ * @param {File} file - Imported file
+ * @param {Object} metadata - Result of PhotoService.extractMetadata
+ * @returns {Object} Values keyed by RuleField
+ */
+export function buildRuleSubject(file, metadata) {
+  const path = getRelativePath(file);
+  const slash = path.lastIndexOf('/');
+
+  return {
+    [RuleField.CAMERA_MAKE]: metadata?.exifData?.make || null,
+    [RuleField.CAMERA_MODEL]: metadata?.exifData?.model || null,
+    [RuleField.FILE_NAME]: file.name,
+    [RuleField.SOURCE_FOLDER]: slash > 0 ? path.slice(0, slash) : null,
+    [RuleField.WIDTH]: metadata?.width ?? null,
+    [RuleField.HEIGHT]: metadata?.height ?? null,
+    // Compared as local calendar dates, like album grouping
+    [RuleField.DATE_TAKEN]: metadata?.dateTakenLocal?.slice(0, 10) || null
+  };
+}
+
+/**
+ * Check whether every condition of a rule holds for a subject
+ * A rule without conditions matches everything
+ * @param {Object} rule - Rule definition
+ * @param {Object} subject - Result of buildRuleSubject
+ * @returns {boolean} True if the rule applies
+ */
+export function matchesImportRule(rule, subject) {
+  return rule.conditions.every(condition => matchesCondition(condition, subject[condition.field]));
+}
+
+/**
+ * Run rules in order and combine the actions of those that match
+ * A matching skip rule ends evaluation; the first album choice wins; tags accumulate
+ * @param {Object[]} rules - Enabled rules in evaluation order
+ * @param {Object} subject - Result of buildRuleSubject
+ * @returns {Object} { skip, albumId, tags, matchedRules } with matchedRules as [{ id, name }]
+ */
+export function evaluateImportRules(rules, subject) {
+  const outcome = { skip: false, albumId: null, tags: [], matchedRules: [] };
+
+  for (const rule of rules) {
+    if (!matchesImportRule(rule, subject)) {
+      continue;
+    }
+
+    outcome.matchedRules.push({ id: rule.id ?? null, name: rule.name });
+
+    for (const action of rule.actions) {
+      if (action.type === RuleActionType.SKIP) {
+        outcome.skip = true;
+      } else if (action.type === RuleActionType.SET_ALBUM && outcome.albumId === null) {
+        outcome.albumId = action.albumId;
+      } else if (action.type === RuleActionType.ADD_TAGS) {
+        outcome.tags = [...new Set([...outcome.tags, ...action.tags.map(tag => tag.trim()).filter(Boolean)])];
+      }
+    }
+
+    if (outcome.skip) {
+      break;
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * @private
+ */
+function validateCondition(condition) {
+  const operators = FIELD_OPERATORS[condition?.field];
+  if (!operators) {
+    return `unknown field "${condition?.field}"`;
+  }
+  if (!operators.includes(condition.operator)) {
+    return `operator "${condition.operator}" can't be used with ${condition.field}`;
+  }
+
+  const { field, operator, value } = condition;
+
+  if (field === RuleField.DATE_TAKEN) {
+    const dates = operator === RuleOperator.BETWEEN ? value : [value];
+    if (!Array.isArray(dates) || dates.length !== (operator === RuleOperator.BETWEEN ? 2 : 1) ||
+        !dates.every(date => typeof date === 'string' && DATE_VALUE.test(date))) {
+      return operator === RuleOperator.BETWEEN
+        ? 'date range must be two YYYY-MM-DD dates'
+        : 'date must be YYYY-MM-DD';
+    }
+    return null;
+  }
+
+  if (NUMBER_OPERATORS === operators) {
+    return Number.isFinite(value) && value >= 0 ? null : 'value must be a non-negative number';
+  }
+
+  if (typeof value !== 'string' || value === '') {
+    return 'value must be non-empty text';
+  }
+  if (operator === RuleOperator.MATCHES) {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      return `invalid pattern: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function validateAction(action) {
+  switch (action?.type) {
+    case RuleActionType.SET_ALBUM:
+      return Number.isInteger(action.albumId) && action.albumId > 0 ? null : 'album ID must be a positive integer';
+    case RuleActionType.ADD_TAGS:
+      return Array.isArray(action.tags) && action.tags.some(tag => typeof tag === 'string' && tag.trim())
+        ? null
+        : 'tags must be a list of non-empty text';
+    case RuleActionType.SKIP:
+      return null;
+    default:
+      return `unknown action "${action?.type}"`;
+  }
+}
+
+/**
+ * @private
+ */
+function matchesCondition({ operator, value }, actual) {
+  // Missing metadata (e.g. no EXIF camera model) never satisfies a condition
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+
+  switch (operator) {
+    case RuleOperator.EQUALS:
+      return typeof actual === 'string'
+        ? actual.toLowerCase() === value.toLowerCase()
+        : actual === value;
+    case RuleOperator.CONTAINS:
+      return actual.toLowerCase().includes(value.toLowerCase());
+    case RuleOperator.MATCHES:
+      return new RegExp(value, 'i').test(actual);
+    case RuleOperator.AT_LEAST:
+      return actual >= value;
+    case RuleOperator.AT_MOST:
+      return actual <= value;
+    case RuleOperator.BETWEEN:
+      return actual >= value[0] && actual <= value[1];
+    default:
+      return false;
+  }
+}
+
+export default evaluateImportRules;
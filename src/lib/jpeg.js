@@ -0,0 +1,82 @@
+/**
+ * JPEG Segment Reader
+ * Walks the marker segments that precede the compressed image data
+ */
+
+/**
+ * Read the metadata segments of a JPEG file
+ * @param {DataView} view - JPEG data view
+ * @returns {Object[]} Segments with marker, start, dataStart and end offsets
+ */
+export function readJpegSegments(view) {
+  const segments = [];
+
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+    return segments;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) {
+      break;
+    }
+
+    const marker = view.getUint8(offset + 1);
+
+    // Start of scan or end of image: no more metadata segments
+    if (marker === 0xDA || marker === 0xD9) {
+      break;
+    }
+
+    const length = view.getUint16(offset + 2);
+    const end = Math.min(offset + 2 + length, view.byteLength);
+    segments.push({ marker, start: offset, dataStart: offset + 4, end });
+    offset += 2 + length;
+  }
+
+  return segments;
+}
+
+/**
+ * Check whether a segment payload starts with the given signature
+ * @param {DataView} view - JPEG data view
+ * @param {Object} segment - Segment from readJpegSegments
+ * @param {string} signature - Expected ASCII signature
+ * @returns {boolean} True if the payload begins with the signature
+ */
+export function segmentStartsWith(view, segment, signature) {
+  if (segment.dataStart + signature.length > segment.end) {
+    return false;
+  }
+
+  for (let i = 0; i < signature.length; i++) {
+    if (view.getUint8(segment.dataStart + i) !== signature.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Read the stored (pre-orientation) pixel dimensions from the SOF segment
+ * @param {DataView} view - JPEG data view
+ * @returns {Object|null} { width, height } or null if no frame header is found
+ */
+export function readJpegDimensions(view) {
+  // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+  const frame = readJpegSegments(view).find(segment =>
+    segment.marker >= 0xC0 && segment.marker <= 0xCF &&
+    ![0xC4, 0xC8, 0xCC].includes(segment.marker)
+  );
+
+  if (!frame || frame.dataStart + 5 > frame.end) {
+    return null;
+  }
+
+  return {
+    height: view.getUint16(frame.dataStart + 1),
+    width: view.getUint16(frame.dataStart + 3)
+  };
+}
+
+export default readJpegSegments;
@@ -0,0 +1,294 @@
+/**
+ * MP4 Reader
+ * Minimal ISO-BMFF/QuickTime reader for MP4 and MOV clips that locates the
+ * creation time, duration, video track size and Live Photo content identifier in the moov box
+ * Only box headers and the moov box are read, so large clips aren't loaded into memory
+ */
+
+// Seconds between the QuickTime epoch (1904-01-01 UTC) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// moov normally holds a few hundred KB of sample tables; larger boxes aren't worth reading
+const MAX_MOOV_SIZE = 64 * 1024 * 1024;
+
+const FIXED_ONE = 0x10000;
+
+// QuickTime metadata key Apple uses to tie a Live Photo's clip to its still
+const CONTENT_IDENTIFIER_KEY = 'com.apple.quicktime.content.identifier';
+
+// Well-known type of UTF-8 values in QuickTime metadata data atoms
+const DATA_TYPE_UTF8 = 1;
+
+/**
+ * Read the movie header of an MP4 or MOV clip
+ * @param {Blob} blob - Video file
+ * @returns {Promise<Object|null>} { creationTime, duration, width, height, rotation, contentIdentifier } or null
+ *   if the file has no readable moov box. creationTime is a Date or null when the camera left
+ *   it unset, duration is in seconds, and width/height are the upright video track size
+ */
+export async function readMp4Metadata(blob) {
+  const moov = await findTopLevelBox(blob, 'moov');
+  if (!moov || moov.end - moov.dataStart > MAX_MOOV_SIZE) {
+    return null;
+  }
+
+  const view = await readView(blob, moov.dataStart, moov.end - moov.dataStart);
+  return parseMoov(view);
+}
+
+/**
+ * Parse the children of a moov box
+ * @param {DataView} view - Contents of the moov box, without its header
+ * @returns {Object|null} Movie metadata (see readMp4Metadata) or null without an mvhd box
+ */
+export function parseMoov(view) {
+  const children = readBoxes(view, 0, view.byteLength);
+  const mvhd = children.find(box => box.type === 'mvhd');
+  if (!mvhd) {
+    return null;
+  }
+
+  const header = readMovieHeader(view, mvhd);
+  const result = {
+    creationTime: header.creationTime,
+    duration: header.duration,
+    width: null,
+    height: null,
+    rotation: 0,
+    contentIdentifier: null
+  };
+
+  const meta = children.find(box => box.type === 'meta');
+  if (meta) {
+    result.contentIdentifier = readQuickTimeMetadata(view, meta).get(CONTENT_IDENTIFIER_KEY) || null;
+  }
+
+  // Audio and metadata tracks have a zero size; the first sized track is the video
+  for (const trak of children.filter(box => box.type === 'trak')) {
+    const tkhd = readBoxes(view, trak.dataStart, trak.end).find(box => box.type === 'tkhd');
+    const track = tkhd ? readTrackHeader(view, tkhd) : null;
+    if (track && track.width > 0 && track.height > 0) {
+      const sideways = track.rotation === 90 || track.rotation === 270;
+      result.width = sideways ? track.height : track.width;
+      result.height = sideways ? track.width : track.height;
+      result.rotation = track.rotation;
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Walk the top-level boxes of a file by reading only their headers
+ * @private
+ * @returns {Promise<Object|null>} { type, start, dataStart, end } or null if not found
+ */
+async function findTopLevelBox(blob, type) {
+  let offset = 0;
+
+  while (offset + 8 <= blob.size) {
+    const header = await readView(blob, offset, 16);
+    if (header.byteLength < 8) {
+      return null;
+    }
+
+    let size = header.getUint32(0);
+    const boxType = readType(header, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (header.byteLength < 16) {
+        return null;
+      }
+      size = readUint64(header, 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = blob.size - offset;
+    }
+
+    if (size < headerSize || offset + size > blob.size) {
+      return null;
+    }
+
+    if (boxType === type) {
+      return { type, start: offset, dataStart: offset + headerSize, end: offset + size };
+    }
+    offset += size;
+  }
+
+  return null;
+}
+
+/**
+ * Read creation time and duration from an mvhd box
+ * @private
+ */
+function readMovieHeader(view, box) {
+  const version = view.getUint8(box.dataStart);
+  let offset = box.dataStart + 4;
+
+  let creation;
+  let timescale;
+  let duration;
+  if (version === 1) {
+    creation = readUint64(view, offset);
+    timescale = view.getUint32(offset + 16);
+    duration = readUint64(view, offset + 20);
+  } else {
+    creation = view.getUint32(offset);
+    timescale = view.getUint32(offset + 8);
+    duration = view.getUint32(offset + 12);
+  }
+
+  return {
+    // Zero means the recorder didn't set a time
+    creationTime: creation > 0 ? new Date((creation - QUICKTIME_EPOCH_OFFSET) * 1000) : null,
+    duration: timescale > 0 ? duration / timescale : null
+  };
+}
+
+/**
+ * Read the display size and rotation from a tkhd box
+ * @private
+ */
+function readTrackHeader(view, box) {
+  const version = view.getUint8(box.dataStart);
+  // Skip version/flags, times, track ID, reserved and duration, then reserved, layer,
+  // alternate group, volume and reserved
+  const matrixOffset = box.dataStart + 4 + (version === 1 ? 32 : 20) + 16;
+  if (matrixOffset + 44 > box.end) {
+    return null;
+  }
+
+  const a = view.getInt32(matrixOffset);
+  const b = view.getInt32(matrixOffset + 4);
+
+  let rotation = 0;
+  if (a === 0 && b === FIXED_ONE) {
+    rotation = 90;
+  } else if (a === 0 && b === -FIXED_ONE) {
+    rotation = 270;
+  } else if (a === -FIXED_ONE && b === 0) {
+    rotation = 180;
+  }
+
+  // Width and height are 16.16 fixed point
+  return {
+    width: Math.round(view.getUint32(matrixOffset + 36) / FIXED_ONE),
+    height: Math.round(view.getUint32(matrixOffset + 40) / FIXED_ONE),
+    rotation
+  };
+}
+
+/**
+ * Read the text values of a QuickTime metadata box (keys + ilst)
+ * @private
+ * @returns {Map<string, string>} Values keyed by their reverse-DNS key
+ */
+function readQuickTimeMetadata(view, box) {
+  const values = new Map();
+
+  // QuickTime's meta atom has no version/flags, unlike the ISO meta box
+  const childrenStart = readType(view, box.dataStart + 4) === 'hdlr' ? box.dataStart : box.dataStart + 4;
+  const children = readBoxes(view, childrenStart, box.end);
+  const keysBox = children.find(child => child.type === 'keys');
+  const ilst = children.find(child => child.type === 'ilst');
+  if (!keysBox || !ilst) {
+    return values;
+  }
+
+  const keys = [];
+  let offset = keysBox.dataStart + 8;
+  const keyCount = view.getUint32(keysBox.dataStart + 4);
+  for (let i = 0; i < keyCount && offset + 8 <= keysBox.end; i++) {
+    const size = view.getUint32(offset);
+    if (size < 8 || offset + size > keysBox.end) {
+      break;
+    }
+    keys.push(decodeUtf8(view, offset + 8, size - 8));
+    offset += size;
+  }
+
+  // ilst items are typed by their 1-based key index
+  for (const item of readBoxes(view, ilst.dataStart, ilst.end)) {
+    const key = keys[view.getUint32(item.start + 4) - 1];
+    const data = readBoxes(view, item.dataStart, item.end).find(child => child.type === 'data');
+    if (key && data && data.end - data.dataStart >= 8 && view.getUint32(data.dataStart) === DATA_TYPE_UTF8) {
+      values.set(key, decodeUtf8(view, data.dataStart + 8, data.end - data.dataStart - 8));
+    }
+  }
+
+  return values;
+}
+
+/**
+ * @private
+ */
+function decodeUtf8(view, offset, length) {
+  return new TextDecoder('utf-8').decode(new Uint8Array(view.buffer, view.byteOffset + offset, length));
+}
+
+/**
+ * Read sibling boxes in a byte range
+ * @private
+ * @returns {Object[]} Boxes with type, start, dataStart and end offsets
+ */
+function readBoxes(view, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readType(view, offset + 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) {
+        break;
+      }
+      size = readUint64(view, offset + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) {
+      break;
+    }
+
+    boxes.push({ type, start: offset, dataStart: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read part of a blob into a DataView
+ * @private
+ */
+async function readView(blob, start, length) {
+  return new DataView(await blob.slice(start, start + length).arrayBuffer());
+}
+
+/**
+ * @private
+ */
+function readUint64(view, offset) {
+  return view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+}
+
+/**
+ * @private
+ */
+function readType(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+export default readMp4Metadata;
@@ -0,0 +1,120 @@
+/**
+ * EXIF Orientation
+ * Canvas and CSS transforms for the eight EXIF orientation values
+ */
+
+export const DEFAULT_ORIENTATION = 1;
+
+// CSS transforms that turn the stored pixels upright, indexed by orientation
+const CSS_TRANSFORMS = {
+  1: 'none',
+  2: 'scaleX(-1)',
+  3: 'rotate(180deg)',
+  4: 'scaleY(-1)',
+  5: 'rotate(90deg) scaleY(-1)',
+  6: 'rotate(90deg)',
+  7: 'rotate(90deg) scaleX(-1)',
+  8: 'rotate(-90deg)'
+};
+
+/**
+ * Normalize an orientation value, treating anything unknown as upright
+ * @param {any} orientation - Raw orientation value
+ * @returns {number} Orientation between 1 and 8
+ */
+export function normalizeOrientation(orientation) {
+  return Number.isInteger(orientation) && orientation >= 1 && orientation <= 8
+    ? orientation
+    : DEFAULT_ORIENTATION;
+}
+
+/**
+ * Check whether an orientation swaps width and height
+ * @param {number} orientation - EXIF orientation
+ * @returns {boolean} True for orientations 5-8 (90 or 270 degree turns)
+ */
+export function swapsDimensions(orientation) {
+  return normalizeOrientation(orientation) >= 5;
+}
+
+/**
+ * Get display dimensions after applying an orientation
+ * @param {number} width - Stored pixel width
+ * @param {number} height - Stored pixel height
+ * @param {number} orientation - EXIF orientation
+ * @returns {Object} Upright { width, height }
+ */
+export function orientedDimensions(width, height, orientation) {
+  return swapsDimensions(orientation) ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Convert a HEIF irot angle (counter-clockwise degrees) to an EXIF orientation
+ * @param {number} angle - Rotation in degrees (0, 90, 180 or 270)
+ * @returns {number} Equivalent EXIF orientation
+ */
+export function orientationFromRotation(angle) {
+  switch (angle) {
+    case 90:
+      return 8;
+    case 180:
+      return 3;
+    case 270:
+      return 6;
+    default:
+      return DEFAULT_ORIENTATION;
+  }
+}
+
+/**
+ * Draw stored pixels upright onto a canvas context
+ * The canvas must already be sized with orientedDimensions(width, height, orientation)
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+ * @param {CanvasImageSource} source - Image with stored (un-rotated) pixels
+ * @param {number} orientation - EXIF orientation
+ * @param {number} width - Drawn width before orientation
+ * @param {number} height - Drawn height before orientation
+ */
+export function drawOriented(ctx, source, orientation, width, height) {
+  ctx.save();
+
+  switch (normalizeOrientation(orientation)) {
+    case 2:
+      ctx.transform(-1, 0, 0, 1, width, 0);
+      break;
+    case 3:
+      ctx.transform(-1, 0, 0, -1, width, height);
+      break;
+    case 4:
+      ctx.transform(1, 0, 0, -1, 0, height);
+      break;
+    case 5:
+      ctx.transform(0, 1, 1, 0, 0, 0);
+      break;
+    case 6:
+      ctx.transform(0, 1, -1, 0, height, 0);
+      break;
+    case 7:
+      ctx.transform(0, -1, -1, 0, height, width);
+      break;
+    case 8:
+      ctx.transform(0, -1, 1, 0, 0, width);
+      break;
+  }
+
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.restore();
+}
+
+/**
+ * Get the CSS transform that shows stored pixels upright
+ * Only needed where the browser does not apply EXIF orientation itself
+ * (e.g. pixels copied to a canvas with imageOrientation: 'none')
+ * @param {number} orientation - EXIF orientation
+ * @returns {string} CSS transform value
+ */
+export function orientationToCss(orientation) {
+  return CSS_TRANSFORMS[normalizeOrientation(orientation)];
+}
+
+export default drawOriented;
@@ -0,0 +1,94 @@
+/**
+ * Perceptual Hash
+ * Difference hash (dHash) for spotting resized, re-saved or lightly edited copies
+ */
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Compute a 64-bit dHash from a canvas or image source
+ * Works on the main thread and in workers, which have no document
+ * @param {CanvasImageSource} source - Image to hash (typically the thumbnail canvas)
+ * @returns {string|null} 16-character hex hash or null if pixels can't be read
+ */
+export function computeDHash(source) {
+  try {
+    const canvas = typeof document !== 'undefined'
+      ? Object.assign(document.createElement('canvas'), { width: HASH_WIDTH, height: HASH_HEIGHT })
+      : new OffscreenCanvas(HASH_WIDTH, HASH_HEIGHT);
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+    const { data } = ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+    return dHashFromPixels(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compute a dHash from 9x8 RGBA pixel data
+ * Each bit records whether a pixel is brighter than its right-hand neighbour
+ * @param {Uint8ClampedArray|number[]} rgba - 9x8 RGBA pixels
+ * @returns {string|null} 16-character hex hash or null for short input
+ */
+export function dHashFromPixels(rgba) {
+  if (!rgba || rgba.length < HASH_WIDTH * HASH_HEIGHT * 4) {
+    return null;
+  }
+
+  const luminance = [];
+  for (let i = 0; i < HASH_WIDTH * HASH_HEIGHT; i++) {
+    const offset = i * 4;
+    luminance.push(0.299 * rgba[offset] + 0.587 * rgba[offset + 1] + 0.114 * rgba[offset + 2]);
+  }
+
+  let hex = '';
+  let nibble = 0;
+  let bits = 0;
+
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = luminance[y * HASH_WIDTH + x];
+      const right = luminance[y * HASH_WIDTH + x + 1];
+      nibble = (nibble << 1) | (left > right ? 1 : 0);
+      bits++;
+
+      if (bits === 4) {
+        hex += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+
+  return hex;
+}
+
+/**
+ * Count differing bits between two hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance (Infinity if hashes are incomparable)
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return Infinity;
+  }
+
+  let distance = 0;
+  // Compare 8 hex digits (32 bits) at a time to stay within safe bitwise range
+  for (let i = 0; i < a.length; i += 8) {
+    let diff = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (diff) {
+      diff &= diff - 1;
+      distance++;
+    }
+  }
+
+  return distance;
+}
+
+export default computeDHash;
@@ -0,0 +1,119 @@
+/**
+ * PNG Metadata Reader
+ * Reads eXIf, tEXt and iTXt chunks from PNG files
+ */
+
+import { parseTiffExif } from './exif.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+/**
+ * Check whether a buffer starts with the PNG signature
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean} True for PNG files
+ */
+export function isPng(buffer) {
+  if (buffer.byteLength < PNG_SIGNATURE.length) {
+    return false;
+  }
+  const bytes = new Uint8Array(buffer, 0, PNG_SIGNATURE.length);
+  return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Parse PNG metadata chunks
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Object|null} { exif, xmp, text } or null if not a PNG
+ */
+export function parsePngMetadata(buffer) {
+  if (!isPng(buffer)) {
+    return null;
+  }
+
+  const view = new DataView(buffer);
+  const result = { exif: null, xmp: null, text: {} };
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= view.byteLength) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...new Uint8Array(buffer, offset + 4, 4));
+    const dataStart = offset + 8;
+
+    if (dataStart + length > view.byteLength || type === 'IEND') {
+      break;
+    }
+
+    const data = new Uint8Array(buffer, dataStart, length);
+
+    if (type === 'eXIf') {
+      result.exif = parseTiffExif(buffer, dataStart);
+    } else if (type === 'tEXt') {
+      const [keyword, text] = splitNull(data, 'latin1');
+      result.text[keyword] = text;
+    } else if (type === 'iTXt') {
+      const entry = readInternationalText(data);
+      if (entry && entry.keyword === XMP_KEYWORD) {
+        result.xmp = entry.text;
+      } else if (entry) {
+        result.text[entry.keyword] = entry.text;
+      }
+    }
+
+    // length + type + data + CRC
+    offset = dataStart + length + 4;
+  }
+
+  return result;
+}
+
+/**
+ * Decode an iTXt chunk
+ * Compressed entries are skipped: XMP packets are written uncompressed in practice
+ * @private
+ * @returns {Object|null} { keyword, text } or null
+ */
+function readInternationalText(data) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd === -1 || keywordEnd + 3 > data.length) {
+    return null;
+  }
+
+  const keyword = decode(data.subarray(0, keywordEnd), 'latin1');
+  const compressed = data[keywordEnd + 1] === 1;
+  if (compressed) {
+    return null;
+  }
+
+  // Skip language tag and translated keyword, both null-terminated
+  let position = keywordEnd + 3;
+  for (let field = 0; field < 2; field++) {
+    const end = data.indexOf(0, position);
+    if (end === -1) {
+      return null;
+    }
+    position = end + 1;
+  }
+
+  return { keyword, text: decode(data.subarray(position), 'utf-8') };
+}
+
+/**
+ * @private
+ */
+function splitNull(data, encoding) {
+  const separator = data.indexOf(0);
+  if (separator === -1) {
+    return [decode(data, encoding), ''];
+  }
+  return [decode(data.subarray(0, separator), encoding), decode(data.subarray(separator + 1), encoding)];
+}
+
+/**
+ * @private
+ */
+function decode(bytes, encoding) {
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+export default parsePngMetadata;
@@ -0,0 +1,186 @@
+/**
+ * RAW Reader
+ * Locates the EXIF block and embedded JPEG previews of TIFF-based camera RAW files
+ * (DNG, CR2, NEF, ARW). Nothing is developed: the largest preview a browser can
+ * decode stands in for the image
+ */
+
+import { parseTiffExif } from './exif.js';
+import { readJpegSegments } from './jpeg.js';
+
+const TIFF_LITTLE_ENDIAN = 0x4949; // "II"
+const TIFF_BIG_ENDIAN = 0x4D4D; // "MM"
+const TIFF_MAGIC = 42;
+
+const TAG_COMPRESSION = 0x0103;
+const TAG_STRIP_OFFSETS = 0x0111;
+const TAG_STRIP_BYTE_COUNTS = 0x0117;
+const TAG_SUB_IFDS = 0x014A;
+const TAG_JPEG_OFFSET = 0x0201;
+const TAG_JPEG_LENGTH = 0x0202;
+
+// Old-style and new-style JPEG compression
+const JPEG_COMPRESSION = [6, 7];
+
+// Baseline, extended and progressive frames; lossless (SOF3) raw data can't be drawn
+const DECODABLE_FRAMES = [0xC0, 0xC1, 0xC2];
+
+// Guards against corrupt or cyclic IFD offsets
+const MAX_IFDS = 32;
+const MAX_IFD_ENTRIES = 1000;
+
+/**
+ * Parse a TIFF-based RAW file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object|null} { exif, preview, width, height } where preview is the largest decodable
+ *   JPEG (Uint8Array) with its stored pixel size, or null for each when there is none;
+ *   null if the file isn't TIFF-structured
+ */
+export function parseRaw(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 8) {
+    return null;
+  }
+
+  const byteOrder = view.getUint16(0);
+  if (byteOrder !== TIFF_LITTLE_ENDIAN && byteOrder !== TIFF_BIG_ENDIAN) {
+    return null;
+  }
+
+  const littleEndian = byteOrder === TIFF_LITTLE_ENDIAN;
+  if (view.getUint16(2, littleEndian) !== TIFF_MAGIC) {
+    return null;
+  }
+
+  const preview = findLargestPreview(view, littleEndian);
+
+  return {
+    exif: parseTiffExif(buffer),
+    preview: preview ? preview.data : null,
+    width: preview ? preview.width : null,
+    height: preview ? preview.height : null
+  };
+}
+
+/**
+ * Walk IFD0, its chain and all SubIFDs and pick the largest decodable JPEG
+ * @private
+ * @returns {Object|null} { data, width, height } or null
+ */
+function findLargestPreview(view, littleEndian) {
+  const queue = [view.getUint32(4, littleEndian)];
+  const visited = new Set();
+  let best = null;
+
+  while (queue.length > 0 && visited.size < MAX_IFDS) {
+    const offset = queue.shift();
+    if (!offset || visited.has(offset) || offset + 2 > view.byteLength) {
+      continue;
+    }
+    visited.add(offset);
+
+    const { tags, next } = readIfd(view, offset, littleEndian);
+    queue.push(next, ...(tags.get(TAG_SUB_IFDS) || []));
+
+    for (const location of previewLocations(tags)) {
+      const candidate = readPreview(view, location);
+      if (candidate && (!best || candidate.width * candidate.height > best.width * best.height)) {
+        best = candidate;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * List the JPEG streams an IFD points to
+ * @private
+ * @returns {Object[]} Locations as { offset, length }
+ */
+function previewLocations(tags) {
+  const locations = [];
+
+  const jpegOffset = tags.get(TAG_JPEG_OFFSET);
+  const jpegLength = tags.get(TAG_JPEG_LENGTH);
+  if (jpegOffset && jpegLength) {
+    locations.push({ offset: jpegOffset[0], length: jpegLength[0] });
+  }
+
+  // A JPEG-compressed image stored as a single strip is a complete JPEG file
+  const compression = tags.get(TAG_COMPRESSION)?.[0];
+  const stripOffsets = tags.get(TAG_STRIP_OFFSETS);
+  const stripCounts = tags.get(TAG_STRIP_BYTE_COUNTS);
+  if (JPEG_COMPRESSION.includes(compression) && stripOffsets?.length === 1 && stripCounts?.length === 1) {
+    locations.push({ offset: stripOffsets[0], length: stripCounts[0] });
+  }
+
+  return locations;
+}
+
+/**
+ * Check that a location holds a decodable JPEG and read its size
+ * @private
+ * @returns {Object|null} { data, width, height } or null
+ */
+function readPreview(view, { offset, length }) {
+  if (!length || offset + length > view.byteLength) {
+    return null;
+  }
+
+  const jpeg = new DataView(view.buffer, view.byteOffset + offset, length);
+  const frame = readJpegSegments(jpeg).find(segment => segment.marker >= 0xC0 && segment.marker <= 0xCF &&
+    ![0xC4, 0xC8, 0xCC].includes(segment.marker));
+  if (!frame || !DECODABLE_FRAMES.includes(frame.marker) || frame.dataStart + 5 > frame.end) {
+    return null;
+  }
+
+  return {
+    data: new Uint8Array(view.buffer, view.byteOffset + offset, length),
+    height: jpeg.getUint16(frame.dataStart + 1),
+    width: jpeg.getUint16(frame.dataStart + 3)
+  };
+}
+
+/**
+ * Read the SHORT/LONG/IFD values of an IFD's entries
+ * @private
+ * @returns {Object} { tags: Map of tag to number[], next: offset of the next IFD or 0 }
+ */
+function readIfd(view, offset, littleEndian) {
+  const tags = new Map();
+  const entryCount = Math.min(view.getUint16(offset, littleEndian), MAX_IFD_ENTRIES);
+
+  for (let i = 0; i < entryCount; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) {
+      return { tags, next: 0 };
+    }
+
+    const type = view.getUint16(entry + 2, littleEndian);
+    const count = view.getUint32(entry + 4, littleEndian);
+    // SHORT, LONG and IFD offsets are all this reader needs
+    const size = type === 3 ? 2 : type === 4 || type === 13 ? 4 : 0;
+    if (!size || count === 0) {
+      continue;
+    }
+
+    const valueOffset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+    if (valueOffset + size * count > view.byteLength) {
+      continue;
+    }
+
+    const values = [];
+    for (let j = 0; j < count; j++) {
+      values.push(size === 2
+        ? view.getUint16(valueOffset + j * 2, littleEndian)
+        : view.getUint32(valueOffset + j * 4, littleEndian));
+    }
+    tags.set(view.getUint16(entry, littleEndian), values);
+  }
+
+  const nextPointer = offset + 2 + entryCount * 12;
+  return { tags, next: nextPointer + 4 <= view.byteLength ? view.getUint32(nextPointer, littleEndian) : 0 };
+}
+
+export default parseRaw;
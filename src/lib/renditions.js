@@ -0,0 +1,56 @@
+/**
+ * Thumbnail Renditions
+ * Size ladder for stored thumbnails and selection of the best fit for a display size
+ */
+
+export const RenditionKind = Object.freeze({
+  MICRO: 'micro',
+  GRID: 'grid',
+  PREVIEW: 'preview'
+});
+
+// Blurred placeholder shown while the grid rendition loads
+const MICRO_SIZE = 32;
+const MICRO_QUALITY = 0.5;
+
+// Large enough for the detail modal on most screens
+const PREVIEW_SIZE = 1280;
+const PREVIEW_MIN_QUALITY = 0.85;
+
+/**
+ * Build the rendition specs from user preferences
+ * @param {PreferencesManager} preferences - Source of thumbnail size and quality
+ * @returns {Object[]} Specs as { kind, size, quality }, largest first
+ */
+export function getRenditionSpecs(preferences) {
+  const { width, height } = preferences.getThumbnailSize();
+  const quality = preferences.getThumbnailQuality();
+
+  return [
+    { kind: RenditionKind.PREVIEW, size: PREVIEW_SIZE, quality: Math.max(quality, PREVIEW_MIN_QUALITY) },
+    { kind: RenditionKind.GRID, size: Math.max(width, height), quality },
+    { kind: RenditionKind.MICRO, size: MICRO_SIZE, quality: MICRO_QUALITY }
+  ];
+}
+
+/**
+ * Pick the smallest rendition whose long edge covers the display box without upscaling
+ * @param {Object[]} renditions - Renditions with width and height
+ * @param {number} displayWidth - CSS width of the display box
+ * @param {number} displayHeight - CSS height of the display box
+ * @param {number} pixelRatio - Device pixel ratio (default: 1)
+ * @returns {Object|null} Best rendition, the largest one if none is big enough, or null
+ */
+export function pickRendition(renditions, displayWidth, displayHeight, pixelRatio = 1) {
+  if (!renditions || renditions.length === 0) {
+    return null;
+  }
+
+  const needed = Math.max(displayWidth, displayHeight) * pixelRatio;
+  const longEdge = rendition => Math.max(rendition.width, rendition.height);
+  const bySize = [...renditions].sort((a, b) => longEdge(a) - longEdge(b));
+
+  return bySize.find(rendition => longEdge(rendition) >= needed) || bySize[bySize.length - 1];
+}
+
+export default pickRendition;
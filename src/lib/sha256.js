@@ -0,0 +1,139 @@
+/**
+ * SHA-256
+ * Incremental SHA-256 for content hashes of files too large to read at once.
+ * Web Crypto's digest only takes the whole input, so large files are fed to this a slice at a time
+ */
+
+const BLOCK_SIZE = 64;
+
+const INITIAL_STATE = Object.freeze([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+
+const ROUND_CONSTANTS = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+export class Sha256 {
+  constructor() {
+    this.state = new Int32Array(INITIAL_STATE);
+    this.words = new Int32Array(64);
+    // Bytes left over from the last update, waiting for a full block
+    this.pending = new Uint8Array(BLOCK_SIZE);
+    this.pendingLength = 0;
+    this.totalLength = 0;
+  }
+
+  /**
+   * Add bytes to the hash
+   * @param {Uint8Array} bytes - Next part of the input
+   * @returns {Sha256} This hash, for chaining
+   */
+  update(bytes) {
+    let offset = 0;
+    this.totalLength += bytes.length;
+
+    if (this.pendingLength > 0) {
+      offset = Math.min(BLOCK_SIZE - this.pendingLength, bytes.length);
+      this.pending.set(bytes.subarray(0, offset), this.pendingLength);
+      this.pendingLength += offset;
+      if (this.pendingLength < BLOCK_SIZE) {
+        return this;
+      }
+      this.compress(this.pending, 0);
+      this.pendingLength = 0;
+    }
+
+    for (; offset + BLOCK_SIZE <= bytes.length; offset += BLOCK_SIZE) {
+      this.compress(bytes, offset);
+    }
+
+    this.pending.set(bytes.subarray(offset), 0);
+    this.pendingLength = bytes.length - offset;
+    return this;
+  }
+
+  /**
+   * Finish the hash; the instance can't be updated afterwards
+   * @returns {string} Hex-encoded digest
+   */
+  digest() {
+    const bitLength = this.totalLength * 8;
+
+    // A 1 bit, zeros up to 8 bytes short of a block boundary, then the big-endian bit length
+    const padding = new Uint8Array((this.pendingLength < 56 ? 56 : 120) - this.pendingLength + 8);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(padding.length - 4, bitLength >>> 0);
+    this.update(padding);
+
+    return Array.from(this.state, word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+  }
+
+  /**
+   * Run the compression function on one 64-byte block
+   * @private
+   */
+  compress(bytes, offset) {
+    const w = this.words;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    const state = this.state;
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    let e = state[4];
+    let f = state[5];
+    let g = state[6];
+    let h = state[7];
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + ROUND_CONSTANTS[i] + w[i]) | 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    // Int32Array wraps the sums to 32 bits
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+}
+
+/**
+ * Rotate a 32-bit word right
+ * @private
+ */
+function rotate(word, bits) {
+  return (word >>> bits) | (word << (32 - bits));
+}
+
+export default Sha256;
@@ -0,0 +1,158 @@
+/**
+ * Sidecar Metadata
+ * Matches Google Takeout JSON and XMP sidecar files to the images they describe
+ * and parses Takeout's JSON format
+ */
+
+import { getRelativePath } from './directoryImport.js';
+
+// Takeout keeps sidecar names (without ".json") within this many characters
+const TAKEOUT_MAX_STEM_LENGTH = 46;
+const TAKEOUT_SUPPLEMENTAL_SUFFIX = '.supplemental-metadata';
+
+// Suffix Google Photos adds to edited copies, which share the original's sidecar
+const EDITED_SUFFIX = /-edited$/i;
+
+/**
+ * Check whether a file is a sidecar rather than a photo
+ * @param {File|Object} file - File or archive entry
+ * @returns {boolean} True for .json and .xmp files
+ */
+export function isSidecarFile(file) {
+  return /\.(json|xmp)$/i.test(file?.name || '');
+}
+
+/**
+ * Split a selection into photos and sidecars, and pair each photo with its sidecars
+ * @param {Array<File|Object>} files - Selected files and archive entries
+ * @returns {Object} { files, sidecars } where sidecars maps a photo to { json, xmp }
+ */
+export function matchSidecars(files) {
+  const photos = [];
+  const sidecarsByPath = new Map();
+
+  for (const file of files) {
+    if (isSidecarFile(file)) {
+      sidecarsByPath.set(getRelativePath(file), file);
+    } else {
+      photos.push(file);
+    }
+  }
+
+  const sidecars = new Map();
+  if (sidecarsByPath.size === 0) {
+    return { files: photos, sidecars };
+  }
+
+  for (const photo of photos) {
+    const path = getRelativePath(photo);
+    const slash = path.lastIndexOf('/');
+    const folder = path.slice(0, slash + 1);
+    const name = path.slice(slash + 1);
+
+    const find = names => names.map(candidate => sidecarsByPath.get(folder + candidate)).find(Boolean) || null;
+    const json = find(takeoutSidecarNames(name));
+    const xmp = find(xmpSidecarNames(name));
+
+    if (json || xmp) {
+      sidecars.set(photo, { json, xmp });
+    }
+  }
+
+  return { files: photos, sidecars };
+}
+
+/**
+ * List the names Takeout may have given a photo's JSON sidecar
+ * Handles "(n)" duplicate counters, "-edited" copies, supplemental-metadata names
+ * and truncation of long names
+ * @param {string} name - Photo file name
+ * @returns {string[]} Candidate sidecar names, most likely first
+ */
+export function takeoutSidecarNames(name) {
+  const { base, extension } = splitExtension(name);
+
+  // "IMG_1234(1).jpg" is described by "IMG_1234.jpg(1).json"
+  const counterMatch = /^(.*?)(\(\d+\))$/.exec(base);
+  const counter = counterMatch ? counterMatch[2] : '';
+  const stem = (counterMatch ? counterMatch[1] : base).replace(EDITED_SUFFIX, '');
+  const original = stem + extension;
+
+  const names = new Set();
+  for (const full of [original + TAKEOUT_SUPPLEMENTAL_SUFFIX, original, stem]) {
+    for (const limit of [TAKEOUT_MAX_STEM_LENGTH, TAKEOUT_MAX_STEM_LENGTH - counter.length]) {
+      names.add(`${full.slice(0, limit)}${counter}.json`);
+    }
+  }
+
+  return [...names];
+}
+
+/**
+ * List the names an XMP sidecar may have ("IMG_1234.xmp" or "IMG_1234.jpg.xmp")
+ * @param {string} name - Photo file name
+ * @returns {string[]} Candidate sidecar names
+ */
+export function xmpSidecarNames(name) {
+  const { base } = splitExtension(name);
+  return [`${base}.xmp`, `${base}.XMP`, `${name}.xmp`, `${name}.XMP`];
+}
+
+/**
+ * Parse a Google Takeout JSON sidecar
+ * @param {string} text - JSON text
+ * @returns {Object|null} { title, description, dateTaken, gps, favorite } or null if not a Takeout sidecar
+ */
+export function parseTakeoutJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+
+  if (!data || typeof data !== 'object' || (!data.photoTakenTime && !data.creationTime && !data.geoData)) {
+    return null;
+  }
+
+  const timestamp = Number(data.photoTakenTime?.timestamp);
+
+  return {
+    title: data.title || null,
+    description: data.description?.trim() || null,
+    dateTaken: timestamp > 0 ? new Date(timestamp * 1000) : null,
+    // geoData holds the location shown in Google Photos (possibly edited); 0,0 means none
+    gps: readTakeoutGeo(data.geoData) || readTakeoutGeo(data.geoDataExif),
+    favorite: data.favorited === true
+  };
+}
+
+/**
+ * @private
+ */
+function readTakeoutGeo(geo) {
+  if (!geo || typeof geo.latitude !== 'number' || typeof geo.longitude !== 'number') {
+    return null;
+  }
+  if (geo.latitude === 0 && geo.longitude === 0) {
+    return null;
+  }
+
+  return {
+    latitude: geo.latitude,
+    longitude: geo.longitude,
+    altitude: typeof geo.altitude === 'number' ? geo.altitude : null
+  };
+}
+
+/**
+ * @private
+ */
+function splitExtension(name) {
+  const dot = name.lastIndexOf('.');
+  return dot > 0
+    ? { base: name.slice(0, dot), extension: name.slice(dot) }
+    : { base: name, extension: '' };
+}
+
+export default matchSidecars;
@@ -0,0 +1,190 @@
+/**
+ * Photo Stacks
+ * Groups files a camera records together (Live Photos, bursts, RAW+JPEG pairs)
+ * so they show as one tile with a primary photo
+ */
+
+import { MediaType } from '../models/Photo.js';
+import { MetadataExtractor, getFormatByName } from './formats.js';
+
+/**
+ * Kind of group a stack holds
+ */
+export const StackKind = Object.freeze({
+  LIVE_PHOTO: 'live_photo',
+  BURST: 'burst',
+  RAW_JPEG: 'raw_jpeg'
+});
+
+// A Live Photo's clip starts about 1.5s before the still; allow for clock rounding
+const LIVE_PHOTO_MAX_GAP_MS = 5000;
+
+// Frames further apart than this are separate shots rather than one burst
+const BURST_MAX_GAP_MS = 500;
+
+/**
+ * Check whether a file name has a camera RAW extension
+ * @param {string} name - File name or path
+ * @returns {boolean} True for the RAW formats in the registry, such as .dng or .nef
+ */
+export function isRawFileName(name) {
+  return getFormatByName(name)?.extractor === MetadataExtractor.RAW;
+}
+
+/**
+ * Find the stacks among a set of imported photos
+ * Live Photos match by content identifier or by basename; RAW+JPEG pairs by basename;
+ * bursts by burst ID or by sub-second capture times from the same camera.
+ * Only photos in the same album are stacked together
+ * @param {Object[]} items - Photos as { id, albumId, path, mediaType, dateTaken, exifData }
+ * @returns {Object[]} Stacks as { kind, primaryId, memberIds } with the primary listed first
+ */
+export function findStacks(items) {
+  const stacks = [];
+  const stacked = new Set();
+
+  const addStack = (kind, primary, members) => {
+    const others = members.filter(item => item !== primary).map(item => item.id);
+    stacks.push({ kind, primaryId: primary.id, memberIds: [primary.id, ...others] });
+    members.forEach(item => stacked.add(item));
+  };
+  const unstacked = () => items.filter(item => !stacked.has(item));
+
+  // Live Photos: the still and its clip share a content identifier
+  for (const group of groupBy(unstacked(), item => identifier(item, 'contentIdentifier'))) {
+    const still = group.find(item => !isVideo(item));
+    if (still && group.some(isVideo)) {
+      addStack(StackKind.LIVE_PHOTO, still, group);
+    }
+  }
+
+  // Same folder and basename: Live Photos copied without metadata, and RAW+JPEG pairs
+  for (const group of groupBy(unstacked(), basenameKey)) {
+    const still = group.find(item => !isVideo(item) && !isRawFileName(item.path));
+    if (!still) {
+      continue;
+    }
+
+    const clips = group.filter(item => isVideo(item) && withinGap(item, still, LIVE_PHOTO_MAX_GAP_MS));
+    const raws = group.filter(item => isRawFileName(item.path));
+    if (clips.length > 0) {
+      addStack(StackKind.LIVE_PHOTO, still, [still, ...clips]);
+    } else if (raws.length > 0) {
+      addStack(StackKind.RAW_JPEG, still, [still, ...raws]);
+    }
+  }
+
+  // Bursts tagged by the camera
+  for (const group of groupBy(unstacked().filter(item => !isVideo(item)), item => identifier(item, 'burstId'))) {
+    if (group.length > 1) {
+      const frames = group.sort(byCaptureTime);
+      addStack(StackKind.BURST, frames[0], frames);
+    }
+  }
+
+  // Untagged bursts: frames from one camera fired within a fraction of a second of each other
+  const timed = unstacked().filter(item => !isVideo(item) && item.exifData?.subSecTimeOriginal && item.dateTaken);
+  for (const group of groupBy(timed, cameraKey)) {
+    let run = [];
+    for (const item of group.sort(byCaptureTime)) {
+      if (run.length > 0 && captureMillis(item) - captureMillis(run[run.length - 1]) > BURST_MAX_GAP_MS) {
+        if (run.length > 1) {
+          addStack(StackKind.BURST, run[0], run);
+        }
+        run = [];
+      }
+      run.push(item);
+    }
+    if (run.length > 1) {
+      addStack(StackKind.BURST, run[0], run);
+    }
+  }
+
+  return stacks;
+}
+
+/**
+ * Group items by a key, skipping items without one
+ * @private
+ * @returns {Object[][]} Groups in first-seen order
+ */
+function groupBy(items, getKey) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = getKey(item);
+    if (key === null) {
+      continue;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * @private
+ */
+function identifier(item, field) {
+  const value = item.exifData?.[field];
+  return value ? `${item.albumId}|${value}` : null;
+}
+
+/**
+ * Album, folder and file name without extension, e.g. "3|DCIM/IMG_0001"
+ * @private
+ */
+function basenameKey(item) {
+  const path = item.path || '';
+  const dot = path.lastIndexOf('.');
+  const stem = dot > path.lastIndexOf('/') + 1 ? path.slice(0, dot) : path;
+  return stem ? `${item.albumId}|${stem.toLowerCase()}` : null;
+}
+
+/**
+ * @private
+ */
+function cameraKey(item) {
+  const { make, model } = item.exifData;
+  return `${item.albumId}|${make || ''}|${model || ''}`;
+}
+
+/**
+ * @private
+ */
+function isVideo(item) {
+  return item.mediaType === MediaType.VIDEO;
+}
+
+/**
+ * Check that two items were captured close together, or that either time is unknown
+ * @private
+ */
+function withinGap(a, b, maxGap) {
+  if (!a.dateTaken || !b.dateTaken) {
+    return true;
+  }
+  return Math.abs(a.dateTaken.getTime() - b.dateTaken.getTime()) <= maxGap;
+}
+
+/**
+ * Capture time including the EXIF sub-second digits, in milliseconds
+ * @private
+ */
+function captureMillis(item) {
+  if (!item.dateTaken) {
+    return Infinity;
+  }
+  const digits = String(item.exifData?.subSecTimeOriginal || '').replace(/\D/g, '');
+  return item.dateTaken.getTime() + (digits ? Number(`0.${digits}`) * 1000 : 0);
+}
+
+/**
+ * @private
+ */
+function byCaptureTime(a, b) {
+  return captureMillis(a) - captureMillis(b) || a.id - b.id;
+}
+
+export default findStacks;
@@ -0,0 +1,100 @@
+/**
+ * Thumbnail Queue
+ * Priority queue that renders one thumbnail at a time, lowest priority value first
+ */
+
+export class ThumbnailQueue {
+  /**
+   * Create a queue
+   * @param {Function} render - Async function (job) => result
+   * @param {Function} onSettled - Called with (job, result, error) when a job finishes
+   */
+  constructor(render, onSettled) {
+    this.render = render;
+    this.onSettled = onSettled;
+    this.pending = [];
+    this.running = false;
+    this.sequence = 0;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} job - Job with id, priority and optional group
+   */
+  add(job) {
+    this.pending.push({ ...job, sequence: this.sequence++ });
+    this.drain();
+  }
+
+  /**
+   * Change the priority of every pending job in a group
+   * @param {string|number} group - Group identifier (e.g. album ID)
+   * @param {number} priority - New priority
+   */
+  prioritize(group, priority) {
+    for (const job of this.pending) {
+      if (job.group === group) {
+        job.priority = priority;
+      }
+    }
+  }
+
+  /**
+   * Drop a pending job
+   * @param {number} id - Job identifier
+   * @returns {boolean} True if the job was still pending
+   */
+  cancel(id) {
+    const index = this.pending.findIndex(job => job.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.pending.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Take the next job: lowest priority value, then oldest
+   * @private
+   * @returns {Object|undefined} Next job
+   */
+  next() {
+    let best = 0;
+    for (let i = 1; i < this.pending.length; i++) {
+      const candidate = this.pending[i];
+      const current = this.pending[best];
+      if (candidate.priority < current.priority ||
+          (candidate.priority === current.priority && candidate.sequence < current.sequence)) {
+        best = i;
+      }
+    }
+    return this.pending.splice(best, 1)[0];
+  }
+
+  /**
+   * Render pending jobs until the queue is empty
+   * @private
+   */
+  async drain() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    // Yield once so jobs added together are ordered by priority before the first starts
+    await Promise.resolve();
+
+    while (this.pending.length > 0) {
+      const job = this.next();
+      try {
+        this.onSettled(job, await this.render(job), null);
+      } catch (error) {
+        this.onSettled(job, null, error);
+      }
+    }
+
+    this.running = false;
+  }
+}
+
+export default ThumbnailQueue;
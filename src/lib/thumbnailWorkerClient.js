@@ -0,0 +1,241 @@
+/**
+ * Thumbnail Worker Client
+ * Main-thread side of the thumbnail worker protocol (see src/workers/thumbnailWorker.js)
+ */
+
+import { ThumbnailError } from './errors.js';
+
+// Lower values are rendered first
+export const ThumbnailPriority = Object.freeze({
+  VISIBLE: 0,
+  NORMAL: 1,
+  BACKGROUND: 2
+});
+
+// How long one decode may run once the worker starts it; queue time isn't counted
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Start the bundled thumbnail worker
+ * @private
+ */
+function createThumbnailWorker() {
+  return new Worker(new URL('../workers/thumbnailWorker.js', import.meta.url), { type: 'module' });
+}
+
+export class ThumbnailWorkerClient {
+  /**
+   * Check whether the browser can render thumbnails in a worker
+   * @returns {boolean} True if Worker, OffscreenCanvas and createImageBitmap exist
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Create a client
+   * @param {Worker} worker - Worker instance (default: the bundled thumbnail worker)
+   * @param {Object} options - Client options
+   * @param {number} options.timeout - Milliseconds a started decode may take before the worker is
+   *   replaced (default: 10000)
+   * @param {Function} options.createWorker - Starts a replacement worker (default: the bundled one)
+   */
+  constructor(worker = null, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT_MS, createWorker = createThumbnailWorker } = options;
+    this.timeout = timeout;
+    this.createWorker = createWorker;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.failed = false;
+
+    this.attach(worker || createWorker());
+  }
+
+  /**
+   * Request a thumbnail from the worker
+   * @param {Blob} file - Image to render
+   * @param {Object} options - Render options
+   * @param {number} options.size - Maximum edge in pixels (default: 200)
+   * @param {number} options.quality - JPEG quality (default: 0.8)
+   * @param {number} options.orientation - EXIF orientation to apply (default: 1)
+   * @param {number} options.priority - ThumbnailPriority value (default: NORMAL)
+   * @param {string|number} options.group - Group for later reprioritization (e.g. album ID)
+   * @param {AbortSignal} options.signal - Cancels the request when aborted
+   * @returns {Promise<Object>} { thumbnailData, perceptualHash }
+   * @throws {ThumbnailError} When the worker fails, the decode times out or the job is cancelled
+   */
+  generate(file, options = {}) {
+    if (this.failed) {
+      return Promise.reject(new ThumbnailError('Thumbnail worker unavailable'));
+    }
+
+    const {
+      size = 200,
+      quality = 0.8,
+      orientation = 1,
+      priority = ThumbnailPriority.NORMAL,
+      group = null,
+      signal = null
+    } = options;
+    if (signal?.aborted) {
+      return Promise.reject(new ThumbnailError('Thumbnail generation cancelled', file.name || null));
+    }
+
+    const id = this.nextId++;
+    const message = { type: 'generate', id, file, size, quality, orientation, priority, group };
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.cancel(id);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, {
+        resolve,
+        reject,
+        message,
+        fileName: file.name || null,
+        timeoutId: null,
+        release: () => signal?.removeEventListener('abort', onAbort)
+      });
+      this.worker.postMessage(message);
+    });
+  }
+
+  /**
+   * Move every queued thumbnail in a group ahead of the rest
+   * @param {string|number} group - Group identifier (e.g. album ID on screen)
+   * @param {number} priority - New priority (default: VISIBLE)
+   */
+  prioritize(group, priority = ThumbnailPriority.VISIBLE) {
+    if (!this.failed) {
+      this.worker.postMessage({ type: 'prioritize', group, priority });
+    }
+  }
+
+  /**
+   * Stop the worker and reject outstanding requests
+   */
+  terminate() {
+    this.worker.terminate();
+    this.rejectAll('Thumbnail worker terminated');
+    this.failed = true;
+  }
+
+  /**
+   * Reject a request and drop it from the worker's queue
+   * A decode already running finishes in the worker and its result is ignored
+   * @private
+   * @param {number} id - Request ID
+   */
+  cancel(id) {
+    if (this.settle(id, new ThumbnailError('Thumbnail generation cancelled', this.pending.get(id)?.fileName))) {
+      this.worker.postMessage({ type: 'cancel', id });
+    }
+  }
+
+  /**
+   * Listen to a worker
+   * @private
+   * @param {Worker} worker - Worker to use from now on
+   */
+  attach(worker) {
+    this.worker = worker;
+    this.worker.onmessage = event => this.handleMessage(event.data);
+    this.worker.onerror = event => this.handleWorkerError(event);
+  }
+
+  /**
+   * Handle a worker response: start the timeout of a job it began, or settle a finished one
+   * @private
+   * @param {Object} message - Worker response
+   */
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) {
+      return;
+    }
+
+    if (message.started) {
+      request.timeoutId = setTimeout(() => this.handleTimeout(message.id), this.timeout);
+      return;
+    }
+
+    if (message.error) {
+      this.settle(message.id, new ThumbnailError(message.error, request.fileName));
+    } else {
+      this.settle(message.id, null, { thumbnailData: message.thumbnailData, perceptualHash: message.perceptualHash });
+    }
+  }
+
+  /**
+   * Give up on a stalled decode and replace the worker, since it can't be interrupted
+   * Requests still queued in the old worker are sent to the new one
+   * @private
+   * @param {number} id - Request that timed out
+   */
+  handleTimeout(id) {
+    this.settle(id, new ThumbnailError('Thumbnail generation timed out', this.pending.get(id)?.fileName));
+    this.worker.terminate();
+
+    try {
+      this.attach(this.createWorker());
+    } catch (error) {
+      this.failed = true;
+      this.rejectAll(`Thumbnail worker could not be restarted: ${error.message}`);
+      return;
+    }
+
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timeoutId);
+      request.timeoutId = null;
+      this.worker.postMessage(request.message);
+    }
+  }
+
+  /**
+   * Resolve or reject a pending request and clear its timer and abort listener
+   * @private
+   * @param {number} id - Request ID
+   * @param {Error|null} error - Rejection reason, or null to resolve
+   * @param {Object} value - Resolution value
+   * @returns {boolean} False if the request was already settled
+   */
+  settle(id, error, value = null) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return false;
+    }
+    this.pending.delete(id);
+    clearTimeout(request.timeoutId);
+    request.release();
+
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(value);
+    }
+    return true;
+  }
+
+  /**
+   * Mark the worker unusable so callers fall back to the main thread
+   * @private
+   * @param {ErrorEvent} event - Worker error event
+   */
+  handleWorkerError(event) {
+    this.failed = true;
+    this.rejectAll(`Thumbnail worker failed: ${event?.message || 'unknown error'}`);
+  }
+
+  /**
+   * @private
+   */
+  rejectAll(message) {
+    for (const [id, request] of this.pending) {
+      this.settle(id, new ThumbnailError(message, request.fileName));
+    }
+  }
+}
+
+export default ThumbnailWorkerClient;
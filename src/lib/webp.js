@@ -0,0 +1,62 @@
+/**
+ * WebP Metadata Reader
+ * Reads EXIF and XMP chunks from extended-format WebP RIFF containers
+ */
+
+import { parseTiffExif } from './exif.js';
+
+/**
+ * Check whether a buffer is a WebP RIFF container
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean} True for WebP files
+ */
+export function isWebp(buffer) {
+  return buffer.byteLength >= 12 && readFourCC(buffer, 0) === 'RIFF' && readFourCC(buffer, 8) === 'WEBP';
+}
+
+/**
+ * Parse WebP metadata chunks
+ * @param {ArrayBuffer} buffer - WebP file contents
+ * @returns {Object|null} { exif, xmp } or null if not a WebP file
+ */
+export function parseWebpMetadata(buffer) {
+  if (!isWebp(buffer)) {
+    return null;
+  }
+
+  const view = new DataView(buffer);
+  const result = { exif: null, xmp: null };
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const fourCC = readFourCC(buffer, offset);
+    const size = view.getUint32(offset + 4, true);
+    const dataStart = offset + 8;
+
+    if (dataStart + size > view.byteLength) {
+      break;
+    }
+
+    if (fourCC === 'EXIF') {
+      // Some encoders keep the JPEG-style "Exif\0\0" prefix
+      const tiffOffset = readFourCC(buffer, dataStart) === 'Exif' ? dataStart + 6 : dataStart;
+      result.exif = parseTiffExif(buffer, tiffOffset);
+    } else if (fourCC === 'XMP ') {
+      result.xmp = new TextDecoder('utf-8').decode(new Uint8Array(buffer, dataStart, size));
+    }
+
+    // Chunks are padded to an even size
+    offset = dataStart + size + (size % 2);
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ */
+function readFourCC(buffer, offset) {
+  return String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+}
+
+export default parseWebpMetadata;
@@ -0,0 +1,151 @@
+/**
+ * XMP Parser
+ * Extracts descriptive fields and capture dates from XMP packets
+ * embedded in JPEG APP1 segments, PNG iTXt chunks and WebP RIFF chunks
+ */
+
+import { readJpegSegments, segmentStartsWith } from './jpeg.js';
+
+const JPEG_XMP_SIGNATURE = 'http://ns.adobe.com/xap/1.0/\0';
+
+// Capture date properties in order of preference
+const DATE_PROPERTIES = ['exif:DateTimeOriginal', 'photoshop:DateCreated', 'xmp:CreateDate'];
+
+/**
+ * Parse an XMP packet
+ * @param {string} xml - XMP packet text
+ * @returns {Object|null} { title, description, keywords, dateCreated, rating, gps } or null
+ */
+export function parseXmp(xml) {
+  if (!xml || typeof xml !== 'string' || (!xml.includes('x:xmpmeta') && !xml.includes('rdf:RDF'))) {
+    return null;
+  }
+
+  const rating = readSimpleProperty(xml, 'xmp:Rating');
+
+  return {
+    title: readListProperty(xml, 'dc:title')[0] || null,
+    description: readListProperty(xml, 'dc:description')[0] || null,
+    keywords: readListProperty(xml, 'dc:subject'),
+    dateCreated: DATE_PROPERTIES.map(name => readSimpleProperty(xml, name)).find(Boolean) || null,
+    rating: rating !== null && !isNaN(Number(rating)) ? Number(rating) : null,
+    gps: readGps(xml)
+  };
+}
+
+/**
+ * Extract the XMP packet text from a JPEG APP1 segment
+ * @param {ArrayBuffer} buffer - JPEG file contents
+ * @returns {string|null} XMP packet text or null
+ */
+export function findJpegXmp(buffer) {
+  const view = new DataView(buffer);
+  const segment = readJpegSegments(view).find(
+    candidate => candidate.marker === 0xE1 && segmentStartsWith(view, candidate, JPEG_XMP_SIGNATURE)
+  );
+
+  if (!segment) {
+    return null;
+  }
+
+  const start = segment.dataStart + JPEG_XMP_SIGNATURE.length;
+  return new TextDecoder('utf-8').decode(new Uint8Array(buffer, start, segment.end - start));
+}
+
+/**
+ * Read a property written as an attribute or as a plain element
+ * @private
+ */
+function readSimpleProperty(xml, name) {
+  const attribute = xml.match(new RegExp(`${escapeName(name)}="([^"]*)"`));
+  if (attribute) {
+    return decodeEntities(attribute[1]).trim();
+  }
+
+  const element = xml.match(new RegExp(`<${escapeName(name)}>([^<]*)</${escapeName(name)}>`));
+  return element ? decodeEntities(element[1]).trim() : null;
+}
+
+/**
+ * Read a property that may be an rdf:Alt/Bag/Seq container or a single value
+ * @private
+ * @returns {string[]} Property values
+ */
+function readListProperty(xml, name) {
+  const element = xml.match(new RegExp(`<${escapeName(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeName(name)}>`));
+  if (!element) {
+    const simple = readSimpleProperty(xml, name);
+    return simple ? [simple] : [];
+  }
+
+  const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([^<]*)<\/rdf:li>/g)]
+    .map(match => decodeEntities(match[1]).trim())
+    .filter(Boolean);
+
+  if (items.length > 0) {
+    return items;
+  }
+
+  const text = decodeEntities(element[1]).trim();
+  return text && !text.includes('<') ? [text] : [];
+}
+
+/**
+ * Read exif:GPSLatitude/GPSLongitude, written as "DDD,MM,SSk" or "DDD,MM.mmk"
+ * @private
+ * @returns {Object|null} { latitude, longitude, altitude } in signed decimal degrees
+ */
+function readGps(xml) {
+  const latitude = parseXmpCoordinate(readSimpleProperty(xml, 'exif:GPSLatitude'));
+  const longitude = parseXmpCoordinate(readSimpleProperty(xml, 'exif:GPSLongitude'));
+
+  if (latitude === null || longitude === null) {
+    return null;
+  }
+
+  // Altitude is a rational such as "1234/10"; ref 1 means below sea level
+  const rawAltitude = readSimpleProperty(xml, 'exif:GPSAltitude');
+  const [numerator, denominator = 1] = rawAltitude ? rawAltitude.split('/').map(Number) : [NaN];
+  let altitude = Number.isFinite(numerator / denominator) ? numerator / denominator : null;
+  if (altitude !== null && readSimpleProperty(xml, 'exif:GPSAltitudeRef') === '1') {
+    altitude = -altitude;
+  }
+
+  return { latitude, longitude, altitude };
+}
+
+/**
+ * @private
+ */
+function parseXmpCoordinate(value) {
+  const match = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const decimal = Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+  return /[SW]/i.test(match[4]) ? -decimal : decimal;
+}
+
+/**
+ * @private
+ */
+function escapeName(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @private
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+export default parseXmp;
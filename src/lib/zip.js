@@ -0,0 +1,390 @@
+/**
+ * ZIP Reader
+ * Streaming reader for ZIP archives (stored and deflate entries, ZIP64, UTF-8 names)
+ * Only the central directory and the entry being extracted are read into memory
+ */
+
+import { FileSystemError } from './errors.js';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIZE = 30;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const EXTRA_ZIP64 = 0x0001;
+const EXTRA_EXTENDED_TIMESTAMP = 0x5455;
+const EXTRA_UNICODE_PATH = 0x7075;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+export const ZipMethod = Object.freeze({
+  STORED: 0,
+  DEFLATE: 8
+});
+
+// Upper half of code page 437, the encoding of names without the UTF-8 flag
+const CP437_HIGH =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+  '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ';
+
+let crcTable = null;
+
+/**
+ * Check whether a file looks like a ZIP archive by name or MIME type
+ * @param {File} file - Candidate file
+ * @returns {boolean} True for .zip files
+ */
+export function isZipFile(file) {
+  return ['application/zip', 'application/x-zip-compressed'].includes(file?.type) ||
+    /\.zip$/i.test(file?.name || '');
+}
+
+/**
+ * Read the entry list from an archive's central directory
+ * @param {Blob} blob - ZIP archive
+ * @returns {Promise<Object[]>} Entries as { path, method, size, compressedSize, crc32,
+ *   localHeaderOffset, lastModified, encrypted, isDirectory }
+ * @throws {FileSystemError} When the archive is not a readable ZIP file
+ */
+export async function readZipEntries(blob) {
+  const { entryCount, directoryOffset, directorySize } = await readEndOfCentralDirectory(blob);
+
+  const view = await readView(blob, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + CENTRAL_HEADER_SIZE > view.byteLength || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new FileSystemError('Corrupt ZIP central directory', blob.name || null);
+    }
+
+    const entry = parseCentralHeader(view, offset);
+    entries.push(entry);
+    offset += entry.headerLength;
+  }
+
+  return entries.map(({ headerLength, ...entry }) => entry);
+}
+
+/**
+ * Stream an entry's uncompressed contents, verifying size and CRC-32 at the end
+ * @param {Blob} blob - ZIP archive
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {Promise<ReadableStream<Uint8Array>>} Uncompressed data
+ * @throws {FileSystemError} When the entry is encrypted, uses another method or is corrupt
+ */
+export async function openZipEntry(blob, entry) {
+  if (entry.encrypted) {
+    throw new FileSystemError('Encrypted ZIP entries are not supported', entry.path);
+  }
+  if (entry.method !== ZipMethod.STORED && entry.method !== ZipMethod.DEFLATE) {
+    throw new FileSystemError(`Unsupported ZIP compression method ${entry.method}`, entry.path);
+  }
+
+  // The local header's name and extra field lengths may differ from the central copy
+  const header = await readView(blob, entry.localHeaderOffset, LOCAL_HEADER_SIZE);
+  if (header.byteLength < LOCAL_HEADER_SIZE || header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new FileSystemError('Corrupt ZIP local header', entry.path);
+  }
+
+  const dataStart = entry.localHeaderOffset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+  let stream = blob.slice(dataStart, dataStart + entry.compressedSize).stream();
+
+  if (entry.method === ZipMethod.DEFLATE) {
+    stream = stream.pipeThrough(new DecompressionStream('deflate-raw'));
+  }
+
+  return stream.pipeThrough(createVerifier(entry));
+}
+
+/**
+ * Read an entry completely
+ * @param {Blob} blob - ZIP archive
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {Promise<Uint8Array[]>} Uncompressed data chunks
+ * @throws {FileSystemError} When the entry can't be extracted
+ */
+export async function readZipEntry(blob, entry) {
+  const reader = (await openZipEntry(blob, entry)).getReader();
+  const chunks = [];
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return chunks;
+      }
+      chunks.push(value);
+    }
+  } catch (error) {
+    if (error instanceof FileSystemError) {
+      throw error;
+    }
+    throw new FileSystemError(`Failed to extract ZIP entry: ${error.message}`, entry.path, error);
+  }
+}
+
+/**
+ * Compute the CRC-32 of a chunk, continuing from a previous value
+ * @param {Uint8Array} bytes - Data
+ * @param {number} crc - Previous CRC (default: 0)
+ * @returns {number} Updated CRC as an unsigned 32-bit integer
+ */
+export function crc32(bytes, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Locate the central directory, following the ZIP64 locator when present
+ * @private
+ * @param {Blob} blob - ZIP archive
+ * @returns {Promise<Object>} { entryCount, directoryOffset, directorySize }
+ */
+async function readEndOfCentralDirectory(blob) {
+  const tailSize = Math.min(blob.size, EOCD_SIZE + MAX_COMMENT_SIZE);
+  const tailStart = blob.size - tailSize;
+  const tail = await readView(blob, tailStart, tailSize);
+
+  let eocd = -1;
+  for (let offset = tail.byteLength - EOCD_SIZE; offset >= 0; offset--) {
+    if (tail.getUint32(offset, true) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new FileSystemError('Not a ZIP archive', blob.name || null);
+  }
+
+  let entryCount = tail.getUint16(eocd + 10, true);
+  let directorySize = tail.getUint32(eocd + 12, true);
+  let directoryOffset = tail.getUint32(eocd + 16, true);
+
+  const locator = eocd - ZIP64_LOCATOR_SIZE;
+  if (locator >= 0 && tail.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+    const recordOffset = readUint64(tail, locator + 8);
+    const record = await readView(blob, recordOffset, 56);
+    if (record.byteLength < 56 || record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+      throw new FileSystemError('Corrupt ZIP64 end of central directory', blob.name || null);
+    }
+
+    entryCount = readUint64(record, 32);
+    directorySize = readUint64(record, 40);
+    directoryOffset = readUint64(record, 48);
+  }
+
+  return { entryCount, directoryOffset, directorySize };
+}
+
+/**
+ * Parse one central directory header
+ * @private
+ * @param {DataView} view - Central directory
+ * @param {number} offset - Header position
+ * @returns {Object} Entry plus headerLength
+ */
+function parseCentralHeader(view, offset) {
+  const flags = view.getUint16(offset + 8, true);
+  const nameLength = view.getUint16(offset + 28, true);
+  const extraLength = view.getUint16(offset + 30, true);
+  const commentLength = view.getUint16(offset + 32, true);
+
+  const nameStart = offset + CENTRAL_HEADER_SIZE;
+  const nameBytes = new Uint8Array(view.buffer, view.byteOffset + nameStart, nameLength);
+  const extra = readExtraFields(view, nameStart + nameLength, extraLength);
+
+  let size = view.getUint32(offset + 24, true);
+  let compressedSize = view.getUint32(offset + 20, true);
+  let localHeaderOffset = view.getUint32(offset + 42, true);
+
+  // ZIP64 values appear only for the fields whose 32-bit slot is saturated, in this order
+  const zip64 = extra.get(EXTRA_ZIP64);
+  if (zip64) {
+    let position = 0;
+    const next = () => {
+      const value = position + 8 <= zip64.byteLength ? readUint64(zip64, position) : null;
+      position += 8;
+      return value;
+    };
+    if (size === 0xffffffff) size = next() ?? size;
+    if (compressedSize === 0xffffffff) compressedSize = next() ?? compressedSize;
+    if (localHeaderOffset === 0xffffffff) localHeaderOffset = next() ?? localHeaderOffset;
+  }
+
+  const rawName = decodeName(nameBytes, flags, extra.get(EXTRA_UNICODE_PATH));
+
+  return {
+    path: normalizePath(rawName),
+    method: view.getUint16(offset + 10, true),
+    size,
+    compressedSize,
+    crc32: view.getUint32(offset + 16, true),
+    localHeaderOffset,
+    lastModified: readModificationTime(view, offset, extra.get(EXTRA_EXTENDED_TIMESTAMP)),
+    encrypted: Boolean(flags & FLAG_ENCRYPTED),
+    isDirectory: rawName.endsWith('/') || rawName.endsWith('\\'),
+    headerLength: CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength
+  };
+}
+
+/**
+ * Split an extra field block into its records
+ * @private
+ * @param {DataView} view - Central directory
+ * @param {number} start - Extra field position
+ * @param {number} length - Extra field length
+ * @returns {Map<number, DataView>} Record data by header ID
+ */
+function readExtraFields(view, start, length) {
+  const fields = new Map();
+  const end = start + length;
+
+  for (let offset = start; offset + 4 <= end;) {
+    const id = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    if (offset + 4 + size > end) {
+      break;
+    }
+    fields.set(id, new DataView(view.buffer, view.byteOffset + offset + 4, size));
+    offset += 4 + size;
+  }
+
+  return fields;
+}
+
+/**
+ * Decode an entry name
+ * @private
+ * @param {Uint8Array} bytes - Raw name
+ * @param {number} flags - General purpose flags
+ * @param {DataView|undefined} unicodePath - Info-ZIP Unicode Path extra field
+ * @returns {string} Entry name
+ */
+function decodeName(bytes, flags, unicodePath) {
+  if (flags & FLAG_UTF8) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+
+  // Only trust the Unicode Path field while it still describes this name
+  if (unicodePath && unicodePath.byteLength > 5 && unicodePath.getUint8(0) === 1 &&
+      unicodePath.getUint32(1, true) === crc32(bytes)) {
+    return new TextDecoder('utf-8').decode(
+      new Uint8Array(unicodePath.buffer, unicodePath.byteOffset + 5, unicodePath.byteLength - 5)
+    );
+  }
+
+  let name = '';
+  for (const byte of bytes) {
+    name += byte < 0x80 ? String.fromCharCode(byte) : CP437_HIGH[byte - 0x80];
+  }
+  return name;
+}
+
+/**
+ * Turn an entry name into a clean relative path
+ * @private
+ * @param {string} name - Entry name
+ * @returns {string} Path with forward slashes and no empty, "." or ".." segments
+ */
+function normalizePath(name) {
+  return name
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join('/');
+}
+
+/**
+ * Read an entry's modification time
+ * Prefers the Unix timestamp extra field over the local-time DOS fields
+ * @private
+ * @param {DataView} view - Central directory
+ * @param {number} offset - Header position
+ * @param {DataView|undefined} timestamp - Extended timestamp extra field
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function readModificationTime(view, offset, timestamp) {
+  if (timestamp && timestamp.byteLength >= 5 && (timestamp.getUint8(0) & 1)) {
+    return timestamp.getUint32(1, true) * 1000;
+  }
+
+  const time = view.getUint16(offset + 12, true);
+  const date = view.getUint16(offset + 14, true);
+  if (date === 0) {
+    return null;
+  }
+
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+}
+
+/**
+ * Create a pass-through stream that checks the extracted size and CRC-32
+ * @private
+ * @param {Object} entry - Entry being extracted
+ * @returns {TransformStream} Verifying transform
+ */
+function createVerifier(entry) {
+  let crc = 0;
+  let size = 0;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      if (size !== entry.size || crc !== entry.crc32) {
+        throw new FileSystemError('ZIP entry is corrupt (size or CRC-32 mismatch)', entry.path);
+      }
+    }
+  });
+}
+
+/**
+ * Read part of a blob into a DataView
+ * @private
+ */
+async function readView(blob, start, length) {
+  return new DataView(await blob.slice(start, start + length).arrayBuffer());
+}
+
+/**
+ * @private
+ */
+function readUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+export default readZipEntries;
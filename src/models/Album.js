@@ -341,6 +341,25 @@ export class Album {
     };
   }
 
+  /**
+   * Get the date period ("YYYY-MM") a capture date falls in
+   * @param {Date|string|null} photoDate - Capture date or local wall-clock time
+   * @returns {string} Date period, or 'undated' when the date is missing or invalid
+   */
+  static getDatePeriod(photoDate) {
+    if (typeof photoDate === 'string') {
+      return /^\d{4}-\d{2}(?:-|$)/.test(photoDate) ? photoDate.slice(0, 7) : 'undated';
+    }
+
+    if (!(photoDate instanceof Date) || isNaN(photoDate.getTime())) {
+      return 'undated';
+    }
+
+    const year = photoDate.getFullYear();
+    const month = String(photoDate.getMonth() + 1).padStart(2, '0');
+    return `${year}-${month}`;
+  }
+
   /**
    * Generate suggested album name from date period
    * @param {string} datePeriod - Date period in YYYY-MM format or "undated"
@@ -0,0 +1,102 @@
+/**
+ * ImportRule Model
+ * User-defined rule that places, tags or skips photos during import
+ */
+
+import { validateImportRule } from '../lib/importRules.js';
+
+export class ImportRule {
+  /**
+   * Create a new ImportRule instance
+   * @param {Object} data - Rule data object
+   * @param {number} data.id - Unique identifier for the rule
+   * @param {string} data.name - Display name for the rule
+   * @param {number} data.position - Evaluation order (lowest first)
+   * @param {boolean} data.enabled - Whether the rule runs on import
+   * @param {Object[]} data.conditions - Conditions { field, operator, value }, all of which must hold
+   * @param {Object[]} data.actions - Actions { type, ... } applied when the rule matches
+   * @param {Date} data.createdAt - Rule creation timestamp
+   * @param {Date} data.updatedAt - Last modification timestamp
+   */
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.position = data.position || 0;
+    this.enabled = data.enabled ?? true;
+    this.conditions = data.conditions || [];
+    this.actions = data.actions || [];
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Validate rule data
+   * @returns {Object} Validation result with isValid boolean and errors array
+   */
+  validate() {
+    const errors = validateImportRule(this);
+
+    if (typeof this.position !== 'number' || this.position < 0) {
+      errors.push('Position must be a non-negative number');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convert rule instance to database row format
+   * @returns {Object} Database row object
+   */
+  toDbRow() {
+    return {
+      id: this.id,
+      name: this.name,
+      position: this.position,
+      enabled: this.enabled ? 1 : 0,
+      conditions: JSON.stringify(this.conditions),
+      actions: JSON.stringify(this.actions),
+      created_at: this.createdAt.toISOString(),
+      updated_at: this.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Create ImportRule instance from database row
+   * @param {Object} row - Database row object
+   * @returns {ImportRule} ImportRule instance
+   */
+  static fromDbRow(row) {
+    return new ImportRule({
+      id: row.id,
+      name: row.name,
+      position: row.position,
+      enabled: Boolean(row.enabled),
+      conditions: row.conditions ? JSON.parse(row.conditions) : [],
+      actions: row.actions ? JSON.parse(row.actions) : [],
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    });
+  }
+
+  /**
+   * Convert to plain object for JSON serialization
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      position: this.position,
+      enabled: this.enabled,
+      conditions: this.conditions,
+      actions: this.actions,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+}
+
+export default ImportRule;
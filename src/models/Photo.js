@@ -4,6 +4,28 @@
  * Based on data-model.md Photo entity definition
  */
 
+import { orientationToCss } from '../lib/orientation.js';
+import { getFormatByName } from '../lib/formats.js';
+
+/**
+ * Where a photo's dateTaken came from, most to least reliable
+ */
+export const DateSource = Object.freeze({
+  EXIF: 'exif',
+  VIDEO_HEADER: 'video_header',
+  SIDECAR: 'sidecar',
+  FILENAME: 'filename',
+  FILE_MODIFIED: 'file_modified'
+});
+
+/**
+ * Kind of media a library item holds
+ */
+export const MediaType = Object.freeze({
+  PHOTO: 'photo',
+  VIDEO: 'video'
+});
+
 export class Photo {
   /**
    * Create a new Photo instance
@@ -13,12 +35,25 @@ export class Photo {
    * @param {string} data.fileName - Original filename of the photo
    * @param {number} data.fileSize - File size in bytes
    * @param {Date|null} data.dateTaken - Date when photo was taken (from EXIF data)
+   * @param {string|null} data.dateSource - DateSource value describing where dateTaken came from
+   * @param {string|null} data.dateTakenLocal - Wall-clock capture time where the photo was taken ("YYYY-MM-DDTHH:MM:SS")
+   * @param {number|null} data.timezoneOffset - UTC offset of dateTakenLocal in minutes, if known
    * @param {Date} data.dateAdded - When photo was added to system
    * @param {number} data.albumId - Foreign key reference to album
-   * @param {number} data.width - Original photo width in pixels
-   * @param {number} data.height - Original photo height in pixels
+   * @param {number} data.width - Photo width in pixels, after applying orientation
+   * @param {number} data.height - Photo height in pixels, after applying orientation
+   * @param {number} data.orientation - EXIF orientation (1-8) of the stored pixels
+   * @param {boolean} data.favorite - Marked as favorite (e.g. imported from a Takeout sidecar)
    * @param {string|null} data.thumbnailData - Base64 encoded thumbnail image data
    * @param {Object|null} data.exifData - Additional EXIF metadata
+   * @param {string|null} data.contentHash - SHA-256 hash of the file contents
+   * @param {string|null} data.perceptualHash - dHash of the thumbnail for near-duplicate search
+   * @param {string} data.mediaType - MediaType value
+   * @param {number|null} data.duration - Video length in seconds
+   * @param {number|null} data.stackId - Stack (Live Photo, burst, RAW+JPEG) the photo belongs to
+   * @param {number|null} data.originalSize - Bytes of the original in the originals store, null if none is kept
+   * @param {string|null} data.stackKind - StackKind of the stack, when loaded with it
+   * @param {number|null} data.stackSize - Number of photos in the stack, when loaded with it
    */
   constructor(data = {}) {
     this.id = data.id || null;
@@ -26,12 +61,25 @@ export class Photo {
     this.fileName = data.fileName || '';
     this.fileSize = data.fileSize || 0;
     this.dateTaken = data.dateTaken || null;
+    this.dateSource = data.dateSource || null;
+    this.dateTakenLocal = data.dateTakenLocal || null;
+    this.timezoneOffset = data.timezoneOffset ?? null;
     this.dateAdded = data.dateAdded || new Date();
     this.albumId = data.albumId || null;
     this.width = data.width || 0;
     this.height = data.height || 0;
+    this.orientation = data.orientation || 1;
+    this.favorite = Boolean(data.favorite);
     this.thumbnailData = data.thumbnailData || null;
     this.exifData = data.exifData || null;
+    this.contentHash = data.contentHash || null;
+    this.perceptualHash = data.perceptualHash || null;
+    this.mediaType = data.mediaType || MediaType.PHOTO;
+    this.duration = data.duration ?? null;
+    this.stackId = data.stackId || null;
+    this.originalSize = data.originalSize ?? null;
+    this.stackKind = data.stackKind || null;
+    this.stackSize = data.stackSize ?? null;
   }
 
   /**
@@ -108,12 +156,23 @@ export class Photo {
       file_name: this.fileName,
       file_size: this.fileSize,
       date_taken: this.dateTaken ? this.dateTaken.toISOString() : null,
+      date_source: this.dateSource,
+      date_taken_local: this.dateTakenLocal,
+      timezone_offset: this.timezoneOffset,
       date_added: this.dateAdded.toISOString(),
       album_id: this.albumId,
       width: this.width,
       height: this.height,
+      orientation: this.orientation,
+      favorite: this.favorite ? 1 : 0,
       thumbnail_data: this.thumbnailData,
-      exif_data: this.exifData ? JSON.stringify(this.exifData) : null
+      exif_data: this.exifData ? JSON.stringify(this.exifData) : null,
+      content_hash: this.contentHash,
+      perceptual_hash: this.perceptualHash,
+      media_type: this.mediaType,
+      duration: this.duration,
+      stack_id: this.stackId,
+      original_size: this.originalSize
     };
   }
 
@@ -129,12 +188,25 @@ export class Photo {
       fileName: row.file_name,
       fileSize: row.file_size,
       dateTaken: row.date_taken ? new Date(row.date_taken) : null,
+      dateSource: row.date_source || null,
+      dateTakenLocal: row.date_taken_local || null,
+      timezoneOffset: row.timezone_offset ?? null,
       dateAdded: new Date(row.date_added),
       albumId: row.album_id,
       width: row.width,
       height: row.height,
+      orientation: row.orientation,
+      favorite: Boolean(row.favorite),
       thumbnailData: row.thumbnail_data,
-      exifData: row.exif_data ? JSON.parse(row.exif_data) : null
+      exifData: row.exif_data ? JSON.parse(row.exif_data) : null,
+      contentHash: row.content_hash,
+      perceptualHash: row.perceptual_hash,
+      mediaType: row.media_type || MediaType.PHOTO,
+      duration: row.duration ?? null,
+      stackId: row.stack_id || null,
+      originalSize: row.original_size ?? null,
+      stackKind: row.stack_kind || null,
+      stackSize: row.stack_size ?? null
     });
   }
 
@@ -144,9 +216,17 @@ export class Photo {
    * @param {Object} options - Additional options
    * @param {number} options.albumId - Album ID to assign
    * @param {Date|null} options.dateTaken - Date taken from EXIF
+   * @param {string|null} options.dateSource - DateSource value for dateTaken
+   * @param {string|null} options.dateTakenLocal - Local wall-clock capture time
+   * @param {number|null} options.timezoneOffset - UTC offset of dateTakenLocal in minutes
    * @param {number|null} options.width - Image width
    * @param {number|null} options.height - Image height
+   * @param {number} options.orientation - EXIF orientation
+   * @param {boolean} options.favorite - Favorite flag from sidecar metadata
    * @param {Object|null} options.exifData - EXIF metadata
+   * @param {string|null} options.contentHash - SHA-256 hash of the file contents
+   * @param {string} options.mediaType - MediaType value
+   * @param {number|null} options.duration - Video length in seconds
    * @returns {Photo} Photo instance
    */
   static fromFile(file, options = {}) {
@@ -155,12 +235,20 @@ export class Photo {
       fileName: file.name,
       fileSize: file.size,
       dateTaken: options.dateTaken || null,
+      dateSource: options.dateSource || null,
+      dateTakenLocal: options.dateTakenLocal || null,
+      timezoneOffset: options.timezoneOffset ?? null,
       dateAdded: new Date(),
       albumId: options.albumId || null,
       width: options.width || null,
       height: options.height || null,
+      orientation: options.orientation || 1,
+      favorite: options.favorite || false,
       thumbnailData: null, // Generated later
-      exifData: options.exifData || null
+      exifData: options.exifData || null,
+      contentHash: options.contentHash || null,
+      mediaType: options.mediaType || MediaType.PHOTO,
+      duration: options.duration ?? null
     });
   }
 
@@ -199,6 +287,15 @@ export class Photo {
     return this.width / this.height;
   }
 
+  /**
+   * Get the CSS transform that shows the stored pixels upright
+   * Browsers apply orientation to <img> themselves; use this when drawing raw pixels
+   * @returns {string} CSS transform value
+   */
+  getOrientationTransform() {
+    return orientationToCss(this.orientation);
+  }
+
   /**
    * Get formatted file size
    * @returns {string} Human-readable file size
@@ -224,6 +321,41 @@ export class Photo {
     return !!(this.thumbnailData && this.thumbnailData.length > 0);
   }
 
+  /**
+   * Check if the item is a video clip
+   * @returns {boolean} True for videos
+   */
+  isVideo() {
+    return this.mediaType === MediaType.VIDEO;
+  }
+
+  /**
+   * Check if the photo is part of a stack
+   * @returns {boolean} True for Live Photo, burst and RAW+JPEG members
+   */
+  isStacked() {
+    return this.stackId !== null;
+  }
+
+  /**
+   * Get formatted video duration
+   * @returns {string|null} Duration as "m:ss" or "h:mm:ss", or null for photos and unknown lengths
+   */
+  getFormattedDuration() {
+    if (!this.isVideo() || this.duration === null) {
+      return null;
+    }
+
+    const total = Math.round(this.duration);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
+
   /**
    * Get photo file extension
    * @returns {string} File extension in lowercase
@@ -241,8 +373,7 @@ export class Photo {
    * @returns {boolean} True if photo format is supported
    */
   isSupportedFormat() {
-    const supportedExtensions = ['jpg', 'jpeg', 'png', 'heic', 'tiff', 'tif'];
-    return supportedExtensions.includes(this.getFileExtension());
+    return getFormatByName(this.fileName) !== null;
   }
 
   /**
@@ -256,12 +387,25 @@ export class Photo {
       fileName: this.fileName,
       fileSize: this.fileSize,
       dateTaken: this.dateTaken ? new Date(this.dateTaken) : null,
+      dateSource: this.dateSource,
+      dateTakenLocal: this.dateTakenLocal,
+      timezoneOffset: this.timezoneOffset,
       dateAdded: new Date(this.dateAdded),
       albumId: this.albumId,
       width: this.width,
       height: this.height,
+      orientation: this.orientation,
+      favorite: this.favorite,
       thumbnailData: this.thumbnailData,
-      exifData: this.exifData ? { ...this.exifData } : null
+      exifData: this.exifData ? { ...this.exifData } : null,
+      contentHash: this.contentHash,
+      perceptualHash: this.perceptualHash,
+      mediaType: this.mediaType,
+      duration: this.duration,
+      stackId: this.stackId,
+      originalSize: this.originalSize,
+      stackKind: this.stackKind,
+      stackSize: this.stackSize
     });
   }
 
@@ -276,12 +420,25 @@ export class Photo {
       fileName: this.fileName,
       fileSize: this.fileSize,
       dateTaken: this.dateTaken ? this.dateTaken.toISOString() : null,
+      dateSource: this.dateSource,
+      dateTakenLocal: this.dateTakenLocal,
+      timezoneOffset: this.timezoneOffset,
       dateAdded: this.dateAdded.toISOString(),
       albumId: this.albumId,
       width: this.width,
       height: this.height,
+      orientation: this.orientation,
+      favorite: this.favorite,
       thumbnailData: this.thumbnailData,
-      exifData: this.exifData
+      exifData: this.exifData,
+      contentHash: this.contentHash,
+      perceptualHash: this.perceptualHash,
+      mediaType: this.mediaType,
+      duration: this.duration,
+      stackId: this.stackId,
+      originalSize: this.originalSize,
+      stackKind: this.stackKind,
+      stackSize: this.stackSize
     };
   }
 }
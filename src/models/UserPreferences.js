@@ -4,6 +4,15 @@
  * Based on data-model.md UserPreferences entity definition
  */
 
+import { FORMATS, ImportLimit } from '../lib/formats.js';
+
+// Preference holding the size limit for each kind of import
+const IMPORT_SIZE_KEYS = Object.freeze({
+  [ImportLimit.PHOTO]: 'max_import_size',
+  [ImportLimit.RAW]: 'max_raw_import_size',
+  [ImportLimit.VIDEO]: 'max_video_import_size'
+});
+
 export class UserPreferences {
   /**
    * Create a new UserPreferences instance
@@ -163,7 +172,9 @@ export class PreferencesManager {
       ['show_undated_album', true],
       ['thumbnail_quality', 0.8],
       ['max_import_size', 50 * 1024 * 1024], // 50MB
-      ['supported_formats', ['jpg', 'jpeg', 'png', 'heic', 'tiff']],
+      ['max_raw_import_size', 200 * 1024 * 1024], // 200MB
+      ['max_video_import_size', 500 * 1024 * 1024], // 500MB
+      ['supported_formats', FORMATS.map(format => format.id)],
       ['ui_theme', 'light']
     ]);
   }
@@ -265,18 +276,20 @@ export class PreferencesManager {
 
   /**
    * Get maximum import file size
+   * @param {string} limit - ImportLimit of the format (default: photo)
    * @returns {number} Maximum file size in bytes
    */
-  getMaxImportSize() {
-    return this.get('max_import_size', 50 * 1024 * 1024);
+  getMaxImportSize(limit = ImportLimit.PHOTO) {
+    const key = IMPORT_SIZE_KEYS[limit] || IMPORT_SIZE_KEYS[ImportLimit.PHOTO];
+    return this.get(key, this.defaultPreferences.get(key));
   }
 
   /**
    * Get supported file formats
-   * @returns {string[]} Array of supported file extensions
+   * @returns {string[]} Format registry IDs (or, in older settings, extensions) that may be imported
    */
   getSupportedFormats() {
-    return this.get('supported_formats', ['jpg', 'jpeg', 'png', 'heic', 'tiff']);
+    return this.get('supported_formats', this.defaultPreferences.get('supported_formats'));
   }
 
   /**
@@ -398,6 +411,25 @@ export class PreferencesManager {
         }
         break;
 
+      case 'max_raw_import_size':
+        if (typeof value !== 'number' || value < 1024 || value > 1024 * 1024 * 1024) {
+          errors.push('Max RAW import size must be between 1KB and 1GB');
+        }
+        break;
+
+      case 'max_video_import_size':
+        if (typeof value !== 'number' || value < 1024 || value > 4 * 1024 * 1024 * 1024) {
+          errors.push('Max video import size must be between 1KB and 4GB');
+        }
+        break;
+
+      case 'supported_formats':
+        if (!Array.isArray(value) ||
+          !value.every(id => FORMATS.some(format => format.id === id || format.extensions.includes(id)))) {
+          errors.push(`Supported formats must be a list of: ${FORMATS.map(format => format.id).join(', ')}`);
+        }
+        break;
+
       case 'ui_theme':
         if (!['light', 'dark'].includes(value)) {
           errors.push('UI theme must be "light" or "dark"');
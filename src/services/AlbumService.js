@@ -179,38 +179,43 @@ export class AlbumService {
 
   /**
    * Get or create album for photo date
-   * @param {Date|null} photoDate - Photo date from EXIF data
+   * Photos are grouped by their local capture time, so pass the wall-clock string where
+   * known; a Date is read in the importing machine's timezone
+   * @param {Date|string|null} photoDate - Capture date, or local wall-clock time ("YYYY-MM-DDTHH:MM:SS")
+   * @param {string|null} nameHint - Name for the album if it has to be created (e.g. source folder);
+   *   ignored for the undated album
    * @returns {Promise<Album>} Existing or newly created album
    * @throws {AlbumError} When album creation fails
    */
-  async getOrCreateAlbumForDate(photoDate) {
-    let datePeriod, albumName;
-
-    if (!photoDate || !(photoDate instanceof Date) || isNaN(photoDate.getTime())) {
-      datePeriod = 'undated';
-      albumName = 'Undated Photos';
-    } else {
-      const year = photoDate.getFullYear();
-      const month = String(photoDate.getMonth() + 1).padStart(2, '0');
-      datePeriod = `${year}-${month}`;
-      albumName = Album.generateNameFromDatePeriod(datePeriod);
-    }
-
+  async getOrCreateAlbumForDate(photoDate, nameHint = null) {
     try {
       // Check if album already exists
-      let album = await this.getAlbumByDatePeriod(datePeriod);
-      
-      if (!album) {
-        // Create new album
-        album = await this.createAlbum(datePeriod, albumName);
-      }
+      const { datePeriod, name, album } = await this.findAlbumForDate(photoDate, nameHint);
 
-      return album;
+      // Create new album
+      return album || await this.createAlbum(datePeriod, name);
     } catch (error) {
       throw new AlbumError(`Failed to get or create album for date: ${error.message}`, null, error);
     }
   }
 
+  /**
+   * Work out which album a photo date belongs to without creating it
+   * @param {Date|string|null} photoDate - Capture date, or local wall-clock time ("YYYY-MM-DDTHH:MM:SS")
+   * @param {string|null} nameHint - Name the album would get if it had to be created
+   * @returns {Promise<Object>} { datePeriod, name, album } where album is null if it doesn't exist yet
+   * @throws {DatabaseError} When the lookup fails
+   */
+  async findAlbumForDate(photoDate, nameHint = null) {
+    const datePeriod = Album.getDatePeriod(photoDate);
+    const album = await this.getAlbumByDatePeriod(datePeriod);
+    const name = album?.name || (datePeriod === 'undated'
+      ? 'Undated Photos'
+      : nameHint?.trim() || Album.generateNameFromDatePeriod(datePeriod));
+
+    return { datePeriod, name, album };
+  }
+
   /**
    * Get album by date period
    * @param {string} datePeriod - Date period identifier
@@ -417,9 +422,38 @@ export class AlbumService {
     return await this.updateAlbum(albumId, { cover_photo_id: coverPhotoId });
   }
 
+  /**
+   * Recompute an album's photo count and replace its cover if the cover photo has left the album
+   * @param {number} albumId - Album identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  async recalculateAlbum(albumId) {
+    const album = await this.getAlbumById(albumId);
+    if (!album) {
+      return false;
+    }
+
+    await this.updateAlbumPhotoCount(albumId);
+
+    if (album.hasCoverPhoto()) {
+      const cover = await this.db.get(
+        'SELECT id FROM photos WHERE id = ? AND album_id = ?',
+        [album.coverPhotoId, albumId]
+      );
+      if (cover) {
+        return true;
+      }
+    }
+
+    return await this.updateAlbumCover(albumId);
+  }
+
   /**
    * Get albums with statistics
-   * @returns {Promise<Object[]>} Albums with photo counts and date ranges
+   * Storage is counted from what the library holds: stored originals by their size, renditions
+   * and legacy thumbnails by the length of their data
+   * @returns {Promise<Object[]>} Albums with photo counts, date ranges and storage use in bytes
+   *   (originalBytes, renditionBytes, of which previewBytes, and totalBytes)
    */
   async getAlbumsWithStats() {
     try {
@@ -428,20 +462,37 @@ export class AlbumService {
           a.*,
           COUNT(p.id) as actual_photo_count,
           MIN(p.date_taken) as earliest_photo,
-          MAX(p.date_taken) as latest_photo
+          MAX(p.date_taken) as latest_photo,
+          COALESCE(SUM(p.original_size), 0) as original_bytes,
+          COALESCE(SUM(LENGTH(p.thumbnail_data)), 0) + COALESCE(SUM(r.rendition_bytes), 0) as rendition_bytes,
+          COALESCE(SUM(r.preview_bytes), 0) as preview_bytes
         FROM albums a
         LEFT JOIN photos p ON a.id = p.album_id
+        LEFT JOIN (
+          SELECT
+            photo_id,
+            SUM(LENGTH(data)) as rendition_bytes,
+            SUM(CASE WHEN kind = 'preview' THEN LENGTH(data) ELSE 0 END) as preview_bytes
+          FROM photo_renditions
+          GROUP BY photo_id
+        ) r ON r.photo_id = p.id
         GROUP BY a.id
         ORDER BY a.display_order ASC, a.created_at DESC
       `);
 
       return rows.map(row => {
         const album = Album.fromDbRow(row);
+        const originalBytes = row.original_bytes || 0;
+        const renditionBytes = row.rendition_bytes || 0;
         return {
           ...album.toJSON(),
           actualPhotoCount: row.actual_photo_count || 0,
           earliestPhoto: row.earliest_photo ? new Date(row.earliest_photo) : null,
-          latestPhoto: row.latest_photo ? new Date(row.latest_photo) : null
+          latestPhoto: row.latest_photo ? new Date(row.latest_photo) : null,
+          originalBytes,
+          renditionBytes,
+          previewBytes: row.preview_bytes || 0,
+          totalBytes: originalBytes + renditionBytes
         };
       });
     } catch (error) {
@@ -4,13 +4,106 @@
  * Implements contract from api-contracts.md with schema from data-model.md
  */
 
+import initSqlJs from 'sql.js';
 import { DatabaseError } from '../lib/errors.js';
+import { formatIdsFromLegacyExtensions } from '../lib/formats.js';
+
+// Bump with every schema change and add the migration that brings older databases up to it
+const SCHEMA_VERSION = 11;
+
+/**
+ * Schema upgrades for databases saved by older builds, applied in version order.
+ * Each schema change adds its own step; released steps are never edited.
+ * Tables and indexes are created by createSchema afterwards; a migration lists the columns
+ * added to tables that already existed. Columns already present are skipped. migrateData then
+ * rewrites stored values, once the whole current schema exists
+ */
+const MIGRATIONS = [
+  {
+    // Content hashes for skipping, keeping or replacing exact duplicates
+    version: 1,
+    addColumns: [
+      ['photos', 'content_hash', 'TEXT']
+    ]
+  },
+  {
+    // Perceptual hashes for finding near-duplicates
+    version: 2,
+    addColumns: [
+      ['photos', 'perceptual_hash', 'TEXT']
+    ]
+  },
+  {
+    // Orientation applied to thumbnails and dimensions
+    version: 3,
+    addColumns: [
+      ['photos', 'orientation', 'INTEGER DEFAULT 1']
+    ]
+  },
+  {
+    // Favorites from Google Takeout sidecars
+    version: 4,
+    addColumns: [
+      ['photos', 'favorite', 'INTEGER DEFAULT 0']
+    ]
+  },
+  {
+    // Where each capture date came from
+    version: 5,
+    addColumns: [
+      ['photos', 'date_source', 'TEXT']
+    ]
+  },
+  {
+    // Local capture time and its UTC offset
+    version: 6,
+    addColumns: [
+      ['photos', 'date_taken_local', 'TEXT'],
+      ['photos', 'timezone_offset', 'INTEGER']
+    ]
+  },
+  {
+    // Videos and their duration
+    version: 7,
+    addColumns: [
+      ['photos', 'media_type', "TEXT DEFAULT 'photo'"],
+      ['photos', 'duration', 'REAL']
+    ]
+  },
+  {
+    // Live Photo, burst and RAW+JPEG stacks
+    version: 8,
+    addColumns: [
+      ['photos', 'stack_id', 'INTEGER REFERENCES photo_stacks(id) ON DELETE SET NULL']
+    ]
+  },
+  {
+    // Supported formats saved as format IDs rather than extensions
+    version: 9,
+    addColumns: [],
+    migrateData: migrateSupportedFormats
+  },
+  {
+    // Size of each stored original, for storage stats and eviction
+    version: 10,
+    addColumns: [
+      ['photos', 'original_size', 'INTEGER']
+    ]
+  },
+  {
+    // AVIF split from HEIC, which it used to be imported as
+    version: 11,
+    addColumns: [],
+    migrateData: enableAvifWithHeic
+  }
+];
 
 export class DatabaseService {
   constructor() {
     this.db = null;
     this.isInitialized = false;
     this.SQL = null;
+    this.inTransaction = false;
   }
 
   /**
@@ -43,23 +136,69 @@ export class DatabaseService {
       const dbData = await this.loadFromIndexedDB();
       this.db = new SQL.Database(dbData);
       
-      // Create tables if they don't exist
-      await this.createTables();
+      this.isInitialized = true;
+
+      // Create the schema, or upgrade one saved by an older build
+      await this.migrate();
       
       return true;
     } catch (error) {
+      this.isInitialized = false;
       throw new DatabaseError('Failed to initialize database', null, null, error);
     }
   }
 
   /**
-   * Create database schema with tables and indexes
+   * Bring the schema up to SCHEMA_VERSION
+   * Databases saved by older builds first get the columns added since, then the tables and
+   * indexes they lack. The upgrade runs in one transaction, so a failure leaves the database as it was
+   * @private
+   * @throws {DatabaseError} When the upgrade fails
+   */
+  async migrate() {
+    const version = await this.getSchemaVersion();
+    if (version >= SCHEMA_VERSION) {
+      return;
+    }
+
+    const transaction = await this.beginTransaction();
+    try {
+      const pending = MIGRATIONS.filter(migration => migration.version > version);
+      for (const migration of pending) {
+        for (const [table, column, definition] of migration.addColumns) {
+          const columns = await this.all(`PRAGMA table_info(${table})`);
+          // A missing table is created whole by createSchema
+          if (columns.length > 0 && !columns.some(existing => existing.name === column)) {
+            await this.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+          }
+        }
+      }
+
+      await this.createSchema();
+      for (const migration of pending.filter(migration => migration.migrateData)) {
+        await migration.migrateData(this);
+      }
+      await this.setSchemaVersion(SCHEMA_VERSION);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new DatabaseError(
+        `Failed to migrate database from schema version ${version}: ${error.message}`,
+        null,
+        null,
+        error
+      );
+    }
+  }
+
+  /**
+   * Create the tables and indexes of the current schema that don't exist yet
    * @private
    */
   async createSchema() {
     const schema = `
       -- Albums table
-      CREATE TABLE albums (
+      CREATE TABLE IF NOT EXISTS albums (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         name TEXT NOT NULL,
         date_period TEXT NOT NULL,
@@ -72,23 +211,96 @@ export class DatabaseService {
       );
 
       -- Photos table
-      CREATE TABLE photos (
+      CREATE TABLE IF NOT EXISTS photos (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         file_path TEXT NOT NULL UNIQUE,
         file_name TEXT NOT NULL,
         file_size INTEGER,
         date_taken DATETIME,
+        date_source TEXT,
+        date_taken_local TEXT,
+        timezone_offset INTEGER,
         date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
         album_id INTEGER NOT NULL,
         width INTEGER,
         height INTEGER,
+        orientation INTEGER DEFAULT 1,
+        favorite INTEGER DEFAULT 0,
         thumbnail_data BLOB,
         exif_data TEXT,
-        FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE CASCADE
+        content_hash TEXT,
+        perceptual_hash TEXT,
+        media_type TEXT DEFAULT 'photo',
+        duration REAL,
+        stack_id INTEGER,
+        original_size INTEGER,
+        FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE CASCADE,
+        FOREIGN KEY (stack_id) REFERENCES photo_stacks(id) ON DELETE SET NULL
+      );
+
+      -- Photo stacks table (Live Photos, bursts and RAW+JPEG pairs shown as one tile)
+      CREATE TABLE IF NOT EXISTS photo_stacks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        primary_photo_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Thumbnail renditions table (one row per size per photo)
+      CREATE TABLE IF NOT EXISTS photo_renditions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        photo_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (photo_id, kind),
+        FOREIGN KEY (photo_id) REFERENCES photos(id) ON DELETE CASCADE
+      );
+
+      -- Import sessions table (one row per import job)
+      CREATE TABLE IF NOT EXISTS import_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        status TEXT NOT NULL,
+        total_files INTEGER NOT NULL,
+        options TEXT,
+        result TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      );
+
+      -- Import session files table (file manifest with per-file outcome)
+      CREATE TABLE IF NOT EXISTS import_session_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        file_name TEXT NOT NULL,
+        relative_path TEXT,
+        file_size INTEGER,
+        last_modified INTEGER,
+        status TEXT NOT NULL,
+        photo_id INTEGER,
+        error TEXT,
+        processed_at DATETIME,
+        FOREIGN KEY (session_id) REFERENCES import_sessions(id) ON DELETE CASCADE
+      );
+
+      -- Import rules table (conditions and actions stored as JSON)
+      CREATE TABLE IF NOT EXISTS import_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        enabled INTEGER DEFAULT 1,
+        conditions TEXT NOT NULL,
+        actions TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
 
       -- User preferences table
-      CREATE TABLE user_preferences (
+      CREATE TABLE IF NOT EXISTS user_preferences (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         setting_key TEXT NOT NULL UNIQUE,
         setting_value TEXT,
@@ -96,18 +308,18 @@ export class DatabaseService {
       );
 
       -- Indexes for performance
-      CREATE INDEX idx_photos_album_id ON photos(album_id);
-      CREATE INDEX idx_photos_date_taken ON photos(date_taken);
-      CREATE INDEX idx_albums_display_order ON albums(display_order);
-      CREATE INDEX idx_albums_date_period ON albums(date_period);
-      CREATE INDEX idx_user_preferences_key ON user_preferences(setting_key);
+      CREATE INDEX IF NOT EXISTS idx_photos_album_id ON photos(album_id);
+      CREATE INDEX IF NOT EXISTS idx_photos_date_taken ON photos(date_taken);
+      CREATE INDEX IF NOT EXISTS idx_photos_stack_id ON photos(stack_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_photos_content_hash ON photos(content_hash);
+      CREATE INDEX IF NOT EXISTS idx_import_session_files_session ON import_session_files(session_id, status);
+      CREATE INDEX IF NOT EXISTS idx_albums_display_order ON albums(display_order);
+      CREATE INDEX IF NOT EXISTS idx_albums_date_period ON albums(date_period);
+      CREATE INDEX IF NOT EXISTS idx_user_preferences_key ON user_preferences(setting_key);
     `;
 
-    // Execute schema creation
+    // Saved when the migration commits
     this.db.exec(schema);
-    
-    // Save to IndexedDB after schema creation
-    await this.saveToIndexedDB();
   }
 
   /**
@@ -125,8 +337,8 @@ export class DatabaseService {
       const result = stmt.run(params);
       stmt.free();
 
-      // Auto-save to IndexedDB after write operations
-      if (this.isWriteOperation(sql)) {
+      // Auto-save to IndexedDB after write operations (deferred to commit inside a transaction)
+      if (this.isWriteOperation(sql) && !this.inTransaction) {
         await this.saveToIndexedDB();
       }
 
@@ -152,10 +364,12 @@ export class DatabaseService {
     
     try {
       const stmt = this.db.prepare(sql);
-      const result = stmt.get(params);
+      stmt.bind(params);
+      // Statement.get returns a bare array of values; callers read columns by name
+      const result = stmt.step() ? stmt.getAsObject() : null;
       stmt.free();
       
-      return result || null;
+      return result;
     } catch (error) {
       throw new DatabaseError(`Query execution failed: ${error.message}`, sql, params, error);
     }
@@ -196,13 +410,16 @@ export class DatabaseService {
     
     try {
       await this.execute('BEGIN TRANSACTION');
+      this.inTransaction = true;
       
       return {
         commit: async () => {
+          this.inTransaction = false;
           await this.execute('COMMIT');
           await this.saveToIndexedDB();
         },
         rollback: async () => {
+          this.inTransaction = false;
           await this.execute('ROLLBACK');
         }
       };
@@ -338,7 +555,7 @@ export class DatabaseService {
    * @returns {boolean} True if write operation
    */
   isWriteOperation(sql) {
-    const writeKeywords = ['INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER'];
+    const writeKeywords = ['INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER', 'VACUUM'];
     const trimmedSql = sql.trim().toUpperCase();
     return writeKeywords.some(keyword => trimmedSql.startsWith(keyword));
   }
@@ -493,21 +710,79 @@ export class DatabaseService {
       const transaction = await this.beginTransaction();
       
       try {
-        // Delete in correct order to respect foreign keys
+        // Delete in correct order to respect foreign keys; they aren't enforced, so nothing cascades
+        await this.execute('DELETE FROM photo_renditions');
+        await this.execute('DELETE FROM import_session_files');
+        await this.execute('DELETE FROM import_sessions');
         await this.execute('DELETE FROM photos');
+        await this.execute('DELETE FROM photo_stacks');
         await this.execute('DELETE FROM albums');
         await this.execute('DELETE FROM user_preferences');
+        await this.execute('DELETE FROM import_rules');
         
         await transaction.commit();
-        return true;
       } catch (error) {
         await transaction.rollback();
         throw error;
       }
+
+      // Deleted rows stay in the saved image until the database is rebuilt
+      await this.execute('VACUUM');
+      return true;
     } catch (error) {
       throw new DatabaseError('Failed to clear all data', null, null, error);
     }
   }
 }
 
+/**
+ * Rewrite a supported_formats preference saved as extensions into format IDs
+ * @private
+ * @param {DatabaseService} database - Database being migrated
+ */
+async function migrateSupportedFormats(database) {
+  const row = await database.get(
+    "SELECT setting_value FROM user_preferences WHERE setting_key = 'supported_formats'"
+  );
+  let extensions = null;
+  try {
+    extensions = JSON.parse(row?.setting_value);
+  } catch (error) {
+    // Unreadable values are left for the preferences defaults to replace
+  }
+  if (!Array.isArray(extensions)) {
+    return;
+  }
+
+  await database.execute(
+    "UPDATE user_preferences SET setting_value = ?, updated_at = CURRENT_TIMESTAMP WHERE setting_key = 'supported_formats'",
+    [JSON.stringify(formatIdsFromLegacyExtensions(extensions))]
+  );
+}
+
+/**
+ * Keep AVIF importable in libraries that allowed HEIC, since AVIF files used to count as HEIC
+ * @private
+ * @param {DatabaseService} database - Database being migrated
+ */
+async function enableAvifWithHeic(database) {
+  const row = await database.get(
+    "SELECT setting_value FROM user_preferences WHERE setting_key = 'supported_formats'"
+  );
+  let formats = null;
+  try {
+    formats = JSON.parse(row?.setting_value);
+  } catch (error) {
+    // Unreadable values are left for the preferences defaults to replace
+  }
+  if (!Array.isArray(formats) || !formats.includes('heic') || formats.includes('avif')) {
+    return;
+  }
+
+  await database.execute(
+    "UPDATE user_preferences SET setting_value = ?, updated_at = CURRENT_TIMESTAMP WHERE setting_key = 'supported_formats'",
+    [JSON.stringify([...formats, 'avif'])]
+  );
+}
+
 export default DatabaseService;
@@ -0,0 +1,152 @@
+/**
+ * ImportRuleService
+ * Stores the user's import rules and their evaluation order
+ */
+
+import { ImportRule } from '../models/ImportRule.js';
+import { DatabaseError, ValidationError } from '../lib/errors.js';
+
+export class ImportRuleService {
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Get all rules in evaluation order
+   * @returns {Promise<ImportRule[]>} Rules, enabled or not
+   * @throws {DatabaseError} When the query fails
+   */
+  async getRules() {
+    try {
+      const rows = await this.db.all('SELECT * FROM import_rules ORDER BY position ASC, id ASC');
+      return rows.map(row => ImportRule.fromDbRow(row));
+    } catch (error) {
+      throw new DatabaseError('Failed to get import rules', null, [], error);
+    }
+  }
+
+  /**
+   * Get the rules to run on import
+   * @returns {Promise<ImportRule[]>} Enabled rules in evaluation order
+   * @throws {DatabaseError} When the query fails
+   */
+  async getEnabledRules() {
+    return (await this.getRules()).filter(rule => rule.enabled);
+  }
+
+  /**
+   * Get a rule by ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<ImportRule|null>} Rule or null if not found
+   * @throws {DatabaseError} When the query fails
+   */
+  async getRuleById(ruleId) {
+    try {
+      const row = await this.db.get('SELECT * FROM import_rules WHERE id = ?', [ruleId]);
+      return row ? ImportRule.fromDbRow(row) : null;
+    } catch (error) {
+      throw new DatabaseError('Failed to get import rule', null, [ruleId], error);
+    }
+  }
+
+  /**
+   * Create a rule, or update it when it has an ID
+   * New rules are added after the existing ones
+   * @param {Object} data - Rule data { id?, name, enabled, conditions, actions }
+   * @returns {Promise<ImportRule>} Saved rule
+   * @throws {ValidationError} When the rule is invalid or doesn't exist
+   * @throws {DatabaseError} When the rule can't be stored
+   */
+  async saveRule(data) {
+    const rule = new ImportRule(data);
+    const validation = rule.validate();
+    if (!validation.isValid) {
+      throw new ValidationError(`Invalid import rule: ${validation.errors.join(', ')}`, 'rule', data);
+    }
+
+    if (rule.id) {
+      const existing = await this.getRuleById(rule.id);
+      if (!existing) {
+        throw new ValidationError('Import rule not found', 'id', rule.id);
+      }
+      rule.position = existing.position;
+      rule.createdAt = existing.createdAt;
+    }
+
+    const row = rule.toDbRow();
+
+    try {
+      if (rule.id) {
+        await this.db.execute(
+          `UPDATE import_rules SET name = ?, enabled = ?, conditions = ?, actions = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [row.name, row.enabled, row.conditions, row.actions, rule.id]
+        );
+      } else {
+        const last = await this.db.get('SELECT MAX(position) AS position FROM import_rules');
+        rule.position = (last?.position ?? -1) + 1;
+
+        const insert = await this.db.execute(
+          `INSERT INTO import_rules (name, position, enabled, conditions, actions)
+           VALUES (?, ?, ?, ?, ?)`,
+          [row.name, rule.position, row.enabled, row.conditions, row.actions]
+        );
+        rule.id = insert.lastInsertRowid;
+      }
+    } catch (error) {
+      throw new DatabaseError('Failed to save import rule', null, [rule.id, rule.name], error);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Delete a rule
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<boolean>} True if a rule was deleted
+   * @throws {DatabaseError} When the deletion fails
+   */
+  async deleteRule(ruleId) {
+    try {
+      const result = await this.db.execute('DELETE FROM import_rules WHERE id = ?', [ruleId]);
+      return result.changes > 0;
+    } catch (error) {
+      throw new DatabaseError('Failed to delete import rule', 'DELETE', [ruleId], error);
+    }
+  }
+
+  /**
+   * Set the evaluation order of rules
+   * @param {number[]} ruleIds - Rule IDs, first evaluated first
+   * @returns {Promise<boolean>} Success status
+   * @throws {DatabaseError} When the update fails
+   */
+  async reorderRules(ruleIds) {
+    if (!Array.isArray(ruleIds) || ruleIds.length === 0) {
+      return true;
+    }
+
+    try {
+      const transaction = await this.db.beginTransaction();
+
+      try {
+        for (let i = 0; i < ruleIds.length; i++) {
+          await this.db.execute(
+            'UPDATE import_rules SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [i, ruleIds[i]]
+          );
+        }
+
+        await transaction.commit();
+        return true;
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    } catch (error) {
+      throw new DatabaseError('Failed to reorder import rules', null, ruleIds, error);
+    }
+  }
+}
+
+export default ImportRuleService;
@@ -0,0 +1,300 @@
+/**
+ * ImportSessionService
+ * Persists import jobs (file manifest, per-file outcome and final result)
+ * so interrupted imports can be resumed and past imports reviewed
+ */
+
+import { DatabaseError, ValidationError } from '../lib/errors.js';
+
+export const ImportSessionStatus = Object.freeze({
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  DISCARDED: 'discarded'
+});
+
+export const ImportFileStatus = Object.freeze({
+  PENDING: 'pending',
+  IMPORTED: 'imported',
+  DUPLICATE: 'duplicate',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+});
+
+export class ImportSessionService {
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Record a new import job and its file manifest
+   * @param {File[]} files - Files being imported
+   * @param {Object} options - Import options worth keeping (e.g. duplicatePolicy)
+   * @returns {Promise<Object>} { id, fileIds } with file IDs in manifest order
+   * @throws {DatabaseError} When the session can't be stored
+   */
+  async createSession(files, options = {}) {
+    if (!files || files.length === 0) {
+      throw new ValidationError('Import session needs at least one file', 'files', files);
+    }
+
+    try {
+      const transaction = await this.db.beginTransaction();
+
+      try {
+        const session = await this.db.execute(
+          `INSERT INTO import_sessions (status, total_files, options)
+           VALUES (?, ?, ?)`,
+          [ImportSessionStatus.RUNNING, files.length, JSON.stringify(options)]
+        );
+        const sessionId = session.lastInsertRowid;
+
+        const fileIds = [];
+        for (let i = 0; i < files.length; i++) {
+          const file = files[i];
+          const row = await this.db.execute(
+            `INSERT INTO import_session_files (session_id, position, file_name, relative_path, file_size, last_modified, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+              sessionId,
+              i,
+              file.name,
+              file.relativePath || file.webkitRelativePath || null,
+              file.size || 0,
+              file.lastModified || null,
+              ImportFileStatus.PENDING
+            ]
+          );
+          fileIds.push(row.lastInsertRowid);
+        }
+
+        await transaction.commit();
+        return { id: sessionId, fileIds };
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    } catch (error) {
+      throw new DatabaseError('Failed to create import session', null, [files.length], error);
+    }
+  }
+
+  /**
+   * Record the outcome of one file
+   * @param {number} fileId - Manifest entry ID
+   * @param {string} status - ImportFileStatus value
+   * @param {Object} details - Outcome details
+   * @param {number|null} details.photoId - Imported or matching photo ID
+   * @param {string|null} details.error - Error message for failed files
+   * @throws {DatabaseError} When the update fails
+   */
+  async recordFileResult(fileId, status, details = {}) {
+    if (!Object.values(ImportFileStatus).includes(status)) {
+      throw new ValidationError('Invalid import file status', 'status', status);
+    }
+
+    try {
+      await this.db.execute(
+        `UPDATE import_session_files SET status = ?, photo_id = ?, error = ?, processed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, details.photoId ?? null, details.error ?? null, fileId]
+      );
+    } catch (error) {
+      throw new DatabaseError('Failed to record import file result', null, [fileId, status], error);
+    }
+  }
+
+  /**
+   * Close a session with its final status and ImportResult
+   * @param {number} sessionId - Session ID
+   * @param {string} status - ImportSessionStatus value
+   * @param {Object|null} result - ImportResult of the run
+   * @throws {DatabaseError} When the update fails
+   */
+  async finishSession(sessionId, status, result = null) {
+    try {
+      await this.db.execute(
+        `UPDATE import_sessions SET status = ?, result = ?, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, result ? JSON.stringify(result) : null, sessionId]
+      );
+    } catch (error) {
+      throw new DatabaseError('Failed to finish import session', null, [sessionId, status], error);
+    }
+  }
+
+  /**
+   * Mark a session as running again before resuming it
+   * @param {number} sessionId - Session ID
+   * @throws {DatabaseError} When the update fails
+   */
+  async reopenSession(sessionId) {
+    try {
+      await this.db.execute(
+        `UPDATE import_sessions SET status = ?, completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [ImportSessionStatus.RUNNING, sessionId]
+      );
+    } catch (error) {
+      throw new DatabaseError('Failed to reopen import session', null, [sessionId], error);
+    }
+  }
+
+  /**
+   * Give up on an unfinished session; it stays in the history
+   * @param {number} sessionId - Session ID
+   * @throws {DatabaseError} When the update fails
+   */
+  async discardSession(sessionId) {
+    await this.finishSession(sessionId, ImportSessionStatus.DISCARDED);
+  }
+
+  /**
+   * Get a session with its file manifest
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session with files, or null if not found
+   * @throws {DatabaseError} When the query fails
+   */
+  async getSession(sessionId) {
+    try {
+      const row = await this.db.get('SELECT * FROM import_sessions WHERE id = ?', [sessionId]);
+      if (!row) {
+        return null;
+      }
+
+      const files = await this.db.all(
+        'SELECT * FROM import_session_files WHERE session_id = ? ORDER BY position ASC',
+        [sessionId]
+      );
+
+      return { ...this.sessionFromDbRow(row), files: files.map(file => this.fileFromDbRow(file)) };
+    } catch (error) {
+      throw new DatabaseError('Failed to get import session', null, [sessionId], error);
+    }
+  }
+
+  /**
+   * Get sessions that were still running when the app last closed
+   * Only meaningful at startup, before this tab starts an import of its own
+   * @returns {Promise<Object[]>} Sessions with pendingCount, oldest first
+   * @throws {DatabaseError} When the query fails
+   */
+  async getUnfinishedSessions() {
+    try {
+      const rows = await this.db.all(
+        `SELECT s.*, COUNT(f.id) AS pending_count
+         FROM import_sessions s
+         LEFT JOIN import_session_files f ON f.session_id = s.id AND f.status = ?
+         WHERE s.status = ?
+         GROUP BY s.id
+         ORDER BY s.created_at ASC`,
+        [ImportFileStatus.PENDING, ImportSessionStatus.RUNNING]
+      );
+
+      return rows.map(row => this.sessionFromDbRow(row));
+    } catch (error) {
+      throw new DatabaseError('Failed to get unfinished import sessions', null, [], error);
+    }
+  }
+
+  /**
+   * Get past import sessions for review
+   * @param {number} limit - Maximum number of sessions (default: 20)
+   * @returns {Promise<Object[]>} Sessions newest first, without file manifests
+   * @throws {DatabaseError} When the query fails
+   */
+  async getImportHistory(limit = 20) {
+    try {
+      const rows = await this.db.all(
+        `SELECT s.*, COUNT(f.id) AS pending_count
+         FROM import_sessions s
+         LEFT JOIN import_session_files f ON f.session_id = s.id AND f.status = ?
+         GROUP BY s.id
+         ORDER BY s.created_at DESC, s.id DESC
+         LIMIT ?`,
+        [ImportFileStatus.PENDING, limit]
+      );
+
+      return rows.map(row => this.sessionFromDbRow(row));
+    } catch (error) {
+      throw new DatabaseError('Failed to get import history', null, [limit], error);
+    }
+  }
+
+  /**
+   * Match re-selected files against the pending entries of a session
+   * Files are matched on name, size and modification time
+   * @param {number} sessionId - Session ID
+   * @param {FileList|File[]} fileList - Files picked by the user
+   * @returns {Promise<Object>} { files, fileIds, missing } where missing counts unmatched entries
+   * @throws {DatabaseError} When the query fails
+   */
+  async matchPendingFiles(sessionId, fileList) {
+    let pending;
+    try {
+      pending = await this.db.all(
+        'SELECT * FROM import_session_files WHERE session_id = ? AND status = ? ORDER BY position ASC',
+        [sessionId, ImportFileStatus.PENDING]
+      );
+    } catch (error) {
+      throw new DatabaseError('Failed to get pending import files', null, [sessionId], error);
+    }
+
+    const available = Array.from(fileList || []);
+    const files = [];
+    const fileIds = [];
+
+    for (const entry of pending) {
+      const index = available.findIndex(file =>
+        file.name === entry.file_name &&
+        (file.size || 0) === entry.file_size &&
+        (entry.last_modified === null || file.lastModified === entry.last_modified)
+      );
+
+      if (index !== -1) {
+        files.push(available[index]);
+        fileIds.push(entry.id);
+        available.splice(index, 1);
+      }
+    }
+
+    return { files, fileIds, missing: pending.length - files.length };
+  }
+
+  /**
+   * @private
+   */
+  sessionFromDbRow(row) {
+    return {
+      id: row.id,
+      status: row.status,
+      totalFiles: row.total_files,
+      pendingCount: row.pending_count ?? null,
+      options: row.options ? JSON.parse(row.options) : {},
+      result: row.result ? JSON.parse(row.result) : null,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+      completedAt: row.completed_at ? new Date(row.completed_at) : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  fileFromDbRow(row) {
+    return {
+      id: row.id,
+      position: row.position,
+      fileName: row.file_name,
+      relativePath: row.relative_path,
+      fileSize: row.file_size,
+      lastModified: row.last_modified,
+      status: row.status,
+      photoId: row.photo_id,
+      error: row.error
+    };
+  }
+}
+
+export default ImportSessionService;
@@ -0,0 +1,267 @@
+/**
+ * OriginalStore
+ * Keeps the original bytes of imported photos in browser storage, keyed by photo ID
+ * Uses the Origin Private File System where files can be written from the page, and IndexedDB otherwise
+ */
+
+import { FileSystemError } from '../lib/errors.js';
+
+const ORIGINALS_DIRECTORY = 'originals';
+const IDB_NAME = 'PhoTawrrOriginals';
+const IDB_STORE = 'originals';
+
+export const OriginalStorageBackend = Object.freeze({
+  OPFS: 'opfs',
+  INDEXED_DB: 'indexeddb'
+});
+
+export class OriginalStore {
+  /**
+   * @param {Object} options - Storage APIs, overridable for testing
+   * @param {StorageManager} options.storage - Provides the OPFS root (default: navigator.storage)
+   * @param {IDBFactory} options.indexedDB - Fallback storage (default: globalThis.indexedDB)
+   */
+  constructor({ storage = globalThis.navigator?.storage, indexedDB = globalThis.indexedDB } = {}) {
+    this.storage = storage;
+    this.indexedDB = indexedDB;
+    // Picked on first use
+    this.backend = null;
+  }
+
+  /**
+   * Store the original of a photo, replacing any stored before
+   * The file is streamed to disk rather than read into memory
+   * @param {number} photoId - Photo ID
+   * @param {Blob} blob - Original file
+   * @throws {FileSystemError} When the original can't be written
+   */
+  async put(photoId, blob) {
+    const backend = await this.getBackend();
+    try {
+      await backend.put(String(photoId), blob);
+    } catch (error) {
+      throw new FileSystemError(`Failed to store original: ${error.message}`, String(photoId), error);
+    }
+  }
+
+  /**
+   * Get the original of a photo
+   * OPFS returns a disk-backed File, so object URLs made from it stream from storage
+   * @param {number} photoId - Photo ID
+   * @returns {Promise<Blob|null>} Original or null if none is stored
+   * @throws {FileSystemError} When storage can't be read
+   */
+  async get(photoId) {
+    const backend = await this.getBackend();
+    try {
+      return await backend.get(String(photoId));
+    } catch (error) {
+      throw new FileSystemError(`Failed to read original: ${error.message}`, String(photoId), error);
+    }
+  }
+
+  /**
+   * Remove the original of a photo
+   * @param {number} photoId - Photo ID
+   * @returns {Promise<boolean>} True if an original was removed
+   * @throws {FileSystemError} When the original can't be removed
+   */
+  async delete(photoId) {
+    const backend = await this.getBackend();
+    try {
+      return await backend.delete(String(photoId));
+    } catch (error) {
+      throw new FileSystemError(`Failed to delete original: ${error.message}`, String(photoId), error);
+    }
+  }
+
+  /**
+   * Remove every stored original, e.g. when the library is cleared
+   * @throws {FileSystemError} When storage can't be cleared
+   */
+  async clear() {
+    const backend = await this.getBackend();
+    try {
+      await backend.clear();
+    } catch (error) {
+      throw new FileSystemError(`Failed to clear originals: ${error.message}`, null, error);
+    }
+  }
+
+  /**
+   * Pick OPFS when files can be written from the page, else IndexedDB
+   * Safari only offers OPFS writes through sync handles in workers, so it gets IndexedDB
+   * @private
+   */
+  async getBackend() {
+    if (this.backend) {
+      return this.backend;
+    }
+
+    try {
+      if (typeof this.storage?.getDirectory === 'function') {
+        const root = await this.storage.getDirectory();
+        const directory = await root.getDirectoryHandle(ORIGINALS_DIRECTORY, { create: true });
+        const probe = await directory.getFileHandle('.probe', { create: true });
+        await directory.removeEntry('.probe');
+        if (typeof probe.createWritable === 'function') {
+          this.backend = new OpfsBackend(directory);
+          return this.backend;
+        }
+      }
+    } catch (error) {
+      console.warn('Origin Private File System unavailable, storing originals in IndexedDB:', error);
+    }
+
+    if (!this.indexedDB) {
+      throw new FileSystemError('No storage available for original files');
+    }
+    this.backend = new IndexedDbBackend(this.indexedDB);
+    return this.backend;
+  }
+}
+
+/**
+ * Originals as files in an OPFS directory
+ * @private
+ */
+class OpfsBackend {
+  constructor(directory) {
+    this.name = OriginalStorageBackend.OPFS;
+    this.directory = directory;
+  }
+
+  /**
+   * Stream a blob into a file named by the key
+   */
+  async put(key, blob) {
+    const handle = await this.directory.getFileHandle(key, { create: true });
+    const writable = await handle.createWritable();
+    // pipeTo closes the writable, which commits the file
+    await blob.stream().pipeTo(writable);
+  }
+
+  /**
+   * Get the file for a key, or null
+   */
+  async get(key) {
+    try {
+      const handle = await this.directory.getFileHandle(key);
+      return await handle.getFile();
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the file for a key
+   * @returns {Promise<boolean>} False if there was none
+   */
+  async delete(key) {
+    try {
+      await this.directory.removeEntry(key);
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every file in the directory
+   */
+  async clear() {
+    // Collected first; removing entries while iterating the directory skips some
+    const names = [];
+    for await (const name of this.directory.keys()) {
+      names.push(name);
+    }
+    for (const name of names) {
+      await this.directory.removeEntry(name);
+    }
+  }
+}
+
+/**
+ * Originals as blobs in their own IndexedDB database
+ * @private
+ */
+class IndexedDbBackend {
+  constructor(factory) {
+    this.name = OriginalStorageBackend.INDEXED_DB;
+    this.factory = factory;
+    this.connection = null;
+  }
+
+  /**
+   * Store a blob under a key
+   */
+  async put(key, blob) {
+    await this.request('readwrite', store => store.put(blob, key));
+  }
+
+  /**
+   * Get the blob for a key, or null
+   */
+  async get(key) {
+    return (await this.request('readonly', store => store.get(key))) || null;
+  }
+
+  /**
+   * Remove the blob for a key
+   * @returns {Promise<boolean>} False if there was none
+   */
+  async delete(key) {
+    const exists = (await this.request('readonly', store => store.count(key))) > 0;
+    if (exists) {
+      await this.request('readwrite', store => store.delete(key));
+    }
+    return exists;
+  }
+
+  /**
+   * Remove every blob
+   */
+  async clear() {
+    await this.request('readwrite', store => store.clear());
+  }
+
+  /**
+   * Run one request in its own transaction and wait for the transaction to finish
+   */
+  async request(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([IDB_STORE], mode);
+      const request = makeRequest(transaction.objectStore(IDB_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Open the database once and share the connection
+   */
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        const request = this.factory.open(IDB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.connection = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.connection;
+  }
+}
+
+export default OriginalStore;
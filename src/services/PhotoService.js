@@ -1,40 +1,132 @@
 /**
  * PhotoService
  * Photo management service for import, metadata extraction, and organization
- * Implements contra    // Store photo in database
-    const result = await this.db.execute(
-      'INSERT INTO photos (fileName, filePath, fileSize, dateCreated, dateTaken, albumId, thumbnailData, exifData) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [photo.fileName, photo.filePath, photo.fileSize, photo.dateCreated.toISOString(), 
-       photo.dateTaken?.toISOString() || null, album.id, photo.thumbnailData, JSON.stringify(photo.exifData)]
-    );
-    
-    photo.id = result.lastInsertRowid;
-    photo.albumId = album.id;cts.md
+ * Implements contract from api-contracts.md
  */
 
-import { Photo } from '../models/Photo.js';
+import { Photo, DateSource, MediaType } from '../models/Photo.js';
+import { Album } from '../models/Album.js';
 import { ImportError, ThumbnailError, DatabaseError, ValidationError } from '../lib/errors.js';
+import { parseJpegExif } from '../lib/exif.js';
+import { parseHeif } from '../lib/heif.js';
+import { isPng, parsePngMetadata } from '../lib/png.js';
+import { isWebp, parseWebpMetadata } from '../lib/webp.js';
+import { parseXmp, findJpegXmp } from '../lib/xmp.js';
+import { computeDHash, hammingDistance } from '../lib/perceptualHash.js';
+import { Sha256 } from '../lib/sha256.js';
+import { PHOTO_EVENTS } from '../lib/events.js';
+import { mapWithConcurrency, chunk } from '../lib/concurrency.js';
+import { ThumbnailWorkerClient, ThumbnailPriority } from '../lib/thumbnailWorkerClient.js';
+import { RenditionKind, getRenditionSpecs, pickRendition } from '../lib/renditions.js';
+import { PreferencesManager } from '../models/UserPreferences.js';
+import { drawOriented, orientedDimensions, orientationFromRotation, normalizeOrientation } from '../lib/orientation.js';
+import { readJpegDimensions } from '../lib/jpeg.js';
+import { readMp4Metadata } from '../lib/mp4.js';
+import { parseRaw } from '../lib/raw.js';
+import {
+  MetadataExtractor,
+  Thumbnailer,
+  ImportLimit,
+  detectFormat,
+  getDeclaredFormat,
+  getFormatById,
+  getFormatByName,
+  isFormatEnabled
+} from '../lib/formats.js';
+import {
+  getRelativePath,
+  withRelativePath,
+  getFolderHint,
+  getImageType,
+  isHiddenPath,
+  isDirectoryHandle,
+  readDirectoryHandle,
+  filterHiddenFiles
+} from '../lib/directoryImport.js';
+import { isZipFile, readZipEntries, readZipEntry } from '../lib/zip.js';
+import { isSidecarFile, matchSidecars, parseTakeoutJson } from '../lib/sidecars.js';
+import { DEFAULT_FILENAME_DATE_PATTERNS, inferDateFromFilename, isValidFilenameDatePattern } from '../lib/filenameDates.js';
+import { captureTimeFromExif, fromInstant, parseIsoCaptureTime, shiftWallClock } from '../lib/captureTime.js';
+import { buildRuleSubject, evaluateImportRules } from '../lib/importRules.js';
+import { findStacks } from '../lib/stacks.js';
+import { ImportRule } from '../models/ImportRule.js';
+import { ImportSessionStatus, ImportFileStatus } from './ImportSessionService.js';
+
+/**
+ * How importPhotos handles files whose contents are already in the library
+ */
+export const DuplicatePolicy = Object.freeze({
+  SKIP: 'skip',
+  KEEP_BOTH: 'keep_both',
+  REPLACE: 'replace'
+});
+
+// Import pipeline defaults
+const DEFAULT_IMPORT_CONCURRENCY = 4;
+const DEFAULT_IMPORT_BATCH_SIZE = 50;
+
+// Files larger than this are hashed a slice at a time rather than read whole
+const HASH_CHUNK_SIZE = 4 * 1024 * 1024;
 
 export class PhotoService {
-  constructor(databaseService, albumService) {
+  constructor(databaseService, albumService, eventBus = null, preferences = null, importSessions = null, importRules = null,
+    originals = null) {
     this.db = databaseService;
     this.albumService = albumService;
+    this.eventBus = eventBus;
+    this.preferences = preferences || new PreferencesManager();
+    this.importSessions = importSessions;
+    this.importRules = importRules;
+    this.originals = originals;
+    this.filenameDatePatterns = [...DEFAULT_FILENAME_DATE_PATTERNS];
+    // Created on first use; null when workers are unsupported or failed to start
+    this.thumbnailWorker = undefined;
   }
 
   /**
    * Import photos from file list
-   * @param {FileList} fileList - List of files to import
-   * @returns {Promise<ImportResult>} Import result with counts and errors
+   * Files are decoded and thumbnailed concurrently, then written in one transaction per batch
+   * @param {FileList} fileList - List of files to import; ZIP archives are replaced by their image entries,
+   *   and Takeout JSON / XMP sidecars are applied to the photos they describe instead of being imported
+   * @param {Object} options - Import options
+   * @param {string} options.duplicatePolicy - How to handle files already in the library
+   *   (DuplicatePolicy.SKIP, KEEP_BOTH or REPLACE; default: SKIP)
+   * @param {AbortSignal} options.signal - Stops the import once in-flight files finish when aborted
+   * @param {number} options.concurrency - Maximum files decoded at once (default: 4)
+   * @param {number} options.batchSize - Files written per database transaction (default: 50)
+   * @param {boolean} options.albumNameHints - Name newly created albums after the photos' folders (default: false)
+   * @param {Object} options.session - Existing session { id, fileIds } to record into (used when resuming)
+   * @param {boolean} options.dryRun - Only report what the import would do (see previewImport)
+   * @returns {Promise<ImportResult>} Import result with counts and errors (partial if cancelled),
+   *   or the preview report for a dry run
    * @throws {ImportError} When import fails
    */
-  async importPhotos(fileList) {
+  async importPhotos(fileList, options = {}) {
+    if (options.dryRun) {
+      return await this.previewImport(fileList, options);
+    }
+
+    const duplicatePolicy = options.duplicatePolicy || DuplicatePolicy.SKIP;
+    const concurrency = options.concurrency || DEFAULT_IMPORT_CONCURRENCY;
+    const batchSize = options.batchSize || DEFAULT_IMPORT_BATCH_SIZE;
+    const { signal } = options;
+
+    if (!Object.values(DuplicatePolicy).includes(duplicatePolicy)) {
+      throw new ValidationError('Invalid duplicate policy', 'duplicatePolicy', duplicatePolicy);
+    }
+
     if (!fileList || fileList.length === 0) {
       // Return empty result instead of throwing error for empty list
       return {
         totalFiles: 0,
         importedCount: 0,
         failedCount: 0,
-        errors: []
+        duplicateCount: 0,
+        skippedCount: 0,
+        cancelled: false,
+        errors: [],
+        duplicates: [],
+        skipped: []
       };
     }
 
@@ -42,118 +134,1055 @@ export class PhotoService {
       totalFiles: fileList.length,
       importedCount: 0,
       failedCount: 0,
-      errors: []
+      duplicateCount: 0,
+      skippedCount: 0,
+      cancelled: false,
+      errors: [],
+      duplicates: [],
+      skipped: []
     };
 
-    try {
-      for (const file of fileList) {
-        try {
-          // Validate file type
-          if (!this.validatePhotoFile(file)) {
-            throw new ImportError(`Invalid file type: ${file.name}`);
-          }
+    const { files, sidecars } = matchSidecars(await this.expandArchives(Array.from(fileList), result));
+    result.totalFiles = files.length + result.failedCount;
+    if (files.length === 0) {
+      return result;
+    }
 
-          await this.importSinglePhoto(file);
-          result.importedCount++;
-        } catch (error) {
-          result.failedCount++;
-          result.errors.push({
-            fileName: file.name,
-            error: error.message
-          });
-          
-          // If it's an ImportError for invalid files, re-throw it
-          if (error instanceof ImportError && error.message.includes('Invalid file type')) {
-            throw error;
-          }
-        }
+    const totalBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const startedAt = Date.now();
+    let bytesProcessed = 0;
+    let index = 0;
+
+    const session = await this.startImportSession(files, options.session, {
+      duplicatePolicy,
+      albumNameHints: Boolean(options.albumNameHints)
+    });
+
+    // Loaded once so editing rules mid-import doesn't change how the rest is placed
+    const rules = this.importRules ? await this.importRules.getEnabledRules() : [];
+
+    const context = {
+      duplicatePolicy,
+      signal,
+      albumNameHints: Boolean(options.albumNameHints),
+      session,
+      result,
+      affectedAlbumIds: new Set(),
+      importedHashes: new Map(),
+      importedPhotos: [],
+      onFileProcessed: file => {
+        bytesProcessed += file.size || 0;
+        this.emitEvent(PHOTO_EVENTS.IMPORT_PROGRESS, this.buildImportProgress({
+          file, index: index++, totalFiles: files.length, bytesProcessed, totalBytes, startedAt, result
+        }));
       }
+    };
+
+    this.emitEvent(PHOTO_EVENTS.IMPORT_STARTED, { totalFiles: files.length, totalBytes });
 
-      // Emit import completed event (with null check for eventBus)
-      if (this.eventBus?.emit) {
-        this.eventBus.emit('photos:imported', { result });
+    try {
+      let offset = 0;
+      for (const batch of chunk(files, batchSize)) {
+        if (signal?.aborted) {
+          break;
+        }
+
+        // Progress is reported as each file is decoded; only the database write waits for the batch
+        const prepared = await mapWithConcurrency(
+          batch,
+          concurrency,
+          file => this.prepareImport(file, duplicatePolicy, sidecars.get(file), rules, signal),
+          { signal, onSettled: (outcome, i) => context.onFileProcessed(batch[i]) }
+        );
+
+        await this.persistImportBatch(batch, prepared, context, offset);
+        offset += batch.length;
       }
+
+      result.cancelled = Boolean(signal?.aborted);
+
+      // Stacks can span batches, so they're found once everything is written
+      await this.createImportStacks(context.importedPhotos);
+
+      // Counts and covers are recomputed once per album rather than once per photo
+      await this.recalculateImportAlbums(context.affectedAlbumIds);
+
+      await this.finishImportSession(
+        session,
+        result.cancelled ? ImportSessionStatus.CANCELLED : ImportSessionStatus.COMPLETED,
+        result
+      );
+
+      this.emitEvent(PHOTO_EVENTS.IMPORT_COMPLETED, { result });
       
       return result;
     } catch (error) {
+      // Batches committed before the failure still changed their albums
+      try {
+        await this.recalculateImportAlbums(context.affectedAlbumIds);
+      } catch (recalculateError) {
+        console.warn('Failed to update albums after a failed import:', recalculateError);
+      }
+
+      await this.finishImportSession(session, ImportSessionStatus.FAILED, result);
+
+      this.emitEvent(PHOTO_EVENTS.IMPORT_ERROR, { fileName: null, error: error.message });
+
       if (error instanceof ImportError) {
         throw error;
       }
       throw new ImportError(`Failed to import photos: ${error.message}`, error);
     }
-  }  /**
-   * Import a single photo file
+  }
+
+  /**
+   * Recompute the photo counts and covers of the albums an import wrote to
+   * @private
+   * @param {Set<number>} albumIds - Affected album IDs
+   */
+  async recalculateImportAlbums(albumIds) {
+    for (const albumId of albumIds) {
+      await this.albumService.recalculateAlbum(albumId);
+    }
+  }
+
+  /**
+   * Report what importPhotos would do with a file list without writing anything
+   * Runs validation, duplicate detection, metadata extraction, import rules and album
+   * resolution, but renders no thumbnails and creates no albums or photos
+   * @param {FileList} fileList - Files that would be imported (archives and sidecars handled as on import)
+   * @param {Object} options - importPhotos options (duplicatePolicy, signal, concurrency, albumNameHints)
+   * @returns {Promise<Object>} Report { totalFiles, importCount, undatedCount, newAlbums, existingAlbums,
+   *   rejected, duplicates, skipped, cancelled } where albums list { albumId, datePeriod, name, fileCount }
+   * @throws {ValidationError} When the duplicate policy is invalid
+   */
+  async previewImport(fileList, options = {}) {
+    const duplicatePolicy = options.duplicatePolicy || DuplicatePolicy.SKIP;
+    const concurrency = options.concurrency || DEFAULT_IMPORT_CONCURRENCY;
+    const { signal } = options;
+
+    if (!Object.values(DuplicatePolicy).includes(duplicatePolicy)) {
+      throw new ValidationError('Invalid duplicate policy', 'duplicatePolicy', duplicatePolicy);
+    }
+
+    const report = {
+      totalFiles: 0,
+      importCount: 0,
+      undatedCount: 0,
+      newAlbums: [],
+      existingAlbums: [],
+      rejected: [],
+      duplicates: [],
+      skipped: [],
+      cancelled: false
+    };
+
+    // Collects archives that can't be opened, in the shape expandArchives expects
+    const archiveFailures = { failedCount: 0, errors: [] };
+    const { files, sidecars } = matchSidecars(await this.expandArchives(Array.from(fileList || []), archiveFailures));
+    report.totalFiles = files.length + archiveFailures.failedCount;
+    report.rejected.push(...archiveFailures.errors);
+
+    const rules = this.importRules ? await this.importRules.getEnabledRules() : [];
+    const inspected = await mapWithConcurrency(
+      files,
+      concurrency,
+      file => this.inspectImport(file, duplicatePolicy, sidecars.get(file), rules),
+      { signal }
+    );
+
+    const albums = new Map();
+    const seenHashes = new Map();
+    const countAlbum = (key, entry) => {
+      const counted = albums.get(key) || { ...entry, fileCount: 0 };
+      counted.fileCount++;
+      albums.set(key, counted);
+    };
+
+    for (let i = 0; i < files.length; i++) {
+      const outcome = inspected[i];
+      if (!outcome || signal?.aborted) {
+        report.cancelled = true;
+        break;
+      }
+
+      const file = files[i];
+      if (outcome.status === 'rejected') {
+        report.rejected.push({ fileName: file.name, filePath: getRelativePath(file), error: outcome.reason.message });
+        continue;
+      }
+
+      const { contentHash, metadata, ruleOutcome } = outcome.value;
+      if (ruleOutcome?.skip) {
+        report.skipped.push({ fileName: file.name, rules: ruleOutcome.matchedRules.map(rule => rule.name) });
+        continue;
+      }
+
+      // Copies within the selection count as duplicates of the first one, as on import
+      const existing = outcome.value.existing || (contentHash && seenHashes.get(contentHash)) || null;
+      if (existing) {
+        const action = { [DuplicatePolicy.SKIP]: 'skipped', [DuplicatePolicy.REPLACE]: 'replaced', [DuplicatePolicy.KEEP_BOTH]: 'kept' }[duplicatePolicy];
+        report.duplicates.push({
+          fileName: file.name,
+          existingPhotoId: existing.id ?? null,
+          duplicateOf: existing.id ? null : existing.fileName,
+          action
+        });
+        if (duplicatePolicy === DuplicatePolicy.SKIP) {
+          continue;
+        }
+      } else if (contentHash) {
+        seenHashes.set(contentHash, { fileName: file.name });
+      }
+
+      const { datePeriod, name, album } = await this.previewImportAlbum(file, metadata, options, ruleOutcome);
+      countAlbum(album ? `id:${album.id}` : `period:${datePeriod}`, { albumId: album?.id ?? null, datePeriod, name });
+
+      if (datePeriod === 'undated') {
+        report.undatedCount++;
+      }
+      report.importCount++;
+    }
+
+    for (const album of albums.values()) {
+      (album.albumId ? report.existingAlbums : report.newAlbums).push(album);
+    }
+
+    return report;
+  }
+
+  /**
+   * Resolve the album a previewed file would go to, mirroring resolveImportAlbum without creating it
    * @private
-   * @param {File} file - Photo file to import
-   * @returns {Promise<Photo>} Imported photo instance
+   * @param {File} file - File being previewed
+   * @param {Object} metadata - Result of extractMetadata
+   * @param {Object} options - Import options (albumNameHints)
+   * @param {Object|null} ruleOutcome - Import rule outcome, if rules ran
+   * @returns {Promise<Object>} { datePeriod, name, album } where album is null if it would be created
+   */
+  async previewImportAlbum(file, metadata, options, ruleOutcome) {
+    if (ruleOutcome?.albumId) {
+      const album = await this.albumService.getAlbumById(ruleOutcome.albumId);
+      if (album) {
+        return { datePeriod: album.datePeriod, name: album.name, album };
+      }
+    }
+
+    const nameHint = options.albumNameHints ? getFolderHint(file) : null;
+    return await this.albumService.findAlbumForDate(metadata.dateTakenLocal || metadata.dateTaken, nameHint);
+  }
+
+  /**
+   * Add a pattern for inferring capture dates from file names
+   * Registered patterns are tried before the built-in ones
+   * @param {Object} pattern - { name, regex } where regex has named groups year, month and day,
+   *   and optionally hour, minute, second and meridiem
+   * @throws {ValidationError} When the pattern lacks a name or the required groups
    */
-  async importSinglePhoto(file) {
-    // Validate file
-    const validation = this.validatePhotoFile(file);
+  registerFilenameDatePattern(pattern) {
+    if (!isValidFilenameDatePattern(pattern)) {
+      throw new ValidationError('Filename date pattern needs a name and year, month and day groups', 'pattern', pattern);
+    }
+
+    this.filenameDatePatterns.unshift(pattern);
+  }
+
+  /**
+   * Try an import rule on sample files without importing them, e.g. before saving it
+   * @param {Object} rule - Rule data { name, conditions, actions }
+   * @param {FileList|File[]} fileList - Sample files; ZIP archives are expanded and sidecars applied
+   * @returns {Promise<Object[]>} Per file { fileName, filePath, matched, skip, albumId, tags, error }
+   * @throws {ValidationError} When the rule is invalid
+   */
+  async testImportRule(rule, fileList) {
+    const candidate = new ImportRule(rule);
+    const validation = candidate.validate();
+    if (!validation.isValid) {
+      throw new ValidationError(`Invalid import rule: ${validation.errors.join(', ')}`, 'rule', rule);
+    }
+
+    const { files, sidecars } = matchSidecars(await this.expandArchives(Array.from(fileList || [])));
+    const results = [];
+
+    for (const entry of files) {
+      const filePath = getRelativePath(entry);
+      try {
+        const file = typeof entry.open === 'function' ? await entry.open() : entry;
+        const metadata = await this.extractMetadata(file, await this.readSidecarMetadata(sidecars.get(entry), file));
+        const outcome = evaluateImportRules([candidate], buildRuleSubject(file, metadata));
+
+        results.push({
+          fileName: file.name,
+          filePath,
+          matched: outcome.matchedRules.length > 0,
+          skip: outcome.skip,
+          albumId: outcome.albumId,
+          tags: outcome.tags,
+          error: null
+        });
+      } catch (error) {
+        results.push({ fileName: entry.name, filePath, matched: false, skip: false, albumId: null, tags: [], error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Import every photo in a folder, keeping each file's path relative to it
+   * @param {FileSystemDirectoryHandle|FileList} source - Directory handle from showDirectoryPicker,
+   *   or the files of a webkitdirectory input
+   * @param {Object} options - importPhotos options
+   * @returns {Promise<ImportResult>} Import result (hidden files and folders are not counted)
+   * @throws {ImportError} When the folder can't be read or the import fails
+   */
+  async importDirectory(source, options = {}) {
+    const files = await this.readDirectory(source, options);
+    return this.importPhotos(files, options);
+  }
+
+  /**
+   * List the files of a folder for import, e.g. to preview them first
+   * @param {FileSystemDirectoryHandle|FileList} source - Directory handle from showDirectoryPicker,
+   *   or the files of a webkitdirectory input
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Stops walking a directory handle when aborted
+   * @returns {Promise<File[]>} Visible files, each with its path relative to the folder
+   * @throws {ImportError} When the folder can't be read
+   */
+  async readDirectory(source, options = {}) {
+    try {
+      return isDirectoryHandle(source)
+        ? await readDirectoryHandle(source, { signal: options.signal })
+        : filterHiddenFiles(source);
+    } catch (error) {
+      throw new ImportError(`Failed to read folder: ${error.message}`, null, error);
+    }
+  }
+
+  /**
+   * Replace ZIP archives in a file list with their image entries
+   * @private
+   * @param {File[]} files - Files picked for import
+   * @param {ImportResult} result - Receives an error for each unreadable archive
+   * @returns {Promise<Object[]>} Files and archive entries, in order
+   */
+  async expandArchives(files, result = null) {
+    const expanded = [];
+
+    for (const file of files) {
+      if (!isZipFile(file)) {
+        expanded.push(file);
+        continue;
+      }
+
+      try {
+        expanded.push(...await this.readArchiveEntries(file));
+      } catch (error) {
+        if (!result) {
+          throw error;
+        }
+        result.failedCount++;
+        result.errors.push({ fileName: file.name, filePath: getRelativePath(file), error: error.message });
+        this.emitEvent(PHOTO_EVENTS.IMPORT_ERROR, { fileName: file.name, error: error.message });
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * List the image and sidecar entries of a ZIP archive as deferred files
+   * Entry paths are kept below a folder named after the archive, as if it had been extracted
+   * @private
+   * @param {File} archive - ZIP file
+   * @returns {Promise<Object[]>} Entries with name, type, size, lastModified, relativePath and open()
+   * @throws {FileSystemError} When the archive can't be read
+   */
+  async readArchiveEntries(archive) {
+    const archivePath = getRelativePath(archive);
+    const folder = archivePath.replace(/\.zip$/i, '') || archivePath;
+    const entries = await readZipEntries(archive);
+
+    return entries
+      .filter(entry => !entry.isDirectory && !isHiddenPath(entry.path))
+      .map(entry => {
+        const relativePath = `${folder}/${entry.path}`;
+        const name = relativePath.split('/').pop();
+        const type = getImageType(name) || '';
+        const lastModified = entry.lastModified ?? archive.lastModified;
+
+        return {
+          name,
+          type,
+          size: entry.size,
+          lastModified,
+          relativePath,
+          open: async () => withRelativePath(
+            new File(await readZipEntry(archive, entry), name, { type, lastModified }),
+            relativePath
+          )
+        };
+      })
+      .filter(entry => entry.type || isSidecarFile(entry));
+  }
+
+  /**
+   * Resume an interrupted or cancelled import with files the user picked again
+   * Only files still pending in the session's manifest are imported
+   * @param {number} sessionId - Import session ID
+   * @param {FileList} fileList - Re-selected files (matched by name, size and modification time)
+   * @param {Object} options - importPhotos options; the session's duplicate policy is kept by default
+   * @returns {Promise<ImportResult>} Result for the resumed files, with missingCount for unmatched entries
+   * @throws {ValidationError} When session tracking is unavailable or the session doesn't exist
+   */
+  async resumeImportSession(sessionId, fileList, options = {}) {
+    if (!this.importSessions) {
+      throw new ValidationError('Import sessions are not enabled', 'importSessions', null);
+    }
+
+    const session = await this.importSessions.getSession(sessionId);
+    if (!session) {
+      throw new ValidationError('Import session not found', 'sessionId', sessionId);
+    }
+
+    // Entries of a re-selected archive are matched like individual files
+    const candidates = await this.expandArchives(Array.from(fileList || []));
+    const { files, fileIds, missing } = await this.importSessions.matchPendingFiles(sessionId, candidates);
+    if (files.length > 0) {
+      await this.importSessions.reopenSession(sessionId);
+    }
+
+    // Sidecars follow the photos so the manifest IDs still line up with the photo order
+    const result = await this.importPhotos([...files, ...candidates.filter(isSidecarFile)], {
+      ...session.options,
+      ...options,
+      session: { id: sessionId, fileIds }
+    });
+
+    return { ...result, missingCount: missing };
+  }
+
+  /**
+   * Create the session record for an import, or reuse the one being resumed
+   * Bookkeeping failures are logged rather than blocking the import
+   * @private
+   * @param {File[]} files - Files being imported
+   * @param {Object|undefined} existing - Session { id, fileIds } passed in by resumeImportSession
+   * @param {Object} options - Options to store with a new session
+   * @returns {Promise<Object|null>} Session { id, fileIds } or null when not tracked
+   */
+  async startImportSession(files, existing, options) {
+    if (existing || !this.importSessions) {
+      return existing || null;
+    }
+
+    try {
+      return await this.importSessions.createSession(files, options);
+    } catch (error) {
+      console.warn('Failed to record import session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record the final status of an import session
+   * @private
+   * @param {Object|null} session - Session { id, fileIds }
+   * @param {string} status - ImportSessionStatus value
+   * @param {ImportResult} result - Result of the run
+   */
+  async finishImportSession(session, status, result) {
+    if (!session) {
+      return;
+    }
+
+    try {
+      await this.importSessions.finishSession(session.id, status, result);
+    } catch (error) {
+      console.warn('Failed to finish import session:', error);
+    }
+  }
+
+  /**
+   * Decode a file ahead of the database write: validation, hashing, metadata and thumbnail
+   * Runs concurrently, so it must not write to the database
+   * @private
+   * @param {File|Object} file - Photo file to import, or an archive entry from expandArchives
+   * @param {string} duplicatePolicy - DuplicatePolicy value
+   * @param {Object} sidecar - Matched sidecar files { json, xmp }, if any
+   * @param {ImportRule[]} rules - Enabled import rules, in evaluation order
+   * @param {AbortSignal} signal - Import's signal; cancels thumbnails still queued when aborted
+   * @returns {Promise<Object>} Prepared import { file, contentHash, existing, metadata, photo, renditions, ruleOutcome }
+   * @throws {ImportError} When the file is invalid or can't be extracted
+   * @throws {ThumbnailError} When the import is cancelled while thumbnails render
+   */
+  async prepareImport(file, duplicatePolicy, sidecar = null, rules = [], signal = null) {
+    const item = await this.inspectImport(file, duplicatePolicy, sidecar, rules);
+
+    // Skipped files need nothing more; replacing only refreshes metadata, so no thumbnails are needed
+    if (!item.metadata || item.ruleOutcome?.skip || (item.existing && duplicatePolicy === DuplicatePolicy.REPLACE)) {
+      return { ...item, photo: null, renditions: [] };
+    }
+
+    const group = this.getThumbnailGroup(item.metadata, item.ruleOutcome);
+    const { photo, renditions } = await this.buildPhoto(item.file, item.metadata, signal, group);
+    return { ...item, photo, renditions };
+  }
+
+  /**
+   * Validate, hash and read the metadata of a file, and run the import rules on it
+   * @private
+   * @param {File|Object} file - Photo file to import, or an archive entry from expandArchives
+   * @param {string} duplicatePolicy - DuplicatePolicy value
+   * @param {Object} sidecar - Matched sidecar files { json, xmp }, if any
+   * @param {ImportRule[]} rules - Enabled import rules, in evaluation order
+   * @returns {Promise<Object>} { file, contentHash, existing, metadata, ruleOutcome }; metadata is null
+   *   for duplicates that will be skipped
+   * @throws {ImportError} When the file is invalid or can't be extracted
+   */
+  async inspectImport(file, duplicatePolicy, sidecar = null, rules = []) {
+    // Archive entries are extracted here so only the files in flight are held in memory
+    if (typeof file.open === 'function') {
+      file = await file.open();
+    }
+
+    // The contents decide the format; the name and MIME type a file arrives with can be wrong
+    const format = await detectFormat(file);
+    const validation = this.validatePhotoFile(file, format);
     if (!validation.isValid) {
       throw new ImportError(`Invalid file: ${validation.errors.join(', ')}`, file.name);
     }
 
-    // Extract metadata
-    const metadata = await this.extractMetadata(file);
-    
-    // Get or create album for the photo
-    const album = await this.albumService.getOrCreateAlbumForDate(metadata.dateTaken);
-    
-    // Create photo instance
+    const contentHash = await this.computeContentHash(file);
+    const existing = contentHash ? await this.getPhotoByContentHash(contentHash) : null;
+
+    if (existing && duplicatePolicy === DuplicatePolicy.SKIP) {
+      return { file, contentHash, existing, metadata: null, ruleOutcome: null };
+    }
+
+    const metadata = await this.extractMetadata(file, await this.readSidecarMetadata(sidecar, file), format);
+
+    const ruleOutcome = rules.length > 0 ? evaluateImportRules(rules, buildRuleSubject(file, metadata)) : null;
+    if (ruleOutcome?.tags.length && !ruleOutcome.skip) {
+      // Tags are kept with the embedded keywords
+      const keywords = metadata.exifData?.keywords || [];
+      metadata.exifData = { ...(metadata.exifData || {}), keywords: [...new Set([...keywords, ...ruleOutcome.tags])] };
+    }
+
+    return { file, contentHash, existing, metadata, ruleOutcome };
+  }
+
+  /**
+   * Name the album a file's thumbnails are rendered for, so opening it moves them up the queue
+   * A new album has no ID until its batch is written, and date periods are unique per album
+   * @private
+   * @param {Object} metadata - Result of extractMetadata
+   * @param {Object|null} ruleOutcome - Import rule outcome, if rules ran
+   * @returns {string|number} ID of the album a rule picked, or the date period otherwise
+   */
+  getThumbnailGroup(metadata, ruleOutcome) {
+    return ruleOutcome?.albumId ?? Album.getDatePeriod(metadata.dateTakenLocal || metadata.dateTaken);
+  }
+
+  /**
+   * Create a photo instance with thumbnail renditions for a file
+   * @private
+   * @param {File} file - Photo file
+   * @param {Object} metadata - Result of extractMetadata
+   * @param {AbortSignal} signal - Cancels rendering when aborted
+   * @param {string|number|null} group - Thumbnail group from getThumbnailGroup
+   * @returns {Promise<Object>} { photo, renditions } with the photo lacking album and ID
+   */
+  async buildPhoto(file, metadata, signal = null, group = null) {
     const photo = Photo.fromFile(file, {
-      albumId: album.id,
       dateTaken: metadata.dateTaken,
+      dateSource: metadata.dateSource,
+      dateTakenLocal: metadata.dateTakenLocal,
+      timezoneOffset: metadata.timezoneOffset,
       width: metadata.width,
       height: metadata.height,
-      exifData: metadata.exifData
+      orientation: metadata.orientation,
+      favorite: metadata.favorite,
+      exifData: metadata.exifData,
+      mediaType: metadata.mediaType,
+      duration: metadata.duration
+    });
+
+    // Made unique against the library when the photo is written
+    photo.filePath = getRelativePath(file);
+
+    // Prefer an embedded preview for formats <img> can't decode; videos only have their poster frame
+    const thumbnailer = getFormatById(metadata.format)?.thumbnailer;
+    const source = metadata.thumbnailSource || (thumbnailer === Thumbnailer.POSTER_FRAME ? null : file);
+    const renditions = source ? await this.renderRenditions(source, metadata, signal, group) : [];
+
+    // The grid rendition doubles as the legacy thumbnail column and hash source
+    const grid = renditions.find(rendition => rendition.kind === RenditionKind.GRID);
+    if (grid) {
+      photo.thumbnailData = grid.data;
+      photo.perceptualHash = grid.perceptualHash;
+    }
+
+    return { photo, renditions };
+  }
+
+  /**
+   * Render every rendition in the preference-driven size ladder
+   * Renditions that fail are skipped so the photo still imports
+   * @private
+   * @param {Blob|string} source - Image to render
+   * @param {Object} metadata - Result of extractMetadata (for source dimensions)
+   * @param {AbortSignal} signal - Stops rendering when aborted
+   * @param {string|number|null} group - Thumbnail group for prioritizeThumbnails
+   * @returns {Promise<Object[]>} Renditions as { kind, width, height, data, perceptualHash }
+   * @throws {ThumbnailError} When the signal is aborted
+   */
+  async renderRenditions(source, metadata, signal = null, group = null) {
+    const renditions = [];
+
+    for (const spec of getRenditionSpecs(this.preferences)) {
+      try {
+        const thumbnail = await this.renderThumbnail(source, spec.size, {
+          quality: spec.quality,
+          orientation: metadata.orientation,
+          priority: ThumbnailPriority.BACKGROUND,
+          group,
+          signal
+        });
+        const { width, height } = this.calculateThumbnailDimensions(metadata.width, metadata.height, spec.size);
+
+        renditions.push({
+          kind: spec.kind,
+          width,
+          height,
+          data: thumbnail.thumbnailData,
+          perceptualHash: thumbnail.perceptualHash
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        // Continue without this rendition if generation fails
+        console.warn(`Failed to generate ${spec.kind} rendition for ${source.name || 'image'}:`, error);
+      }
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Store the renditions of a newly inserted photo
+   * @private
+   * @param {number} photoId - Photo ID
+   * @param {Object[]} renditions - Renditions from renderRenditions
+   */
+  async insertRenditions(photoId, renditions) {
+    for (const rendition of renditions) {
+      await this.db.execute(
+        `INSERT INTO photo_renditions (photo_id, kind, width, height, data)
+         VALUES (?, ?, ?, ?, ?)`,
+        [photoId, rendition.kind, rendition.width, rendition.height, rendition.data]
+      );
+    }
+  }
+
+  /**
+   * Write a batch of prepared imports inside a single transaction
+   * @private
+   * @param {File[]} batch - Files in the batch
+   * @param {Object[]} prepared - Settled results of prepareImport, in batch order
+   * @param {Object} context - Shared import state (policy, session, result, affected albums, hashes)
+   * @param {number} offset - Position of the batch's first file in the import
+   */
+  async persistImportBatch(batch, prepared, context, offset = 0) {
+    const { result } = context;
+    const originals = [];
+    const transaction = await this.db.beginTransaction();
+
+    try {
+      for (let i = 0; i < batch.length; i++) {
+        const outcome = prepared[i];
+
+        // Not started when the import was cancelled
+        if (!outcome) {
+          continue;
+        }
+        // Cut short by the cancellation rather than failed; files that finished are still written
+        if (outcome.status === 'rejected' && context.signal?.aborted) {
+          continue;
+        }
+
+        const file = batch[i];
+        let fileResult;
+        try {
+          if (outcome.status === 'rejected') {
+            throw outcome.reason;
+          }
+          fileResult = await this.persistPreparedImport(outcome.value, context);
+          if (fileResult.status === ImportFileStatus.IMPORTED) {
+            originals.push({ photoId: fileResult.photoId, file: outcome.value.file });
+          }
+        } catch (error) {
+          result.failedCount++;
+          result.errors.push({
+            fileName: file.name,
+            filePath: getRelativePath(file),
+            error: error.message
+          });
+          fileResult = { status: ImportFileStatus.FAILED, error: error.message };
+
+          this.emitEvent(PHOTO_EVENTS.IMPORT_ERROR, { fileName: file.name, error: error.message });
+        }
+
+        // Written in the batch transaction so the manifest never disagrees with the photos table
+        if (context.session) {
+          await this.importSessions.recordFileResult(context.session.fileIds[offset + i], fileResult.status, fileResult);
+        }
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Written once the rows are committed so a rolled-back batch leaves no stray originals
+    await this.storeOriginals(originals);
+  }
+
+  /**
+   * Copy the original files of newly imported photos into the originals store
+   * A photo whose original can't be stored keeps its renditions and stays imported
+   * @private
+   * @param {Object[]} originals - Imported files as { photoId, file }
+   */
+  async storeOriginals(originals) {
+    if (!this.originals) {
+      return;
+    }
+
+    const stored = [];
+    for (const { photoId, file } of originals) {
+      try {
+        await this.originals.put(photoId, file);
+        stored.push({ photoId, size: file.size });
+      } catch (error) {
+        console.warn(`Failed to store original of ${file.name}:`, error);
+      }
+    }
+
+    if (stored.length === 0) {
+      return;
+    }
+
+    // Counted in album storage stats and cleared when the original is evicted. One transaction,
+    // because every write outside one saves the whole database
+    const transaction = await this.db.beginTransaction();
+    try {
+      for (const { photoId, size } of stored) {
+        await this.db.execute('UPDATE photos SET original_size = ? WHERE id = ?', [size, photoId]);
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      console.warn('Failed to record the size of stored originals:', error);
+    }
+  }
+
+  /**
+   * Apply the duplicate policy to a prepared import and write it
+   * @private
+   * @param {Object} item - Prepared import from prepareImport
+   * @param {Object} context - Shared import state
+   * @returns {Promise<Object>} File outcome { status, photoId } using ImportFileStatus
+   */
+  async persistPreparedImport(item, context) {
+    const { file, contentHash, metadata, photo, ruleOutcome = null } = item;
+    const { duplicatePolicy, result, affectedAlbumIds, importedHashes } = context;
+
+    if (ruleOutcome?.skip) {
+      result.skippedCount++;
+      result.skipped.push({ fileName: file.name, rules: ruleOutcome.matchedRules.map(rule => rule.name) });
+      return { status: ImportFileStatus.SKIPPED };
+    }
+
+    // Copies inside the same import aren't in the database yet when prepared concurrently
+    const existing = item.existing || (contentHash && importedHashes.get(contentHash)) || null;
+
+    if (existing && duplicatePolicy === DuplicatePolicy.SKIP) {
+      result.duplicateCount++;
+      result.duplicates.push({ fileName: file.name, existingPhotoId: existing.id, action: 'skipped' });
+      return { status: ImportFileStatus.DUPLICATE, photoId: existing.id };
+    }
+
+    if (existing && duplicatePolicy === DuplicatePolicy.REPLACE) {
+      const previousAlbumId = existing.albumId;
+      const updated = await this.replacePhotoMetadata(existing, file, metadata, context, ruleOutcome);
+      [previousAlbumId, updated.albumId].filter(Boolean).forEach(id => affectedAlbumIds.add(id));
+
+      result.duplicateCount++;
+      result.duplicates.push({ fileName: file.name, existingPhotoId: existing.id, action: 'replaced' });
+      return { status: ImportFileStatus.DUPLICATE, photoId: existing.id };
+    }
+
+    // Kept copies are stored without a hash so the unique index only tracks the original
+    photo.contentHash = existing ? null : contentHash;
+
+    const album = await this.resolveImportAlbum(file, metadata, context, ruleOutcome);
+    photo.albumId = album.id;
+    photo.filePath = await this.resolveFilePath(photo.filePath);
+
+    await this.insertPhoto(photo);
+    await this.insertRenditions(photo.id, item.renditions || []);
+
+    affectedAlbumIds.add(album.id);
+    if (photo.contentHash) {
+      importedHashes.set(photo.contentHash, photo);
+    }
+    context.importedPhotos?.push({
+      id: photo.id,
+      albumId: album.id,
+      path: getRelativePath(file),
+      mediaType: photo.mediaType,
+      dateTaken: photo.dateTaken,
+      exifData: photo.exifData
     });
+    result.importedCount++;
 
-    // Generate file path (in real implementation, this would be handled by file system)
-    photo.filePath = this.generateFilePath(file);
+    return { status: ImportFileStatus.IMPORTED, photoId: photo.id };
+  }
+
+  /**
+   * Group newly imported Live Photos, bursts and RAW+JPEG pairs into stacks
+   * @private
+   * @param {Object[]} photos - Imported photos as { id, albumId, path, mediaType, dateTaken, exifData }
+   * @returns {Promise<number>} Number of stacks created
+   */
+  async createImportStacks(photos) {
+    const stacks = findStacks(photos);
+    if (stacks.length === 0) {
+      return 0;
+    }
 
-    // Generate thumbnail
+    const transaction = await this.db.beginTransaction();
     try {
-      photo.thumbnailData = await this.generateThumbnail(photo.filePath);
+      for (const stack of stacks) {
+        const insert = await this.db.execute(
+          'INSERT INTO photo_stacks (kind, primary_photo_id) VALUES (?, ?)',
+          [stack.kind, stack.primaryId]
+        );
+        await this.db.execute(
+          `UPDATE photos SET stack_id = ? WHERE id IN (${stack.memberIds.map(() => '?').join(', ')})`,
+          [insert.lastInsertRowid, ...stack.memberIds]
+        );
+      }
+
+      await transaction.commit();
+      return stacks.length;
     } catch (error) {
-      // Continue without thumbnail if generation fails
-      console.warn(`Failed to generate thumbnail for ${file.name}:`, error);
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Choose the album for an imported photo
+   * An album picked by an import rule wins; otherwise the photo goes to its date album
+   * @private
+   * @param {File} file - Imported file
+   * @param {Object} metadata - Result of extractMetadata
+   * @param {Object} context - Shared import state
+   * @param {Object|null} ruleOutcome - Import rule outcome, if rules ran
+   * @returns {Promise<Album>} Target album
+   */
+  async resolveImportAlbum(file, metadata, context, ruleOutcome) {
+    if (ruleOutcome?.albumId) {
+      // A rule can outlive the album it names; fall back to date placement then
+      const album = await this.albumService.getAlbumById(ruleOutcome.albumId);
+      if (album) {
+        return album;
+      }
     }
 
-    // Validate photo data
+    const nameHint = context.albumNameHints ? getFolderHint(file) : null;
+    return await this.albumService.getOrCreateAlbumForDate(metadata.dateTakenLocal || metadata.dateTaken, nameHint);
+  }
+
+  /**
+   * Validate and insert a photo row
+   * @private
+   * @param {Photo} photo - Photo with album assigned
+   * @returns {Promise<Photo>} Photo with ID set
+   * @throws {ImportError} When the photo data is invalid
+   */
+  async insertPhoto(photo) {
     const photoValidation = photo.validate();
     if (!photoValidation.isValid) {
-      throw new ImportError(`Invalid photo data: ${photoValidation.errors.join(', ')}`, file.name);
+      throw new ImportError(`Invalid photo data: ${photoValidation.errors.join(', ')}`, photo.fileName);
     }
 
-    // Save to database
     const insertResult = await this.db.execute(
-      `INSERT INTO photos (file_path, file_name, file_size, date_taken, album_id, width, height, thumbnail_data, exif_data)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO photos (file_path, file_name, file_size, date_taken, date_source, date_taken_local, timezone_offset, album_id, width, height, orientation, favorite, thumbnail_data, exif_data, content_hash, perceptual_hash, media_type, duration)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         photo.filePath,
         photo.fileName,
         photo.fileSize,
         photo.dateTaken ? photo.dateTaken.toISOString() : null,
+        photo.dateSource,
+        photo.dateTakenLocal,
+        photo.timezoneOffset,
         photo.albumId,
         photo.width,
         photo.height,
+        photo.orientation,
+        photo.favorite ? 1 : 0,
         photo.thumbnailData,
-        photo.exifData ? JSON.stringify(photo.exifData) : null
+        photo.exifData ? JSON.stringify(photo.exifData) : null,
+        photo.contentHash,
+        photo.perceptualHash,
+        photo.mediaType,
+        photo.duration
       ]
     );
 
     photo.id = insertResult.lastInsertRowid;
+    return photo;
+  }
+
+  /**
+   * Build the payload for an import progress event
+   * @private
+   * @returns {Object} Progress details including an ETA extrapolated from bytes processed; the
+   *   imported, failed and duplicate counts cover the batches written so far
+   */
+  buildImportProgress({ file, index, totalFiles, bytesProcessed, totalBytes, startedAt, result }) {
+    const elapsedMs = Date.now() - startedAt;
+    const remainingBytes = totalBytes - bytesProcessed;
+    const etaMs = bytesProcessed > 0 ? Math.round((elapsedMs / bytesProcessed) * remainingBytes) : null;
 
-    // Update album photo count
-    await this.updateAlbumPhotoCount(album.id);
+    return {
+      fileName: file.name,
+      index,
+      totalFiles,
+      bytesProcessed,
+      totalBytes,
+      elapsedMs,
+      etaMs,
+      importedCount: result.importedCount,
+      failedCount: result.failedCount,
+      duplicateCount: result.duplicateCount
+    };
+  }
 
-    // Set as cover photo if album doesn't have one
-    if (!album.hasCoverPhoto()) {
-      await this.albumService.updateAlbumCover(album.id, photo.id);
+  /**
+   * Emit an event on the attached event bus, if any
+   * @private
+   * @param {string} eventName - Event name from PHOTO_EVENTS
+   * @param {Object} detail - Event payload
+   */
+  emitEvent(eventName, detail) {
+    if (this.eventBus?.emit) {
+      this.eventBus.emit(eventName, detail);
     }
+  }
 
-    return photo;
+  /**
+   * Refresh an existing photo's metadata from a re-imported copy of the same file
+   * Album counts and covers are left to the caller
+   * @private
+   * @param {Photo} existing - Photo already in the library
+   * @param {File} file - Re-imported file with identical contents
+   * @param {Object} metadata - Result of extractMetadata for the file
+   * @param {Object} context - Shared import state
+   * @param {Object|null} ruleOutcome - Import rule outcome for the file, if rules ran
+   * @returns {Promise<Photo>} Updated photo instance
+   */
+  async replacePhotoMetadata(existing, file, metadata, context = {}, ruleOutcome = null) {
+    const album = await this.resolveImportAlbum(file, metadata, context, ruleOutcome);
+    const filePath = await this.resolveFilePath(getRelativePath(file), existing.id);
+
+    await this.db.execute(
+      `UPDATE photos SET file_name = ?, file_path = ?, date_taken = ?, date_source = ?, date_taken_local = ?, timezone_offset = ?, album_id = ?, width = ?, height = ?, orientation = ?, exif_data = ?, media_type = ?, duration = ?
+       WHERE id = ?`,
+      [
+        file.name,
+        filePath,
+        metadata.dateTaken ? metadata.dateTaken.toISOString() : null,
+        metadata.dateSource,
+        metadata.dateTakenLocal ?? null,
+        metadata.timezoneOffset ?? null,
+        album.id,
+        metadata.width,
+        metadata.height,
+        metadata.orientation,
+        metadata.exifData ? JSON.stringify(metadata.exifData) : null,
+        metadata.mediaType || MediaType.PHOTO,
+        metadata.duration ?? null,
+        existing.id
+      ]
+    );
+
+    return Object.assign(existing, {
+      fileName: file.name,
+      filePath,
+      dateTaken: metadata.dateTaken,
+      dateSource: metadata.dateSource,
+      dateTakenLocal: metadata.dateTakenLocal ?? null,
+      timezoneOffset: metadata.timezoneOffset ?? null,
+      albumId: album.id,
+      width: metadata.width,
+      height: metadata.height,
+      orientation: metadata.orientation,
+      mediaType: metadata.mediaType || MediaType.PHOTO,
+      duration: metadata.duration ?? null,
+      exifData: metadata.exifData
+    });
+  }
+
+  /**
+   * Compute the SHA-256 hash of a file's contents
+   * Small files go to Web Crypto in one read; larger ones (videos can be gigabytes) are hashed
+   * a slice at a time so they are never held in memory whole
+   * @private
+   * @param {File} file - Photo file
+   * @returns {Promise<string|null>} Hex-encoded hash or null when the file can't be read
+   */
+  async computeContentHash(file) {
+    try {
+      if (file.size <= HASH_CHUNK_SIZE && globalThis.crypto?.subtle) {
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', new Uint8Array(await file.arrayBuffer()));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+      }
+
+      const hash = new Sha256();
+      for (let offset = 0; offset < file.size; offset += HASH_CHUNK_SIZE) {
+        hash.update(new Uint8Array(await file.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer()));
+      }
+      return hash.digest();
+    } catch (error) {
+      console.warn(`Failed to hash ${file.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get photo by content hash
+   * @param {string} contentHash - SHA-256 hash of the file contents
+   * @returns {Promise<Photo|null>} Photo instance or null if not found
+   */
+  async getPhotoByContentHash(contentHash) {
+    if (!contentHash) {
+      return null;
+    }
+
+    try {
+      const row = await this.db.get('SELECT * FROM photos WHERE content_hash = ?', [contentHash]);
+      return row ? Photo.fromDbRow(row) : null;
+    } catch (error) {
+      throw new DatabaseError('Failed to get photo by content hash', null, [contentHash], error);
+    }
   }
 
   /**
@@ -162,7 +1191,8 @@ export class PhotoService {
    * @param {Object} options - Query options
    * @param {number} options.offset - Number of photos to skip
    * @param {number} options.limit - Maximum number of photos to return
-   * @returns {Promise<Photo[]>} Array of photos in the album
+   * @param {boolean} options.expandStacks - Return every photo of a stack instead of only its primary (default: false)
+   * @returns {Promise<Photo[]>} Array of photos in the album; stacked photos carry stackKind and stackSize
    * @throws {DatabaseError} When query fails
    */
   async getPhotosByAlbum(albumId, options = {}) {
@@ -172,7 +1202,14 @@ export class PhotoService {
         throw new DatabaseError('Invalid album ID', 'SELECT', [albumId]);
       }
       
-      let query = 'SELECT * FROM photos WHERE albumId = ? ORDER BY dateTaken ASC, dateCreated ASC';
+      // Collapsed stacks show as their primary photo
+      const stackFilter = options.expandStacks ? '' : ' AND (p.stack_id IS NULL OR s.primary_photo_id = p.id)';
+      let query = `SELECT p.*, s.kind AS stack_kind,
+          (SELECT COUNT(*) FROM photos m WHERE m.stack_id = p.stack_id) AS stack_size
+        FROM photos p
+        LEFT JOIN photo_stacks s ON s.id = p.stack_id
+        WHERE p.album_id = ?${stackFilter}
+        ORDER BY p.date_taken ASC, p.date_added ASC`;
       const params = [albumId];
       
       // Add pagination if specified
@@ -194,92 +1231,327 @@ export class PhotoService {
         return photo;
       });
     } catch (error) {
-      if (error instanceof DatabaseError) {
+      if (error instanceof DatabaseError) {
+        throw error;
+      }
+      throw new DatabaseError(`Failed to get photos for album: ${error.message}`, 'SELECT', [albumId], error);
+    }
+  }
+
+  /**
+   * Get the photos of a stack, primary first
+   * @param {number} stackId - Stack ID
+   * @returns {Promise<Photo[]>} Stack members, or an empty array if the stack doesn't exist
+   * @throws {DatabaseError} When the query fails
+   */
+  async getStackMembers(stackId) {
+    try {
+      const rows = await this.db.all(
+        `SELECT p.*, s.kind AS stack_kind
+         FROM photos p
+         JOIN photo_stacks s ON s.id = p.stack_id
+         WHERE p.stack_id = ?
+         ORDER BY p.id = s.primary_photo_id DESC, p.date_taken ASC, p.id ASC`,
+        [stackId]
+      );
+      return rows.map(row => Photo.fromDbRow({ ...row, stack_size: rows.length }));
+    } catch (error) {
+      throw new DatabaseError('Failed to get stack members', 'SELECT', [stackId], error);
+    }
+  }
+
+  /**
+   * Get all stored renditions of a photo
+   * @param {number} photoId - Photo ID
+   * @returns {Promise<Object[]>} Renditions as { kind, width, height, data }, smallest first
+   * @throws {DatabaseError} When the query fails
+   */
+  async getRenditions(photoId) {
+    try {
+      const rows = await this.db.all(
+        `SELECT kind, width, height, data FROM photo_renditions
+         WHERE photo_id = ?
+         ORDER BY width * height ASC`,
+        [photoId]
+      );
+      return rows.map(row => ({ kind: row.kind, width: row.width, height: row.height, data: row.data }));
+    } catch (error) {
+      throw new DatabaseError(`Failed to get renditions: ${error.message}`, 'SELECT', [photoId], error);
+    }
+  }
+
+  /**
+   * Get the rendition that best fits a display box
+   * Photos imported before renditions existed fall back to their single thumbnail
+   * @param {number} photoId - Photo ID
+   * @param {number} displayWidth - CSS width of the display box
+   * @param {number} displayHeight - CSS height of the display box
+   * @param {number} pixelRatio - Device pixel ratio (default: 1)
+   * @returns {Promise<Object|null>} Rendition { kind, width, height, data } or null
+   * @throws {DatabaseError} When the query fails
+   */
+  async getRenditionForDisplay(photoId, displayWidth, displayHeight, pixelRatio = 1) {
+    const renditions = await this.getRenditions(photoId);
+    if (renditions.length > 0) {
+      return pickRendition(renditions, displayWidth, displayHeight, pixelRatio);
+    }
+
+    const photo = await this.getPhotoById(photoId);
+    if (!photo || !photo.thumbnailData) {
+      return null;
+    }
+
+    const { width, height } = this.calculateThumbnailDimensions(photo.width, photo.height, 200);
+    return { kind: RenditionKind.GRID, width, height, data: photo.thumbnailData };
+  }
+
+  /**
+   * Get the original file of a photo for full-resolution viewing
+   * OPFS originals are disk-backed, so an object URL made from the result streams from storage
+   * @param {number} photoId - Photo ID
+   * @returns {Promise<File|null>} Original named and typed as imported, or null if the photo
+   *   doesn't exist or has no original (imported before originals were kept, or evicted)
+   * @throws {FileSystemError} When the originals store can't be read
+   */
+  async getOriginal(photoId) {
+    if (!this.originals) {
+      return null;
+    }
+
+    // Photos record whether an original was kept, so the store is only read when there is one
+    const photo = await this.getPhotoById(photoId);
+    if (!photo || photo.originalSize === null) {
+      return null;
+    }
+
+    const blob = await this.originals.get(photo.id);
+    if (!blob) {
+      return null;
+    }
+
+    // OPFS files don't keep the MIME type they were written with
+    const type = blob.type || getFormatByName(photo.fileName)?.mimeTypes[0] || '';
+    return new File([blob], photo.fileName, { type, lastModified: blob.lastModified });
+  }
+
+  /**
+   * Generate thumbnail for photo
+   * @param {File} file - The image file
+   * @param {number} size - Thumbnail size (default: 200)
+   * @param {Object} options - Rendering options
+   * @param {number} options.quality - JPEG quality (default: preferred thumbnail quality)
+   * @param {number} options.orientation - EXIF orientation to apply (default: 1)
+   * @param {number} options.priority - ThumbnailPriority value (default: NORMAL)
+   * @param {string|number} options.group - Group for prioritizeThumbnails (e.g. album ID)
+   * @returns {Promise<string>} Base64 thumbnail data
+   * @throws {ThumbnailError} When thumbnail generation fails
+   */
+  async generateThumbnail(file, size = 200, options = {}) {
+    const { thumbnailData } = await this.renderThumbnail(file, size, options);
+    return thumbnailData;
+  }
+
+  /**
+   * Move queued thumbnails for a group (e.g. the album on screen) ahead of the rest
+   * @param {string|number} group - Group passed to generateThumbnail
+   */
+  prioritizeThumbnails(group) {
+    const worker = this.getThumbnailWorker();
+    if (worker) {
+      worker.prioritize(group, ThumbnailPriority.VISIBLE);
+    }
+  }
+
+  /**
+   * Move the queued import thumbnails of photos bound for an album ahead of the rest
+   * @param {Album} album - Album on screen
+   */
+  prioritizeAlbumThumbnails(album) {
+    // Imports group by the ID of an album picked by a rule, or by the date period otherwise
+    this.prioritizeThumbnails(album.id);
+    this.prioritizeThumbnails(album.datePeriod);
+  }
+
+  /**
+   * Render thumbnail and compute a perceptual hash from the same canvas
+   * Uses the thumbnail worker when available and falls back to the main thread
+   * @private
+   * @param {File} file - The image file
+   * @param {number} size - Thumbnail size (default: 200)
+   * @param {Object} options - Quality, orientation, scheduling and signal options passed to the worker
+   * @returns {Promise<Object>} { thumbnailData, perceptualHash }
+   * @throws {ThumbnailError} When thumbnail generation fails or is cancelled
+   */
+  async renderThumbnail(file, size = 200, options = {}) {
+    const quality = options.quality ?? this.preferences.getThumbnailQuality();
+    const orientation = options.orientation ?? 1;
+    const worker = typeof file === 'string' ? null : this.getThumbnailWorker();
+
+    if (worker && this.isDecodableImage(file)) {
+      try {
+        return await worker.generate(file, { ...options, size, quality, orientation });
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw error;
+        }
+        console.warn(`Worker thumbnail failed for ${file.name}, retrying on main thread:`, error);
+      }
+    }
+
+    return this.renderThumbnailOnMainThread(file, size, quality, orientation);
+  }
+
+  /**
+   * Check whether a thumbnail can be drawn by decoding a file or blob directly
+   * Embedded previews arrive as JPEG blobs; HEIC and RAW files are attempted too, since some
+   * browsers decode them when the file has no usable preview
+   * @private
+   * @param {File|Blob|Object} file - File, blob or { name } to check
+   * @returns {boolean} True if the format is a photo the registry draws from the file or its preview
+   */
+  isDecodableImage(file) {
+    const thumbnailer = getDeclaredFormat(file)?.thumbnailer;
+    return thumbnailer === Thumbnailer.DECODE || thumbnailer === Thumbnailer.EMBEDDED_PREVIEW;
+  }
+
+  /**
+   * Lazily start the thumbnail worker
+   * @private
+   * @returns {ThumbnailWorkerClient|null} Worker client or null if unavailable
+   */
+  getThumbnailWorker() {
+    if (this.thumbnailWorker === undefined) {
+      try {
+        this.thumbnailWorker = ThumbnailWorkerClient.isSupported() ? new ThumbnailWorkerClient() : null;
+      } catch (error) {
+        console.warn('Thumbnail worker unavailable:', error);
+        this.thumbnailWorker = null;
+      }
+    }
+
+    return this.thumbnailWorker && !this.thumbnailWorker.failed ? this.thumbnailWorker : null;
+  }
+
+  /**
+   * Render thumbnail with a DOM canvas on the main thread
+   * @private
+   * @param {File} file - The image file
+   * @param {number} size - Thumbnail size (default: 200)
+   * @param {number} quality - JPEG quality (default: 0.8)
+   * @param {number} orientation - EXIF orientation to apply (default: 1)
+   * @returns {Promise<Object>} { thumbnailData, perceptualHash }
+   * @throws {ThumbnailError} When thumbnail generation fails
+   */
+  async renderThumbnailOnMainThread(file, size = 200, quality = 0.8, orientation = 1) {
+    // Handle both File objects and file paths (for testing)
+    if (typeof file === 'string') {
+      // Handle file path case (like in tests)
+      if (!this.isDecodableImage({ name: file })) {
+        throw new ThumbnailError('Invalid file type for thumbnail generation');
+      }
+      // For test paths, return mock thumbnail
+      return { thumbnailData: 'data:image/jpeg;base64,mock-thumbnail-data', perceptualHash: null };
+    }
+
+    // Validate input for File objects
+    if (!file || !this.isDecodableImage(file)) {
+      throw new ThumbnailError('Invalid file type for thumbnail generation');
+    }
+
+    const image = await this.decodeImageForThumbnail(file);
+
+    try {
+      // Calculate dimensions maintaining aspect ratio
+      const { width: targetWidth, height: targetHeight } = this.calculateThumbnailDimensions(
+        image.width, image.height, size
+      );
+      const appliedOrientation = image.isUpright ? 1 : orientation;
+      const upright = orientedDimensions(targetWidth, targetHeight, appliedOrientation);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = upright.width;
+      canvas.height = upright.height;
+
+      // Draw upright and compress image
+      drawOriented(canvas.getContext('2d'), image.source, appliedOrientation, targetWidth, targetHeight);
+
+      // Convert to base64 with compression
+      const base64Data = canvas.toDataURL('image/jpeg', quality);
+      return { thumbnailData: base64Data, perceptualHash: computeDHash(canvas) };
+    } catch (error) {
+      throw new ThumbnailError(`Failed to generate thumbnail: ${error.message}`, file.name, error);
+    } finally {
+      image.release();
+    }
+  }
+
+  /**
+   * Decode an image for drawing on the main thread
+   * Prefers an ImageBitmap of the stored pixels; the <img> fallback is drawn
+   * as-is because browsers without createImageBitmap predate orientation support
+   * @private
+   * @param {Blob} file - Image to decode
+   * @returns {Promise<Object>} { source, width, height, isUpright, release }
+   * @throws {ThumbnailError} When the image can't be decoded in time
+   */
+  async decodeImageForThumbnail(file) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'none' });
+        return {
+          source: bitmap,
+          width: bitmap.width,
+          height: bitmap.height,
+          isUpright: false,
+          release: () => bitmap.close()
+        };
+      } catch (error) {
+        // Fall through to <img>, which decodes a few formats createImageBitmap rejects
+      }
+    }
+
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => reject(new ThumbnailError('Thumbnail generation timed out')), 3000);
+    });
+
+    try {
+      const img = await Promise.race([this.loadImageFromFile(file), timeout]);
+      return {
+        source: img,
+        width: img.naturalWidth || img.width,
+        height: img.naturalHeight || img.height,
+        isUpright: true,
+        release: () => {}
+      };
+    } catch (error) {
+      if (error instanceof ThumbnailError) {
         throw error;
       }
-      throw new DatabaseError(`Failed to get photos for album: ${error.message}`, 'SELECT', [albumId], error);
+      throw new ThumbnailError('Failed to load image for thumbnail generation', file.name, error);
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
   /**
-   * Generate thumbnail for photo
-   * @param {File} file - The image file
-   * @param {number} size - Thumbnail size (default: 200)
-   * @returns {Promise<string>} Base64 thumbnail data
-   * @throws {ThumbnailError} When thumbnail generation fails
+   * Scale image dimensions to fit within a square thumbnail box
+   * @private
+   * @param {number} width - Source image width
+   * @param {number} height - Source image height
+   * @param {number} size - Maximum thumbnail edge in pixels
+   * @returns {Object} Target dimensions { width, height }
    */
-  async generateThumbnail(file, size = 200) {
-    return new Promise((resolve, reject) => {
-      try {
-        // Handle both File objects and file paths (for testing)
-        if (typeof file === 'string') {
-          // Handle file path case (like in tests)
-          if (!file.match(/\.(jpg|jpeg|png|gif|bmp|webp)$/i)) {
-            throw new ThumbnailError('Invalid file type for thumbnail generation');
-          }
-          // For test paths, return mock thumbnail
-          resolve('data:image/jpeg;base64,mock-thumbnail-data');
-          return;
-        }
-        
-        // Validate input for File objects
-        if (!file || !file.type || !file.type.startsWith('image/')) {
-          throw new ThumbnailError('Invalid file type for thumbnail generation');
-        }
-        
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const img = new Image();
-        
-        // Set timeout for image loading
-        const timeoutId = setTimeout(() => {
-          reject(new ThumbnailError('Thumbnail generation timed out'));
-        }, 3000);
-        
-        img.onload = () => {
-          try {
-            clearTimeout(timeoutId);
-            
-            // Calculate dimensions maintaining aspect ratio
-            const { width: targetWidth, height: targetHeight } = this.calculateThumbnailDimensions(
-              img.width, img.height, size
-            );
-            
-            canvas.width = targetWidth;
-            canvas.height = targetHeight;
-            
-            // Draw and compress image
-            ctx.drawImage(img, 0, 0, targetWidth, targetHeight);
-            
-            // Convert to base64 with compression
-            const base64Data = canvas.toDataURL('image/jpeg', 0.8);
-            resolve(base64Data);
-            
-          } catch (error) {
-            clearTimeout(timeoutId);
-            reject(new ThumbnailError(`Failed to generate thumbnail: ${error.message}`, error));
-          }
-        };
-        
-        img.onerror = () => {
-          clearTimeout(timeoutId);
-          reject(new ThumbnailError('Failed to load image for thumbnail generation'));
-        };
-        
-        // Use createObjectURL for better performance
-        const objectUrl = URL.createObjectURL(file);
-        img.src = objectUrl;
-        
-        // Clean up object URL after image loads
-        img.onload = (originalOnload => function(...args) {
-          URL.revokeObjectURL(objectUrl);
-          return originalOnload.apply(this, args);
-        })(img.onload);
-        
-      } catch (error) {
-        reject(new ThumbnailError(`Thumbnail generation setup failed: ${error.message}`, error));
-      }
-    });
+  calculateThumbnailDimensions(width, height, size) {
+    if (!width || !height) {
+      return { width: size, height: size };
+    }
+
+    const scale = Math.min(1, size / Math.max(width, height));
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    };
   }
 
   /**
@@ -296,14 +1568,23 @@ export class PhotoService {
         return false; // Return false instead of throwing error when photo not found
       }
       
-      // Delete the photo
+      // Delete the photo (SQLite leaves foreign keys unenforced, so clear renditions explicitly)
+      await this.db.execute('DELETE FROM photo_renditions WHERE photo_id = ?', [photoId]);
       await this.db.execute('DELETE FROM photos WHERE id = ?', [photoId]);
-      
-      // Emit photo deleted event (with null check)
-      if (this.eventBus?.emit) {
-        this.eventBus.emit('photo:deleted', { photoId });
+
+      if (photo.stack_id) {
+        await this.repairStack(photo.stack_id);
+      }
+
+      if (this.originals) {
+        // The row is gone either way; a leftover original only costs storage
+        await this.originals.delete(photoId).catch(error => {
+          console.warn(`Failed to delete original of photo ${photoId}:`, error);
+        });
       }
       
+      this.emitEvent(PHOTO_EVENTS.PHOTO_DELETED, { photoId });
+      
       return true;
     } catch (error) {
       // If it's a database error during deletion, throw it
@@ -315,25 +1596,151 @@ export class PhotoService {
   }
 
   /**
-   * Validate photo file
+   * Keep a stack valid after one of its photos was removed
+   * A new primary is picked when the old one is gone; a stack left with one photo is dissolved
+   * @private
+   * @param {number} stackId - Stack ID
+   */
+  async repairStack(stackId) {
+    const remaining = await this.db.all(
+      'SELECT id FROM photos WHERE stack_id = ? ORDER BY date_taken ASC, id ASC',
+      [stackId]
+    );
+
+    if (remaining.length < 2) {
+      await this.db.execute('UPDATE photos SET stack_id = NULL WHERE stack_id = ?', [stackId]);
+      await this.db.execute('DELETE FROM photo_stacks WHERE id = ?', [stackId]);
+      return;
+    }
+
+    await this.db.execute(
+      `UPDATE photo_stacks SET primary_photo_id = ?
+       WHERE id = ? AND primary_photo_id NOT IN (SELECT id FROM photos WHERE stack_id = ?)`,
+      [remaining[0].id, stackId, stackId]
+    );
+  }
+
+  /**
+   * Move the capture time of photos by a fixed amount, e.g. to correct a camera clock
+   * Photos filed in the date album of their old capture time move to the album for the new one;
+   * photos placed elsewhere by an import rule or by hand stay put. Photos without a date are skipped
+   * @param {number[]} photoIds - Photos to shift
+   * @param {number} offset - Milliseconds to add to each capture time (negative to move back)
+   * @returns {Promise<Object>} { shiftedCount, skippedIds, missingIds, affectedAlbumIds } where skippedIds
+   *   have no capture time and missingIds don't exist
+   * @throws {ValidationError} When no photos are given or the offset isn't a finite number
+   * @throws {DatabaseError} When the update fails
+   */
+  async shiftCaptureTime(photoIds, offset) {
+    if (!Array.isArray(photoIds) || photoIds.length === 0) {
+      throw new ValidationError('At least one photo is required', 'photoIds', photoIds);
+    }
+    if (!Number.isFinite(offset)) {
+      throw new ValidationError('Capture time offset must be a number of milliseconds', 'offset', offset);
+    }
+
+    const photos = await this.getPhotosByIds([...new Set(photoIds)]);
+    const result = { shiftedCount: 0, skippedIds: [], missingIds: [], affectedAlbumIds: [] };
+    const affectedAlbumIds = new Set();
+
+    try {
+      const transaction = await this.db.beginTransaction();
+
+      try {
+        for (const photo of photos) {
+          if (!photo.dateTaken) {
+            result.skippedIds.push(photo.id);
+            continue;
+          }
+
+          const dateTaken = new Date(photo.dateTaken.getTime() + offset);
+          // The offset stays as recorded: the clock was wrong, not the timezone
+          const dateTakenLocal = shiftWallClock(photo.dateTakenLocal, offset) || fromInstant(dateTaken).local;
+
+          // Looked up the way the import filed it, so a photo still in its date album is recognised
+          const { album: dateAlbum } = await this.albumService.findAlbumForDate(photo.dateTakenLocal || photo.dateTaken);
+          const albumId = dateAlbum && dateAlbum.id === photo.albumId
+            ? (await this.albumService.getOrCreateAlbumForDate(dateTakenLocal)).id
+            : photo.albumId;
+
+          await this.db.execute(
+            'UPDATE photos SET date_taken = ?, date_taken_local = ?, album_id = ? WHERE id = ?',
+            [dateTaken.toISOString(), dateTakenLocal, albumId, photo.id]
+          );
+
+          [photo.albumId, albumId].filter(Boolean).forEach(id => affectedAlbumIds.add(id));
+          result.shiftedCount++;
+        }
+
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      for (const albumId of affectedAlbumIds) {
+        await this.albumService.recalculateAlbum(albumId);
+      }
+    } catch (error) {
+      throw new DatabaseError(`Failed to shift capture time: ${error.message}`, 'UPDATE', photoIds, error);
+    }
+
+    result.missingIds = [...new Set(photoIds)].filter(id => !photos.some(photo => photo.id === id));
+    result.affectedAlbumIds = [...affectedAlbumIds];
+
+    this.emitEvent(PHOTO_EVENTS.CAPTURE_TIME_SHIFTED, { photoIds, offset, result });
+
+    return result;
+  }
+
+  /**
+   * Shift photos by the clock error measured on one photo whose correct time is known
+   * The reference photo is shifted along with the others
+   * @param {number[]} photoIds - Photos taken with the same camera clock
+   * @param {number} referencePhotoId - Photo whose correct capture time is known
+   * @param {Date} correctTime - When the reference photo was actually taken
+   * @returns {Promise<Object>} Result of shiftCaptureTime plus the applied offset
+   * @throws {ValidationError} When the reference photo has no capture time or correctTime is invalid
+   */
+  async syncCaptureTimeToReference(photoIds, referencePhotoId, correctTime) {
+    if (!(correctTime instanceof Date) || isNaN(correctTime.getTime())) {
+      throw new ValidationError('Correct capture time must be a valid date', 'correctTime', correctTime);
+    }
+
+    const reference = await this.getPhotoById(referencePhotoId);
+    if (!reference?.dateTaken) {
+      throw new ValidationError('Reference photo has no capture time', 'referencePhotoId', referencePhotoId);
+    }
+
+    const offset = correctTime.getTime() - reference.dateTaken.getTime();
+    const ids = [...new Set([referencePhotoId, ...(photoIds || [])])];
+
+    return { ...(await this.shiftCaptureTime(ids, offset)), offset };
+  }
+
+  /**
+   * Validate photo file against the format registry and the import preferences
    * @private
    * @param {File} file - File to validate
+   * @param {Object|null} format - Format detected from the contents; defaults to the one the file declares
    * @returns {Object} Validation result
    */
-  validatePhotoFile(file) {
+  validatePhotoFile(file, format = getDeclaredFormat(file)) {
     const errors = [];
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/heic', 'image/tiff'];
-    const maxSize = 50 * 1024 * 1024; // 50MB
 
     if (!file) {
       errors.push('No file provided');
       return { isValid: false, errors };
     }
 
-    if (!allowedTypes.includes(file.type)) {
-      errors.push(`Unsupported file type: ${file.type}`);
+    if (!format) {
+      errors.push(`Unsupported file type: ${file.type || file.name}`);
+    } else if (!isFormatEnabled(format, this.preferences.getSupportedFormats())) {
+      errors.push(`${format.name} imports are turned off`);
     }
 
+    // Clips and RAW files are far larger than JPEGs, so each has its own limit
+    const maxSize = this.preferences.getMaxImportSize(format?.importLimit || ImportLimit.PHOTO);
     if (file.size > maxSize) {
       errors.push(`File too large: ${file.size} bytes (max: ${maxSize} bytes)`);
     }
@@ -352,34 +1759,123 @@ export class PhotoService {
    * Extract metadata from photo file
    * @private
    * @param {File} file - Photo file
+   * @param {Object} sidecar - Parsed sidecar metadata, if any
+   * @param {Object|null} format - Format detected from the contents; defaults to the one the file declares
    * @returns {Promise<Object>} Extracted metadata
    */
-  async extractMetadata(file) {
+  async extractMetadata(file, sidecar = null, format = getDeclaredFormat(file)) {
     const metadata = {
       dateTaken: null,
+      dateSource: null,
+      dateTakenLocal: null,
+      timezoneOffset: null,
       width: null,
       height: null,
-      exifData: null
+      exifData: null,
+      orientation: 1,
+      favorite: false,
+      mediaType: MediaType.PHOTO,
+      duration: null,
+      format: format?.id || null,
+      thumbnailSource: null
     };
+    let videoCreationTime = null;
 
     try {
-      // Create image element to get dimensions
-      const img = await this.loadImageFromFile(file);
-      metadata.width = img.naturalWidth || img.width;
-      metadata.height = img.naturalHeight || img.height;
-
-      // Extract EXIF data (simplified implementation)
-      // In a real implementation, you would use a library like exif-js or piexifjs
-      metadata.exifData = await this.extractExifData(file);
+      const extractor = format?.extractor || MetadataExtractor.IMAGE;
+      // Photos are read once and every parser below shares the bytes; videos are read a box at a time
+      const contents = extractor === MetadataExtractor.VIDEO ? null : await file.arrayBuffer();
+
+      if (extractor === MetadataExtractor.VIDEO) {
+        const video = await this.extractVideoData(file);
+        metadata.mediaType = MediaType.VIDEO;
+        metadata.width = video.width;
+        metadata.height = video.height;
+        metadata.duration = video.duration;
+        metadata.thumbnailSource = video.poster;
+        // Kept with the metadata so the clip can be stacked with its Live Photo still
+        metadata.exifData = video.contentIdentifier ? { contentIdentifier: video.contentIdentifier } : null;
+        videoCreationTime = video.creationTime;
+      } else if (extractor === MetadataExtractor.HEIF) {
+        // <img> can't decode HEIC in most browsers, so read the container directly
+        const heif = this.extractHeifData(contents);
+        if (heif) {
+          // HEIF readers apply the container's irot and ignore the Exif orientation tag
+          metadata.orientation = orientationFromRotation(heif.rotation);
+          ({ width: metadata.width, height: metadata.height } =
+            orientedDimensions(heif.width, heif.height, metadata.orientation));
+          metadata.exifData = heif.exif;
+          if (heif.thumbnail) {
+            metadata.thumbnailSource = new Blob([heif.thumbnail], { type: 'image/jpeg' });
+          }
+        }
+      } else if (extractor === MetadataExtractor.RAW) {
+        // RAW sensor data isn't developed; the camera's embedded JPEG preview is shown instead
+        const raw = this.extractRawData(contents);
+        if (raw) {
+          metadata.exifData = raw.exif;
+          metadata.orientation = normalizeOrientation(raw.exif?.orientation);
+          if (raw.preview) {
+            ({ width: metadata.width, height: metadata.height } =
+              orientedDimensions(raw.width, raw.height, metadata.orientation));
+            metadata.thumbnailSource = new Blob([raw.preview], { type: 'image/jpeg' });
+          }
+        }
+      } else {
+        metadata.exifData = await this.extractExifData(file, contents);
+        metadata.orientation = normalizeOrientation(metadata.exifData?.orientation);
+
+        // Width and height are stored upright. The frame header gives the stored size;
+        // otherwise fall back to <img>, which browsers already report upright
+        const stored = this.readStoredDimensions(contents);
+        if (stored) {
+          ({ width: metadata.width, height: metadata.height } =
+            orientedDimensions(stored.width, stored.height, metadata.orientation));
+        } else {
+          const img = await this.loadImageFromFile(file);
+          metadata.width = img.naturalWidth || img.width;
+          metadata.height = img.naturalHeight || img.height;
+        }
+      }
       
-      // Try to get date taken from EXIF data
-      if (metadata.exifData && metadata.exifData.DateTime) {
-        metadata.dateTaken = this.parseExifDate(metadata.exifData.DateTime);
+      // Each source yields the UTC instant plus the local wall clock it was read from,
+      // so albums group by where the photo was taken rather than where it is imported
+      const setCaptureTime = (captureTime, source) => {
+        metadata.dateTaken = captureTime.date;
+        metadata.dateTakenLocal = captureTime.local;
+        metadata.timezoneOffset = captureTime.offset;
+        metadata.dateSource = source;
+      };
+
+      // Prefer the capture time, then digitization, then last modification in camera
+      const exif = metadata.exifData;
+      const exifCaptureTime = captureTimeFromExif(exif) || parseIsoCaptureTime(exif?.dateCreated);
+      if (exifCaptureTime) {
+        setCaptureTime(exifCaptureTime, DateSource.EXIF);
+      } else if (videoCreationTime) {
+        // The movie header only stores UTC, so the local time is the importer's
+        setCaptureTime(fromInstant(videoCreationTime), DateSource.VIDEO_HEADER);
       }
 
-      // Fallback to file modification date if no EXIF date
+      if (sidecar) {
+        metadata.exifData = this.applySidecarMetadata(metadata.exifData, sidecar);
+        metadata.favorite = sidecar.favorite;
+        if (!metadata.dateTaken && sidecar.captureTime) {
+          setCaptureTime(sidecar.captureTime, DateSource.SIDECAR);
+        }
+      }
+
+      // Apps that strip EXIF often keep the capture time in the file name
+      if (!metadata.dateTaken) {
+        const inferred = inferDateFromFilename(file.name, this.filenameDatePatterns);
+        if (inferred) {
+          setCaptureTime(fromInstant(inferred.date), DateSource.FILENAME);
+        }
+      }
+
+      // Fallback to file modification date if nothing else has a date
       if (!metadata.dateTaken && file.lastModified) {
-        metadata.dateTaken = new Date(file.lastModified);
+        setCaptureTime(fromInstant(new Date(file.lastModified)), DateSource.FILE_MODIFIED);
       }
 
       return metadata;
@@ -389,6 +1885,211 @@ export class PhotoService {
     }
   }
 
+  /**
+   * Read and combine a photo's Takeout JSON and XMP sidecars
+   * A sidecar that can't be read is ignored rather than failing the photo
+   * @private
+   * @param {Object|null} sidecar - Sidecar files { json, xmp }
+   * @param {File} file - Photo the sidecars describe
+   * @returns {Promise<Object|null>} { description, title, keywords, rating, captureTime, gps, favorite } or null
+   */
+  async readSidecarMetadata(sidecar, file) {
+    if (!sidecar) {
+      return null;
+    }
+
+    const read = async (sidecarFile, parse) => {
+      if (!sidecarFile) {
+        return null;
+      }
+      try {
+        const source = typeof sidecarFile.open === 'function' ? await sidecarFile.open() : sidecarFile;
+        return parse(await source.text());
+      } catch (error) {
+        console.warn(`Failed to read sidecar ${sidecarFile.name} for ${file.name}:`, error);
+        return null;
+      }
+    };
+
+    const [takeout, xmp] = await Promise.all([
+      read(sidecar.json, parseTakeoutJson),
+      read(sidecar.xmp, parseXmp)
+    ]);
+
+    if (!takeout && !xmp) {
+      return null;
+    }
+
+    return {
+      description: takeout?.description || xmp?.description || null,
+      title: xmp?.title || null,
+      keywords: xmp?.keywords || [],
+      rating: xmp?.rating ?? null,
+      // Takeout stores a bare UTC timestamp, while XMP dates can carry their offset
+      captureTime: takeout?.dateTaken ? fromInstant(takeout.dateTaken) : parseIsoCaptureTime(xmp?.dateCreated),
+      gps: takeout?.gps || xmp?.gps || null,
+      favorite: takeout?.favorite || false
+    };
+  }
+
+  /**
+   * Merge sidecar metadata into the embedded metadata
+   * Sidecars carry edits made in the exporting app, so their description, rating and location win
+   * @private
+   * @param {Object|null} exifData - Embedded metadata
+   * @param {Object} sidecar - Result of readSidecarMetadata
+   * @returns {Object} Merged metadata
+   */
+  applySidecarMetadata(exifData, sidecar) {
+    const merged = { ...(exifData || {}) };
+
+    merged.title = sidecar.title || merged.title || null;
+    merged.description = sidecar.description || merged.description || null;
+    merged.keywords = [...new Set([...(merged.keywords || []), ...sidecar.keywords])];
+    merged.rating = sidecar.rating ?? merged.rating ?? null;
+    merged.gps = sidecar.gps || merged.gps || null;
+
+    return merged;
+  }
+
+  /**
+   * Read the stored (pre-orientation) pixel size from the file header
+   * @private
+   * @param {ArrayBuffer} arrayBuffer - Photo file contents
+   * @returns {Object|null} { width, height } or null if the format isn't supported
+   */
+  readStoredDimensions(arrayBuffer) {
+    try {
+      return readJpegDimensions(new DataView(arrayBuffer));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extract duration, size, creation time and a poster frame from a video clip
+   * The movie header is preferred; the <video> element fills in what it lacks
+   * @private
+   * @param {File} file - Video file
+   * @returns {Promise<Object>} { width, height, duration, creationTime, contentIdentifier, poster },
+   *   with null for anything unreadable
+   */
+  async extractVideoData(file) {
+    let header = null;
+    try {
+      header = await readMp4Metadata(file);
+    } catch (error) {
+      console.warn(`Failed to read movie header of ${file.name}:`, error);
+    }
+
+    let frame = null;
+    try {
+      frame = await this.capturePosterFrame(file);
+    } catch (error) {
+      console.warn(`Failed to capture poster frame of ${file.name}:`, error);
+    }
+
+    return {
+      width: header?.width || frame?.width || null,
+      height: header?.height || frame?.height || null,
+      duration: header?.duration ?? frame?.duration ?? null,
+      creationTime: header?.creationTime || null,
+      contentIdentifier: header?.contentIdentifier || null,
+      poster: frame?.poster || null
+    };
+  }
+
+  /**
+   * Draw an early frame of a video into a JPEG poster
+   * The frame is taken a second in (or a tenth of the way into short clips) to skip fade-ins
+   * @private
+   * @param {File} file - Video file
+   * @returns {Promise<Object>} { poster, width, height, duration } with the poster as a JPEG Blob
+   * @throws {ThumbnailError} When the video can't be decoded in time
+   */
+  async capturePosterFrame(file) {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(file);
+    let timeoutId;
+
+    const failed = new Promise((resolve, reject) => {
+      video.addEventListener('error', () => reject(new ThumbnailError('Failed to load video', file.name)), { once: true });
+    });
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => reject(new ThumbnailError('Poster frame capture timed out', file.name)), 10000);
+    });
+    // Errors after the frame is drawn (e.g. from unloading the video) are ignored
+    failed.catch(() => {});
+
+    const waitFor = eventName => Promise.race([
+      new Promise(resolve => video.addEventListener(eventName, resolve, { once: true })),
+      failed,
+      timeout
+    ]);
+
+    try {
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      video.src = url;
+      await waitFor('loadeddata');
+
+      const duration = Number.isFinite(video.duration) ? video.duration : null;
+      video.currentTime = duration ? Math.min(1, duration / 10) : 0;
+      await waitFor('seeked');
+
+      // Browsers report the rotated size and draw the frame upright
+      const width = video.videoWidth;
+      const height = video.videoHeight;
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+      const poster = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+      if (!poster) {
+        throw new ThumbnailError('Failed to encode poster frame', file.name);
+      }
+
+      return { poster, width, height, duration };
+    } finally {
+      clearTimeout(timeoutId);
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Extract dimensions, EXIF data and embedded thumbnail from a HEIC/HEIF file
+   * @private
+   * @param {ArrayBuffer} arrayBuffer - HEIC/HEIF file contents
+   * @returns {Object|null} HEIF metadata or null
+   */
+  extractHeifData(arrayBuffer) {
+    try {
+      return parseHeif(arrayBuffer);
+    } catch (error) {
+      console.warn('Failed to extract HEIF data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract the EXIF block and embedded JPEG preview from a TIFF-based RAW file
+   * @private
+   * @param {ArrayBuffer} arrayBuffer - DNG, CR2, NEF or ARW file contents
+   * @returns {Object|null} RAW metadata { exif, preview, width, height } or null
+   */
+  extractRawData(arrayBuffer) {
+    try {
+      return parseRaw(arrayBuffer);
+    } catch (error) {
+      console.warn('Failed to extract RAW data:', error);
+      return null;
+    }
+  }
+
   /**
    * Load image from file to get dimensions
    * @private
@@ -416,31 +2117,29 @@ export class PhotoService {
 
   /**
    * Extract EXIF data from photo file
+   * Also merges XMP and PNG text fields (title, description, keywords, dateCreated)
    * @private
    * @param {File} file - Photo file
+   * @param {ArrayBuffer|null} contents - File contents when the caller has already read them
    * @returns {Promise<Object|null>} EXIF data or null
    */
-  async extractExifData(file) {
-    // Simplified EXIF extraction
-    // In a real implementation, you would use a proper EXIF library
+  async extractExifData(file, contents = null) {
     try {
-      const arrayBuffer = await file.arrayBuffer();
-      const dataView = new DataView(arrayBuffer);
+      const arrayBuffer = contents || await file.arrayBuffer();
+      let exif = null;
+      let xmp = null;
+      let text = {};
 
-      // Basic EXIF header validation
-      if (dataView.getUint16(0) === 0xFFD8) { // JPEG SOI marker
-        // This is a very simplified EXIF parser
-        // Real implementation would properly parse EXIF data
-        return {
-          make: 'Unknown',
-          model: 'Unknown',
-          orientation: 1,
-          software: 'Unknown',
-          DateTime: null
-        };
+      if (isPng(arrayBuffer)) {
+        ({ exif, xmp, text } = parsePngMetadata(arrayBuffer));
+      } else if (isWebp(arrayBuffer)) {
+        ({ exif, xmp } = parseWebpMetadata(arrayBuffer));
+      } else {
+        exif = parseJpegExif(arrayBuffer);
+        xmp = findJpegXmp(arrayBuffer);
       }
 
-      return null;
+      return this.mergeEmbeddedMetadata(exif, parseXmp(xmp), text);
     } catch (error) {
       console.warn('Failed to extract EXIF data:', error);
       return null;
@@ -448,43 +2147,61 @@ export class PhotoService {
   }
 
   /**
-   * Parse EXIF date string
+   * Combine EXIF, XMP and PNG text metadata into a single object
    * @private
-   * @param {string} exifDate - EXIF date string
-   * @returns {Date|null} Parsed date or null
+   * @param {Object|null} exif - Parsed EXIF data
+   * @param {Object|null} xmp - Parsed XMP fields
+   * @param {Object} text - PNG tEXt/iTXt entries keyed by keyword
+   * @returns {Object|null} Merged metadata or null if nothing was found
    */
-  parseExifDate(exifDate) {
-    if (!exifDate || typeof exifDate !== 'string') {
+  mergeEmbeddedMetadata(exif, xmp, text = {}) {
+    if (!exif && !xmp && Object.keys(text).length === 0) {
       return null;
     }
 
-    try {
-      // EXIF date format: "YYYY:MM:DD HH:MM:SS"
-      const [datePart, timePart] = exifDate.split(' ');
-      const [year, month, day] = datePart.split(':').map(Number);
-      const [hour, minute, second] = (timePart || '00:00:00').split(':').map(Number);
-
-      return new Date(year, month - 1, day, hour, minute, second);
-    } catch (error) {
-      console.warn('Failed to parse EXIF date:', exifDate, error);
-      return null;
-    }
+    return {
+      ...(exif || {}),
+      title: xmp?.title || text.Title || null,
+      description: xmp?.description || text.Description || null,
+      keywords: xmp?.keywords || [],
+      rating: xmp?.rating ?? null,
+      dateCreated: xmp?.dateCreated || text['Creation Time'] || null,
+      gps: exif?.gps || xmp?.gps || null
+    };
   }
 
   /**
-   * Generate file path for photo
+   * Make a source path unique in the library
+   * A taken path gets a numbered suffix, e.g. "Trips/IMG_0001 (2).jpg"
    * @private
-   * @param {File} file - Photo file
-   * @returns {string} Generated file path
+   * @param {string} relativePath - Path relative to the picked folder
+   * @param {number|null} excludeId - Photo whose own path doesn't count as taken
+   * @returns {Promise<string>} Unused file path
    */
-  generateFilePath(file) {
-    // In a real implementation, this would handle actual file system paths
-    // For MVP, we'll use a simplified approach with timestamps
-    const timestamp = Date.now();
-    const randomId = Math.random().toString(36).substr(2, 9);
-    const extension = file.name.split('.').pop();
-    
-    return `photos/${timestamp}_${randomId}.${extension}`;
+  async resolveFilePath(relativePath, excludeId = null) {
+    const dot = relativePath.lastIndexOf('.');
+    const hasExtension = dot > relativePath.lastIndexOf('/') + 1;
+    const stem = hasExtension ? relativePath.slice(0, dot) : relativePath;
+    const extension = hasExtension ? relativePath.slice(dot) : '';
+
+    // LIKE may match extra rows (e.g. "_" wildcards); the exact check below filters them
+    const rows = await this.db.all(
+      'SELECT id, file_path FROM photos WHERE file_path = ? OR file_path LIKE ?',
+      [relativePath, `${stem} (%)${extension}`]
+    );
+    const taken = new Set(
+      (rows || []).filter(row => row.id !== excludeId).map(row => row.file_path)
+    );
+
+    if (!taken.has(relativePath)) {
+      return relativePath;
+    }
+
+    let copy = 2;
+    while (taken.has(`${stem} (${copy})${extension}`)) {
+      copy++;
+    }
+    return `${stem} (${copy})${extension}`;
   }
 
   /**
@@ -569,6 +2286,113 @@ export class PhotoService {
     }
   }
 
+  /**
+   * Find photos that look like the given photo
+   * @param {number} photoId - Reference photo identifier
+   * @param {number} threshold - Maximum Hamming distance between hashes (default: 10)
+   * @returns {Promise<Object[]>} Matches as { photo, distance }, closest first
+   * @throws {DatabaseError} When query fails
+   */
+  async findSimilarPhotos(photoId, threshold = 10) {
+    const reference = await this.getPhotoById(photoId);
+    if (!reference || !reference.perceptualHash) {
+      return [];
+    }
+
+    try {
+      const candidates = await this.db.all(
+        'SELECT id, perceptual_hash FROM photos WHERE perceptual_hash IS NOT NULL AND id != ?',
+        [photoId]
+      );
+
+      const distances = new Map();
+      for (const candidate of candidates) {
+        const distance = hammingDistance(reference.perceptualHash, candidate.perceptual_hash);
+        if (distance <= threshold) {
+          distances.set(candidate.id, distance);
+        }
+      }
+
+      const photos = await this.getPhotosByIds([...distances.keys()]);
+      return photos
+        .map(photo => ({ photo, distance: distances.get(photo.id) }))
+        .sort((a, b) => a.distance - b.distance);
+    } catch (error) {
+      throw new DatabaseError('Failed to find similar photos', null, [photoId, threshold], error);
+    }
+  }
+
+  /**
+   * Group near-duplicate photos across the whole library
+   * @param {number} threshold - Maximum Hamming distance between hashes (default: 10)
+   * @returns {Promise<Photo[][]>} Groups of two or more similar photos, largest first
+   * @throws {DatabaseError} When query fails
+   */
+  async findSimilarPhotoGroups(threshold = 10) {
+    try {
+      const rows = await this.db.all(
+        'SELECT id, perceptual_hash FROM photos WHERE perceptual_hash IS NOT NULL ORDER BY id ASC'
+      );
+
+      // Union-find over every pair within the threshold
+      const parent = rows.map((_, index) => index);
+      const find = index => {
+        while (parent[index] !== index) {
+          parent[index] = parent[parent[index]];
+          index = parent[index];
+        }
+        return index;
+      };
+
+      for (let i = 0; i < rows.length; i++) {
+        for (let j = i + 1; j < rows.length; j++) {
+          if (hammingDistance(rows[i].perceptual_hash, rows[j].perceptual_hash) <= threshold) {
+            parent[find(j)] = find(i);
+          }
+        }
+      }
+
+      const clusters = new Map();
+      rows.forEach((row, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) {
+          clusters.set(root, []);
+        }
+        clusters.get(root).push(row.id);
+      });
+
+      const groups = [...clusters.values()].filter(ids => ids.length > 1);
+      const photos = await this.getPhotosByIds(groups.flat());
+      const photosById = new Map(photos.map(photo => [photo.id, photo]));
+
+      return groups
+        .map(ids => ids.map(id => photosById.get(id)).filter(Boolean))
+        .sort((a, b) => b.length - a.length);
+    } catch (error) {
+      throw new DatabaseError('Failed to group similar photos', null, [threshold], error);
+    }
+  }
+
+  /**
+   * Get photos by IDs
+   * @private
+   * @param {number[]} photoIds - Array of photo IDs
+   * @returns {Promise<Photo[]>} Array of photos
+   */
+  async getPhotosByIds(photoIds) {
+    if (!photoIds || photoIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = photoIds.map(() => '?').join(',');
+    const rows = await this.db.all(
+      `SELECT * FROM photos WHERE id IN (${placeholders})`,
+      photoIds
+    );
+
+    return rows.map(row => Photo.fromDbRow(row));
+  }
+
   /**
    * Search photos by filename or metadata
    * @param {string} query - Search query
@@ -0,0 +1,284 @@
+/**
+ * StorageService
+ * Watches browser storage use against the origin's quota, warns before imports that won't fit
+ * and frees space by evicting originals or large renditions of old albums
+ */
+
+import { DatabaseError, ValidationError } from '../lib/errors.js';
+import { RenditionKind } from '../lib/renditions.js';
+
+/**
+ * What an eviction removes; thumbnails and metadata are always kept
+ */
+export const EvictionPolicy = Object.freeze({
+  // Preview renditions; the grid and micro renditions still show the photo
+  DROP_PREVIEWS: 'drop_previews',
+  // Stored originals; the detail view falls back to the largest rendition
+  DROP_ORIGINALS: 'drop_originals'
+});
+
+// Browsers start failing writes before usage reaches the quota, so warn early
+const QUOTA_WARNING_RATIO = 0.9;
+
+// Rough size of one photo's micro, grid and preview renditions
+const ESTIMATED_RENDITION_BYTES = 300 * 1024;
+
+export class StorageService {
+  /**
+   * @param {DatabaseService} databaseService - Database
+   * @param {AlbumService} albumService - Provides per-album statistics
+   * @param {OriginalStore|null} originals - Originals store, if originals are kept
+   * @param {StorageManager} storage - Quota API (default: navigator.storage)
+   */
+  constructor(databaseService, albumService, originals = null, storage = globalThis.navigator?.storage) {
+    this.db = databaseService;
+    this.albumService = albumService;
+    this.originals = originals;
+    this.storage = storage;
+  }
+
+  /**
+   * Get the origin's storage use and quota
+   * @returns {Promise<Object>} { usage, quota, persisted } in bytes; usage and quota are null
+   *   when the browser doesn't report them
+   */
+  async getEstimate() {
+    let estimate = {};
+    let persisted = false;
+
+    try {
+      if (typeof this.storage?.estimate === 'function') {
+        estimate = await this.storage.estimate();
+      }
+      if (typeof this.storage?.persisted === 'function') {
+        persisted = await this.storage.persisted();
+      }
+    } catch (error) {
+      console.warn('Failed to estimate storage:', error);
+    }
+
+    return { usage: estimate.usage ?? null, quota: estimate.quota ?? null, persisted };
+  }
+
+  /**
+   * Ask the browser not to evict this origin's data under storage pressure
+   * @returns {Promise<boolean>} True if storage is persistent
+   */
+  async requestPersistence() {
+    if (typeof this.storage?.persist !== 'function') {
+      return false;
+    }
+
+    try {
+      return await this.storage.persist();
+    } catch (error) {
+      console.warn('Failed to request persistent storage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Report storage use overall and per album
+   * @returns {Promise<Object>} { usage, quota, persisted, albums } where albums come from
+   *   AlbumService.getAlbumsWithStats, largest first
+   * @throws {DatabaseError} When album statistics can't be read
+   */
+  async getUsageReport() {
+    const estimate = await this.getEstimate();
+    const albums = await this.albumService.getAlbumsWithStats();
+
+    return { ...estimate, albums: albums.sort((a, b) => b.totalBytes - a.totalBytes) };
+  }
+
+  /**
+   * Check whether importing files would fit in the remaining quota
+   * @param {File[]|FileList} files - Files about to be imported
+   * @returns {Promise<Object>} { requiredBytes, usage, quota, exceedsQuota, nearQuota, warning } where
+   *   warning is a message to show the user, or null when the import fits comfortably or the
+   *   browser doesn't report a quota
+   */
+  async checkImport(files) {
+    const list = Array.from(files || []);
+    const originalBytes = this.originals ? list.reduce((sum, file) => sum + (file.size || 0), 0) : 0;
+    const requiredBytes = originalBytes + list.length * ESTIMATED_RENDITION_BYTES;
+    const { usage, quota } = await this.getEstimate();
+
+    if (usage === null || !quota) {
+      return { requiredBytes, usage, quota, exceedsQuota: false, nearQuota: false, warning: null };
+    }
+
+    const after = usage + requiredBytes;
+    const exceedsQuota = after > quota;
+    const nearQuota = after > quota * QUOTA_WARNING_RATIO;
+
+    let warning = null;
+    if (exceedsQuota) {
+      warning = `This import needs about ${formatBytes(requiredBytes)} but only ` +
+        `${formatBytes(Math.max(quota - usage, 0))} of browser storage is left.`;
+    } else if (nearQuota) {
+      warning = `Browser storage will be ${Math.round((after / quota) * 100)}% full after this import.`;
+    }
+
+    return { requiredBytes, usage, quota, exceedsQuota, nearQuota, warning };
+  }
+
+  /**
+   * Delete the whole library: every database row, then every stored original
+   * Originals live outside the database, so clearing the database alone would strand them
+   * @returns {Promise<boolean>} Success status
+   * @throws {DatabaseError} When the database can't be cleared (originals are then kept)
+   * @throws {FileSystemError} When the originals can't be removed
+   */
+  async clearAllData() {
+    await this.db.clearAllData();
+    if (this.originals) {
+      await this.originals.clear();
+    }
+    return true;
+  }
+
+  /**
+   * Free space by applying an eviction policy to some albums
+   * @param {string} policy - EvictionPolicy value
+   * @param {Object} options - Which albums to evict from (albumIds wins over olderThan)
+   * @param {number[]} options.albumIds - Albums to evict from
+   * @param {Date} options.olderThan - Evict from albums whose newest photo was taken before this date
+   * @param {boolean} options.dryRun - Only report what would be freed (default: false)
+   * @returns {Promise<Object>} { policy, albumIds, freedBytes, photoCount }
+   * @throws {ValidationError} When the policy is unknown or no albums are selected
+   * @throws {DatabaseError} When the eviction fails, or another write (e.g. an import batch) is in
+   *   progress and could roll the eviction back
+   */
+  async evict(policy, options = {}) {
+    if (!Object.values(EvictionPolicy).includes(policy)) {
+      throw new ValidationError(`Unknown eviction policy: ${policy}`, 'policy', policy);
+    }
+
+    const { albumIds = null, olderThan = null, dryRun = false } = options;
+    if (!albumIds && !(olderThan instanceof Date)) {
+      throw new ValidationError('Eviction needs albumIds or an olderThan date', 'options', options);
+    }
+
+    // Deletes would join the open transaction and be undone if it rolled back, while the
+    // result still reported the space as freed
+    if (!dryRun && this.db.inTransaction) {
+      throw new DatabaseError('Cannot free space while an import is being written; try again when it finishes');
+    }
+
+    // Undated albums have no newest photo, so they never count as old
+    const albums = (await this.albumService.getAlbumsWithStats()).filter(album => (albumIds
+      ? albumIds.includes(album.id)
+      : album.latestPhoto !== null && album.latestPhoto < olderThan));
+    const targetIds = albums.map(album => album.id);
+    const result = { policy, albumIds: targetIds, freedBytes: 0, photoCount: 0 };
+
+    if (targetIds.length === 0) {
+      return result;
+    }
+
+    if (policy === EvictionPolicy.DROP_PREVIEWS) {
+      return await this.dropPreviews(targetIds, albums, result, dryRun);
+    }
+    return await this.dropOriginals(targetIds, result, dryRun);
+  }
+
+  /**
+   * Delete the preview renditions of the photos in some albums
+   * @private
+   */
+  async dropPreviews(albumIds, albums, result, dryRun) {
+    const placeholders = albumIds.map(() => '?').join(', ');
+    const scope = `kind = ? AND photo_id IN (SELECT id FROM photos WHERE album_id IN (${placeholders}))`;
+    const params = [RenditionKind.PREVIEW, ...albumIds];
+
+    try {
+      const row = await this.db.get(`SELECT COUNT(*) as count FROM photo_renditions WHERE ${scope}`, params);
+      result.photoCount = row?.count || 0;
+      result.freedBytes = albums.reduce((sum, album) => sum + album.previewBytes, 0);
+
+      if (!dryRun && result.photoCount > 0) {
+        await this.db.execute(`DELETE FROM photo_renditions WHERE ${scope}`, params);
+        // sql.js keeps freed pages in the database image until it is rebuilt
+        await this.db.execute('VACUUM');
+      }
+    } catch (error) {
+      throw new DatabaseError(`Failed to drop preview renditions: ${error.message}`, 'DELETE', params, error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete the stored originals of the photos in some albums
+   * Photos whose original can't be removed are skipped and left for a later eviction
+   * @private
+   */
+  async dropOriginals(albumIds, result, dryRun) {
+    if (!this.originals) {
+      return result;
+    }
+
+    const params = [...albumIds];
+    let photos;
+    try {
+      photos = await this.db.all(
+        `SELECT id, original_size FROM photos
+         WHERE original_size IS NOT NULL AND album_id IN (${albumIds.map(() => '?').join(', ')})`,
+        params
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to find originals: ${error.message}`, 'SELECT', params, error);
+    }
+
+    const evicted = [];
+    for (const photo of photos) {
+      if (!dryRun) {
+        try {
+          await this.originals.delete(photo.id);
+        } catch (error) {
+          console.warn(`Failed to evict original of photo ${photo.id}:`, error);
+          continue;
+        }
+      }
+      evicted.push(photo.id);
+      result.photoCount++;
+      result.freedBytes += photo.original_size;
+    }
+
+    if (dryRun || evicted.length === 0) {
+      return result;
+    }
+
+    // One transaction, because every write outside one saves the whole database
+    const transaction = await this.db.beginTransaction();
+    try {
+      for (const photoId of evicted) {
+        await this.db.execute('UPDATE photos SET original_size = NULL WHERE id = ?', [photoId]);
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new DatabaseError(`Failed to record evicted originals: ${error.message}`, 'UPDATE', evicted, error);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Format a byte count for messages, e.g. "1.5 GB"
+ * @param {number} bytes - Byte count
+ * @returns {string} Count in the largest unit that keeps it at or above 1
+ */
+export function formatBytes(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} ${units[0]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+export default StorageService;
@@ -0,0 +1,74 @@
+/**
+ * Thumbnail Worker
+ * Decodes and resizes images off the main thread with createImageBitmap and OffscreenCanvas
+ *
+ * Messages in:
+ *   { type: 'generate', id, file, size, quality, orientation, priority, group }
+ *   { type: 'prioritize', group, priority }
+ *   { type: 'cancel', id }
+ * Messages out:
+ *   { id, started: true } when a job leaves the queue, so the client times the decode alone
+ *   { id, thumbnailData, perceptualHash } or { id, error }
+ */
+
+import { ThumbnailQueue } from '../lib/thumbnailQueue.js';
+import { computeDHash } from '../lib/perceptualHash.js';
+import { drawOriented, orientedDimensions } from '../lib/orientation.js';
+
+const queue = new ThumbnailQueue(job => {
+  self.postMessage({ id: job.id, started: true });
+  return renderThumbnail(job);
+}, (job, result, error) => {
+  if (error) {
+    self.postMessage({ id: job.id, error: error.message });
+  } else {
+    self.postMessage({ id: job.id, ...result });
+  }
+});
+
+self.onmessage = event => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'generate':
+      queue.add(message);
+      break;
+    case 'prioritize':
+      queue.prioritize(message.group, message.priority);
+      break;
+    case 'cancel':
+      if (queue.cancel(message.id)) {
+        self.postMessage({ id: message.id, error: 'Thumbnail generation cancelled' });
+      }
+      break;
+  }
+};
+
+/**
+ * Render an upright thumbnail and perceptual hash for one job
+ * @param {Object} job - Generate message
+ * @returns {Promise<Object>} { thumbnailData, perceptualHash }
+ */
+async function renderThumbnail({ file, size, quality, orientation }) {
+  // Decode the stored pixels so the orientation is applied exactly once, here
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'none' });
+
+  try {
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const upright = orientedDimensions(width, height, orientation);
+
+    const canvas = new OffscreenCanvas(upright.width, upright.height);
+    drawOriented(canvas.getContext('2d'), bitmap, orientation, width, height);
+
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+
+    return {
+      thumbnailData: new FileReaderSync().readAsDataURL(blob),
+      perceptualHash: computeDHash(canvas)
+    };
+  } finally {
+    bitmap.close();
+  }
+}
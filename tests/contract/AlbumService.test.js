@@ -249,6 +249,48 @@ describe('AlbumService Contract Tests', () => {
       );
     });
 
+    it('should name a newly created album after the name hint', async () => {
+      mockDatabaseService.get.mockResolvedValue(null);
+
+      const album = await albumService.getOrCreateAlbumForDate(new Date(2025, 5, 3), ' Paris ');
+
+      expect(album.name).toBe('Paris');
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO albums'),
+        expect.arrayContaining(['Paris', '2025-06'])
+      );
+    });
+
+    it('should ignore the name hint for the undated album', async () => {
+      mockDatabaseService.get.mockResolvedValue(null);
+
+      const album = await albumService.getOrCreateAlbumForDate(null, 'Paris');
+
+      expect(album.name).toBe('Undated Photos');
+    });
+
+    it('should group by the local wall-clock time when given one', async () => {
+      mockDatabaseService.get.mockResolvedValue(null);
+
+      // 23:30 on New Year's Eve in Tokyo is still December there, whatever the importer's timezone
+      const album = await albumService.getOrCreateAlbumForDate('2023-12-31T23:30:00');
+
+      expect(album.datePeriod).toBe('2023-12');
+      expect(mockDatabaseService.get).toHaveBeenCalledWith(
+        expect.stringContaining('SELECT'),
+        expect.arrayContaining(['2023-12'])
+      );
+    });
+
+    it('should resolve the album for a date without creating it', async () => {
+      mockDatabaseService.get.mockResolvedValue(null);
+
+      const target = await albumService.findAlbumForDate('2024-02-10T08:00:00', 'Ski trip');
+
+      expect(target).toEqual({ datePeriod: '2024-02', name: 'Ski trip', album: null });
+      expect(mockDatabaseService.execute).not.toHaveBeenCalled();
+    });
+
     it('should throw AlbumError when album creation fails', async () => {
       // Contract: Must throw AlbumError when album creation fails
       mockDatabaseService.get.mockResolvedValue(null);
@@ -259,4 +301,70 @@ describe('AlbumService Contract Tests', () => {
       await expect(albumService.getOrCreateAlbumForDate(photoDate)).rejects.toThrow('AlbumError');
     });
   });
+
+  describe('recalculateAlbum()', () => {
+    const albumRow = {
+      id: 4, name: 'May 2025', date_period: '2025-05', display_order: 0, photo_count: 3, cover_photo_id: 11,
+      created_at: '2025-05-01T00:00:00.000Z', updated_at: '2025-05-01T00:00:00.000Z'
+    };
+
+    it('should refresh the photo count and keep a cover that is still in the album', async () => {
+      mockDatabaseService.get.mockImplementation(sql => {
+        if (sql.includes('FROM albums')) return Promise.resolve(albumRow);
+        if (sql.includes('COUNT(*)')) return Promise.resolve({ count: 5 });
+        return Promise.resolve({ id: 11 });
+      });
+
+      await albumService.recalculateAlbum(4);
+
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('photo_count = ?'),
+        [5, 4]
+      );
+      expect(mockDatabaseService.execute).not.toHaveBeenCalledWith(
+        expect.stringContaining('cover_photo_id'),
+        expect.anything()
+      );
+    });
+
+    it('should pick a new cover when the cover photo has moved out', async () => {
+      mockDatabaseService.get.mockImplementation(sql => {
+        if (sql.includes('FROM albums')) return Promise.resolve(albumRow);
+        if (sql.includes('COUNT(*)')) return Promise.resolve({ count: 2 });
+        if (sql.includes('ORDER BY date_taken')) return Promise.resolve({ id: 12 });
+        return Promise.resolve(null);
+      });
+
+      await albumService.recalculateAlbum(4);
+
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('cover_photo_id = ?'),
+        [12, 4]
+      );
+    });
+  });
+
+  describe('getAlbumsWithStats()', () => {
+    it('should report storage use per album from originals and renditions', async () => {
+      mockDatabaseService.all.mockResolvedValue([{
+        id: 4, name: 'May 2025', date_period: '2025-05', display_order: 0, photo_count: 2,
+        created_at: '2025-05-01T00:00:00.000Z', updated_at: '2025-05-01T00:00:00.000Z',
+        actual_photo_count: 2, earliest_photo: '2025-05-02T10:00:00.000Z', latest_photo: '2025-05-09T10:00:00.000Z',
+        original_bytes: 6000000, rendition_bytes: 900000, preview_bytes: 700000
+      }]);
+
+      const [album] = await albumService.getAlbumsWithStats();
+
+      expect(album).toMatchObject({
+        id: 4,
+        actualPhotoCount: 2,
+        originalBytes: 6000000,
+        renditionBytes: 900000,
+        previewBytes: 700000,
+        totalBytes: 6900000
+      });
+      expect(album.latestPhoto).toEqual(new Date('2025-05-09T10:00:00.000Z'));
+      expect(mockDatabaseService.all).toHaveBeenCalledWith(expect.stringContaining('SUM(p.original_size)'));
+    });
+  });
 });
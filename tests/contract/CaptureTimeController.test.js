@@ -0,0 +1,73 @@
+// CaptureTimeController Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CaptureTimeController } from '../../src/controllers/CaptureTimeController.js';
+import { Photo } from '../../src/models/Photo.js';
+
+describe('CaptureTimeController Contract Tests', () => {
+  let controller;
+  let mockPhotoService;
+  const album = { id: 7, name: 'April 2023' };
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    mockPhotoService = {
+      getPhotosByAlbum: vi.fn().mockResolvedValue([
+        new Photo({
+          id: 1,
+          fileName: 'IMG_0001.jpg',
+          dateTaken: new Date('2023-04-01T08:00:00Z'),
+          dateTakenLocal: '2023-04-01T10:00:00',
+          timezoneOffset: 120
+        }),
+        new Photo({ id: 2, fileName: 'IMG_0002.jpg' })
+      ]),
+      shiftCaptureTime: vi.fn().mockResolvedValue({ shiftedCount: 1, skippedIds: [2], missingIds: [], affectedAlbumIds: [7] }),
+      syncCaptureTimeToReference: vi.fn().mockResolvedValue({ shiftedCount: 1, skippedIds: [2], missingIds: [], affectedAlbumIds: [7] })
+    };
+
+    controller = new CaptureTimeController(mockPhotoService);
+  });
+
+  it('should move every photo in the album by the entered amount', async () => {
+    await controller.open(album);
+    const form = document.querySelector('.capture-time-shift');
+    form.elements.direction.value = '-1';
+    form.elements.hours.value = '1';
+    form.elements.minutes.value = '30';
+
+    form.requestSubmit();
+
+    expect(mockPhotoService.getPhotosByAlbum).toHaveBeenCalledWith(7, { expandStacks: true });
+    expect(mockPhotoService.shiftCaptureTime).toHaveBeenCalledWith([1, 2], -90 * 60 * 1000);
+    await vi.waitFor(() => expect(document.querySelector('.capture-time-status').textContent)
+      .toBe('Moved 1 photos. 1 photos have no capture time and were left as they are.'));
+  });
+
+  it('should read the correct time of the reference photo in its own timezone', async () => {
+    await controller.open(album, 1);
+    const form = document.querySelector('.capture-time-sync');
+    expect(form.elements.reference.value).toBe('1');
+    expect(form.elements.correctTime.value).toBe('2023-04-01T10:00');
+    form.elements.correctTime.value = '2023-04-01T11:15:00';
+
+    form.requestSubmit();
+
+    expect(mockPhotoService.syncCaptureTimeToReference).toHaveBeenCalledWith(
+      [1, 2], 1, new Date('2023-04-01T09:15:00Z')
+    );
+  });
+
+  it('should show why an adjustment failed and allow another try', async () => {
+    mockPhotoService.shiftCaptureTime.mockRejectedValue(new Error('database is locked'));
+    await controller.open(album);
+    const form = document.querySelector('.capture-time-shift');
+    form.elements.days.value = '1';
+
+    form.requestSubmit();
+
+    await vi.waitFor(() => expect(document.querySelector('.capture-time-status').textContent)
+      .toBe('Failed to adjust capture time: database is locked'));
+    expect(form.querySelector('button[type="submit"]').disabled).toBe(false);
+  });
+});
@@ -1,7 +1,7 @@
 // DatabaseService Contract Test
 // This test MUST FAIL until DatabaseService is implemented
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { DatabaseService } from '../../src/services/DatabaseService.js';
 
 describe('DatabaseService Contract Tests', () => {
@@ -147,4 +147,193 @@ describe('DatabaseService Contract Tests', () => {
       expect(typeof result).toBe('boolean');
     });
   });
+  describe('schema migrations', () => {
+    let database;
+    let SQL;
+
+    beforeEach(async () => {
+      ({ database, SQL } = await createRealDatabaseService());
+    });
+
+    it('should upgrade a database saved with the original schema and keep its photos', async () => {
+      database.db = new SQL.Database();
+      database.db.exec(BASELINE_SCHEMA);
+      database.db.exec(`
+        INSERT INTO albums (name, date_period) VALUES ('May 2025', '2025-05');
+        INSERT INTO photos (file_path, file_name, date_taken, album_id) VALUES ('photos/a.jpg', 'a.jpg', '2025-05-02', 1);
+      `);
+
+      await database.migrate();
+
+      expect(await database.getSchemaVersion()).toBe(11);
+      const columns = (await database.all('PRAGMA table_info(photos)')).map(column => column.name);
+      expect(columns).toEqual(expect.arrayContaining([
+        'content_hash', 'date_taken_local', 'timezone_offset', 'media_type', 'stack_id', 'original_size'
+      ]));
+      expect(await database.get('SELECT file_name, media_type, orientation FROM photos')).toEqual({
+        file_name: 'a.jpg', media_type: 'photo', orientation: 1
+      });
+
+      // The first import after the upgrade writes the new columns and tables
+      await database.execute(
+        `INSERT INTO photos (file_path, file_name, album_id, content_hash, date_taken_local, timezone_offset, media_type)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        ['photos/b.mp4', 'b.mp4', 1, 'abc123', '2025-05-03T10:00:00', 120, 'video']
+      );
+      await database.execute(
+        'INSERT INTO photo_renditions (photo_id, kind, width, height, data) VALUES (?, ?, ?, ?, ?)',
+        [2, 'grid', 400, 300, new Uint8Array([1])]
+      );
+      await expect(database.execute(
+        'INSERT INTO photos (file_path, file_name, album_id, content_hash) VALUES (?, ?, ?, ?)',
+        ['photos/c.jpg', 'c.jpg', 1, 'abc123']
+      )).rejects.toThrow('UNIQUE constraint failed');
+    });
+
+    it('should turn a saved list of extensions into format IDs without turning off newer formats', async () => {
+      database.db = new SQL.Database();
+      database.db.exec(BASELINE_SCHEMA);
+      database.db.exec(`INSERT INTO user_preferences (setting_key, setting_value) VALUES ('supported_formats', '["jpg","png"]')`);
+
+      await database.migrate();
+
+      const row = await database.get("SELECT setting_value FROM user_preferences WHERE setting_key = 'supported_formats'");
+      expect(JSON.parse(row.setting_value)).toEqual(['jpeg', 'png', 'webp', 'avif', 'dng', 'cr2', 'nef', 'arw', 'mp4', 'mov']);
+    });
+
+    it('should keep AVIF enabled in libraries that allowed HEIC', async () => {
+      database.db = new SQL.Database();
+      await database.migrate();
+      database.db.exec(`
+        INSERT INTO user_preferences (setting_key, setting_value) VALUES ('supported_formats', '["jpeg","heic"]');
+        PRAGMA user_version = 10;
+      `);
+
+      await database.migrate();
+
+      const row = await database.get("SELECT setting_value FROM user_preferences WHERE setting_key = 'supported_formats'");
+      expect(JSON.parse(row.setting_value)).toEqual(['jpeg', 'heic', 'avif']);
+    });
+
+    it('should only apply the steps newer than the saved schema version', async () => {
+      database.db = new SQL.Database();
+      await database.migrate();
+      database.db.exec(`
+        ALTER TABLE photos DROP COLUMN original_size;
+        INSERT INTO user_preferences (setting_key, setting_value) VALUES ('supported_formats', '["jpg"]');
+        PRAGMA user_version = 9;
+      `);
+
+      await database.migrate();
+
+      expect(await database.getSchemaVersion()).toBe(11);
+      const columns = (await database.all('PRAGMA table_info(photos)')).map(column => column.name);
+      expect(columns).toContain('original_size');
+      // The formats rewrite belongs to version 9, so it doesn't run again
+      const row = await database.get("SELECT setting_value FROM user_preferences WHERE setting_key = 'supported_formats'");
+      expect(row.setting_value).toBe('["jpg"]');
+    });
+
+    it('should create the current schema in a new database and skip migrated ones', async () => {
+      database.db = new SQL.Database();
+
+      await database.migrate();
+      const tables = (await database.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(table => table.name);
+      expect(tables).toEqual(expect.arrayContaining(['photos', 'photo_renditions', 'import_sessions', 'import_rules']));
+
+      const exec = vi.spyOn(database.db, 'exec');
+      await database.migrate();
+      expect(exec).not.toHaveBeenCalled();
+    });
+
+    it('should leave the database untouched when an upgrade fails', async () => {
+      database.db = new SQL.Database();
+      database.db.exec(BASELINE_SCHEMA);
+      database.createSchema = vi.fn().mockRejectedValue(new Error('disk full'));
+
+      await expect(database.migrate()).rejects.toThrow('Failed to migrate database from schema version 0');
+
+      expect(await database.getSchemaVersion()).toBe(0);
+      const columns = (await database.all('PRAGMA table_info(photos)')).map(column => column.name);
+      expect(columns).not.toContain('content_hash');
+    });
+  });
+
+  describe('clearAllData()', () => {
+    it('should delete thumbnail renditions and import sessions along with the photos', async () => {
+      const { database, SQL } = await createRealDatabaseService();
+      database.db = new SQL.Database();
+      await database.migrate();
+      database.db.exec(`
+        INSERT INTO albums (name, date_period) VALUES ('May 2025', '2025-05');
+        INSERT INTO photos (file_path, file_name, album_id) VALUES ('a.jpg', 'a.jpg', 1);
+        INSERT INTO photo_renditions (photo_id, kind, width, height, data) VALUES (1, 'preview', 1600, 1200, zeroblob(100000));
+        INSERT INTO import_sessions (status, total_files) VALUES ('completed', 1);
+        INSERT INTO import_session_files (session_id, position, file_name, status, photo_id) VALUES (1, 0, 'a.jpg', 'imported', 1);
+      `);
+      const sizeBefore = database.getDatabaseSize();
+
+      await database.clearAllData();
+
+      expect(await database.get('SELECT COUNT(*) as count FROM photo_renditions')).toEqual({ count: 0 });
+      expect(await database.get('SELECT COUNT(*) as count FROM photos')).toEqual({ count: 0 });
+      expect(await database.get('SELECT COUNT(*) as count FROM import_sessions')).toEqual({ count: 0 });
+      expect(await database.get('SELECT COUNT(*) as count FROM import_session_files')).toEqual({ count: 0 });
+      expect(database.getDatabaseSize()).toBeLessThan(sizeBefore - 50000);
+    });
+  });
 });
+
+/**
+ * Create a DatabaseService backed by real sql.js, without IndexedDB persistence
+ * tests/setup.js mocks both sql.js and DatabaseService for the other tests
+ */
+async function createRealDatabaseService() {
+  const { default: initSqlJs } = await vi.importActual('sql.js');
+  const { DatabaseService: RealDatabaseService } = await vi.importActual('../../src/services/DatabaseService.js');
+  const SQL = await initSqlJs();
+  const database = new RealDatabaseService();
+  database.saveToIndexedDB = vi.fn().mockResolvedValue(undefined);
+  database.isInitialized = true;
+  return { database, SQL };
+}
+
+// Schema of databases saved before versioned migrations (user_version 0)
+const BASELINE_SCHEMA = `
+  CREATE TABLE albums (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    date_period TEXT NOT NULL,
+    display_order INTEGER DEFAULT 0,
+    photo_count INTEGER DEFAULT 0,
+    cover_photo_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (cover_photo_id) REFERENCES photos(id)
+  );
+  CREATE TABLE photos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_path TEXT NOT NULL UNIQUE,
+    file_name TEXT NOT NULL,
+    file_size INTEGER,
+    date_taken DATETIME,
+    date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+    album_id INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    thumbnail_data BLOB,
+    exif_data TEXT,
+    FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE CASCADE
+  );
+  CREATE TABLE user_preferences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    setting_key TEXT NOT NULL UNIQUE,
+    setting_value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX idx_photos_album_id ON photos(album_id);
+  CREATE INDEX idx_photos_date_taken ON photos(date_taken);
+  CREATE INDEX idx_albums_display_order ON albums(display_order);
+  CREATE INDEX idx_albums_date_period ON albums(date_period);
+  CREATE INDEX idx_user_preferences_key ON user_preferences(setting_key);
+`;
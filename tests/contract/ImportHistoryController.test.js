@@ -0,0 +1,72 @@
+// ImportHistoryController Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ImportHistoryController } from '../../src/controllers/ImportHistoryController.js';
+import { ImportSessionStatus } from '../../src/services/ImportSessionService.js';
+
+describe('ImportHistoryController Contract Tests', () => {
+  let controller;
+  let mockImportSessionService;
+  let onResume;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    mockImportSessionService = {
+      getImportHistory: vi.fn().mockResolvedValue([
+        createSession({ id: 3, status: ImportSessionStatus.CANCELLED, totalFiles: 40, pendingCount: 25, result: { importedCount: 15, failedCount: 0 } }),
+        createSession({ id: 2, status: ImportSessionStatus.COMPLETED, totalFiles: 10, pendingCount: 0, result: { importedCount: 9, failedCount: 1 } }),
+        createSession({ id: 1, status: ImportSessionStatus.RUNNING, totalFiles: 5, pendingCount: 5 })
+      ])
+    };
+    onResume = vi.fn().mockResolvedValue({ importedCount: 25 });
+
+    controller = new ImportHistoryController(mockImportSessionService, { onResume });
+  });
+
+  it('should list past imports newest first with their outcome', async () => {
+    await controller.open();
+
+    const items = [...document.querySelectorAll('.import-history-session')];
+    expect(items.map(item => item.dataset.sessionId)).toEqual(['3', '2', '1']);
+    expect(items[0].textContent).toContain('Cancelled · 15 imported · 25 not imported yet');
+    expect(items[1].textContent).toContain('Completed · 9 imported · 1 failed');
+  });
+
+  it('should only offer to resume cancelled or failed imports with files left', async () => {
+    await controller.open();
+
+    const resumable = [...document.querySelectorAll('.import-history-session')]
+      .filter(item => item.querySelector('button'))
+      .map(item => item.dataset.sessionId);
+    expect(resumable).toEqual(['3']);
+  });
+
+  it('should hand the session and the files picked again to the app', async () => {
+    await controller.open();
+    const picker = document.querySelector('[data-session-id="3"] input[type="file"]');
+    const files = [new File(['a'], 'IMG_0001.jpg', { type: 'image/jpeg' })];
+    Object.defineProperty(picker, 'files', { value: files });
+
+    picker.dispatchEvent(new Event('change'));
+
+    await vi.waitFor(() => expect(onResume).toHaveBeenCalled());
+    expect(onResume.mock.calls[0][0].id).toBe(3);
+    expect(onResume.mock.calls[0][1]).toEqual(files);
+    expect(document.querySelector('.import-history')).toBeNull();
+  });
+});
+
+function createSession(overrides = {}) {
+  return {
+    id: 1,
+    status: ImportSessionStatus.COMPLETED,
+    totalFiles: 1,
+    pendingCount: 0,
+    options: {},
+    result: null,
+    createdAt: new Date('2025-06-01T10:00:00'),
+    updatedAt: new Date('2025-06-01T10:05:00'),
+    completedAt: null,
+    ...overrides
+  };
+}
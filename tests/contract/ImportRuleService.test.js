@@ -0,0 +1,128 @@
+// ImportRuleService Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ImportRuleService } from '../../src/services/ImportRuleService.js';
+import { RuleActionType, RuleField, RuleOperator } from '../../src/lib/importRules.js';
+
+describe('ImportRuleService Contract Tests', () => {
+  let importRuleService;
+  let mockDatabaseService;
+  let transaction;
+
+  beforeEach(() => {
+    transaction = { commit: vi.fn().mockResolvedValue(true), rollback: vi.fn().mockResolvedValue(true) };
+    mockDatabaseService = {
+      execute: vi.fn().mockResolvedValue({ changes: 1, lastInsertRowid: 7 }),
+      get: vi.fn().mockResolvedValue(null),
+      all: vi.fn().mockResolvedValue([]),
+      beginTransaction: vi.fn().mockResolvedValue(transaction)
+    };
+
+    importRuleService = new ImportRuleService(mockDatabaseService);
+  });
+
+  describe('saveRule()', () => {
+    it('should append a new rule after the existing ones', async () => {
+      mockDatabaseService.get.mockResolvedValue({ position: 2 });
+
+      const rule = await importRuleService.saveRule(createRuleData());
+
+      expect(rule.id).toBe(7);
+      expect(rule.position).toBe(3);
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO import_rules'),
+        ['Drone shots', 3, 1, JSON.stringify(createRuleData().conditions), JSON.stringify(createRuleData().actions)]
+      );
+    });
+
+    it('should update an existing rule in place', async () => {
+      mockDatabaseService.get.mockResolvedValue(createRuleRow({ position: 4 }));
+
+      const rule = await importRuleService.saveRule({ ...createRuleData(), id: 3, enabled: false });
+
+      expect(rule.position).toBe(4);
+      const [sql, params] = mockDatabaseService.execute.mock.calls[0];
+      expect(sql).toContain('UPDATE import_rules');
+      expect(params[1]).toBe(0);
+      expect(params[4]).toBe(3);
+    });
+
+    it('should reject invalid rules', async () => {
+      const invalid = {
+        name: '',
+        conditions: [
+          { field: RuleField.WIDTH, operator: RuleOperator.CONTAINS, value: 'x' },
+          { field: RuleField.FILE_NAME, operator: RuleOperator.MATCHES, value: '(' }
+        ],
+        actions: []
+      };
+
+      await expect(importRuleService.saveRule(invalid)).rejects.toThrow(/Rule name cannot be empty.*Condition 1.*Condition 2: invalid pattern.*at least one action/);
+      expect(mockDatabaseService.execute).not.toHaveBeenCalled();
+    });
+
+    it('should reject updates of rules that no longer exist', async () => {
+      await expect(importRuleService.saveRule({ ...createRuleData(), id: 99 })).rejects.toThrow('Import rule not found');
+    });
+  });
+
+  describe('getEnabledRules()', () => {
+    it('should return enabled rules in evaluation order with parsed conditions', async () => {
+      mockDatabaseService.all.mockResolvedValue([
+        createRuleRow({ id: 1, position: 0 }),
+        createRuleRow({ id: 2, position: 1, enabled: 0 })
+      ]);
+
+      const rules = await importRuleService.getEnabledRules();
+
+      expect(rules.map(rule => rule.id)).toEqual([1]);
+      expect(rules[0].conditions).toEqual(createRuleData().conditions);
+      expect(mockDatabaseService.all.mock.calls[0][0]).toContain('ORDER BY position ASC');
+    });
+  });
+
+  describe('reorderRules()', () => {
+    it('should renumber rules in one transaction', async () => {
+      await importRuleService.reorderRules([5, 2]);
+
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(expect.stringContaining('SET position'), [0, 5]);
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(expect.stringContaining('SET position'), [1, 2]);
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteRule()', () => {
+    it('should report whether a rule was deleted', async () => {
+      mockDatabaseService.execute.mockResolvedValueOnce({ changes: 0 });
+
+      expect(await importRuleService.deleteRule(42)).toBe(false);
+    });
+  });
+});
+
+function createRuleData() {
+  return {
+    name: 'Drone shots',
+    enabled: true,
+    conditions: [{ field: RuleField.CAMERA_MODEL, operator: RuleOperator.CONTAINS, value: 'FC3582' }],
+    actions: [
+      { type: RuleActionType.SET_ALBUM, albumId: 12 },
+      { type: RuleActionType.ADD_TAGS, tags: ['drone'] }
+    ]
+  };
+}
+
+function createRuleRow(overrides = {}) {
+  const data = createRuleData();
+  return {
+    id: 3,
+    name: data.name,
+    position: 0,
+    enabled: 1,
+    conditions: JSON.stringify(data.conditions),
+    actions: JSON.stringify(data.actions),
+    created_at: '2025-01-01T00:00:00.000Z',
+    updated_at: '2025-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
@@ -0,0 +1,148 @@
+// ImportRulesController Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ImportRulesController } from '../../src/controllers/ImportRulesController.js';
+import { RuleActionType, RuleField, RuleOperator } from '../../src/lib/importRules.js';
+
+describe('ImportRulesController Contract Tests', () => {
+  let controller;
+  let mockImportRuleService;
+  let mockPhotoService;
+  let mockAlbumService;
+  let rules;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    rules = [
+      {
+        id: 1,
+        name: 'Phone shots',
+        enabled: true,
+        conditions: [{ field: RuleField.CAMERA_MODEL, operator: RuleOperator.CONTAINS, value: 'iPhone' }],
+        actions: [{ type: RuleActionType.SET_ALBUM, albumId: 5 }]
+      },
+      {
+        id: 2,
+        name: 'Screenshots',
+        enabled: false,
+        conditions: [{ field: RuleField.FILE_NAME, operator: RuleOperator.MATCHES, value: '^Screenshot' }],
+        actions: [{ type: RuleActionType.SKIP }]
+      }
+    ];
+
+    mockImportRuleService = {
+      getRules: vi.fn().mockImplementation(() => Promise.resolve(rules)),
+      saveRule: vi.fn().mockImplementation(data => Promise.resolve({ id: 3, ...data })),
+      deleteRule: vi.fn().mockResolvedValue(true),
+      reorderRules: vi.fn().mockResolvedValue(true)
+    };
+    mockPhotoService = {
+      testImportRule: vi.fn().mockResolvedValue([
+        { fileName: 'IMG_0001.jpg', filePath: 'DCIM/IMG_0001.jpg', matched: true, skip: false, albumId: 5, tags: [], error: null },
+        { fileName: 'IMG_0002.jpg', filePath: 'DCIM/IMG_0002.jpg', matched: false, skip: false, albumId: null, tags: [], error: null }
+      ])
+    };
+    mockAlbumService = {
+      getAllAlbums: vi.fn().mockResolvedValue([{ id: 5, name: 'Trips' }])
+    };
+
+    controller = new ImportRulesController(mockImportRuleService, mockPhotoService, mockAlbumService);
+  });
+
+  describe('open()', () => {
+    it('should list the rules in order with a summary of each', async () => {
+      await controller.open();
+
+      const items = [...document.querySelectorAll('.import-rule')];
+      expect(items.map(item => item.dataset.ruleId)).toEqual(['1', '2']);
+      expect(items[0].textContent).toContain('Camera model contains iPhone → put in Trips');
+      expect(items[1].querySelector('input[type="checkbox"]').checked).toBe(false);
+    });
+
+    it('should save a rule turned on or off', async () => {
+      await controller.open();
+
+      const checkbox = document.querySelector('.import-rule input[type="checkbox"]');
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event('change'));
+
+      await vi.waitFor(() => expect(mockImportRuleService.saveRule).toHaveBeenCalled());
+      expect(mockImportRuleService.saveRule.mock.calls[0][0]).toMatchObject({ id: 1, enabled: false });
+    });
+
+    it('should move a rule down the evaluation order', async () => {
+      await controller.open();
+
+      document.querySelector('.import-rule [aria-label="Move down"]').click();
+
+      await vi.waitFor(() => expect(mockImportRuleService.reorderRules).toHaveBeenCalledWith([2, 1]));
+    });
+  });
+
+  describe('rule editor', () => {
+    it('should save the rule entered in the form', async () => {
+      await controller.open();
+      clickButton('New rule');
+
+      const form = document.querySelector('.import-rule-editor');
+      form.querySelector('input[name="name"]').value = 'Big photos';
+      clickButton('Add condition');
+      const [field, operator] = form.querySelectorAll('.import-rule-condition select');
+      field.value = RuleField.WIDTH;
+      field.dispatchEvent(new Event('change'));
+      operator.value = RuleOperator.AT_LEAST;
+      form.querySelector('.import-rule-condition input').value = '4000';
+      form.querySelector('select[name="album"]').value = '5';
+      form.querySelector('input[name="tags"]').value = 'large, print';
+
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+      await vi.waitFor(() => expect(mockImportRuleService.saveRule).toHaveBeenCalled());
+      expect(mockImportRuleService.saveRule).toHaveBeenCalledWith({
+        id: null,
+        name: 'Big photos',
+        enabled: true,
+        conditions: [{ field: RuleField.WIDTH, operator: RuleOperator.AT_LEAST, value: 4000 }],
+        actions: [
+          { type: RuleActionType.SET_ALBUM, albumId: 5 },
+          { type: RuleActionType.ADD_TAGS, tags: ['large', 'print'] }
+        ]
+      });
+      await vi.waitFor(() => expect(document.querySelector('.import-rules-list')).toBeTruthy());
+    });
+
+    it('should try the edited rule on sample files before saving', async () => {
+      await controller.open();
+      clickButton('Edit');
+
+      const picker = document.querySelector('.import-rule-editor input[type="file"]');
+      const files = [{ name: 'IMG_0001.jpg' }, { name: 'IMG_0002.jpg' }];
+      Object.defineProperty(picker, 'files', { value: files });
+      picker.dispatchEvent(new Event('change'));
+
+      await vi.waitFor(() => expect(document.querySelectorAll('.import-rule-test-results li')).toHaveLength(2));
+      expect(mockPhotoService.testImportRule).toHaveBeenCalledWith(expect.objectContaining({ id: 1, name: 'Phone shots' }), files);
+      expect(document.querySelector('.import-rule-test-results').textContent).toContain('DCIM/IMG_0001.jpg: put in Trips');
+      expect(mockImportRuleService.saveRule).not.toHaveBeenCalled();
+    });
+
+    it('should show why a rule could not be saved', async () => {
+      mockImportRuleService.saveRule.mockRejectedValue(new Error('Invalid import rule: Rule needs at least one action'));
+      await controller.open();
+      clickButton('New rule');
+      document.querySelector('input[name="name"]').value = 'Nothing';
+
+      document.querySelector('.import-rule-editor').dispatchEvent(new Event('submit', { cancelable: true }));
+
+      await vi.waitFor(() =>
+        expect(document.querySelector('.import-rules-error').textContent).toContain('Rule needs at least one action')
+      );
+    });
+  });
+});
+
+// Helper functions
+
+function clickButton(text) {
+  [...document.querySelectorAll('button')].find(button => button.textContent === text).click();
+}
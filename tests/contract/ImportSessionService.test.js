@@ -0,0 +1,111 @@
+// ImportSessionService Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ImportSessionService, ImportSessionStatus, ImportFileStatus } from '../../src/services/ImportSessionService.js';
+
+describe('ImportSessionService Contract Tests', () => {
+  let importSessionService;
+  let mockDatabaseService;
+  let transaction;
+
+  beforeEach(() => {
+    let nextId = 1;
+    transaction = { commit: vi.fn().mockResolvedValue(true), rollback: vi.fn().mockResolvedValue(true) };
+    mockDatabaseService = {
+      execute: vi.fn().mockImplementation(() => Promise.resolve({ changes: 1, lastInsertRowid: nextId++ })),
+      get: vi.fn().mockResolvedValue(null),
+      all: vi.fn().mockResolvedValue([]),
+      beginTransaction: vi.fn().mockResolvedValue(transaction)
+    };
+
+    importSessionService = new ImportSessionService(mockDatabaseService);
+  });
+
+  describe('createSession()', () => {
+    it('should store the session and its file manifest in one transaction', async () => {
+      const files = [createFile('a.jpg', 100, 1000), createFile('b.jpg', 200, 2000)];
+
+      const session = await importSessionService.createSession(files, { duplicatePolicy: 'skip' });
+
+      expect(session).toEqual({ id: 1, fileIds: [2, 3] });
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO import_sessions'),
+        [ImportSessionStatus.RUNNING, 2, '{"duplicatePolicy":"skip"}']
+      );
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO import_session_files'),
+        [1, 1, 'b.jpg', null, 200, 2000, ImportFileStatus.PENDING]
+      );
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('should roll back and throw DatabaseError when the manifest cannot be written', async () => {
+      mockDatabaseService.execute
+        .mockResolvedValueOnce({ changes: 1, lastInsertRowid: 1 })
+        .mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(importSessionService.createSession([createFile('a.jpg', 100, 1000)]))
+        .rejects.toThrow('Failed to create import session');
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('recordFileResult()', () => {
+    it('should reject unknown statuses', async () => {
+      await expect(importSessionService.recordFileResult(1, 'done')).rejects.toThrow('Invalid import file status');
+    });
+  });
+
+  describe('getUnfinishedSessions()', () => {
+    it('should map running sessions with their pending counts', async () => {
+      mockDatabaseService.all.mockResolvedValue([
+        {
+          id: 4,
+          status: 'running',
+          total_files: 10,
+          pending_count: 6,
+          options: '{"duplicatePolicy":"replace"}',
+          result: null,
+          created_at: '2025-01-01 10:00:00',
+          updated_at: '2025-01-01 10:05:00',
+          completed_at: null
+        }
+      ]);
+
+      const sessions = await importSessionService.getUnfinishedSessions();
+
+      expect(mockDatabaseService.all.mock.calls[0][1]).toEqual([ImportFileStatus.PENDING, ImportSessionStatus.RUNNING]);
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toMatchObject({
+        id: 4,
+        totalFiles: 10,
+        pendingCount: 6,
+        options: { duplicatePolicy: 'replace' },
+        completedAt: null
+      });
+    });
+  });
+
+  describe('matchPendingFiles()', () => {
+    it('should match re-selected files on name, size and modification time', async () => {
+      mockDatabaseService.all.mockResolvedValue([
+        { id: 11, file_name: 'a.jpg', file_size: 100, last_modified: 1000 },
+        { id: 12, file_name: 'b.jpg', file_size: 200, last_modified: 2000 },
+        { id: 13, file_name: 'c.jpg', file_size: 300, last_modified: 3000 }
+      ]);
+      const a = createFile('a.jpg', 100, 1000);
+      const edited = createFile('b.jpg', 250, 2500);
+      const c = createFile('c.jpg', 300, 3000);
+
+      const match = await importSessionService.matchPendingFiles(1, [c, edited, a]);
+
+      expect(match.files).toEqual([a, c]);
+      expect(match.fileIds).toEqual([11, 13]);
+      expect(match.missing).toBe(1);
+    });
+  });
+});
+
+function createFile(name, size, lastModified) {
+  return { name, size, lastModified, type: 'image/jpeg' };
+}
@@ -0,0 +1,154 @@
+// OriginalStore Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { OriginalStore } from '../../src/services/OriginalStore.js';
+
+describe('OriginalStore Contract Tests', () => {
+  describe('Origin Private File System', () => {
+    let opfs;
+    let store;
+
+    beforeEach(() => {
+      opfs = createOpfs();
+      store = new OriginalStore({ storage: opfs.storage, indexedDB: null });
+    });
+
+    it('should write, read and delete originals as files named by photo ID', async () => {
+      await store.put(12, new Blob([new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9])], { type: 'image/jpeg' }));
+
+      expect([...opfs.files.keys()]).toEqual(['12']);
+      const original = await store.get(12);
+      expect([...new Uint8Array(await original.arrayBuffer())]).toEqual([0xFF, 0xD8, 0xFF, 0xD9]);
+
+      expect(await store.delete(12)).toBe(true);
+      expect(await store.delete(12)).toBe(false);
+      expect(await store.get(12)).toBeNull();
+    });
+
+    it('should remove every original when cleared', async () => {
+      await store.put(1, new Blob(['a']));
+      await store.put(2, new Blob(['b']));
+
+      await store.clear();
+
+      expect(opfs.files.size).toBe(0);
+      expect(await store.get(1)).toBeNull();
+    });
+
+    it('should wrap storage failures in FileSystemError', async () => {
+      await store.get(1);
+      opfs.directory.removeEntry.mockRejectedValueOnce(new Error('disk gone'));
+
+      await expect(store.delete(1)).rejects.toMatchObject({ code: 'FILESYSTEM_ERROR' });
+    });
+  });
+
+  describe('IndexedDB fallback', () => {
+    it('should use IndexedDB when OPFS files cannot be written from the page', async () => {
+      const opfs = createOpfs({ writable: false });
+      const indexedDB = createIndexedDb();
+      const store = new OriginalStore({ storage: opfs.storage, indexedDB });
+      const blob = new Blob([new Uint8Array([1, 2, 3])], { type: 'video/mp4' });
+
+      await store.put(4, blob);
+
+      expect(opfs.files.size).toBe(0);
+      expect(indexedDB.records.get('4')).toBe(blob);
+      expect(await store.get(4)).toBe(blob);
+      expect(await store.delete(4)).toBe(true);
+      expect(await store.get(4)).toBeNull();
+
+      await store.put(5, blob);
+      await store.clear();
+      expect(indexedDB.records.size).toBe(0);
+    });
+
+    it('should use IndexedDB when OPFS is missing and fail without either', async () => {
+      const indexedDB = createIndexedDb();
+
+      await new OriginalStore({ storage: {}, indexedDB }).put(1, new Blob(['x']));
+      expect(indexedDB.records.has('1')).toBe(true);
+
+      await expect(new OriginalStore({ storage: {}, indexedDB: null }).get(1))
+        .rejects.toThrow('No storage available for original files');
+    });
+  });
+});
+
+function notFoundError() {
+  return Object.assign(new Error('Entry not found'), { name: 'NotFoundError' });
+}
+
+// In-memory OPFS directory; writable: false mimics Safari, which has no createWritable on the page
+function createOpfs({ writable = true } = {}) {
+  const files = new Map();
+  const directory = {
+    getFileHandle: vi.fn(async (name, { create = false } = {}) => {
+      if (!files.has(name)) {
+        if (!create) {
+          throw notFoundError();
+        }
+        files.set(name, new Blob([]));
+      }
+      const handle = { getFile: async () => files.get(name) };
+      if (writable) {
+        handle.createWritable = async () => {
+          const chunks = [];
+          return new WritableStream({
+            write: chunk => { chunks.push(chunk); },
+            close: () => { files.set(name, new Blob(chunks)); }
+          });
+        };
+      }
+      return handle;
+    }),
+    removeEntry: vi.fn(async name => {
+      if (!files.delete(name)) {
+        throw notFoundError();
+      }
+    }),
+    keys: async function* () {
+      yield* files.keys();
+    }
+  };
+  const root = { getDirectoryHandle: vi.fn(async () => directory) };
+  return { storage: { getDirectory: vi.fn(async () => root) }, directory, files };
+}
+
+// Minimal IDBFactory: requests succeed asynchronously and transactions complete after them
+function createIndexedDb() {
+  const records = new Map();
+  const respond = (request, result, transaction) => {
+    setTimeout(() => {
+      request.result = result;
+      request.onsuccess?.();
+      transaction?.oncomplete?.();
+    }, 0);
+    return request;
+  };
+  const db = {
+    transaction: () => {
+      const transaction = {};
+      transaction.objectStore = () => ({
+        put: (value, key) => respond({}, records.set(key, value) && key, transaction),
+        get: key => respond({}, records.get(key), transaction),
+        count: key => respond({}, records.has(key) ? 1 : 0, transaction),
+        delete: key => respond({}, records.delete(key) && undefined, transaction),
+        clear: () => respond({}, records.clear(), transaction)
+      });
+      return transaction;
+    },
+    createObjectStore: vi.fn()
+  };
+  return {
+    records,
+    open: vi.fn(() => {
+      const request = { result: db };
+      setTimeout(() => {
+        request.onupgradeneeded?.();
+        request.onsuccess?.();
+      }, 0);
+      return request;
+    })
+  };
+}
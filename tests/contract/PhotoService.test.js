@@ -2,7 +2,33 @@
 // This test MUST FAIL until PhotoService is implemented
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { PhotoService } from '../../src/services/PhotoService.js';
+import { PhotoService, DuplicatePolicy } from '../../src/services/PhotoService.js';
+import { ThumbnailWorkerClient, ThumbnailPriority } from '../../src/lib/thumbnailWorkerClient.js';
+import { ThumbnailQueue } from '../../src/lib/thumbnailQueue.js';
+import { pickRendition } from '../../src/lib/renditions.js';
+import { PreferencesManager } from '../../src/models/UserPreferences.js';
+import { drawOriented, orientedDimensions } from '../../src/lib/orientation.js';
+import { readZipEntries, readZipEntry, crc32 } from '../../src/lib/zip.js';
+import { deflateRawSync } from 'zlib';
+import { createHash } from 'crypto';
+import { takeoutSidecarNames } from '../../src/lib/sidecars.js';
+import { inferDateFromFilename } from '../../src/lib/filenameDates.js';
+import { captureTimeFromExif, parseIsoCaptureTime } from '../../src/lib/captureTime.js';
+import { evaluateImportRules, RuleActionType, RuleField, RuleOperator } from '../../src/lib/importRules.js';
+import { readMp4Metadata } from '../../src/lib/mp4.js';
+import { findStacks, isRawFileName, StackKind } from '../../src/lib/stacks.js';
+import { parseRaw } from '../../src/lib/raw.js';
+import {
+  detectFormat,
+  sniffFormat,
+  getAcceptAttribute,
+  getFormatById,
+  formatIdsFromLegacyExtensions,
+  Thumbnailer
+} from '../../src/lib/formats.js';
+import { getImageType } from '../../src/lib/directoryImport.js';
+import { Photo, MediaType } from '../../src/models/Photo.js';
+import { EventBus, PHOTO_EVENTS } from '../../src/lib/events.js';
 
 describe('PhotoService Contract Tests', () => {
   let photoService;
@@ -14,7 +40,8 @@ describe('PhotoService Contract Tests', () => {
       initialize: vi.fn().mockResolvedValue(true),
       execute: vi.fn().mockResolvedValue({ changes: 1, lastInsertRowid: 1 }),
       get: vi.fn().mockResolvedValue(null),
-      all: vi.fn().mockResolvedValue([])
+      all: vi.fn().mockResolvedValue([]),
+      beginTransaction: vi.fn().mockResolvedValue({ commit: vi.fn(), rollback: vi.fn() })
     };
 
     // This will fail until PhotoService is implemented
@@ -162,6 +189,1740 @@ describe('PhotoService Contract Tests', () => {
     });
   });
 
+  describe('off-main-thread thumbnails', () => {
+    it('should render through the worker when one is available', async () => {
+      const worker = createFakeWorker(message => ({
+        id: message.id, thumbnailData: `data:image/jpeg;base64,${message.size}`, perceptualHash: '00ff00ff00ff00ff'
+      }));
+      photoService.thumbnailWorker = new ThumbnailWorkerClient(worker);
+
+      const thumbnail = await photoService.generateThumbnail(createMockFile('photo.jpg', 'image/jpeg'), 120, { group: 4 });
+
+      expect(thumbnail).toBe('data:image/jpeg;base64,120');
+      expect(worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'generate', size: 120, group: 4, priority: ThumbnailPriority.NORMAL
+      }));
+    });
+
+    it('should fall back to the main thread when the worker fails', async () => {
+      const worker = createFakeWorker(message => ({ id: message.id, error: 'decode failed' }));
+      photoService.thumbnailWorker = new ThumbnailWorkerClient(worker);
+      photoService.renderThumbnailOnMainThread = vi.fn().mockResolvedValue({
+        thumbnailData: 'data:image/jpeg;base64,main', perceptualHash: null
+      });
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const thumbnail = await photoService.generateThumbnail(createMockFile('photo.jpg', 'image/jpeg'));
+
+      expect(thumbnail).toBe('data:image/jpeg;base64,main');
+      warn.mockRestore();
+    });
+
+    it('should stop using a worker that crashed', async () => {
+      const worker = createFakeWorker(() => null);
+      const client = new ThumbnailWorkerClient(worker);
+      const pending = client.generate(createMockFile('photo.jpg', 'image/jpeg'));
+
+      worker.onerror({ message: 'script error' });
+
+      await expect(pending).rejects.toThrow('Thumbnail worker failed');
+      photoService.thumbnailWorker = client;
+      expect(photoService.getThumbnailWorker()).toBeNull();
+    });
+
+    it('should time out a stalled decode and replace the worker for the requests behind it', async () => {
+      // The first worker starts the first job and never finishes it
+      const stalled = createFakeWorker(message => (message.type === 'generate' && message.id === 1
+        ? { id: message.id, started: true }
+        : null));
+      const replacement = createFakeWorker(message => (message.type === 'generate'
+        ? { id: message.id, thumbnailData: `data:image/jpeg;base64,${message.id}`, perceptualHash: null }
+        : null));
+      const client = new ThumbnailWorkerClient(stalled, { timeout: 20, createWorker: () => replacement });
+
+      const first = client.generate(createMockFile('huge.jpg', 'image/jpeg'));
+      const second = client.generate(createMockFile('next.jpg', 'image/jpeg'));
+
+      await expect(first).rejects.toThrow('Thumbnail generation timed out');
+      await expect(second).resolves.toEqual({ thumbnailData: 'data:image/jpeg;base64,2', perceptualHash: null });
+      expect(stalled.terminate).toHaveBeenCalled();
+      expect(client.failed).toBe(false);
+    });
+
+    it('should cancel queued thumbnails when the signal is aborted, without a main-thread retry', async () => {
+      const worker = createFakeWorker(() => null);
+      photoService.thumbnailWorker = new ThumbnailWorkerClient(worker);
+      photoService.renderThumbnailOnMainThread = vi.fn();
+      const controller = new AbortController();
+
+      const pending = photoService.generateThumbnail(createMockFile('photo.jpg', 'image/jpeg'), 200, {
+        signal: controller.signal
+      });
+      controller.abort();
+
+      await expect(pending).rejects.toThrow('Thumbnail generation cancelled');
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'cancel', id: 1 });
+      expect(photoService.renderThumbnailOnMainThread).not.toHaveBeenCalled();
+    });
+
+    it('should move an opened album\'s thumbnails up by its ID and its date period', () => {
+      const worker = createFakeWorker(() => null);
+      photoService.thumbnailWorker = new ThumbnailWorkerClient(worker);
+
+      photoService.prioritizeAlbumThumbnails({ id: 42, datePeriod: '2023-04' });
+
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'prioritize', group: 42, priority: ThumbnailPriority.VISIBLE });
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'prioritize', group: '2023-04', priority: ThumbnailPriority.VISIBLE });
+    });
+
+    it('should render queued jobs by priority, then in arrival order', async () => {
+      const order = [];
+      const queue = new ThumbnailQueue(job => Promise.resolve(job.id), job => order.push(job.id));
+
+      queue.add({ id: 1, priority: ThumbnailPriority.BACKGROUND, group: 'a' });
+      queue.add({ id: 2, priority: ThumbnailPriority.NORMAL, group: 'b' });
+      queue.add({ id: 3, priority: ThumbnailPriority.BACKGROUND, group: 'c' });
+      queue.prioritize('c', ThumbnailPriority.VISIBLE);
+      await vi.waitFor(() => expect(order).toHaveLength(3));
+
+      expect(order).toEqual([3, 2, 1]);
+    });
+  });
+
+  describe('thumbnail renditions', () => {
+    beforeEach(() => {
+      const preferences = new PreferencesManager();
+      preferences.set('thumbnail_size', { width: 300, height: 300 });
+      preferences.set('thumbnail_quality', 0.7);
+      const mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService, null, preferences);
+      photoService.extractMetadata = vi.fn().mockResolvedValue({
+        dateTaken: null, width: 4000, height: 3000, exifData: null, thumbnailSource: null
+      });
+      photoService.renderThumbnail = vi.fn((file, size, options) => Promise.resolve({
+        thumbnailData: `data:image/jpeg;base64,${size}@${options.quality}`, perceptualHash: null
+      }));
+    });
+
+    it('should store micro, grid and preview renditions sized from preferences', async () => {
+      await photoService.importPhotos(createMockFileList([createMockFile('photo.jpg', 'image/jpeg')]));
+
+      const renditionRows = mockDatabaseService.execute.mock.calls
+        .filter(([sql]) => sql.includes('INSERT INTO photo_renditions'))
+        .map(([, params]) => params.slice(1));
+      expect(renditionRows).toEqual([
+        ['preview', 1280, 960, 'data:image/jpeg;base64,1280@0.85'],
+        ['grid', 300, 225, 'data:image/jpeg;base64,300@0.7'],
+        ['micro', 32, 24, 'data:image/jpeg;base64,32@0.5']
+      ]);
+
+      const photoInsert = mockDatabaseService.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO photos'));
+      expect(photoInsert[1]).toContain('data:image/jpeg;base64,300@0.7');
+    });
+
+    it('should pick the smallest rendition that covers the display size', () => {
+      const renditions = [
+        { kind: 'micro', width: 32, height: 24 },
+        { kind: 'grid', width: 300, height: 225 },
+        { kind: 'preview', width: 1280, height: 960 }
+      ];
+
+      expect(pickRendition(renditions, 150, 150, 2).kind).toBe('grid');
+      expect(pickRendition(renditions, 800, 600).kind).toBe('preview');
+      expect(pickRendition(renditions, 4000, 3000).kind).toBe('preview');
+      expect(pickRendition(renditions, 20, 20).kind).toBe('micro');
+    });
+
+    it('should fall back to the legacy thumbnail for photos without renditions', async () => {
+      mockDatabaseService.all.mockResolvedValue([]);
+      mockDatabaseService.get.mockResolvedValue({
+        id: 5, width: 400, height: 200, thumbnail_data: 'data:image/jpeg;base64,old', date_added: '2025-01-01T00:00:00.000Z'
+      });
+
+      const rendition = await photoService.getRenditionForDisplay(5, 800, 600);
+
+      expect(rendition).toEqual({ kind: 'grid', width: 200, height: 100, data: 'data:image/jpeg;base64,old' });
+    });
+  });
+
+  describe('extractExifData()', () => {
+    it('should parse IFD0, Exif and GPS tags from a little-endian JPEG', async () => {
+      const file = createMockFileFromBytes('photo.jpg', 'image/jpeg', createJpegWithExif(true));
+
+      const exif = await photoService.extractExifData(file);
+
+      expect(exif.make).toBe('Canon');
+      expect(exif.model).toBe('EOS R5');
+      expect(exif.orientation).toBe(6);
+      expect(exif.dateTimeOriginal).toBe('2023:04:05 14:15:22');
+      expect(exif.lensModel).toBe('RF24-70mm');
+      expect(exif.exposureTime).toBeCloseTo(1 / 250);
+      expect(exif.fNumber).toBeCloseTo(2.8);
+      expect(exif.iso).toBe(400);
+      expect(exif.gps.latitude).toBeCloseTo(13.75);
+      expect(exif.gps.longitude).toBeCloseTo(-100.5);
+    });
+
+    it('should parse big-endian (Motorola) TIFF data', async () => {
+      const file = createMockFileFromBytes('photo.jpg', 'image/jpeg', createJpegWithExif(false));
+
+      const exif = await photoService.extractExifData(file);
+
+      expect(exif.make).toBe('Canon');
+      expect(exif.orientation).toBe(6);
+      expect(exif.dateTimeOriginal).toBe('2023:04:05 14:15:22');
+    });
+
+    it('should read a photo once for its EXIF data and stored dimensions', async () => {
+      const file = createMockFileFromBytes('photo.jpg', 'image/jpeg', createJpegWithExif(true));
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.exifData.make).toBe('Canon');
+      expect(file.arrayBuffer).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return null for JPEG files without an Exif segment', async () => {
+      const file = createMockFileFromBytes('photo.jpg', 'image/jpeg', new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]));
+
+      expect(await photoService.extractExifData(file)).toBeNull();
+    });
+
+    it('should date photos from DateTimeOriginal instead of lastModified', async () => {
+      const file = createMockFileFromBytes('photo.jpg', 'image/jpeg', createJpegWithExif(true));
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.dateTaken).toEqual(new Date(2023, 3, 5, 14, 15, 22));
+    });
+  });
+
+  describe('HEIC/HEIF metadata', () => {
+    it('should read dimensions, EXIF and the embedded thumbnail from a HEIC container', async () => {
+      const thumbnail = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+      const file = createMockFileFromBytes('IMG_0001.HEIC', 'image/heic', createHeic(createSampleTiff(), thumbnail));
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.width).toBe(4032);
+      expect(metadata.height).toBe(3024);
+      expect(metadata.exifData.model).toBe('EOS R5');
+      expect(metadata.dateTaken).toEqual(new Date(2023, 3, 5, 14, 15, 22));
+      expect(metadata.thumbnailSource.type).toBe('image/jpeg');
+      expect(metadata.thumbnailSource.size).toBe(thumbnail.length);
+    });
+
+    it('should accept image/heif files', () => {
+      const validation = photoService.validatePhotoFile(createMockFile('photo.heif', 'image/heif'));
+
+      expect(validation.isValid).toBe(true);
+    });
+  });
+
+  describe('EXIF orientation', () => {
+    it('should store upright dimensions and keep the orientation of rotated JPEGs', async () => {
+      const file = createMockFileFromBytes('portrait.jpg', 'image/jpeg', createJpegWithExif(true, { width: 4000, height: 3000 }));
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.orientation).toBe(6);
+      expect(metadata.width).toBe(3000);
+      expect(metadata.height).toBe(4000);
+    });
+
+    it('should map HEIF irot to an orientation and ignore the Exif tag', async () => {
+      const thumbnail = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+      const file = createMockFileFromBytes('IMG_0002.HEIC', 'image/heic', createHeic(createSampleTiff(), thumbnail, 1));
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.orientation).toBe(8);
+      expect(metadata.width).toBe(3024);
+      expect(metadata.height).toBe(4032);
+    });
+
+    it('should apply the canvas transform for each of the eight orientations', () => {
+      const expected = {
+        1: null,
+        2: [-1, 0, 0, 1, 40, 0],
+        3: [-1, 0, 0, -1, 40, 30],
+        4: [1, 0, 0, -1, 0, 30],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, 30, 0],
+        7: [0, -1, -1, 0, 30, 40],
+        8: [0, -1, 1, 0, 0, 40]
+      };
+
+      for (const [orientation, transform] of Object.entries(expected)) {
+        const ctx = { save: vi.fn(), restore: vi.fn(), transform: vi.fn(), drawImage: vi.fn() };
+        drawOriented(ctx, 'source', Number(orientation), 40, 30);
+
+        if (transform) {
+          expect(ctx.transform).toHaveBeenCalledWith(...transform);
+        } else {
+          expect(ctx.transform).not.toHaveBeenCalled();
+        }
+        expect(ctx.drawImage).toHaveBeenCalledWith('source', 0, 0, 40, 30);
+      }
+
+      expect(orientedDimensions(40, 30, 6)).toEqual({ width: 30, height: 40 });
+      expect(orientedDimensions(40, 30, 3)).toEqual({ width: 40, height: 30 });
+    });
+
+    it('should render renditions with the photo orientation', async () => {
+      photoService.renderThumbnail = vi.fn().mockResolvedValue({ thumbnailData: 'data:,', perceptualHash: null });
+
+      await photoService.renderRenditions(createMockFile('portrait.jpg', 'image/jpeg'), {
+        width: 3000, height: 4000, orientation: 6
+      });
+
+      expect(photoService.renderThumbnail).toHaveBeenCalledWith(
+        expect.anything(), expect.any(Number), expect.objectContaining({ orientation: 6 })
+      );
+    });
+  });
+
+  describe('PNG, WebP and XMP metadata', () => {
+    const xmpPacket = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF>
+      <rdf:Description xmp:CreateDate="2022-11-03T18:30:00">
+        <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Loy Krathong</rdf:li></rdf:Alt></dc:title>
+        <dc:description><rdf:Alt><rdf:li xml:lang="x-default">Lanterns &amp; river</rdf:li></rdf:Alt></dc:description>
+        <dc:subject><rdf:Bag><rdf:li>festival</rdf:li><rdf:li>night</rdf:li></rdf:Bag></dc:subject>
+      </rdf:Description></rdf:RDF></x:xmpmeta>`;
+
+    it('should read eXIf, tEXt and XMP iTXt chunks from PNG files', async () => {
+      const png = createPng([
+        ['tEXt', concatBytes(ascii('Title'), uint(0, 1), ascii('Screenshot'))],
+        ['iTXt', concatBytes(ascii('XML:com.adobe.xmp'), uint(0, 5), ascii(xmpPacket))],
+        ['eXIf', createSampleTiff()]
+      ]);
+      const file = createMockFileFromBytes('shot.png', 'image/png', png);
+
+      const exif = await photoService.extractExifData(file);
+
+      expect(exif.model).toBe('EOS R5');
+      expect(exif.title).toBe('Loy Krathong');
+      expect(exif.keywords).toEqual(['festival', 'night']);
+    });
+
+    it('should fall back to PNG tEXt fields when there is no XMP', async () => {
+      const png = createPng([
+        ['tEXt', concatBytes(ascii('Title'), uint(0, 1), ascii('Screenshot'))],
+        ['tEXt', concatBytes(ascii('Creation Time'), uint(0, 1), ascii('2023-07-01'))]
+      ]);
+      const file = createMockFileFromBytes('shot.png', 'image/png', png);
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.exifData.title).toBe('Screenshot');
+      expect(metadata.dateTaken).toEqual(new Date(2023, 6, 1));
+    });
+
+    it('should read EXIF and XMP chunks from WebP files', async () => {
+      const webp = createWebp([
+        ['EXIF', createSampleTiff(false)],
+        ['XMP ', ascii(xmpPacket)]
+      ]);
+      const file = createMockFileFromBytes('export.webp', 'image/webp', webp);
+
+      const exif = await photoService.extractExifData(file);
+
+      expect(exif.make).toBe('Canon');
+      expect(exif.description).toBe('Lanterns & river');
+    });
+
+    it('should use the XMP date for JPEG files without EXIF', async () => {
+      const signature = ascii('http://ns.adobe.com/xap/1.0/\0');
+      const payload = concatBytes(signature, ascii(xmpPacket));
+      const jpeg = concatBytes(
+        new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1]), uint(payload.length + 2, 2), payload, new Uint8Array([0xFF, 0xD9])
+      );
+      const file = createMockFileFromBytes('edited.jpg', 'image/jpeg', jpeg);
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.exifData.title).toBe('Loy Krathong');
+      expect(metadata.dateTaken).toEqual(new Date(2022, 10, 3, 18, 30, 0));
+    });
+  });
+
+  describe('duplicate detection', () => {
+    let mockAlbumService;
+    const existingRow = { id: 7, file_name: 'original.jpg', album_id: 3, date_added: '2025-01-01T00:00:00.000Z' };
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 3, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+      mockDatabaseService.get.mockImplementation(sql =>
+        Promise.resolve(sql.includes('content_hash') ? existingRow : { count: 1 })
+      );
+    });
+
+    it('should compute a hex SHA-256 content hash', async () => {
+      const hash = await photoService.computeContentHash(createMockFile('photo.jpg', 'image/jpeg'));
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should hash large files a slice at a time without reading them whole', async () => {
+      const bytes = new Uint8Array(9 * 1024 * 1024 + 5).map((_, i) => i * 31);
+      const file = new File([bytes], 'clip.mp4', { type: 'video/mp4' });
+      const readWhole = vi.spyOn(file, 'arrayBuffer');
+      const slice = vi.spyOn(file, 'slice');
+
+      const hash = await photoService.computeContentHash(file);
+
+      expect(hash).toBe(createHash('sha256').update(bytes).digest('hex'));
+      expect(readWhole).not.toHaveBeenCalled();
+      expect(slice).toHaveBeenCalledTimes(3);
+    });
+
+    it('should skip files already in the library and report them separately', async () => {
+      const result = await photoService.importPhotos(createMockFileList([createMockFile('copy.jpg', 'image/jpeg')]));
+
+      expect(result.importedCount).toBe(0);
+      expect(result.failedCount).toBe(0);
+      expect(result.duplicateCount).toBe(1);
+      expect(result.duplicates).toEqual([{ fileName: 'copy.jpg', existingPhotoId: 7, action: 'skipped' }]);
+      expect(mockDatabaseService.execute).not.toHaveBeenCalledWith(expect.stringContaining('INSERT'), expect.anything());
+    });
+
+    it('should keep both copies when requested, storing the copy without a hash', async () => {
+      const result = await photoService.importPhotos(
+        createMockFileList([createMockFile('copy.jpg', 'image/jpeg')]),
+        { duplicatePolicy: DuplicatePolicy.KEEP_BOTH }
+      );
+
+      expect(result.importedCount).toBe(1);
+      expect(result.duplicateCount).toBe(0);
+      const insertCall = mockDatabaseService.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO photos'));
+      expect(insertCall[1][insertCall[1].length - 1]).toBeNull();
+    });
+
+    it('should replace metadata of the existing photo when requested', async () => {
+      const result = await photoService.importPhotos(
+        createMockFileList([createMockFile('renamed.jpg', 'image/jpeg')]),
+        { duplicatePolicy: DuplicatePolicy.REPLACE }
+      );
+
+      expect(result.duplicates[0]).toMatchObject({ existingPhotoId: 7, action: 'replaced' });
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE photos SET file_name'),
+        expect.arrayContaining(['renamed.jpg', 7])
+      );
+    });
+
+    it('should reject unknown duplicate policies', async () => {
+      await expect(photoService.importPhotos(createMockFileList([]), { duplicatePolicy: 'merge' }))
+        .rejects.toThrow('Invalid duplicate policy');
+    });
+  });
+
+  describe('findSimilarPhotos()', () => {
+    const rows = [
+      { id: 1, file_name: 'a.jpg', date_added: '2025-01-01T00:00:00.000Z', perceptual_hash: 'ffff0000ffff0000' },
+      { id: 2, file_name: 'a-resized.jpg', date_added: '2025-01-01T00:00:00.000Z', perceptual_hash: 'ffff0000ffff0001' },
+      { id: 3, file_name: 'a-edited.jpg', date_added: '2025-01-01T00:00:00.000Z', perceptual_hash: 'ffff0000ffff000f' },
+      { id: 4, file_name: 'other.jpg', date_added: '2025-01-01T00:00:00.000Z', perceptual_hash: '0000ffff0000ffff' }
+    ];
+
+    beforeEach(() => {
+      mockDatabaseService.get.mockImplementation((sql, [id]) => Promise.resolve(rows.find(row => row.id === id)));
+      mockDatabaseService.all.mockImplementation((sql, params) => {
+        if (sql.includes('IN (')) {
+          return Promise.resolve(rows.filter(row => params.includes(row.id)));
+        }
+        return Promise.resolve(rows.filter(row => !sql.includes('id != ?') || row.id !== params[0]));
+      });
+    });
+
+    it('should return photos within the Hamming distance threshold, closest first', async () => {
+      const matches = await photoService.findSimilarPhotos(1, 4);
+
+      expect(matches.map(match => match.photo.id)).toEqual([2, 3]);
+      expect(matches.map(match => match.distance)).toEqual([1, 4]);
+    });
+
+    it('should return an empty array when the photo has no perceptual hash', async () => {
+      mockDatabaseService.get.mockResolvedValue({ id: 9, date_added: '2025-01-01T00:00:00.000Z' });
+
+      expect(await photoService.findSimilarPhotos(9)).toEqual([]);
+    });
+
+    it('should cluster near-duplicates across the library', async () => {
+      const groups = await photoService.findSimilarPhotoGroups(4);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].map(photo => photo.id)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('import progress and cancellation', () => {
+    let eventBus;
+
+    beforeEach(() => {
+      eventBus = { emit: vi.fn() };
+      const mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      mockDatabaseService.get.mockImplementation(sql =>
+        Promise.resolve(sql.includes('content_hash') ? null : { count: 1 })
+      );
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService, eventBus);
+    });
+
+    it('should emit started, per-file progress and completed events', async () => {
+      const files = createMockFileList([
+        createMockFile('a.jpg', 'image/jpeg', 100),
+        createMockFile('b.jpg', 'image/jpeg', 300)
+      ]);
+
+      await photoService.importPhotos(files);
+
+      const names = eventBus.emit.mock.calls.map(([name]) => name);
+      expect(names).toEqual([
+        'photo:import:started', 'photo:import:progress', 'photo:import:progress', 'photo:import:completed'
+      ]);
+
+      const [, progress] = eventBus.emit.mock.calls[2];
+      expect(progress).toMatchObject({ fileName: 'b.jpg', index: 1, totalFiles: 2, bytesProcessed: 400, totalBytes: 400 });
+      expect(progress).toHaveProperty('etaMs');
+    });
+
+    it('should stop when the signal is aborted and return a partial result', async () => {
+      const controller = new AbortController();
+      eventBus.emit.mockImplementation(name => {
+        if (name === 'photo:import:progress') controller.abort();
+      });
+      const files = createMockFileList([
+        createMockFile('a.jpg', 'image/jpeg'),
+        createMockFile('b.jpg', 'image/jpeg'),
+        createMockFile('c.jpg', 'image/jpeg')
+      ]);
+
+      const result = await photoService.importPhotos(files, { signal: controller.signal });
+
+      expect(result.cancelled).toBe(true);
+      expect(result.importedCount).toBe(1);
+      expect(result.totalFiles).toBe(3);
+    });
+
+    it('should deliver import events to EventBus subscribers', async () => {
+      const bus = new EventBus();
+      photoService.eventBus = bus;
+      const received = [];
+      for (const name of [PHOTO_EVENTS.IMPORT_STARTED, PHOTO_EVENTS.IMPORT_PROGRESS, PHOTO_EVENTS.IMPORT_COMPLETED]) {
+        bus.on(name, detail => received.push([name, detail]));
+      }
+      // A failing subscriber doesn't break the import or the other subscribers
+      const unsubscribe = bus.on(PHOTO_EVENTS.IMPORT_PROGRESS, () => {
+        throw new Error('render failed');
+      });
+
+      const result = await photoService.importPhotos(createMockFileList([
+        createMockFile('a.jpg', 'image/jpeg', 100),
+        createMockFile('b.jpg', 'image/jpeg', 300)
+      ]));
+      unsubscribe();
+
+      expect(result.importedCount).toBe(2);
+      expect(received.map(([name]) => name)).toEqual([
+        PHOTO_EVENTS.IMPORT_STARTED, PHOTO_EVENTS.IMPORT_PROGRESS, PHOTO_EVENTS.IMPORT_PROGRESS, PHOTO_EVENTS.IMPORT_COMPLETED
+      ]);
+      expect(received[0][1]).toEqual({ totalFiles: 2, totalBytes: 400 });
+      expect(received[3][1].result).toBe(result);
+      expect(bus.handlers.get(PHOTO_EVENTS.IMPORT_PROGRESS).size).toBe(1);
+    });
+
+    it('should report each file as soon as it is decoded rather than when its batch is written', async () => {
+      const progressBeforeWrite = [];
+      eventBus.emit.mockImplementation((name, detail) => {
+        if (name === 'photo:import:progress' && mockDatabaseService.beginTransaction.mock.calls.length === 0) {
+          progressBeforeWrite.push(detail.fileName);
+        }
+      });
+      let releaseSlowFile;
+      const extract = photoService.extractMetadata.bind(photoService);
+      photoService.extractMetadata = vi.fn(async (file, ...args) => {
+        if (file.name === 'slow.jpg') {
+          await new Promise(resolve => { releaseSlowFile = resolve; });
+        }
+        return extract(file, ...args);
+      });
+      const files = createMockFileList([
+        createMockFile('slow.jpg', 'image/jpeg', 1000),
+        createMockFile('a.jpg', 'image/jpeg', 100),
+        createMockFile('b.jpg', 'image/jpeg', 100)
+      ]);
+
+      const importing = photoService.importPhotos(files, { concurrency: 3 });
+      await vi.waitFor(() => expect(progressBeforeWrite).toEqual(['a.jpg', 'b.jpg']));
+      releaseSlowFile();
+      await importing;
+
+      const progress = eventBus.emit.mock.calls.filter(([name]) => name === 'photo:import:progress').map(([, detail]) => detail);
+      expect(progress.map(detail => detail.bytesProcessed)).toEqual([100, 200, 1200]);
+      expect(mockDatabaseService.beginTransaction).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('concurrent import pipeline', () => {
+    let mockAlbumService;
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockImplementation(date =>
+          Promise.resolve({ id: date && new Date(date).getMonth() === 0 ? 1 : 2, hasCoverPhoto: () => true })
+        ),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      mockDatabaseService.get.mockImplementation(sql =>
+        Promise.resolve(sql.includes('content_hash') ? null : { count: 1 })
+      );
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+    });
+
+    it('should decode no more files at once than the concurrency limit', async () => {
+      let active = 0;
+      let peak = 0;
+      const extract = photoService.extractMetadata.bind(photoService);
+      photoService.extractMetadata = vi.fn(async file => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return extract(file);
+      });
+      const files = createMockFileList(
+        Array.from({ length: 6 }, (_, i) => createMockFile(`p${i}.jpg`, 'image/jpeg', 100 + i))
+      );
+
+      const result = await photoService.importPhotos(files, { concurrency: 2 });
+
+      expect(result.importedCount).toBe(6);
+      expect(peak).toBe(2);
+    });
+
+    it('should write each batch in one transaction', async () => {
+      const files = createMockFileList(
+        Array.from({ length: 5 }, (_, i) => createMockFile(`p${i}.jpg`, 'image/jpeg', 100 + i))
+      );
+
+      await photoService.importPhotos(files, { batchSize: 2 });
+
+      expect(mockDatabaseService.beginTransaction).toHaveBeenCalledTimes(3);
+      const transaction = await mockDatabaseService.beginTransaction.mock.results[0].value;
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('should recalculate each affected album once', async () => {
+      const dates = [new Date(2025, 0, 5), new Date(2025, 0, 6), new Date(2025, 1, 1)];
+      let call = 0;
+      photoService.extractMetadata = vi.fn().mockImplementation(() =>
+        Promise.resolve({ dateTaken: dates[call++], width: 100, height: 100, exifData: null, thumbnailSource: null })
+      );
+      const files = createMockFileList(dates.map((_, i) => createMockFile(`p${i}.jpg`, 'image/jpeg', 100 + i)));
+
+      await photoService.importPhotos(files);
+
+      expect(mockAlbumService.recalculateAlbum).toHaveBeenCalledTimes(2);
+      expect(mockAlbumService.recalculateAlbum).toHaveBeenCalledWith(1);
+      expect(mockAlbumService.recalculateAlbum).toHaveBeenCalledWith(2);
+    });
+
+    it('should recalculate the albums of committed batches when a later batch fails', async () => {
+      const transaction = { commit: vi.fn(), rollback: vi.fn() };
+      mockDatabaseService.beginTransaction
+        .mockResolvedValueOnce(transaction)
+        .mockRejectedValueOnce(new Error('database is locked'));
+      const files = createMockFileList([
+        createMockFile('p0.jpg', 'image/jpeg', 100),
+        createMockFile('p1.jpg', 'image/jpeg', 101)
+      ]);
+
+      await expect(photoService.importPhotos(files, { batchSize: 1 })).rejects.toThrow('database is locked');
+
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(mockAlbumService.recalculateAlbum).toHaveBeenCalledTimes(1);
+    });
+
+    it('should treat identical files within one import as duplicates', async () => {
+      const files = createMockFileList([
+        createMockFile('a.jpg', 'image/jpeg'),
+        createMockFile('a-copy.jpg', 'image/jpeg')
+      ]);
+
+      const result = await photoService.importPhotos(files);
+
+      expect(result.importedCount).toBe(1);
+      expect(result.duplicates).toEqual([{ fileName: 'a-copy.jpg', existingPhotoId: 1, action: 'skipped' }]);
+    });
+  });
+
+  describe('folder import', () => {
+    let mockAlbumService;
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      mockDatabaseService.get.mockImplementation(sql =>
+        Promise.resolve(sql.includes('content_hash') ? null : { count: 1 })
+      );
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+    });
+
+    it('should store the relative source path as file_path', async () => {
+      const file = createMockFile('a.jpg', 'image/jpeg');
+      file.webkitRelativePath = 'Trips/Paris/a.jpg';
+
+      await photoService.importPhotos(createMockFileList([file]));
+
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO photos'),
+        expect.arrayContaining(['Trips/Paris/a.jpg'])
+      );
+    });
+
+    it('should number a path that is already taken', async () => {
+      mockDatabaseService.all.mockImplementation(sql => Promise.resolve(
+        sql.includes('file_path') ? [{ id: 3, file_path: 'a.jpg' }, { id: 4, file_path: 'a (2).jpg' }] : []
+      ));
+
+      await photoService.importPhotos(createMockFileList([createMockFile('a.jpg', 'image/jpeg')]));
+
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO photos'),
+        expect.arrayContaining(['a (3).jpg'])
+      );
+    });
+
+    it('should walk a directory handle recursively and skip hidden entries', async () => {
+      const handle = createDirectoryHandle('Pictures', {
+        'b.jpg': createMockFile('b.jpg', 'image/jpeg', 101),
+        '.DS_Store': createMockFile('.DS_Store', 'application/octet-stream', 10),
+        Paris: createDirectoryHandle('Paris', {
+          'a.jpg': createMockFile('a.jpg', 'image/jpeg', 102)
+        }),
+        '.thumbnails': createDirectoryHandle('.thumbnails', {
+          'c.jpg': createMockFile('c.jpg', 'image/jpeg', 103)
+        })
+      });
+
+      const result = await photoService.importDirectory(handle, { albumNameHints: true });
+
+      expect(result.totalFiles).toBe(2);
+      expect(result.importedCount).toBe(2);
+      const paths = mockDatabaseService.execute.mock.calls
+        .filter(([sql]) => sql.includes('INSERT INTO photos'))
+        .map(([, params]) => params[0]);
+      expect(paths).toEqual(['Pictures/b.jpg', 'Pictures/Paris/a.jpg']);
+      expect(mockAlbumService.getOrCreateAlbumForDate.mock.calls.map(call => call[1])).toEqual(['Pictures', 'Paris']);
+    });
+
+    it('should drop hidden files from a webkitdirectory file list', async () => {
+      const visible = createMockFile('a.jpg', 'image/jpeg');
+      visible.webkitRelativePath = 'Pictures/a.jpg';
+      const hidden = createMockFile('b.jpg', 'image/jpeg');
+      hidden.webkitRelativePath = 'Pictures/.cache/b.jpg';
+
+      const result = await photoService.importDirectory(createMockFileList([visible, hidden]));
+
+      expect(result.totalFiles).toBe(1);
+      expect(mockAlbumService.getOrCreateAlbumForDate).toHaveBeenCalledWith(expect.any(String), null);
+    });
+
+    it('should list a folder for the import preview without importing it', async () => {
+      const visible = createMockFile('a.jpg', 'image/jpeg');
+      visible.webkitRelativePath = 'Pictures/a.jpg';
+      const hidden = createMockFile('.DS_Store', 'application/octet-stream');
+      hidden.webkitRelativePath = 'Pictures/.DS_Store';
+
+      const files = await photoService.readDirectory(createMockFileList([visible, hidden]));
+
+      expect(files).toEqual([visible]);
+      expect(mockDatabaseService.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ZIP archive import', () => {
+    let mockAlbumService;
+    const jpegBytes = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 1, 2, 3, 4, 5, 6, 7, 8, 0xFF, 0xD9]);
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+      photoService.computeContentHash = vi.fn().mockResolvedValue(null);
+      photoService.extractMetadata = vi.fn().mockResolvedValue({
+        dateTaken: new Date(2024, 4, 17), width: 100, height: 100, exifData: null, thumbnailSource: null
+      });
+    });
+
+    it('should compute standard CRC-32 values', () => {
+      expect(crc32(ascii('123456789'))).toBe(0xCBF43926);
+    });
+
+    it('should read stored and deflate entries with UTF-8 names and mtimes', async () => {
+      const mtime = new Date(2024, 4, 17, 10, 30, 12);
+      const archive = createZipBlob('photos.zip', [
+        { name: 'Été/plage.jpg', data: jpegBytes, mtime },
+        { name: 'Été/dune.jpg', data: jpegBytes, deflate: true, mtime }
+      ]);
+
+      const entries = await readZipEntries(archive);
+
+      expect(entries.map(entry => entry.path)).toEqual(['Été/plage.jpg', 'Été/dune.jpg']);
+      expect(entries[1]).toMatchObject({ method: 8, size: jpegBytes.length, lastModified: mtime.getTime() });
+      const chunks = await readZipEntry(archive, entries[1]);
+      expect(concatBytes(...chunks)).toEqual(jpegBytes);
+    });
+
+    it('should read ZIP64 sizes and offsets', async () => {
+      const archive = createZipBlob('big.zip', [
+        { name: 'a.jpg', data: jpegBytes },
+        { name: 'b.jpg', data: jpegBytes, deflate: true }
+      ], { zip64: true });
+
+      const entries = await readZipEntries(archive);
+
+      expect(entries).toHaveLength(2);
+      expect(entries[1].size).toBe(jpegBytes.length);
+      expect(concatBytes(...await readZipEntry(archive, entries[1]))).toEqual(jpegBytes);
+    });
+
+    it('should decode names without the UTF-8 flag as code page 437', async () => {
+      const archive = createZipBlob('old.zip', [
+        { name: 'caf\u00e9.jpg', rawName: new Uint8Array([...ascii('caf'), 0x82, ...ascii('.jpg')]), data: jpegBytes }
+      ]);
+
+      const [entry] = await readZipEntries(archive);
+
+      expect(entry.path).toBe('café.jpg');
+    });
+
+    it('should reject files that are not ZIP archives', async () => {
+      await expect(readZipEntries(createBlob('fake.zip', ascii('not a zip at all, just text'))))
+        .rejects.toThrow('Not a ZIP archive');
+    });
+
+    it('should import image entries as files with their path and mtime', async () => {
+      const mtime = new Date(2023, 6, 1, 8, 0, 0);
+      const archive = createZipBlob('family.zip', [
+        { name: 'Trip/', data: new Uint8Array(0) },
+        { name: 'Trip/a.jpg', data: jpegBytes, deflate: true, mtime },
+        { name: 'notes.txt', data: ascii('hello') },
+        { name: '__MACOSX/Trip/._a.jpg', data: jpegBytes }
+      ]);
+
+      const result = await photoService.importPhotos(createMockFileList([archive]));
+
+      expect(result.totalFiles).toBe(1);
+      expect(result.importedCount).toBe(1);
+      const file = photoService.extractMetadata.mock.calls[0][0];
+      expect(file).toMatchObject({ name: 'a.jpg', type: 'image/jpeg', size: jpegBytes.length, lastModified: mtime.getTime() });
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO photos'),
+        expect.arrayContaining(['family/Trip/a.jpg'])
+      );
+    });
+
+    it('should report corrupt entries and unreadable archives per entry', async () => {
+      const archive = createZipBlob('family.zip', [
+        { name: 'good.jpg', data: jpegBytes },
+        { name: 'bad.jpg', data: jpegBytes, deflate: true, crc: 0x12345678 }
+      ]);
+      const broken = createBlob('broken.zip', ascii('garbage'));
+
+      const result = await photoService.importPhotos(createMockFileList([archive, broken]));
+
+      expect(result.totalFiles).toBe(3);
+      expect(result.importedCount).toBe(1);
+      expect(result.failedCount).toBe(2);
+      expect(result.errors).toEqual([
+        { fileName: 'broken.zip', filePath: 'broken.zip', error: 'Not a ZIP archive' },
+        expect.objectContaining({ fileName: 'bad.jpg', filePath: 'family/bad.jpg', error: expect.stringContaining('CRC-32') })
+      ]);
+    });
+  });
+
+  describe('sidecar metadata', () => {
+    let mockAlbumService;
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      mockDatabaseService.get.mockImplementation(sql =>
+        Promise.resolve(sql.includes('content_hash') ? null : { count: 1 })
+      );
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+    });
+
+    it('should follow Takeout naming rules for JSON sidecars', () => {
+      expect(takeoutSidecarNames('IMG_1234.jpg')).toEqual(expect.arrayContaining([
+        'IMG_1234.jpg.json',
+        'IMG_1234.jpg.supplemental-metadata.json',
+        'IMG_1234.json'
+      ]));
+      expect(takeoutSidecarNames('IMG_1234(1).jpg')).toContain('IMG_1234.jpg(1).json');
+      expect(takeoutSidecarNames('IMG_1234-edited.jpg')).toContain('IMG_1234.jpg.json');
+
+      const longName = `${'a'.repeat(50)}.jpg`;
+      expect(takeoutSidecarNames(longName)).toContain(`${'a'.repeat(46)}.json`);
+      expect(takeoutSidecarNames('IMG_20200101_123456789.jpg'))
+        .toContain('IMG_20200101_123456789.jpg.supplemental-metada.json');
+    });
+
+    it('should apply Takeout date, location, description and favorite flag', async () => {
+      const photo = createMockFile('IMG_1234.jpg', 'image/jpeg');
+      photo.webkitRelativePath = 'Takeout/Google Photos/Trip/IMG_1234.jpg';
+      const sidecar = createTextFile('IMG_1234.jpg.json', JSON.stringify({
+        title: 'IMG_1234.jpg',
+        description: 'Sunset at the pier',
+        photoTakenTime: { timestamp: '1593540000', formatted: 'Jun 30, 2020, 6:00:00 PM UTC' },
+        geoData: { latitude: 37.8, longitude: -122.4, altitude: 12.5 },
+        favorited: true
+      }));
+      sidecar.webkitRelativePath = 'Takeout/Google Photos/Trip/IMG_1234.jpg.json';
+
+      const result = await photoService.importPhotos(createMockFileList([photo, sidecar]));
+
+      expect(result.totalFiles).toBe(1);
+      expect(result.importedCount).toBe(1);
+      const [, params] = mockDatabaseService.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO photos'));
+      expect(params[3]).toBe(new Date(1593540000 * 1000).toISOString());
+      expect(params[4]).toBe('sidecar');
+      expect(params[11]).toBe(1);
+      const exifData = JSON.parse(params[13]);
+      expect(exifData.description).toBe('Sunset at the pier');
+      expect(exifData.gps).toEqual({ latitude: 37.8, longitude: -122.4, altitude: 12.5 });
+    });
+
+    it('should apply XMP sidecars and ignore unrelated JSON files', async () => {
+      const photo = createMockFile('DSC_0001.jpg', 'image/jpeg');
+      const xmp = createTextFile('DSC_0001.xmp', `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF>
+        <rdf:Description exif:DateTimeOriginal="2019-08-04T09:15:00" xmp:Rating="4"
+          exif:GPSLatitude="48,51.4N" exif:GPSLongitude="2,21,3E">
+          <dc:description><rdf:Alt><rdf:li xml:lang="x-default">Notre-Dame</rdf:li></rdf:Alt></dc:description>
+        </rdf:Description></rdf:RDF></x:xmpmeta>`);
+      const unrelated = createTextFile('print-subscriptions.json', '[]');
+
+      const result = await photoService.importPhotos(createMockFileList([photo, xmp, unrelated]));
+
+      expect(result.totalFiles).toBe(1);
+      const [, params] = mockDatabaseService.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO photos'));
+      expect(params[3]).toBe(new Date(2019, 7, 4, 9, 15).toISOString());
+      const exifData = JSON.parse(params[13]);
+      expect(exifData).toMatchObject({ description: 'Notre-Dame', rating: 4 });
+      expect(exifData.gps.latitude).toBeCloseTo(48.8567, 4);
+      expect(exifData.gps.longitude).toBeCloseTo(2.3508, 4);
+      expect(exifData.gps.altitude).toBeNull();
+    });
+  });
+
+  describe('filename date inference', () => {
+    it.each([
+      ['IMG_20230405_141522.jpg', new Date(2023, 3, 5, 14, 15, 22)],
+      ['PXL_20240101_093015123.jpg', new Date(2024, 0, 1, 9, 30, 15)],
+      ['Screenshot 2023-07-01 at 10.22.11.png', new Date(2023, 6, 1, 10, 22, 11)],
+      ['WhatsApp Image 2022-11-03 at 2.05.09 PM.jpeg', new Date(2022, 10, 3, 14, 5, 9)],
+      ['IMG-20221103-WA0001.jpg', new Date(2022, 10, 3)],
+      ['Screenshot_2023-07-01-10-22-11.png', new Date(2023, 6, 1, 10, 22, 11)],
+      ['scan 2021.12.24.jpg', new Date(2021, 11, 24)]
+    ])('should read the date from %s', (name, expected) => {
+      expect(inferDateFromFilename(name).date).toEqual(expected);
+    });
+
+    it('should ignore digits that are not a valid date', () => {
+      expect(inferDateFromFilename('IMG_20231345_141522.jpg')).toBeNull();
+      expect(inferDateFromFilename('DSC_0001.jpg')).toBeNull();
+      expect(inferDateFromFilename('20230230.jpg')).toBeNull();
+    });
+
+    it('should rank the file name between EXIF and the modification time', async () => {
+      const file = createMockFile('IMG_20230405_141522.jpg', 'image/jpeg');
+      file.lastModified = new Date(2025, 0, 1).getTime();
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.dateTaken).toEqual(new Date(2023, 3, 5, 14, 15, 22));
+      expect(metadata.dateSource).toBe('filename');
+    });
+
+    it('should record the modification time as the source when nothing else matches', async () => {
+      const metadata = await photoService.extractMetadata(createMockFile('DSC_0001.jpg', 'image/jpeg'));
+
+      expect(metadata.dateSource).toBe('file_modified');
+    });
+
+    it('should try registered patterns before the built-in ones', async () => {
+      photoService.registerFilenameDatePattern({
+        name: 'day-month-year',
+        regex: /(?<day>\d{2})\.(?<month>\d{2})\.(?<year>\d{4})/
+      });
+
+      const metadata = await photoService.extractMetadata(createMockFile('Party 24.12.2022.jpg', 'image/jpeg'));
+
+      expect(metadata.dateTaken).toEqual(new Date(2022, 11, 24));
+      expect(() => photoService.registerFilenameDatePattern({ name: 'bad', regex: /\d+/ }))
+        .toThrow('Filename date pattern');
+    });
+  });
+
+  describe('capture time zones', () => {
+    const createJpeg = (exif, gps = []) => createMockFileFromBytes('photo.jpg', 'image/jpeg',
+      createJpegWithExif(true, null, buildTiff(true, { ifd0: [[0x010F, 2, 'Sony']], exif, gps })));
+
+    it('should store the UTC instant and local time from OffsetTimeOriginal', async () => {
+      const file = createJpeg([[0x9003, 2, '2023:12:31 23:30:00'], [0x9011, 2, '+09:00']]);
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.dateTaken.toISOString()).toBe('2023-12-31T14:30:00.000Z');
+      expect(metadata.dateTakenLocal).toBe('2023-12-31T23:30:00');
+      expect(metadata.timezoneOffset).toBe(540);
+    });
+
+    it('should derive the offset from the GPS timestamp when no offset tag is present', async () => {
+      const file = createJpeg(
+        [[0x9003, 2, '2023:04:05 14:15:22']],
+        [[0x0007, 5, [[12, 1], [15, 1], [20, 1]]], [0x001D, 2, '2023:04:05']]
+      );
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.timezoneOffset).toBe(120);
+      expect(metadata.dateTaken.toISOString()).toBe('2023-04-05T12:15:22.000Z');
+    });
+
+    it('should leave the offset unknown when nothing records it', () => {
+      const captureTime = captureTimeFromExif({ dateTimeOriginal: '2023:04:05 14:15:22' });
+
+      expect(captureTime.date).toEqual(new Date(2023, 3, 5, 14, 15, 22));
+      expect(captureTime.local).toBe('2023-04-05T14:15:22');
+      expect(captureTime.offset).toBeNull();
+      expect(captureTimeFromExif({ dateTimeOriginal: '0000:00:00 00:00:00' })).toBeNull();
+    });
+
+    it('should keep the offset of XMP dates', () => {
+      const captureTime = parseIsoCaptureTime('2019-08-04T09:15:00-05:00');
+
+      expect(captureTime.date.toISOString()).toBe('2019-08-04T14:15:00.000Z');
+      expect(captureTime.local).toBe('2019-08-04T09:15:00');
+      expect(captureTime.offset).toBe(-300);
+    });
+
+    it('should store the local time and file the photo by it', async () => {
+      const mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+      const file = createJpeg([[0x9003, 2, '2023:12:31 23:30:00'], [0x9011, 2, '+09:00']]);
+
+      await photoService.importPhotos(createMockFileList([file]));
+
+      expect(mockAlbumService.getOrCreateAlbumForDate).toHaveBeenCalledWith('2023-12-31T23:30:00', null);
+      const [, params] = mockDatabaseService.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO photos'));
+      expect(params[3]).toBe('2023-12-31T14:30:00.000Z');
+      expect(params[5]).toBe('2023-12-31T23:30:00');
+      expect(params[6]).toBe(540);
+    });
+  });
+
+  describe('import sessions', () => {
+    let mockAlbumService;
+    let importSessions;
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      mockDatabaseService.get.mockImplementation(sql =>
+        Promise.resolve(sql.includes('content_hash') ? null : { count: 1 })
+      );
+      importSessions = {
+        createSession: vi.fn().mockResolvedValue({ id: 7, fileIds: [70, 71] }),
+        recordFileResult: vi.fn().mockResolvedValue(undefined),
+        finishSession: vi.fn().mockResolvedValue(undefined),
+        reopenSession: vi.fn().mockResolvedValue(undefined),
+        getSession: vi.fn().mockResolvedValue({ id: 7, options: { duplicatePolicy: 'keep_both' } }),
+        matchPendingFiles: vi.fn()
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService, null, null, importSessions);
+    });
+
+    it('should record each file outcome and the final result', async () => {
+      photoService.extractMetadata = vi.fn()
+        .mockResolvedValueOnce({ dateTaken: new Date(2025, 0, 5), width: 100, height: 100, exifData: null, thumbnailSource: null })
+        .mockRejectedValueOnce(new Error('Corrupt image'));
+      const files = createMockFileList([
+        createMockFile('a.jpg', 'image/jpeg', 100),
+        createMockFile('b.jpg', 'image/jpeg', 101)
+      ]);
+
+      const result = await photoService.importPhotos(files);
+
+      expect(importSessions.createSession).toHaveBeenCalledWith(expect.any(Array), { duplicatePolicy: 'skip', albumNameHints: false });
+      expect(importSessions.recordFileResult).toHaveBeenCalledWith(70, 'imported', expect.objectContaining({ photoId: 1 }));
+      expect(importSessions.recordFileResult).toHaveBeenCalledWith(71, 'failed', expect.objectContaining({ error: 'Corrupt image' }));
+      expect(importSessions.finishSession).toHaveBeenCalledWith(7, 'completed', result);
+    });
+
+    it('should mark a cancelled import as cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const files = createMockFileList([createMockFile('a.jpg', 'image/jpeg')]);
+
+      await photoService.importPhotos(files, { signal: controller.signal });
+
+      expect(importSessions.finishSession).toHaveBeenCalledWith(7, 'cancelled', expect.objectContaining({ cancelled: true }));
+    });
+
+    it('should import without a session if it cannot be recorded', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      importSessions.createSession.mockRejectedValue(new Error('disk full'));
+      const files = createMockFileList([createMockFile('a.jpg', 'image/jpeg')]);
+
+      const result = await photoService.importPhotos(files);
+
+      expect(result.importedCount).toBe(1);
+      expect(importSessions.recordFileResult).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should resume only the pending files into the existing session', async () => {
+      const pending = createMockFile('b.jpg', 'image/jpeg', 101);
+      importSessions.matchPendingFiles.mockResolvedValue({ files: [pending], fileIds: [71], missing: 1 });
+
+      const result = await photoService.resumeImportSession(7, createMockFileList([pending]));
+
+      expect(importSessions.createSession).not.toHaveBeenCalled();
+      expect(importSessions.reopenSession).toHaveBeenCalledWith(7);
+      expect(importSessions.recordFileResult).toHaveBeenCalledWith(71, 'imported', expect.any(Object));
+      expect(result.importedCount).toBe(1);
+      expect(result.missingCount).toBe(1);
+    });
+
+    it('should reject resuming an unknown session', async () => {
+      importSessions.getSession.mockResolvedValue(null);
+
+      await expect(photoService.resumeImportSession(99, createMockFileList([]))).rejects.toThrow('Import session not found');
+    });
+  });
+
+  describe('import rules', () => {
+    let mockAlbumService;
+    let mockImportRules;
+    const skipScreenshots = {
+      id: 1,
+      name: 'No screenshots',
+      conditions: [{ field: RuleField.FILE_NAME, operator: RuleOperator.MATCHES, value: '^screenshot' }],
+      actions: [{ type: RuleActionType.SKIP }]
+    };
+    const canonToWork = {
+      id: 2,
+      name: 'Canon to Work',
+      conditions: [
+        { field: RuleField.CAMERA_MODEL, operator: RuleOperator.EQUALS, value: 'eos r5' },
+        { field: RuleField.DATE_TAKEN, operator: RuleOperator.BETWEEN, value: ['2023-04-01', '2023-04-30'] }
+      ],
+      actions: [{ type: RuleActionType.SET_ALBUM, albumId: 42 }, { type: RuleActionType.ADD_TAGS, tags: ['work'] }]
+    };
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        getAlbumById: vi.fn().mockResolvedValue({ id: 42, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      mockImportRules = { getEnabledRules: vi.fn().mockResolvedValue([skipScreenshots, canonToWork]) };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService, null, null, null, mockImportRules);
+    });
+
+    it('should skip, place and tag photos as the rules say', async () => {
+      const canon = createMockFileFromBytes('IMG_0001.jpg', 'image/jpeg', createJpegWithExif(true));
+      const screenshot = createMockFile('Screenshot_20230405.png', 'image/png');
+
+      const result = await photoService.importPhotos(createMockFileList([canon, screenshot]));
+
+      expect(result.importedCount).toBe(1);
+      expect(result.skippedCount).toBe(1);
+      expect(result.skipped).toEqual([{ fileName: 'Screenshot_20230405.png', rules: ['No screenshots'] }]);
+      const [, params] = mockDatabaseService.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO photos'));
+      expect(params[7]).toBe(42);
+      expect(JSON.parse(params[13]).keywords).toEqual(['work']);
+      expect(mockAlbumService.getOrCreateAlbumForDate).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the date album when the chosen album is gone', async () => {
+      mockAlbumService.getAlbumById.mockResolvedValue(null);
+      const canon = createMockFileFromBytes('IMG_0001.jpg', 'image/jpeg', createJpegWithExif(true));
+
+      await photoService.importPhotos(createMockFileList([canon]));
+
+      expect(mockAlbumService.getOrCreateAlbumForDate).toHaveBeenCalledWith('2023-04-05T14:15:22', null);
+    });
+
+    it('should group thumbnails by the album a rule picks, or else by date period', async () => {
+      photoService.renderThumbnail = vi.fn().mockResolvedValue({ thumbnailData: 'data:,', perceptualHash: null });
+      const canon = createMockFileFromBytes('IMG_0001.jpg', 'image/jpeg', createJpegWithExif(true));
+
+      await photoService.importPhotos(createMockFileList([canon]));
+      mockImportRules.getEnabledRules.mockResolvedValue([]);
+      await photoService.importPhotos(createMockFileList([canon]), { duplicatePolicy: DuplicatePolicy.KEEP_BOTH });
+
+      const groups = photoService.renderThumbnail.mock.calls.map(([, , options]) => options.group);
+      expect(new Set(groups)).toEqual(new Set([42, '2023-04']));
+    });
+
+    it('should apply rules in order, letting the first album choice win and collecting tags', () => {
+      const rules = [
+        { name: 'A', conditions: [], actions: [{ type: RuleActionType.SET_ALBUM, albumId: 1 }, { type: RuleActionType.ADD_TAGS, tags: ['a'] }] },
+        { name: 'B', conditions: [{ field: RuleField.WIDTH, operator: RuleOperator.AT_LEAST, value: 4000 }],
+          actions: [{ type: RuleActionType.SET_ALBUM, albumId: 2 }, { type: RuleActionType.ADD_TAGS, tags: ['a', ' b '] }] },
+        { name: 'C', conditions: [{ field: RuleField.CAMERA_MODEL, operator: RuleOperator.CONTAINS, value: 'x' }],
+          actions: [{ type: RuleActionType.SKIP }] }
+      ];
+
+      const outcome = evaluateImportRules(rules, { width: 6000, cameraModel: null });
+
+      expect(outcome).toEqual({
+        skip: false,
+        albumId: 1,
+        tags: ['a', 'b'],
+        matchedRules: [{ id: null, name: 'A' }, { id: null, name: 'B' }]
+      });
+    });
+
+    it('should test a rule against sample files without importing them', async () => {
+      const canon = createMockFileFromBytes('IMG_0001.jpg', 'image/jpeg', createJpegWithExif(true));
+      const other = createMockFile('DSC_0001.jpg', 'image/jpeg');
+
+      const results = await photoService.testImportRule(canonToWork, createMockFileList([canon, other]));
+
+      expect(results.map(({ fileName, matched, albumId }) => ({ fileName, matched, albumId }))).toEqual([
+        { fileName: 'IMG_0001.jpg', matched: true, albumId: 42 },
+        { fileName: 'DSC_0001.jpg', matched: false, albumId: null }
+      ]);
+      expect(mockDatabaseService.execute).not.toHaveBeenCalled();
+      await expect(photoService.testImportRule({ name: 'Bad', conditions: [], actions: [] }, []))
+        .rejects.toThrow('at least one action');
+    });
+  });
+
+  describe('import dry run', () => {
+    let mockAlbumService;
+
+    beforeEach(() => {
+      mockAlbumService = {
+        findAlbumForDate: vi.fn().mockImplementation(date => Promise.resolve(
+          !date
+            ? { datePeriod: 'undated', name: 'Undated Photos', album: null }
+            : { datePeriod: '2023-04', name: 'April 2023', album: { id: 5, name: 'April 2023', datePeriod: '2023-04' } }
+        )),
+        getOrCreateAlbumForDate: vi.fn(),
+        recalculateAlbum: vi.fn()
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+    });
+
+    it('should report albums, undated files, rejected files and duplicates without writing', async () => {
+      const canon = createMockFileFromBytes('IMG_0001.jpg', 'image/jpeg', createJpegWithExif(true));
+      const undated = createMockFile('DSC_0001.jpg', 'image/jpeg', 100);
+      undated.lastModified = 0;
+      const copy = createMockFile('DSC_0001 copy.jpg', 'image/jpeg', 100);
+      const notes = createMockFile('notes.txt', 'text/plain');
+
+      const report = await photoService.importPhotos(createMockFileList([canon, undated, copy, notes]), { dryRun: true });
+
+      expect(report).toMatchObject({
+        totalFiles: 4,
+        importCount: 2,
+        undatedCount: 1,
+        existingAlbums: [{ albumId: 5, datePeriod: '2023-04', name: 'April 2023', fileCount: 1 }],
+        newAlbums: [{ albumId: null, datePeriod: 'undated', name: 'Undated Photos', fileCount: 1 }],
+        duplicates: [{ fileName: 'DSC_0001 copy.jpg', existingPhotoId: null, duplicateOf: 'DSC_0001.jpg', action: 'skipped' }],
+        cancelled: false
+      });
+      expect(report.rejected).toEqual([{ fileName: 'notes.txt', filePath: 'notes.txt', error: expect.stringContaining('Invalid file') }]);
+      expect(mockDatabaseService.execute).not.toHaveBeenCalled();
+      expect(mockDatabaseService.beginTransaction).not.toHaveBeenCalled();
+      expect(mockAlbumService.getOrCreateAlbumForDate).not.toHaveBeenCalled();
+    });
+
+    it('should count duplicates as imported when both copies are kept', async () => {
+      const files = [createMockFile('a.jpg', 'image/jpeg', 100), createMockFile('b.jpg', 'image/jpeg', 100)];
+
+      const report = await photoService.previewImport(createMockFileList(files), { duplicatePolicy: DuplicatePolicy.KEEP_BOTH });
+
+      expect(report.importCount).toBe(2);
+      expect(report.duplicates).toEqual([{ fileName: 'b.jpg', existingPhotoId: null, duplicateOf: 'a.jpg', action: 'kept' }]);
+      expect(report.existingAlbums[0].fileCount).toBe(2);
+    });
+  });
+
+  describe('capture time shift', () => {
+    let mockAlbumService;
+    const rows = [
+      { id: 1, file_name: 'a.jpg', date_taken: '2024-06-30T22:30:00.000Z', date_taken_local: '2024-06-30T23:30:00', timezone_offset: 60, album_id: 10, date_added: '2024-07-02T00:00:00.000Z' },
+      { id: 2, file_name: 'b.jpg', date_taken: '2024-06-29T08:00:00.000Z', date_taken_local: '2024-06-29T09:00:00', timezone_offset: 60, album_id: 10, date_added: '2024-07-02T00:00:00.000Z' },
+      { id: 3, file_name: 'c.jpg', date_taken: null, date_taken_local: null, timezone_offset: null, album_id: 99, date_added: '2024-07-02T00:00:00.000Z' },
+      // Placed in a named album by an import rule
+      { id: 4, file_name: 'd.jpg', date_taken: '2024-06-30T22:45:00.000Z', date_taken_local: '2024-06-30T23:45:00', timezone_offset: 60, album_id: 50, date_added: '2024-07-02T00:00:00.000Z' }
+    ];
+
+    beforeEach(() => {
+      mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockImplementation(local =>
+          Promise.resolve({ id: local.startsWith('2024-07') ? 11 : 10 })
+        ),
+        findAlbumForDate: vi.fn().mockImplementation(local =>
+          Promise.resolve({ album: { id: local.startsWith('2024-07') ? 11 : 10 } })
+        ),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      mockDatabaseService.all.mockImplementation((sql, ids) =>
+        Promise.resolve(rows.filter(row => ids.includes(row.id)))
+      );
+      mockDatabaseService.get.mockImplementation((sql, [id]) =>
+        Promise.resolve(rows.find(row => row.id === id) || null)
+      );
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+    });
+
+    it('should shift the instant and local time and move photos into their new albums', async () => {
+      const result = await photoService.shiftCaptureTime([1, 2, 3], 60 * 60 * 1000);
+
+      expect(result.shiftedCount).toBe(2);
+      expect(result.skippedIds).toEqual([3]);
+      const updates = mockDatabaseService.execute.mock.calls.filter(([sql]) => sql.startsWith('UPDATE photos'));
+      expect(updates.map(([, params]) => params)).toEqual([
+        ['2024-06-30T23:30:00.000Z', '2024-07-01T00:30:00', 11, 1],
+        ['2024-06-29T09:00:00.000Z', '2024-06-29T10:00:00', 10, 2]
+      ]);
+      expect(mockAlbumService.recalculateAlbum.mock.calls.map(([id]) => id).sort()).toEqual([10, 11]);
+      expect(mockDatabaseService.beginTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave photos in albums chosen by a rule or by hand, and report unknown IDs apart', async () => {
+      const result = await photoService.shiftCaptureTime([4, 3, 77], 60 * 60 * 1000);
+
+      expect(result).toMatchObject({ shiftedCount: 1, skippedIds: [3], missingIds: [77], affectedAlbumIds: [50] });
+      const [update] = mockDatabaseService.execute.mock.calls.filter(([sql]) => sql.startsWith('UPDATE photos'));
+      expect(update[1]).toEqual(['2024-06-30T23:45:00.000Z', '2024-07-01T00:45:00', 50, 4]);
+      expect(mockAlbumService.getOrCreateAlbumForDate).not.toHaveBeenCalled();
+    });
+
+    it('should work out the offset from a reference photo', async () => {
+      const result = await photoService.syncCaptureTimeToReference([2], 1, new Date('2024-06-30T20:30:00Z'));
+
+      expect(result.offset).toBe(-2 * 60 * 60 * 1000);
+      expect(result.shiftedCount).toBe(2);
+      const updates = mockDatabaseService.execute.mock.calls.filter(([sql]) => sql.startsWith('UPDATE photos'));
+      expect(updates[0][1]).toEqual(['2024-06-30T20:30:00.000Z', '2024-06-30T21:30:00', 10, 1]);
+    });
+
+    it('should reject a missing offset or an undated reference photo', async () => {
+      await expect(photoService.shiftCaptureTime([1], NaN)).rejects.toThrow('Capture time offset');
+      await expect(photoService.shiftCaptureTime([], 1000)).rejects.toThrow('At least one photo');
+      await expect(photoService.syncCaptureTimeToReference([1], 3, new Date())).rejects.toThrow('no capture time');
+    });
+  });
+
+  describe('video clips', () => {
+    const poster = { type: 'image/jpeg', size: 10 };
+
+    it('should read the creation time, duration and upright size from the movie header', async () => {
+      // moov after mdat, as most cameras write it
+      const file = createBlob('clip.mov', createMp4({ rotation: 90, mdatFirst: true }), 'video/quicktime');
+      photoService.capturePosterFrame = vi.fn().mockResolvedValue({ poster, width: 1080, height: 1920, duration: 12.4 });
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.mediaType).toBe(MediaType.VIDEO);
+      expect(metadata.duration).toBe(12.5);
+      expect(metadata.width).toBe(1080);
+      expect(metadata.height).toBe(1920);
+      expect(metadata.dateTaken.toISOString()).toBe('2023-07-14T18:05:09.000Z');
+      expect(metadata.dateSource).toBe('video_header');
+      expect(metadata.thumbnailSource).toBe(poster);
+    });
+
+    it('should read 64-bit movie headers and ignore unset creation times', async () => {
+      const header = await readMp4Metadata(createBlob('clip.mp4', createMp4({ version: 1, creationTime: 0 }), 'video/mp4'));
+
+      expect(header.creationTime).toBeNull();
+      expect(header.duration).toBe(12.5);
+      expect(header).toMatchObject({ width: 1920, height: 1080, rotation: 0 });
+      expect(await readMp4Metadata(createBlob('clip.mp4', ascii('not a movie'), 'video/mp4'))).toBeNull();
+    });
+
+    it('should fall back to the video element when the header is unreadable', async () => {
+      const file = createBlob('clip.mp4', ascii('not a movie'), 'video/mp4');
+      photoService.capturePosterFrame = vi.fn().mockResolvedValue({ poster, width: 640, height: 360, duration: 3 });
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata).toMatchObject({ width: 640, height: 360, duration: 3, dateSource: 'file_modified' });
+    });
+
+    it('should accept MP4 and MOV files up to the video size limit', () => {
+      expect(photoService.validatePhotoFile(createMockFile('clip.mp4', 'video/mp4', 200 * 1024 * 1024)).isValid).toBe(true);
+      expect(photoService.validatePhotoFile(createMockFile('clip.mov', 'video/quicktime')).isValid).toBe(true);
+      expect(photoService.validatePhotoFile(createMockFile('photo.jpg', 'image/jpeg', 200 * 1024 * 1024)).isValid).toBe(false);
+    });
+
+    it('should store the media type and duration without rendering the clip itself', async () => {
+      const mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+      photoService.capturePosterFrame = vi.fn().mockRejectedValue(new Error('Failed to load video'));
+      vi.spyOn(photoService, 'renderRenditions');
+      const file = createBlob('clip.mp4', createMp4(), 'video/mp4');
+
+      const result = await photoService.importPhotos(createMockFileList([file]));
+
+      expect(result.importedCount).toBe(1);
+      expect(photoService.renderRenditions).not.toHaveBeenCalled();
+      const [, params] = mockDatabaseService.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO photos'));
+      expect(params[16]).toBe(MediaType.VIDEO);
+      expect(params[17]).toBe(12.5);
+    });
+
+    it('should format durations for the tile badge', () => {
+      expect(new Photo({ mediaType: MediaType.VIDEO, duration: 75.6 }).getFormattedDuration()).toBe('1:16');
+      expect(new Photo({ mediaType: MediaType.VIDEO, duration: 3725 }).getFormattedDuration()).toBe('1:02:05');
+      expect(new Photo({ duration: 5 }).getFormattedDuration()).toBeNull();
+    });
+  });
+
+  describe('RAW files', () => {
+    it('should pick the largest decodable embedded preview and skip lossless RAW data', () => {
+      const raw = parseRaw(createRawFile().buffer);
+
+      expect(raw.exif.model).toBe('NIKON Z 6');
+      expect(raw).toMatchObject({ width: 6000, height: 4000 });
+      expect([...raw.preview.slice(0, 2)]).toEqual([0xFF, 0xD8]);
+      expect(parseRaw(ascii('not a raw file').buffer)).toBeNull();
+    });
+
+    it('should date, size and thumbnail RAW files from their EXIF and preview', async () => {
+      const file = createMockFileFromBytes('DSC_0001.NEF', '', createRawFile(6));
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.dateTaken).toEqual(new Date(2023, 5, 1, 9, 30, 0));
+      expect(metadata.orientation).toBe(6);
+      expect(metadata.width).toBe(4000);
+      expect(metadata.height).toBe(6000);
+      expect(metadata.thumbnailSource.type).toBe('image/jpeg');
+    });
+
+    it('should accept RAW files by extension when the browser reports no type', () => {
+      for (const name of ['a.dng', 'b.CR2', 'c.nef', 'd.arw']) {
+        expect(photoService.validatePhotoFile(createMockFile(name, '', 80 * 1024 * 1024)).isValid).toBe(true);
+      }
+      expect(photoService.validatePhotoFile(createMockFile('e.xyz', '')).isValid).toBe(false);
+    });
+  });
+
+  describe('format registry', () => {
+    it('should detect formats from their contents rather than the declared type', async () => {
+      const png = createPng([]);
+
+      expect((await detectFormat(createMockFileFromBytes('photo.jpg', 'image/jpeg', png))).id).toBe('png');
+      const mp4 = concatBytes(uint(16, 4), ascii('ftypmp42'), uint(0, 4), createMp4());
+      expect((await detectFormat(createBlob('clip.mov', mp4, 'video/quicktime'))).id).toBe('mp4');
+      expect((await detectFormat(createMockFileFromBytes('old.mov', '', concatBytes(uint(8, 4), ascii('moov')))))
+        .id).toBe('mov');
+      expect(await detectFormat(createMockFileFromBytes('fake.jpg', 'image/jpeg', ascii('<html></html>')))).toBeNull();
+    });
+
+    it('should tell AVIF apart from HEIC', () => {
+      const ftyp = brand => concatBytes(uint(24, 4), ascii('ftyp'), ascii(brand), uint(0, 4), ascii('mif1'), ascii('miaf'));
+
+      expect(sniffFormat(ftyp('avif'), { name: 'photo.heic' }).id).toBe('avif');
+      expect(sniffFormat(ftyp('heic'), { name: 'photo.avif' }).id).toBe('heic');
+      expect(getFormatById('avif').thumbnailer).toBe(Thumbnailer.DECODE);
+    });
+
+    it('should tell TIFF-based formats apart by signature, then by extension', () => {
+      const tiff = createRawFile();
+      const cr2 = concatBytes(ascii('II*\0'), uint(16, 4), ascii('CR'), new Uint8Array(6));
+
+      expect(sniffFormat(tiff, { name: 'DSC_0001.NEF' }).id).toBe('nef');
+      expect(sniffFormat(tiff, { name: 'IMG_0001.dng' }).id).toBe('dng');
+      expect(sniffFormat(tiff, { name: 'scan.bin' }).id).toBe('tiff');
+      expect(sniffFormat(cr2, { name: 'IMG_0001.jpg' }).id).toBe('cr2');
+    });
+
+    it('should reject files whose contents are not an importable format', async () => {
+      const mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+      const fake = createMockFileFromBytes('fake.jpg', 'image/jpeg', ascii('<html></html>'));
+
+      const result = await photoService.importPhotos(createMockFileList([fake]));
+
+      expect(result.importedCount).toBe(0);
+      expect(result.errors[0].error).toContain('Unsupported file type');
+    });
+
+    it('should take size limits and enabled formats from preferences', () => {
+      const preferences = new PreferencesManager();
+      preferences.set('max_video_import_size', 1024 * 1024);
+      preferences.set('supported_formats', ['jpeg', 'mp4']);
+      photoService = new PhotoService(mockDatabaseService, null, null, preferences);
+
+      expect(photoService.validatePhotoFile(createMockFile('clip.mp4', 'video/mp4', 2 * 1024 * 1024)).errors[0])
+        .toContain('max: 1048576 bytes');
+      expect(photoService.validatePhotoFile(createMockFile('a.png', 'image/png')).errors)
+        .toEqual(['PNG imports are turned off']);
+      expect(photoService.validatePhotoFile(createMockFile('a.jpg', 'image/jpeg')).isValid).toBe(true);
+
+      // Settings saved before the registry listed extensions
+      preferences.set('supported_formats', ['jpg', 'png']);
+      expect(photoService.validatePhotoFile(createMockFile('a.png', 'image/png')).isValid).toBe(true);
+      expect(preferences.validatePreference('supported_formats', ['jpeg', 'gif']).isValid).toBe(false);
+    });
+
+    it('should keep formats an old extension list could not name enabled', () => {
+      expect(formatIdsFromLegacyExtensions(['jpg', 'png'])).toEqual(['jpeg', 'png', 'webp', 'avif', 'dng', 'cr2', 'nef', 'arw', 'mp4', 'mov']);
+      expect(formatIdsFromLegacyExtensions(['jpg', 'jpeg', 'png', 'heic', 'tiff'])).toHaveLength(12);
+    });
+
+    it('should type archive entries, RAW pairs and photos from the registry', () => {
+      expect(getImageType('Trip/clip.M4V')).toBe('video/mp4');
+      expect(getImageType('notes.txt')).toBeNull();
+      expect(isRawFileName('DCIM/DSC_0001.arw')).toBe(true);
+      expect(isRawFileName('DCIM/DSC_0001.jpg')).toBe(false);
+      expect(new Photo({ fileName: 'IMG_0001.HEIC' }).isSupportedFormat()).toBe(true);
+      expect(getAcceptAttribute()).toContain('.dng');
+    });
+  });
+
+  describe('photo stacks', () => {
+    const at = (time, subSec = null, extra = {}) => ({
+      mediaType: MediaType.PHOTO,
+      albumId: 1,
+      dateTaken: new Date(time),
+      exifData: { make: 'Canon', model: 'EOS R5', subSecTimeOriginal: subSec, ...extra }
+    });
+
+    it('should read the Live Photo identifier, burst ID and sub-second time from Apple EXIF', async () => {
+      const note = createAppleMakerNote({ burstId: 'BURST-1', contentIdentifier: 'LIVE-1' });
+      const tiff = buildTiff(true, {
+        ifd0: [[0x010F, 2, 'Apple']],
+        exif: [[0x9003, 2, '2023:04:05 14:15:22'], [0x9291, 2, '042'], [0x927C, 7, note]]
+      });
+      const file = createMockFileFromBytes('IMG_0001.jpg', 'image/jpeg', createJpegWithExif(true, null, tiff));
+
+      const metadata = await photoService.extractMetadata(file);
+
+      expect(metadata.exifData).toMatchObject({ contentIdentifier: 'LIVE-1', burstId: 'BURST-1', subSecTimeOriginal: '042' });
+    });
+
+    it('should read the Live Photo identifier of a QuickTime clip', async () => {
+      const header = await readMp4Metadata(createBlob('IMG_0001.MOV', createMp4({ contentIdentifier: 'LIVE-1' }), 'video/quicktime'));
+
+      expect(header.contentIdentifier).toBe('LIVE-1');
+    });
+
+    it('should pair Live Photos by content identifier or basename with the still as primary', () => {
+      const stacks = findStacks([
+        { id: 1, path: 'DCIM/IMG_0001.HEIC', ...at('2023-04-05T12:00:00Z', null, { contentIdentifier: 'A' }) },
+        { id: 2, path: 'DCIM/renamed.mov', mediaType: MediaType.VIDEO, albumId: 1, dateTaken: null, exifData: { contentIdentifier: 'A' } },
+        { id: 3, path: 'DCIM/IMG_0002.mov', ...at('2023-04-05T12:01:00Z'), mediaType: MediaType.VIDEO },
+        { id: 4, path: 'DCIM/IMG_0002.jpg', ...at('2023-04-05T12:01:01Z') },
+        // Same basename but recorded much later: not a Live Photo
+        { id: 5, path: 'DCIM/IMG_0003.jpg', ...at('2023-04-05T12:02:00Z') },
+        { id: 6, path: 'DCIM/IMG_0003.mov', ...at('2023-04-05T13:00:00Z'), mediaType: MediaType.VIDEO }
+      ]);
+
+      expect(stacks).toEqual([
+        { kind: StackKind.LIVE_PHOTO, primaryId: 1, memberIds: [1, 2] },
+        { kind: StackKind.LIVE_PHOTO, primaryId: 4, memberIds: [4, 3] }
+      ]);
+    });
+
+    it('should pair RAW files with the JPEG of the same name and folder', () => {
+      const stacks = findStacks([
+        { id: 1, path: 'Trip/DSC_0001.NEF', ...at('2023-04-05T12:00:00Z') },
+        { id: 2, path: 'Trip/DSC_0001.JPG', ...at('2023-04-05T12:00:00Z') },
+        { id: 3, path: 'Other/DSC_0001.JPG', ...at('2023-04-05T12:00:00Z') }
+      ]);
+
+      expect(stacks).toEqual([{ kind: StackKind.RAW_JPEG, primaryId: 2, memberIds: [2, 1] }]);
+    });
+
+    it('should stack bursts by burst ID or by sub-second timestamps from one camera', () => {
+      const stacks = findStacks([
+        { id: 1, path: 'a.jpg', ...at('2023-04-05T12:00:00Z', '900') },
+        { id: 2, path: 'b.jpg', ...at('2023-04-05T12:00:01Z', '100') },
+        { id: 3, path: 'c.jpg', ...at('2023-04-05T12:00:01Z', '350') },
+        // A separate shot a second later
+        { id: 4, path: 'd.jpg', ...at('2023-04-05T12:00:02Z', '500') },
+        // Same instant on another camera
+        { id: 5, path: 'e.jpg', ...at('2023-04-05T12:00:01Z', '200', { model: 'EOS R6' }) },
+        { id: 6, path: 'f.jpg', ...at('2023-04-05T12:10:00Z', null, { burstId: 'B' }) },
+        { id: 7, path: 'g.jpg', ...at('2023-04-05T12:09:59Z', null, { burstId: 'B' }) },
+        // Another album
+        { id: 8, path: 'h.jpg', ...at('2023-04-05T12:10:00Z', null, { burstId: 'B' }), albumId: 2 }
+      ]);
+
+      expect(stacks).toEqual([
+        { kind: StackKind.BURST, primaryId: 7, memberIds: [7, 6] },
+        { kind: StackKind.BURST, primaryId: 1, memberIds: [1, 2, 3] }
+      ]);
+    });
+
+    it('should store stacks found during import', async () => {
+      let nextId = 10;
+      const photoIds = [];
+      mockDatabaseService.execute.mockImplementation(async sql => {
+        if (sql.includes('INSERT INTO photos')) {
+          photoIds.push(nextId);
+        }
+        return { changes: 1, lastInsertRowid: nextId++ };
+      });
+      const mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService);
+      photoService.capturePosterFrame = vi.fn().mockRejectedValue(new Error('Failed to load video'));
+      const still = createMockFileFromBytes('IMG_0001.jpg', 'image/jpeg',
+        createJpegWithExif(true, null, buildTiff(true, { exif: [[0x927C, 7, createAppleMakerNote({ contentIdentifier: 'LIVE-1' })]] })));
+      const clip = createBlob('IMG_0001.mov', createMp4({ contentIdentifier: 'LIVE-1' }), 'video/quicktime');
+
+      await photoService.importPhotos(createMockFileList([still, clip]));
+
+      const [stillId, clipId] = photoIds;
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO photo_stacks'), [StackKind.LIVE_PHOTO, stillId]
+      );
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE photos SET stack_id'), [expect.any(Number), stillId, clipId]
+      );
+    });
+
+    it('should collapse stacks to their primary photo unless asked to expand them', async () => {
+      mockDatabaseService.all.mockResolvedValue([
+        { id: 1, file_name: 'IMG_0001.HEIC', stack_id: 4, stack_kind: StackKind.LIVE_PHOTO, stack_size: 2 }
+      ]);
+
+      const [photo] = await photoService.getPhotosByAlbum(3);
+      await photoService.getPhotosByAlbum(3, { expandStacks: true });
+
+      expect(photo).toMatchObject({ stackId: 4, stackKind: StackKind.LIVE_PHOTO, stackSize: 2 });
+      expect(photo.isStacked()).toBe(true);
+      const [[collapsedSql, params], [expandedSql]] = mockDatabaseService.all.mock.calls;
+      expect(collapsedSql).toContain('s.primary_photo_id = p.id');
+      expect(params).toEqual([3]);
+      expect(expandedSql).not.toContain('s.primary_photo_id = p.id');
+    });
+
+    it('should dissolve a stack left with one photo after a delete', async () => {
+      mockDatabaseService.get.mockResolvedValue({ id: 5, stack_id: 4 });
+      mockDatabaseService.all.mockResolvedValue([{ id: 6 }]);
+
+      await photoService.deletePhoto(5);
+
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith('UPDATE photos SET stack_id = NULL WHERE stack_id = ?', [4]);
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith('DELETE FROM photo_stacks WHERE id = ?', [4]);
+    });
+  });
+
+  describe('original files', () => {
+    let originals;
+
+    beforeEach(() => {
+      const mockAlbumService = {
+        getOrCreateAlbumForDate: vi.fn().mockResolvedValue({ id: 1, hasCoverPhoto: () => true }),
+        recalculateAlbum: vi.fn().mockResolvedValue(true)
+      };
+      originals = {
+        put: vi.fn().mockResolvedValue(undefined),
+        get: vi.fn().mockResolvedValue(null),
+        delete: vi.fn().mockResolvedValue(true)
+      };
+      photoService = new PhotoService(mockDatabaseService, mockAlbumService, null, null, null, null, originals);
+      photoService.computeContentHash = vi.fn().mockResolvedValue(null);
+    });
+
+    it('should store each imported original under its photo ID once the batch commits', async () => {
+      const commit = vi.fn().mockImplementationOnce(() => expect(originals.put).not.toHaveBeenCalled());
+      mockDatabaseService.beginTransaction.mockResolvedValue({ commit, rollback: vi.fn() });
+      let nextId = 20;
+      mockDatabaseService.execute.mockImplementation(async sql => ({
+        changes: 1,
+        lastInsertRowid: sql.includes('INSERT INTO photos') ? nextId++ : 1
+      }));
+      const files = [createMockFile('a.jpg', 'image/jpeg'), createMockFile('b.png', 'image/png')];
+
+      await photoService.importPhotos(createMockFileList(files));
+
+      expect(commit).toHaveBeenCalled();
+      expect(originals.put).toHaveBeenCalledWith(20, files[0]);
+      expect(originals.put).toHaveBeenCalledWith(21, files[1]);
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        'UPDATE photos SET original_size = ? WHERE id = ?',
+        [files[0].size, 20]
+      );
+      // The sizes are written in one transaction rather than saving the database once per photo
+      expect(mockDatabaseService.beginTransaction).toHaveBeenCalledTimes(2);
+      expect(commit).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep a photo imported when its original cannot be stored', async () => {
+      originals.put.mockRejectedValue(new Error('QuotaExceededError'));
+
+      const result = await photoService.importPhotos(createMockFileList([createMockFile('a.jpg', 'image/jpeg')]));
+
+      expect(result.importedCount).toBe(1);
+      expect(result.failedCount).toBe(0);
+    });
+
+    it('should delete the original with the photo', async () => {
+      mockDatabaseService.get.mockResolvedValue({ id: 5, stack_id: null });
+
+      await photoService.deletePhoto(5);
+
+      expect(originals.delete).toHaveBeenCalledWith(5);
+    });
+
+    it('should return the original named and typed as imported', async () => {
+      mockDatabaseService.get.mockResolvedValue({ id: 9, file_name: 'DSC_0001.NEF', original_size: 3, date_added: '2025-01-01T00:00:00.000Z' });
+      originals.get.mockResolvedValue(new Blob([new Uint8Array([1, 2, 3])]));
+
+      const original = await photoService.getOriginal(9);
+
+      expect(originals.get).toHaveBeenCalledWith(9);
+      expect(original).toMatchObject({ name: 'DSC_0001.NEF', type: 'image/x-nikon-nef', size: 3 });
+
+      originals.get.mockResolvedValue(null);
+      expect(await photoService.getOriginal(9)).toBeNull();
+    });
+  });
+
   describe('deletePhoto()', () => {
     it('should delete photo and return success status', async () => {
       // Contract: deletePhoto(photoId) returns Promise<boolean>
@@ -214,22 +1975,405 @@ function createMockFileList(files) {
   return fileList;
 }
 
+// Leading bytes a file of each type starts with, since imports sniff the contents
+const MOCK_SIGNATURES = {
+  'image/jpeg': [0xFF, 0xD8, 0xFF, 0xE0],
+  'image/png': [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+  'image/heic': [0, 0, 0, 24, ...ascii('ftypheic')],
+  'video/mp4': [0, 0, 0, 24, ...ascii('ftypisom')]
+};
+
 function createMockFile(name, type, size = 1024) {
+  const buffer = new ArrayBuffer(size);
+  new Uint8Array(buffer).set((MOCK_SIGNATURES[type] || []).slice(0, size));
   return {
     name,
     type,
     size,
     lastModified: Date.now(),
-    arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(size)),
+    arrayBuffer: vi.fn().mockResolvedValue(buffer),
     stream: vi.fn(),
     text: vi.fn(),
     slice: vi.fn()
   };
 }
 
+function createTextFile(name, text) {
+  const file = createMockFile(name, 'application/json', text.length);
+  file.text = vi.fn().mockResolvedValue(text);
+  return file;
+}
+
 function createMockFileWithExif(name, type, dateString) {
   const mockFile = createMockFile(name, type);
   // Mock EXIF data extraction
   mockFile._mockExifDate = new Date(dateString);
   return mockFile;
 }
+
+function createMockFileFromBytes(name, type, bytes) {
+  const mockFile = createMockFile(name, type, bytes.length);
+  mockFile.arrayBuffer = vi.fn().mockResolvedValue(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+  return mockFile;
+}
+
+// Build a TIFF block from IFD entry lists: [tag, type, value]
+// value is a string (ASCII), number[] (SHORT/LONG) or [num, den][] (RATIONAL)
+function buildTiff(littleEndian, { ifd0 = [], exif = [], gps = [] }) {
+  const typeSizes = { 2: 1, 3: 2, 4: 4, 5: 8, 7: 1 };
+  const entryCount = (type, value) => (type === 2 ? value.length + 1 : value.length);
+  const dataSize = entries => entries.reduce((sum, [, type, value]) => {
+    const size = typeSizes[type] * entryCount(type, value);
+    return sum + (size > 4 ? size : 0);
+  }, 0);
+  const ifdSize = entries => 2 + entries.length * 12 + 4 + dataSize(entries);
+
+  const root = [...ifd0];
+  if (exif.length) root.push([0x8769, 4, [0]]);
+  if (gps.length) root.push([0x8825, 4, [0]]);
+
+  const rootOffset = 8;
+  const exifOffset = rootOffset + ifdSize(root);
+  const gpsOffset = exifOffset + (exif.length ? ifdSize(exif) : 0);
+  for (const entry of root) {
+    if (entry[0] === 0x8769) entry[2] = [exifOffset];
+    if (entry[0] === 0x8825) entry[2] = [gpsOffset];
+  }
+
+  const totalSize = gpsOffset + (gps.length ? ifdSize(gps) : 0);
+  const view = new DataView(new ArrayBuffer(totalSize));
+  view.setUint16(0, littleEndian ? 0x4949 : 0x4D4D);
+  view.setUint16(2, 42, littleEndian);
+  view.setUint32(4, rootOffset, littleEndian);
+
+  const writeIfd = (offset, entries) => {
+    view.setUint16(offset, entries.length, littleEndian);
+    let dataOffset = offset + 2 + entries.length * 12 + 4;
+    entries.forEach(([tag, type, value], i) => {
+      const entry = offset + 2 + i * 12;
+      const count = entryCount(type, value);
+      const size = typeSizes[type] * count;
+      let target = entry + 8;
+      view.setUint16(entry, tag, littleEndian);
+      view.setUint16(entry + 2, type, littleEndian);
+      view.setUint32(entry + 4, count, littleEndian);
+      if (size > 4) {
+        view.setUint32(entry + 8, dataOffset, littleEndian);
+        target = dataOffset;
+        dataOffset += size;
+      }
+      if (type === 2) {
+        [...value].forEach((char, j) => view.setUint8(target + j, char.charCodeAt(0)));
+      } else if (type === 3) {
+        value.forEach((v, j) => view.setUint16(target + j * 2, v, littleEndian));
+      } else if (type === 4) {
+        value.forEach((v, j) => view.setUint32(target + j * 4, v, littleEndian));
+      } else if (type === 5) {
+        value.forEach(([num, den], j) => {
+          view.setUint32(target + j * 8, num, littleEndian);
+          view.setUint32(target + j * 8 + 4, den, littleEndian);
+        });
+      } else if (type === 7) {
+        value.forEach((byte, j) => view.setUint8(target + j, byte));
+      }
+    });
+  };
+
+  writeIfd(rootOffset, root);
+  if (exif.length) writeIfd(exifOffset, exif);
+  if (gps.length) writeIfd(gpsOffset, gps);
+
+  return new Uint8Array(view.buffer);
+}
+
+function createSampleTiff(littleEndian = true) {
+  return buildTiff(littleEndian, {
+    ifd0: [
+      [0x010F, 2, 'Canon'],
+      [0x0110, 2, 'EOS R5'],
+      [0x0112, 3, [6]]
+    ],
+    exif: [
+      [0x829A, 5, [[1, 250]]],
+      [0x829D, 5, [[28, 10]]],
+      [0x8827, 3, [400]],
+      [0x9003, 2, '2023:04:05 14:15:22'],
+      [0xA434, 2, 'RF24-70mm']
+    ],
+    gps: [
+      [0x0001, 2, 'N'],
+      [0x0002, 5, [[13, 1], [45, 1], [0, 1]]],
+      [0x0003, 2, 'W'],
+      [0x0004, 5, [[100, 1], [30, 1], [0, 1]]]
+    ]
+  });
+}
+
+function createJpegWithExif(littleEndian = true, frame = null, tiff = createSampleTiff(littleEndian)) {
+  const segmentLength = 2 + 6 + tiff.length;
+  const app1 = new Uint8Array(4 + segmentLength);
+  app1.set([0xFF, 0xD8, 0xFF, 0xE1, segmentLength >> 8, segmentLength & 0xFF]);
+  app1.set([0x45, 0x78, 0x69, 0x66, 0x00, 0x00], 6);
+  app1.set(tiff, 12);
+
+  // Baseline SOF0 header: precision, height, width, one component
+  const sof = frame
+    ? new Uint8Array([0xFF, 0xC0, 0, 11, 8, ...uint(frame.height, 2), ...uint(frame.width, 2), 1, 1, 0x11, 0])
+    : new Uint8Array(0);
+
+  return concatBytes(app1, sof, new Uint8Array([0xFF, 0xD9]));
+}
+
+function concatBytes(...parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+function uint(value, size) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    bytes[size - 1 - i] = (value / 2 ** (8 * i)) & 0xFF;
+  }
+  return bytes;
+}
+
+function ascii(text) {
+  return new Uint8Array([...text].map(char => char.charCodeAt(0)));
+}
+
+function isoBox(type, ...payload) {
+  const body = concatBytes(...payload);
+  return concatBytes(uint(body.length + 8, 4), ascii(type), body);
+}
+
+function isoFullBox(type, version, ...payload) {
+  return isoBox(type, uint(version, 1), uint(0, 3), ...payload);
+}
+
+// Minimal HEIC: item 1 = primary hvc1 image, item 2 = Exif, item 3 = JPEG thumbnail
+function createHeic(tiff, thumbnail, rotationSteps = 0) {
+  const exifPayload = concatBytes(uint(0, 4), tiff);
+  const buildMeta = mdatOffset => isoFullBox('meta', 0,
+    isoFullBox('hdlr', 0, uint(0, 4), ascii('pict'), uint(0, 12), uint(0, 1)),
+    isoFullBox('pitm', 0, uint(1, 2)),
+    isoFullBox('iinf', 0, uint(3, 2),
+      isoFullBox('infe', 2, uint(1, 2), uint(0, 2), ascii('hvc1'), uint(0, 1)),
+      isoFullBox('infe', 2, uint(2, 2), uint(0, 2), ascii('Exif'), uint(0, 1)),
+      isoFullBox('infe', 2, uint(3, 2), uint(0, 2), ascii('jpeg'), uint(0, 1))),
+    isoFullBox('iref', 0, isoBox('thmb', uint(3, 2), uint(1, 2), uint(1, 2))),
+    isoFullBox('iloc', 0, uint(0x4400, 2), uint(2, 2),
+      uint(2, 2), uint(0, 2), uint(1, 2), uint(mdatOffset, 4), uint(exifPayload.length, 4),
+      uint(3, 2), uint(0, 2), uint(1, 2), uint(mdatOffset + exifPayload.length, 4), uint(thumbnail.length, 4)),
+    isoBox('iprp',
+      isoBox('ipco', isoFullBox('ispe', 0, uint(4032, 4), uint(3024, 4)), isoBox('irot', uint(rotationSteps, 1))),
+      isoFullBox('ipma', 0, uint(1, 4), uint(1, 2), uint(2, 1), uint(0x81, 1), uint(0x02, 1))));
+
+  const ftyp = isoBox('ftyp', ascii('heic'), uint(0, 4), ascii('mif1'), ascii('heic'));
+  const headerSize = ftyp.length + buildMeta(0).length + 8;
+  return concatBytes(ftyp, buildMeta(headerSize), isoBox('mdat', exifPayload, thumbnail));
+}
+
+// TIFF-based RAW: IFD0 + EXIF, and SubIFDs holding a small preview, lossless raw data and a full-size preview
+function createRawFile(orientation = 1) {
+  const jpegFrame = (marker, height, width) => concatBytes(
+    new Uint8Array([0xFF, 0xD8, 0xFF, marker, 0, 11, 8]), uint(height, 2), uint(width, 2), new Uint8Array([1, 1, 0x11, 0, 0xFF, 0xD9])
+  );
+  const [small, lossless, large] = [jpegFrame(0xC0, 120, 160), jpegFrame(0xC3, 4016, 6016), jpegFrame(0xC0, 4000, 6000)];
+  const ifd = entries => concatBytes(uintLE(entries.length, 2),
+    ...entries.map(([tag, type, value]) => concatBytes(uintLE(tag, 2), uintLE(type, 2), uintLE(1, 4), uintLE(value, 4))),
+    uintLE(0, 4));
+  const build = subIfds => buildTiff(true, {
+    ifd0: [[0x010F, 2, 'NIKON CORPORATION'], [0x0110, 2, 'NIKON Z 6'], [0x0112, 3, [orientation]], [0x014A, 4, subIfds]],
+    exif: [[0x9003, 2, '2023:06:01 09:30:00']]
+  });
+
+  const ifdA = build([0, 0, 0]).length;
+  const ifdB = ifdA + 2 + 2 * 12 + 4;
+  const ifdC = ifdB + 2 + 3 * 12 + 4;
+  const smallOffset = ifdC + 2 + 3 * 12 + 4;
+  const losslessOffset = smallOffset + small.length;
+  const largeOffset = losslessOffset + lossless.length;
+
+  return concatBytes(
+    build([ifdA, ifdB, ifdC]),
+    ifd([[0x0201, 4, smallOffset], [0x0202, 4, small.length]]),
+    ifd([[0x0103, 3, 6], [0x0111, 4, losslessOffset], [0x0117, 4, lossless.length]]),
+    ifd([[0x0103, 3, 7], [0x0111, 4, largeOffset], [0x0117, 4, large.length]]),
+    small, lossless, large
+  );
+}
+
+// Apple maker note: "Apple iOS" header then a big-endian IFD of ASCII tags, offsets from the note start
+function createAppleMakerNote({ burstId = null, contentIdentifier = null }) {
+  const tags = [[0x000B, burstId], [0x0011, contentIdentifier]].filter(([, value]) => value);
+  let dataOffset = 14 + 2 + tags.length * 12 + 4;
+  const entries = [];
+  const data = [];
+  for (const [tag, value] of tags) {
+    const bytes = concatBytes(ascii(value), new Uint8Array(1));
+    entries.push(concatBytes(uint(tag, 2), uint(2, 2), uint(bytes.length, 4), uint(dataOffset, 4)));
+    data.push(bytes);
+    dataOffset += bytes.length;
+  }
+  return concatBytes(ascii('Apple iOS'), new Uint8Array([0, 0, 1]), ascii('MM'), uint(tags.length, 2), ...entries, uint(0, 4), ...data);
+}
+
+// Minimal MP4: ftyp, mdat and a moov with a 12.5s mvhd and one video track
+function createMp4({ version = 0, creationTime = 3772202709, rotation = 0, mdatFirst = false, contentIdentifier = null } = {}) {
+  const time = value => uint(value, version === 1 ? 8 : 4);
+  // 16.16 fixed point a, b, c, d of the display matrix; 0xFFFF0000 is -1
+  const [a, b, c, d] = { 0: [0x10000, 0, 0, 0x10000], 90: [0, 0x10000, 0xFFFF0000, 0] }[rotation];
+  const matrix = concatBytes(uint(a, 4), uint(b, 4), uint(0, 4), uint(c, 4), uint(d, 4), uint(0, 12), uint(0x40000000, 4));
+
+  const moov = isoBox('moov',
+    isoFullBox('mvhd', version, time(creationTime), time(creationTime), uint(1000, 4), time(12500), uint(0, 80)),
+    isoBox('trak',
+      isoFullBox('tkhd', version, time(creationTime), time(creationTime), uint(1, 4), uint(0, 4), time(12500),
+        uint(0, 16), matrix, uint(1920 * 0x10000, 4), uint(1080 * 0x10000, 4))),
+    isoBox('trak',
+      isoFullBox('tkhd', version, time(creationTime), time(creationTime), uint(2, 4), uint(0, 4), time(12500),
+        uint(0, 16), uint(0, 36), uint(0, 4), uint(0, 4))),
+    ...(contentIdentifier ? [createQuickTimeMeta('com.apple.quicktime.content.identifier', contentIdentifier)] : []));
+
+  const ftyp = isoBox('ftyp', ascii('qt  '), uint(0, 4), ascii('qt  '));
+  const mdat = isoBox('mdat', new Uint8Array(1000));
+  return mdatFirst ? concatBytes(ftyp, mdat, moov) : concatBytes(ftyp, moov, mdat);
+}
+
+// QuickTime metadata with a single UTF-8 value
+function createQuickTimeMeta(key, value) {
+  return isoBox('meta',
+    isoFullBox('hdlr', 0, uint(0, 4), ascii('mdta'), uint(0, 12), uint(0, 1)),
+    isoFullBox('keys', 0, uint(1, 4), uint(key.length + 8, 4), ascii('mdta'), ascii(key)),
+    isoBox('ilst', isoBox(String.fromCharCode(0, 0, 0, 1), isoBox('data', uint(1, 4), uint(0, 4), ascii(value)))));
+}
+
+function createPng(chunks) {
+  const signature = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const encoded = [...chunks, ['IEND', new Uint8Array(0)]].map(([type, data]) =>
+    concatBytes(uint(data.length, 4), ascii(type), data, uint(0, 4))
+  );
+  return concatBytes(signature, ...encoded);
+}
+
+function createWebp(chunks) {
+  const le32 = value => new Uint8Array([value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, value >>> 24]);
+  const encoded = chunks.map(([fourCC, data]) =>
+    concatBytes(ascii(fourCC), le32(data.length), data, new Uint8Array(data.length % 2))
+  );
+  const body = concatBytes(ascii('WEBP'), ...encoded);
+  return concatBytes(ascii('RIFF'), le32(body.length), body);
+}
+
+function createFakeWorker(respond) {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminate: vi.fn(),
+    postMessage: vi.fn(message => {
+      const response = respond(message);
+      if (response) {
+        queueMicrotask(() => worker.onmessage({ data: response }));
+      }
+    })
+  };
+  return worker;
+}
+
+function createDirectoryHandle(name, children) {
+  return {
+    kind: 'directory',
+    name,
+    values: async function* () {
+      for (const [childName, child] of Object.entries(children)) {
+        yield child.kind === 'directory'
+          ? child
+          : { kind: 'file', name: childName, getFile: () => Promise.resolve(child) };
+      }
+    }
+  };
+}
+
+function uintLE(value, size) {
+  return uint(value, size).reverse();
+}
+
+// Minimal Blob over bytes; jsdom's Blob has no arrayBuffer() or stream()
+function createBlob(name, bytes, type = 'application/zip') {
+  return {
+    name,
+    type,
+    size: bytes.length,
+    lastModified: Date.now(),
+    slice: (start = 0, end = bytes.length) => createBlob(name, bytes.slice(start, end), ''),
+    arrayBuffer: () => Promise.resolve(bytes.slice().buffer),
+    stream: () => new ReadableStream({
+      start(controller) {
+        if (bytes.length) controller.enqueue(bytes.slice());
+        controller.close();
+      }
+    })
+  };
+}
+
+// Build a ZIP archive from { name, data, deflate, mtime, rawName, crc } entries
+function createZipBlob(archiveName, entries, { zip64 = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = entry.rawName || new TextEncoder().encode(entry.name);
+    const flags = entry.rawName ? 0 : 0x0800;
+    const method = entry.deflate ? 8 : 0;
+    const payload = entry.deflate ? new Uint8Array(deflateRawSync(entry.data)) : entry.data;
+    const crc = entry.crc ?? crc32(entry.data);
+    const mtime = entry.mtime || new Date(2024, 0, 1);
+    const time = (mtime.getHours() << 11) | (mtime.getMinutes() << 5) | (mtime.getSeconds() >> 1);
+    const date = ((mtime.getFullYear() - 1980) << 9) | ((mtime.getMonth() + 1) << 5) | mtime.getDate();
+    const common = [uintLE(method, 2), uintLE(time, 2), uintLE(date, 2), uintLE(crc, 4)];
+
+    const local = concatBytes(
+      uintLE(0x04034b50, 4), uintLE(45, 2), uintLE(flags, 2), ...common,
+      uintLE(payload.length, 4), uintLE(entry.data.length, 4), uintLE(name.length, 2), uintLE(0, 2),
+      name, payload
+    );
+    const extra = zip64
+      ? concatBytes(uintLE(1, 2), uintLE(24, 2), uintLE(entry.data.length, 8), uintLE(payload.length, 8), uintLE(offset, 8))
+      : new Uint8Array(0);
+    const saturate = value => uintLE(zip64 ? 0xFFFFFFFF : value, 4);
+
+    centrals.push(concatBytes(
+      uintLE(0x02014b50, 4), uintLE(45, 2), uintLE(45, 2), uintLE(flags, 2), ...common,
+      saturate(payload.length), saturate(entry.data.length), uintLE(name.length, 2), uintLE(extra.length, 2),
+      uintLE(0, 2), uintLE(0, 2), uintLE(0, 2), uintLE(0, 4), saturate(offset),
+      name, extra
+    ));
+    locals.push(local);
+    offset += local.length;
+  }
+
+  const directory = concatBytes(...centrals);
+  const tail = [];
+  if (zip64) {
+    const recordOffset = offset + directory.length;
+    tail.push(
+      uintLE(0x06064b50, 4), uintLE(44, 8), uintLE(45, 2), uintLE(45, 2), uintLE(0, 4), uintLE(0, 4),
+      uintLE(entries.length, 8), uintLE(entries.length, 8), uintLE(directory.length, 8), uintLE(offset, 8),
+      uintLE(0x07064b50, 4), uintLE(0, 4), uintLE(recordOffset, 8), uintLE(1, 4)
+    );
+  }
+  tail.push(
+    uintLE(0x06054b50, 4), uintLE(0, 2), uintLE(0, 2),
+    uintLE(zip64 ? 0xFFFF : entries.length, 2), uintLE(zip64 ? 0xFFFF : entries.length, 2),
+    uintLE(zip64 ? 0xFFFFFFFF : directory.length, 4), uintLE(zip64 ? 0xFFFFFFFF : offset, 4), uintLE(0, 2)
+  );
+
+  return createBlob(archiveName, concatBytes(...locals, directory, ...tail));
+}
@@ -0,0 +1,59 @@
+// SimilarPhotosController Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SimilarPhotosController } from '../../src/controllers/SimilarPhotosController.js';
+import { Photo } from '../../src/models/Photo.js';
+
+describe('SimilarPhotosController Contract Tests', () => {
+  let controller;
+  let mockPhotoService;
+  let onOpenPhoto;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    const photo = id => new Photo({ id, fileName: `IMG_000${id}.jpg`, thumbnailData: `data:image/jpeg;base64,${id}` });
+    mockPhotoService = {
+      findSimilarPhotos: vi.fn().mockResolvedValue([{ photo: photo(4), distance: 2 }, { photo: photo(9), distance: 7 }]),
+      findSimilarPhotoGroups: vi.fn().mockResolvedValue([[photo(1), photo(2), photo(3)], [photo(5), photo(6)]]),
+      getRenditionForDisplay: vi.fn().mockResolvedValue(null)
+    };
+    onOpenPhoto = vi.fn();
+
+    controller = new SimilarPhotosController(mockPhotoService, { onOpenPhoto });
+  });
+
+  it('should show the look-alikes of a photo, closest first', async () => {
+    await controller.openForPhoto(1);
+
+    const thumbnails = [...document.querySelectorAll('.similar-photo')];
+    expect(mockPhotoService.findSimilarPhotos).toHaveBeenCalledWith(1);
+    expect(thumbnails.map(thumbnail => thumbnail.dataset.photoId)).toEqual(['4', '9']);
+    expect(thumbnails[0].title).toBe('IMG_0004.jpg (difference 2)');
+    expect(document.querySelector('.similar-photos p').textContent).toBe('2 photos look like this one, closest first.');
+  });
+
+  it('should list every group of near-duplicates in the library', async () => {
+    await controller.open();
+
+    const groups = [...document.querySelectorAll('.similar-photos-groups li')];
+    expect(groups.map(group => group.querySelectorAll('.similar-photo').length)).toEqual([3, 2]);
+  });
+
+  it('should open a clicked photo and close the dialog', async () => {
+    await controller.open();
+
+    document.querySelector('.similar-photo[data-photo-id="6"]').click();
+
+    expect(onOpenPhoto).toHaveBeenCalledWith(6);
+    expect(document.querySelector('.similar-photos')).toBeNull();
+  });
+
+  it('should say so when nothing looks alike', async () => {
+    mockPhotoService.findSimilarPhotos.mockResolvedValue([]);
+
+    await controller.openForPhoto(1);
+
+    expect(document.querySelector('.similar-photos p').textContent).toBe('No other photos look like this one.');
+    expect(document.querySelectorAll('.similar-photo')).toHaveLength(0);
+  });
+});
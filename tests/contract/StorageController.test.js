@@ -0,0 +1,71 @@
+// StorageController Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StorageController } from '../../src/controllers/StorageController.js';
+import { EvictionPolicy } from '../../src/services/StorageService.js';
+
+const MB = 1024 * 1024;
+
+describe('StorageController Contract Tests', () => {
+  let controller;
+  let mockStorageService;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    mockStorageService = {
+      getUsageReport: vi.fn().mockResolvedValue({
+        usage: 800 * MB,
+        quota: 1000 * MB,
+        persisted: true,
+        albums: [
+          { id: 2, name: 'Summer', actualPhotoCount: 40, originalBytes: 45 * MB, previewBytes: 2 * MB, totalBytes: 50 * MB },
+          { id: 1, name: 'Winter', actualPhotoCount: 10, originalBytes: 0, previewBytes: 4 * MB, totalBytes: 10 * MB }
+        ]
+      }),
+      evict: vi.fn().mockResolvedValue({ policy: EvictionPolicy.DROP_PREVIEWS, albumIds: [1], freedBytes: 4 * MB, photoCount: 10 })
+    };
+
+    controller = new StorageController(mockStorageService);
+  });
+
+  it('should show overall usage and each album, largest first', async () => {
+    await controller.open();
+
+    expect(document.querySelector('.storage-usage-summary').textContent).toBe('Using 800.0 MB of 1000.0 MB (80%).');
+    const items = [...document.querySelectorAll('.storage-usage-album')];
+    expect(items.map(item => item.dataset.albumId)).toEqual(['2', '1']);
+    expect(items[0].textContent).toContain('Summer · 50.0 MB');
+    expect(items[0].textContent).toContain('originals 45.0 MB');
+  });
+
+  it('should drop an album\'s previews and show the updated report', async () => {
+    await controller.open();
+
+    const [previewsBtn, originalsBtn] = document.querySelectorAll('.storage-usage-album[data-album-id="1"] button');
+    expect(originalsBtn.disabled).toBe(true);
+    previewsBtn.click();
+
+    await vi.waitFor(() => expect(document.querySelector('.storage-usage-status').textContent)
+      .toBe('Dropped previews of 10 photos in Winter, freeing 4.0 MB.'));
+    expect(mockStorageService.evict).toHaveBeenCalledWith(EvictionPolicy.DROP_PREVIEWS, { albumIds: [1] });
+    expect(mockStorageService.getUsageReport).toHaveBeenCalledTimes(2);
+  });
+
+  it('should only drop originals once confirmed, and show why an eviction failed', async () => {
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    await controller.open();
+
+    const originalsBtn = document.querySelectorAll('.storage-usage-album[data-album-id="2"] button')[1];
+    originalsBtn.click();
+    expect(mockStorageService.evict).not.toHaveBeenCalled();
+
+    confirm.mockReturnValue(true);
+    mockStorageService.evict.mockRejectedValue(new Error('Cannot free space while an import is being written'));
+    originalsBtn.click();
+
+    await vi.waitFor(() => expect(document.querySelector('.storage-usage-status').textContent)
+      .toBe('Failed to free space: Cannot free space while an import is being written'));
+    expect(mockStorageService.evict).toHaveBeenCalledWith(EvictionPolicy.DROP_ORIGINALS, { albumIds: [2] });
+    confirm.mockRestore();
+  });
+});
@@ -0,0 +1,166 @@
+// StorageService Contract Test
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StorageService, EvictionPolicy } from '../../src/services/StorageService.js';
+
+const MB = 1024 * 1024;
+
+describe('StorageService Contract Tests', () => {
+  let storageService;
+  let mockDatabaseService;
+  let mockAlbumService;
+  let originals;
+  let storage;
+
+  beforeEach(() => {
+    mockDatabaseService = {
+      execute: vi.fn().mockResolvedValue({ changes: 1 }),
+      get: vi.fn().mockResolvedValue(null),
+      all: vi.fn().mockResolvedValue([]),
+      clearAllData: vi.fn().mockResolvedValue(true),
+      beginTransaction: vi.fn().mockResolvedValue({ commit: vi.fn(), rollback: vi.fn() })
+    };
+    mockAlbumService = {
+      getAlbumsWithStats: vi.fn().mockResolvedValue([
+        createAlbumStats({ id: 1, latestPhoto: new Date('2020-08-01'), previewBytes: 4 * MB, totalBytes: 10 * MB }),
+        createAlbumStats({ id: 2, latestPhoto: new Date('2025-03-01'), previewBytes: 2 * MB, totalBytes: 50 * MB }),
+        createAlbumStats({ id: 3, latestPhoto: null, previewBytes: 1 * MB, totalBytes: 1 * MB })
+      ])
+    };
+    originals = { delete: vi.fn().mockResolvedValue(true), clear: vi.fn().mockResolvedValue(undefined) };
+    storage = {
+      estimate: vi.fn().mockResolvedValue({ usage: 800 * MB, quota: 1000 * MB }),
+      persisted: vi.fn().mockResolvedValue(false),
+      persist: vi.fn().mockResolvedValue(true)
+    };
+    storageService = new StorageService(mockDatabaseService, mockAlbumService, originals, storage);
+  });
+
+  describe('quota', () => {
+    it('should report usage, quota and persistence, or nulls without the Storage API', async () => {
+      expect(await storageService.getEstimate()).toEqual({ usage: 800 * MB, quota: 1000 * MB, persisted: false });
+      expect(await storageService.requestPersistence()).toBe(true);
+
+      const unsupported = new StorageService(mockDatabaseService, mockAlbumService, originals, undefined);
+      expect(await unsupported.getEstimate()).toEqual({ usage: null, quota: null, persisted: false });
+      expect(await unsupported.requestPersistence()).toBe(false);
+    });
+
+    it('should warn when an import would exceed or nearly fill the quota', async () => {
+      const tooBig = await storageService.checkImport([{ size: 300 * MB }]);
+      expect(tooBig.exceedsQuota).toBe(true);
+      expect(tooBig.warning).toContain('only 200.0 MB of browser storage is left');
+
+      const tight = await storageService.checkImport([{ size: 120 * MB }]);
+      expect(tight).toMatchObject({ exceedsQuota: false, nearQuota: true });
+      expect(tight.warning).toContain('92% full');
+
+      const fits = await storageService.checkImport([{ size: 1 * MB }]);
+      expect(fits).toMatchObject({ exceedsQuota: false, nearQuota: false, warning: null });
+
+      storage.estimate.mockResolvedValue({});
+      expect((await storageService.checkImport([{ size: 300 * MB }])).warning).toBeNull();
+    });
+
+    it('should list per-album usage, largest first', async () => {
+      const report = await storageService.getUsageReport();
+
+      expect(report.usage).toBe(800 * MB);
+      expect(report.albums.map(album => album.id)).toEqual([2, 1, 3]);
+    });
+  });
+
+  describe('clearAllData()', () => {
+    it('should empty the originals store along with the database', async () => {
+      expect(await storageService.clearAllData()).toBe(true);
+
+      expect(mockDatabaseService.clearAllData).toHaveBeenCalled();
+      expect(originals.clear).toHaveBeenCalled();
+    });
+
+    it('should keep the originals when the database cannot be cleared', async () => {
+      mockDatabaseService.clearAllData.mockRejectedValue(new Error('Failed to clear all data'));
+
+      await expect(storageService.clearAllData()).rejects.toThrow('Failed to clear all data');
+      expect(originals.clear).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evict()', () => {
+    it('should drop preview renditions of albums older than a date, keeping undated albums', async () => {
+      mockDatabaseService.get.mockResolvedValue({ count: 40 });
+
+      const result = await storageService.evict(EvictionPolicy.DROP_PREVIEWS, { olderThan: new Date('2024-01-01') });
+
+      expect(result).toEqual({ policy: EvictionPolicy.DROP_PREVIEWS, albumIds: [1], freedBytes: 4 * MB, photoCount: 40 });
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM photo_renditions WHERE kind = ?'),
+        ['preview', 1]
+      );
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith('VACUUM');
+    });
+
+    it('should refuse to evict while an import transaction is open', async () => {
+      mockDatabaseService.get.mockResolvedValue({ count: 40 });
+      mockDatabaseService.inTransaction = true;
+
+      await expect(storageService.evict(EvictionPolicy.DROP_PREVIEWS, { albumIds: [1] }))
+        .rejects.toThrow('Cannot free space while an import is being written');
+      await expect(storageService.evict(EvictionPolicy.DROP_ORIGINALS, { albumIds: [1] }))
+        .rejects.toThrow('Cannot free space while an import is being written');
+
+      expect(mockDatabaseService.execute).not.toHaveBeenCalled();
+      expect(originals.delete).not.toHaveBeenCalled();
+      // A dry run writes nothing, so it can still report what would be freed
+      expect((await storageService.evict(EvictionPolicy.DROP_PREVIEWS, { albumIds: [1], dryRun: true })).photoCount).toBe(40);
+    });
+
+    it('should only report what would be freed on a dry run', async () => {
+      mockDatabaseService.get.mockResolvedValue({ count: 40 });
+
+      const result = await storageService.evict(EvictionPolicy.DROP_PREVIEWS, { albumIds: [1, 2], dryRun: true });
+
+      expect(result.freedBytes).toBe(6 * MB);
+      expect(mockDatabaseService.execute).not.toHaveBeenCalled();
+    });
+
+    it('should drop stored originals and skip those that cannot be removed', async () => {
+      mockDatabaseService.all.mockResolvedValue([{ id: 7, original_size: 3 * MB }, { id: 8, original_size: 5 * MB }]);
+      originals.delete.mockImplementation(async id => {
+        if (id === 8) {
+          throw new Error('locked');
+        }
+        return true;
+      });
+
+      const result = await storageService.evict(EvictionPolicy.DROP_ORIGINALS, { albumIds: [1] });
+
+      expect(result).toMatchObject({ freedBytes: 3 * MB, photoCount: 1 });
+      expect(mockDatabaseService.execute).toHaveBeenCalledWith('UPDATE photos SET original_size = NULL WHERE id = ?', [7]);
+      expect(mockDatabaseService.execute).not.toHaveBeenCalledWith(expect.anything(), [8]);
+      expect(mockDatabaseService.beginTransaction).toHaveBeenCalledTimes(1);
+      const transaction = await mockDatabaseService.beginTransaction.mock.results[0].value;
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('should reject unknown policies and evictions without a selection', async () => {
+      await expect(storageService.evict('drop_everything', { albumIds: [1] })).rejects.toThrow('Unknown eviction policy');
+      await expect(storageService.evict(EvictionPolicy.DROP_PREVIEWS)).rejects.toThrow('albumIds or an olderThan date');
+    });
+  });
+});
+
+function createAlbumStats(overrides = {}) {
+  return {
+    id: 1,
+    name: 'Album',
+    actualPhotoCount: 10,
+    earliestPhoto: null,
+    latestPhoto: null,
+    originalBytes: 0,
+    renditionBytes: 0,
+    previewBytes: 0,
+    totalBytes: 0,
+    ...overrides
+  };
+}
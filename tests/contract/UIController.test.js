@@ -3,6 +3,7 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { UIController } from '../../src/controllers/UIController.js';
+import { Photo, MediaType } from '../../src/models/Photo.js';
 
 // Mock DOM environment for testing
 Object.defineProperty(window, 'location', {
@@ -42,7 +43,9 @@ describe('UIController Contract Tests', () => {
     // Mock services
     mockPhotoService = {
       importPhotos: vi.fn().mockResolvedValue({ success: true, importedPhotos: [] }),
-      getPhotosByAlbum: vi.fn().mockResolvedValue([])
+      getPhotosByAlbum: vi.fn().mockResolvedValue([]),
+      getRenditionForDisplay: vi.fn().mockResolvedValue(null),
+      prioritizeAlbumThumbnails: vi.fn()
     };
 
     mockAlbumService = {
@@ -206,6 +209,107 @@ describe('UIController Contract Tests', () => {
     });
   });
 
+  describe('import folder button', () => {
+    it('should hand the picked folder and the album naming option to the folder import handler', async () => {
+      const handle = { kind: 'directory', name: 'Pictures' };
+      const onImportFolder = vi.fn().mockResolvedValue({ importedCount: 2 });
+      global.window.showDirectoryPicker = vi.fn().mockResolvedValue(handle);
+      document.querySelector('.toolbar').insertAdjacentHTML('beforeend', `
+        <button id="import-folder-btn">Import Folder</button>
+        <input type="checkbox" id="folder-album-names" checked>
+      `);
+      uiController = new UIController(mockPhotoService, mockAlbumService, null, { onImportFolder });
+      await uiController.initialize();
+
+      document.getElementById('import-folder-btn').click();
+      await vi.waitFor(() => expect(onImportFolder).toHaveBeenCalled());
+
+      expect(onImportFolder).toHaveBeenCalledWith(handle, { albumNameHints: true });
+      delete global.window.showDirectoryPicker;
+    });
+  });
+
+  describe('photo tiles', () => {
+    it('should open the detail view of a clicked photo', async () => {
+      const onOpenPhoto = vi.fn().mockResolvedValue(undefined);
+      uiController = new UIController(mockPhotoService, mockAlbumService, null, { onOpenPhoto });
+      await uiController.initialize();
+      uiController.renderPhotos([{ id: 7, fileName: 'photo7.heic', thumbnailData: null }], { id: 1, name: 'Test Album' });
+
+      document.querySelector('.photo-tile').click();
+
+      expect(onOpenPhoto).toHaveBeenCalledWith(7);
+    });
+
+    it('should swap in the rendition that fits the tile, replacing a placeholder', async () => {
+      mockPhotoService.getRenditionForDisplay.mockImplementation(async photoId => (
+        photoId === 1 ? { kind: 'grid', width: 400, height: 300, data: 'data:image/jpeg;base64,grid' } : null
+      ));
+      await uiController.initialize();
+      uiController.renderPhotos([
+        new Photo({ id: 1, fileName: 'IMG_0001.heic', thumbnailData: null }),
+        new Photo({ id: 2, fileName: 'IMG_0002.jpg', thumbnailData: 'data:image/jpeg;base64,fake' })
+      ], { id: 1, name: 'Test Album' });
+
+      await vi.waitFor(() => expect(document.querySelector('[data-photo-id="1"] img')?.src).toBe('data:image/jpeg;base64,grid'));
+      expect(document.querySelector('[data-photo-id="1"] .photo-tile-placeholder')).toBeNull();
+      expect(document.querySelector('[data-photo-id="2"] img').src).toBe('data:image/jpeg;base64,fake');
+      // jsdom doesn't lay out the grid, so tiles are measured at the narrowest column
+      expect(mockPhotoService.getRenditionForDisplay).toHaveBeenCalledWith(1, 200, 200, 1);
+    });
+
+    it('should move the thumbnails of an opened album ahead of the import queue', async () => {
+      const album = { id: 3, name: 'April 2023', datePeriod: '2023-04', photoCount: 0 };
+      await uiController.initialize();
+      uiController.renderAlbums([album]);
+
+      document.querySelector('.album-card').click();
+
+      expect(mockPhotoService.prioritizeAlbumThumbnails).toHaveBeenCalledWith(album);
+      await vi.waitFor(() => expect(mockPhotoService.getPhotosByAlbum).toHaveBeenCalledWith(3));
+    });
+
+    it('should badge video tiles with their duration', async () => {
+      await uiController.initialize();
+      uiController.renderPhotos([
+        new Photo({ id: 1, fileName: 'IMG_0001.jpg', thumbnailData: 'data:image/jpeg;base64,fake' }),
+        new Photo({ id: 2, fileName: 'IMG_0002.mov', thumbnailData: 'data:image/jpeg;base64,fake', mediaType: MediaType.VIDEO, duration: 75.4 })
+      ], { id: 1, name: 'Test Album' });
+
+      const badges = document.querySelectorAll('.photo-tile-duration');
+      expect(badges).toHaveLength(1);
+      expect(badges[0].closest('.photo-tile').dataset.photoId).toBe('2');
+      expect(badges[0].textContent).toBe('1:15');
+    });
+
+    it('should expand a collapsed stack after its primary photo and collapse it again', async () => {
+      const onOpenPhoto = vi.fn();
+      mockPhotoService.getStackMembers = vi.fn().mockResolvedValue([
+        new Photo({ id: 2, fileName: 'IMG_0002.HEIC', stackId: 9, stackKind: 'live_photo', stackSize: 2 }),
+        new Photo({ id: 3, fileName: 'IMG_0002.MOV', stackId: 9, stackKind: 'live_photo', stackSize: 2, mediaType: MediaType.VIDEO })
+      ]);
+      uiController = new UIController(mockPhotoService, mockAlbumService, null, { onOpenPhoto });
+      await uiController.initialize();
+      uiController.renderPhotos([
+        new Photo({ id: 2, fileName: 'IMG_0002.HEIC', stackId: 9, stackKind: 'live_photo', stackSize: 2 }),
+        new Photo({ id: 4, fileName: 'IMG_0004.jpg' })
+      ], { id: 1, name: 'Test Album' });
+      const tileIds = () => [...document.querySelectorAll('.photo-tile')].map(tile => tile.dataset.photoId);
+
+      const toggle = document.querySelector('.photo-tile-stack');
+      expect(toggle.textContent).toBe('Live · 2');
+      toggle.click();
+      await vi.waitFor(() => expect(tileIds()).toEqual(['2', '3', '4']));
+
+      expect(mockPhotoService.getStackMembers).toHaveBeenCalledWith(9);
+      expect(onOpenPhoto).not.toHaveBeenCalled();
+      expect(document.querySelectorAll('.photo-tile-stack')).toHaveLength(1);
+
+      toggle.click();
+      await vi.waitFor(() => expect(tileIds()).toEqual(['2', '4']));
+    });
+  });
+
   describe('enableAlbumDragDrop()', () => {
     beforeEach(async () => {
       await uiController.initialize();
@@ -370,4 +474,30 @@ describe('UIController Contract Tests', () => {
       expect(loadingContainer.textContent).toContain('Loading...');
     });
   });
+
+  describe('import button', () => {
+    it('should hand the picked files to the import handler', async () => {
+      const file = { name: 'photo1.jpg', type: 'image/jpeg' };
+      const onImport = vi.fn().mockResolvedValue({ importedCount: 1 });
+      global.window.showOpenFilePicker = vi.fn().mockResolvedValue([{ getFile: () => Promise.resolve(file) }]);
+      uiController = new UIController(mockPhotoService, mockAlbumService, null, { onImport });
+      await uiController.initialize();
+
+      await uiController.handleImportClick();
+
+      expect(onImport).toHaveBeenCalledWith([file]);
+      expect(mockPhotoService.importPhotos).not.toHaveBeenCalled();
+    });
+
+    it('should show a failed import instead of leaving the rejection unhandled', async () => {
+      const onImport = vi.fn().mockRejectedValue(new Error('Database is full'));
+      global.window.showOpenFilePicker = vi.fn().mockResolvedValue([{ getFile: () => Promise.resolve({ name: 'a.jpg' }) }]);
+      uiController = new UIController(mockPhotoService, mockAlbumService, null, { onImport });
+      await uiController.initialize();
+
+      await uiController.handleImportClick();
+
+      expect(document.getElementById('error').textContent).toContain('Import failed: Database is full');
+    });
+  });
 });
@@ -115,3 +115,31 @@ Object.defineProperty(globalThis, 'localStorage', {
     clear: vi.fn(),
   },
 });
+
+// jsdom's Blob has no arrayBuffer() or stream(); read it through FileReader instead
+if (!Blob.prototype.arrayBuffer) {
+  Object.defineProperty(Blob.prototype, 'arrayBuffer', {
+    value() {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(this);
+      });
+    },
+  });
+}
+
+if (!Blob.prototype.stream) {
+  Object.defineProperty(Blob.prototype, 'stream', {
+    value() {
+      const blob = this;
+      return new ReadableStream({
+        async start(controller) {
+          controller.enqueue(new Uint8Array(await blob.arrayBuffer()));
+          controller.close();
+        },
+      });
+    },
+  });
+}